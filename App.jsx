@@ -8,19 +8,26 @@
  */
 
 // Import React - needed for all React components
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 // Import routing tools - these help us move between different pages
 import { BrowserRouter as Router, Routes, Route, Link, useLocation } from 'react-router-dom';
-// Import our two main page components
-import DeckList from './DeckList';      // The page that shows all your decks
-import DeckDetail from './DeckDetail';  // The page that shows one specific deck
+// Import our page components
+import DeckList from './DeckList';        // The page that shows all your decks
+import DeckDetail from './DeckDetail';    // The page that shows one specific deck
+import DeckCompare from './DeckCompare';  // The page that puts decks side by side
+import PlayerList from './PlayerList';    // The page for the playgroup and head-to-head records
+import StatsDashboard from './StatsDashboard';  // The page with statistics across every deck
+// Import the deck storage's notices (messages about damaged or unsaveable data)
+import { subscribeToStorageNotices } from './deckStorage';
 
 /**
  * NAVIGATION COMPONENT - The Top Bar
  * 
  * This creates the dark navigation bar at the top of every page.
- * It shows a "My Decks" link that takes you back to the main page.
- * The link changes color when you're on that page (gold when active, white when not).
+ * It shows a "My Decks" link that takes you back to the main page, a
+ * "Compare" link for comparing decks, a "Stats" link for statistics across
+ * every deck and a "Players" link for the playgroup.
+ * A link changes color when you're on its page (gold when active, white when not).
  */
 function Navigation() {
     // Find out which page the user is currently on
@@ -54,11 +61,94 @@ function Navigation() {
                 >
                     My Decks
                 </Link>
+                <Link 
+                    to="/compare"
+                    style={{
+                        textDecoration: 'none',
+                        color: location.pathname === '/compare' ? '#FFD700' : '#fff',
+                        fontWeight: location.pathname === '/compare' ? 'bold' : 'normal',
+                        fontSize: '18px'
+                    }}
+                >
+                    Compare
+                </Link>
+                <Link 
+                    to="/stats"
+                    style={{
+                        textDecoration: 'none',
+                        color: location.pathname === '/stats' ? '#FFD700' : '#fff',
+                        fontWeight: location.pathname === '/stats' ? 'bold' : 'normal',
+                        fontSize: '18px'
+                    }}
+                >
+                    Stats
+                </Link>
+                <Link 
+                    to="/players"
+                    style={{
+                        textDecoration: 'none',
+                        color: location.pathname === '/players' ? '#FFD700' : '#fff',
+                        fontWeight: location.pathname === '/players' ? 'bold' : 'normal',
+                        fontSize: '18px'
+                    }}
+                >
+                    Players
+                </Link>
             </div>
         </nav>
     );
 }
 
+/**
+ * STORAGE NOTICE COMPONENT - A Warning Banner
+ * 
+ * If something went wrong loading your decks (damaged data, storage blocked,
+ * ...), deckStorage sends a message here and we show it in a yellow banner
+ * under the navigation bar until you dismiss it.
+ */
+function StorageNotice() {
+    const [notices, setNotices] = useState([]);  // Messages waiting to be read
+
+    // Start listening when the app opens, and stop when it closes
+    useEffect(() => subscribeToStorageNotices(message => {
+        setNotices(current => (current.includes(message) ? current : [...current, message]));
+    }), []);
+
+    if (notices.length === 0) return null;
+
+    return (
+        <div style={{
+            maxWidth: 1200,
+            margin: '0 auto 1em',
+            padding: '1em',
+            backgroundColor: '#fff3cd',
+            border: '2px solid #ffc107',
+            borderRadius: '8px',
+            fontFamily: 'sans-serif',
+            display: 'flex',
+            justifyContent: 'space-between',
+            gap: '1em'
+        }}>
+            <div>
+                {notices.map(notice => <p key={notice} style={{ margin: '0.25em 0' }}>{notice}</p>)}
+            </div>
+            <button
+                onClick={() => setNotices([])}
+                style={{
+                    alignSelf: 'flex-start',
+                    padding: '0.25em 0.75em',
+                    backgroundColor: '#ffc107',
+                    border: 'none',
+                    borderRadius: '4px',
+                    cursor: 'pointer'
+                }}
+            >
+                Dismiss
+            </button>
+        </div>
+    );
+}
+
 /**
  * MAIN APP COMPONENT
  * 
@@ -76,6 +166,9 @@ function App() {
                 {/* Show the navigation bar on every page */}
                 <Navigation />
                 
+                {/* Show any problems with saved data */}
+                <StorageNotice />
+                
                 {/* Define the routing rules - like a map of URLs to pages */}
                 <Routes>
                     {/* When the URL is exactly "/" (home page), show the DeckList component */}
@@ -84,6 +177,15 @@ function App() {
                     {/* When the URL is "/deck/123" (or any number), show the DeckDetail component */}
                     {/* The :id part means "capture whatever comes after /deck/ and call it 'id'" */}
                     <Route path="/deck/:id" element={<DeckDetail />} />
+                    
+                    {/* When the URL is "/compare", show the page for comparing decks */}
+                    <Route path="/compare" element={<DeckCompare />} />
+                    
+                    {/* When the URL is "/stats", show statistics across every deck */}
+                    <Route path="/stats" element={<StatsDashboard />} />
+                    
+                    {/* When the URL is "/players", show the playgroup and head-to-head records */}
+                    <Route path="/players" element={<PlayerList />} />
                 </Routes>
             </div>
         </Router>
@@ -0,0 +1,306 @@
+/**
+ * CARD DETAIL MODAL - Everything About One Card
+ *
+ * Opens when you click a card on a deck's page. It shows:
+ * - A large picture of the card (with a button for each face of
+ *   double-faced, split, adventure and flip cards)
+ * - The card's type line, rules text, and power/toughness, loyalty or defense
+ * - Which formats the card is legal in
+ * - The card's official rulings
+ *
+ * The left and right arrow keys (or the Previous and Next buttons) move to
+ * the card before or after it in the deck, in the order the deck is sorted.
+ * Escape closes the popup.
+ */
+
+// Import React and its tools for managing data that changes over time
+import React, { useState, useEffect } from 'react';
+// Import the card cache, which has the full card (faces, legalities) without going online
+import { resolveCards } from './cardCache';
+// Import the Scryfall helpers for card faces and rulings
+import { getCardFaces, fetchCardRulings } from './scryfall';
+
+/**
+ * The formats shown in the legality list, in order, with their display names.
+ */
+const FORMATS = [
+    ['commander', 'Commander'],
+    ['standard', 'Standard'],
+    ['pioneer', 'Pioneer'],
+    ['modern', 'Modern'],
+    ['legacy', 'Legacy'],
+    ['vintage', 'Vintage'],
+    ['pauper', 'Pauper'],
+    ['brawl', 'Brawl'],
+    ['oathbreaker', 'Oathbreaker']
+];
+
+// How each legality is labelled and colored
+const LEGALITY_STYLES = {
+    legal: { label: 'Legal', color: '#4CAF50' },
+    restricted: { label: 'Restricted', color: '#FF9800' },
+    banned: { label: 'Banned', color: '#f44336' },
+    not_legal: { label: 'Not legal', color: '#ccc' }
+};
+
+// Shared look for the small grey buttons
+const smallButtonStyle = (disabled) => ({
+    padding: '0.5em 1em',
+    fontSize: '14px',
+    backgroundColor: '#f0f0f0',
+    color: disabled ? '#aaa' : '#333',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: disabled ? 'default' : 'pointer'
+});
+
+/**
+ * CARD DETAIL MODAL COMPONENT
+ *
+ * @param {Object} card - The deck entry being shown (filled in from the card cache)
+ * @param {number} position - Where the card is in the deck's current order (starting at 0)
+ * @param {number} total - How many cards are in that order
+ * @param {Function} onPrevious - Show the card before this one (null if this is the first)
+ * @param {Function} onNext - Show the card after this one (null if this is the last)
+ * @param {Function} onClose - Close the popup
+ */
+function CardDetailModal({ card, position, total, onPrevious, onNext, onClose }) {
+    /**
+     * STATE VARIABLES
+     *
+     * - fullCard: The whole Scryfall card (null until it's been found in the cache)
+     * - faceIndex: Which face is showing (0 is the front)
+     * - rulings: The card's rulings (undefined while loading, null if they couldn't be loaded)
+     */
+    const [fullCard, setFullCard] = useState(null);
+    const [faceIndex, setFaceIndex] = useState(0);  // Start on the front face
+    const [rulings, setRulings] = useState(undefined);  // Not loaded yet
+
+    /**
+     * LOAD THE FULL CARD AND ITS RULINGS
+     *
+     * Runs again whenever the popup moves to another card.
+     */
+    useEffect(() => {
+        let cancelled = false;  // Ignore the answers if we've moved on to another card
+        setFullCard(null);
+        setFaceIndex(0);
+        setRulings(undefined);
+
+        resolveCards([{
+            name: card.name,
+            scryfallId: card.scryfallId || null,
+            setCode: card.setCode || null,
+            collectorNumber: card.collectorNumber || null
+        }])
+            .then(async ([result]) => {
+                if (cancelled) return;
+                setFullCard(result?.card || null);
+                if (!result?.card) {
+                    setRulings(null);
+                    return;
+                }
+                const found = await fetchCardRulings(result.card.id);
+                if (!cancelled) setRulings(found);
+            })
+            .catch(error => {
+                console.error('Error loading card details:', error);
+                if (!cancelled) setRulings(null);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [card.name, card.scryfallId, card.setCode, card.collectorNumber]);
+
+    /**
+     * ARROW KEYS AND ESCAPE
+     *
+     * Left and right move through the deck, Escape closes the popup.
+     */
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'ArrowLeft' && onPrevious) {
+                e.preventDefault();
+                onPrevious();
+            } else if (e.key === 'ArrowRight' && onNext) {
+                e.preventDefault();
+                onNext();
+            } else if (e.key === 'Escape') {
+                onClose();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onPrevious, onNext, onClose]);
+
+    // Until the full card is found, show what the deck already knows about it
+    const faces = fullCard ? getCardFaces(fullCard) : [{
+        name: card.name,
+        manaCost: card.manaCost || '',
+        typeLine: card.type || '',
+        oracleText: card.oracleText || '',
+        power: null,
+        toughness: null,
+        loyalty: null,
+        defense: null,
+        imageUrl: card.imageUrl || null
+    }];
+    const face = faces[Math.min(faceIndex, faces.length - 1)];
+    // Flip cards print their second half upside down, so turn the picture around for it
+    const upsideDown = fullCard?.layout === 'flip' && faceIndex === 1;
+
+    return (
+        <div style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: 'rgba(0,0,0,0.5)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 1000
+        }}>
+            <div style={{
+                backgroundColor: 'white',
+                padding: '2em',
+                borderRadius: '8px',
+                maxWidth: '900px',
+                width: '90%',
+                maxHeight: '90vh',
+                overflow: 'auto'
+            }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1em', marginBottom: '1em' }}>
+                    <h2 style={{ margin: 0 }}>{fullCard?.name || card.name}</h2>
+                    <div style={{ display: 'flex', gap: '0.5em', alignItems: 'center', flexShrink: 0 }}>
+                        <button onClick={onPrevious || undefined} disabled={!onPrevious} style={smallButtonStyle(!onPrevious)}>
+                            ‹ Previous
+                        </button>
+                        <span style={{ fontSize: '14px', color: '#666' }}>{position + 1} of {total}</span>
+                        <button onClick={onNext || undefined} disabled={!onNext} style={smallButtonStyle(!onNext)}>
+                            Next ›
+                        </button>
+                        <button
+                            onClick={onClose}
+                            style={{
+                                padding: '0.5em 1em',
+                                fontSize: '14px',
+                                backgroundColor: '#ccc',
+                                color: 'white',
+                                border: 'none',
+                                borderRadius: '4px',
+                                cursor: 'pointer'
+                            }}
+                        >
+                            Close
+                        </button>
+                    </div>
+                </div>
+
+                <div style={{ display: 'flex', gap: '2em', flexWrap: 'wrap' }}>
+                    {/* The picture, with a button for each face */}
+                    <div style={{ flex: '0 0 300px', maxWidth: '100%' }}>
+                        {face.imageUrl ? (
+                            <img
+                                src={face.imageUrl}
+                                alt={face.name}
+                                style={{
+                                    width: '100%',
+                                    display: 'block',
+                                    borderRadius: '12px',
+                                    transform: upsideDown ? 'rotate(180deg)' : 'none',
+                                    transition: 'transform 0.3s'
+                                }}
+                            />
+                        ) : (
+                            <div style={{ padding: '2em', backgroundColor: '#f0f0f0', borderRadius: '12px', textAlign: 'center', color: '#666' }}>
+                                No picture
+                            </div>
+                        )}
+                        {faces.length > 1 && (
+                            <div style={{ display: 'flex', gap: '0.5em', marginTop: '0.5em' }}>
+                                {faces.map((other, index) => (
+                                    <button
+                                        key={other.name}
+                                        onClick={() => setFaceIndex(index)}
+                                        style={{
+                                            flex: 1,
+                                            padding: '0.5em',
+                                            fontSize: '12px',
+                                            backgroundColor: index === faceIndex ? '#2196F3' : '#f0f0f0',
+                                            color: index === faceIndex ? 'white' : '#333',
+                                            border: 'none',
+                                            borderRadius: '4px',
+                                            cursor: 'pointer'
+                                        }}
+                                    >
+                                        {other.name}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+
+                    {/* The face's text */}
+                    <div style={{ flex: '1 1 300px' }}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', gap: '1em' }}>
+                            <strong>{face.name}</strong>
+                            <span style={{ color: '#666' }}>{face.manaCost}</span>
+                        </div>
+                        <div style={{ color: '#666', margin: '0.25em 0 1em 0' }}>{face.typeLine}</div>
+                        {face.oracleText && (
+                            <div style={{ whiteSpace: 'pre-wrap', lineHeight: 1.5, marginBottom: '1em' }}>{face.oracleText}</div>
+                        )}
+                        {face.power !== null && (
+                            <div style={{ fontWeight: 'bold' }}>{face.power}/{face.toughness}</div>
+                        )}
+                        {face.loyalty !== null && (
+                            <div style={{ fontWeight: 'bold' }}>Loyalty: {face.loyalty}</div>
+                        )}
+                        {face.defense !== null && (
+                            <div style={{ fontWeight: 'bold' }}>Defense: {face.defense}</div>
+                        )}
+
+                        {fullCard?.legalities && (
+                            <>
+                                <h3>Legality</h3>
+                                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(140px, 1fr))', gap: '0.25em 1em', fontSize: '14px' }}>
+                                    {FORMATS.map(([format, label]) => {
+                                        const legality = LEGALITY_STYLES[fullCard.legalities[format]] || LEGALITY_STYLES.not_legal;
+                                        return (
+                                            <div key={format} style={{ display: 'flex', justifyContent: 'space-between', gap: '0.5em' }}>
+                                                <span>{label}</span>
+                                                <span style={{ color: legality.color, fontWeight: 'bold' }}>{legality.label}</span>
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            </>
+                        )}
+
+                        <h3>Rulings</h3>
+                        {rulings === undefined && <p style={{ color: '#666' }}>Loading rulings...</p>}
+                        {rulings === null && (
+                            <p style={{ color: '#666' }}>Rulings couldn't be loaded. Check your internet connection and try again.</p>
+                        )}
+                        {rulings?.length === 0 && <p style={{ color: '#666' }}>This card has no rulings.</p>}
+                        {rulings?.length > 0 && (
+                            <ul style={{ paddingLeft: '1.25em', margin: 0, fontSize: '14px', lineHeight: 1.5 }}>
+                                {rulings.map((ruling, index) => (
+                                    <li key={index} style={{ marginBottom: '0.5em' }}>
+                                        <span style={{ color: '#666' }}>{ruling.published_at}: </span>
+                                        {ruling.comment}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default CardDetailModal;
@@ -0,0 +1,148 @@
+/**
+ * CARD NAME INPUT - A Text Box That Suggests Card Names
+ *
+ * As you type, this asks Scryfall's autocomplete for matching card names and
+ * shows them in a list under the box. Click a suggestion (or use the arrow
+ * keys and Enter) to pick it. Pressing Enter without picking a suggestion
+ * uses whatever you typed.
+ */
+
+// Import React and its tools for managing data that changes over time
+import React, { useState, useEffect } from 'react';
+// Import the Scryfall helper that suggests card names
+import { autocompleteCardNames } from './scryfall';
+
+// Wait this long after the last key press before asking for suggestions
+const SUGGESTION_DELAY_MS = 200;
+
+/**
+ * CARD NAME INPUT COMPONENT
+ *
+ * @param {string} value - The text in the box
+ * @param {Function} onChange - Called with the new text as it's typed
+ * @param {Function} onSubmit - Called with a card name when one is picked or Enter is pressed
+ * @param {string} placeholder - Grey hint text shown when the box is empty
+ */
+function CardNameInput({ value, onChange, onSubmit, placeholder = 'Card name' }) {
+    const [suggestions, setSuggestions] = useState([]);  // Names Scryfall suggested
+    const [highlighted, setHighlighted] = useState(-1);  // Which suggestion the arrow keys are on (-1 = none)
+    const [open, setOpen] = useState(false);             // Whether the suggestion list is showing
+
+    /**
+     * ASK FOR SUGGESTIONS WHEN THE TEXT CHANGES
+     *
+     * We wait a moment after typing stops, and cancel the previous request
+     * if more was typed, so we don't ask Scryfall about every single letter.
+     */
+    useEffect(() => {
+        if (value.trim().length < 2) {
+            setSuggestions([]);
+            return;
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(async () => {
+            const names = await autocompleteCardNames(value, { signal: controller.signal });
+            if (!controller.signal.aborted) {
+                setSuggestions(names.slice(0, 10));
+                setHighlighted(-1);
+            }
+        }, SUGGESTION_DELAY_MS);
+
+        return () => {
+            clearTimeout(timer);
+            controller.abort();
+        };
+    }, [value]);
+
+    // Use a name and close the list
+    const pick = (name) => {
+        setOpen(false);
+        setSuggestions([]);
+        onSubmit(name);
+    };
+
+    /**
+     * ARROW KEYS MOVE THROUGH SUGGESTIONS, ENTER PICKS, ESCAPE CLOSES
+     */
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown' && suggestions.length > 0) {
+            e.preventDefault();
+            setOpen(true);
+            setHighlighted(current => Math.min(current + 1, suggestions.length - 1));
+        } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+            e.preventDefault();
+            setHighlighted(current => Math.max(current - 1, -1));
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            const name = open && highlighted >= 0 ? suggestions[highlighted] : value.trim();
+            if (name) pick(name);
+        } else if (e.key === 'Escape') {
+            setOpen(false);
+        }
+    };
+
+    return (
+        <div style={{ position: 'relative', flex: 1 }}>
+            <input
+                type="text"
+                value={value}
+                placeholder={placeholder}
+                onChange={(e) => {
+                    onChange(e.target.value);
+                    setOpen(true);
+                }}
+                onKeyDown={handleKeyDown}
+                onFocus={() => setOpen(true)}
+                // Wait a moment before closing, so a click on a suggestion still counts
+                onBlur={() => setTimeout(() => setOpen(false), 150)}
+                style={{
+                    width: '100%',
+                    padding: '0.5em',
+                    fontSize: '14px',
+                    border: '2px solid #ddd',
+                    borderRadius: '4px',
+                    boxSizing: 'border-box'
+                }}
+            />
+
+            {open && suggestions.length > 0 && (
+                <ul style={{
+                    position: 'absolute',
+                    top: '100%',
+                    left: 0,
+                    right: 0,
+                    margin: 0,
+                    padding: 0,
+                    listStyle: 'none',
+                    backgroundColor: 'white',
+                    border: '2px solid #ddd',
+                    borderTop: 'none',
+                    borderRadius: '0 0 4px 4px',
+                    maxHeight: '250px',
+                    overflowY: 'auto',
+                    zIndex: 10
+                }}>
+                    {suggestions.map((name, index) => (
+                        <li
+                            key={name}
+                            onMouseDown={(e) => e.preventDefault()}
+                            onClick={() => pick(name)}
+                            onMouseEnter={() => setHighlighted(index)}
+                            style={{
+                                padding: '0.5em',
+                                fontSize: '14px',
+                                cursor: 'pointer',
+                                backgroundColor: index === highlighted ? '#e3f2fd' : 'white'
+                            }}
+                        >
+                            {name}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+export default CardNameInput;
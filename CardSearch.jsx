@@ -0,0 +1,118 @@
+/**
+ * CARD SEARCH BOX - Search the Cards in a Deck
+ *
+ * The search box above a deck's cards. It takes the same kind of searches
+ * as scryfall.com (see cardQuery.js for everything it understands) and
+ * either highlights the matching cards or hides the rest.
+ */
+
+// Import React and its tools for managing data that changes over time
+import React, { useState } from 'react';
+
+// A few searches to show when the help is open
+const EXAMPLES = [
+    ['t:creature cmc<=3', 'Creatures costing 3 or less'],
+    ['o:"draw a card"', 'Cards whose rules text says "draw a card"'],
+    ['c:g -t:land', 'Green cards that aren\'t lands'],
+    ['(t:instant or t:sorcery) r:mythic', 'Mythic instants and sorceries'],
+    ['kw:flying', 'Cards with flying'],
+    ['is:commander', 'Cards that could be a commander']
+];
+
+/**
+ * CARD SEARCH COMPONENT
+ *
+ * @param {string} query - What's typed in the box
+ * @param {Function} onQueryChange - Called with the new search as you type
+ * @param {string} mode - 'highlight' (dim the cards that don't match) or 'filter' (hide them)
+ * @param {Function} onModeChange - Called with the new mode
+ * @param {number} matchCount - How many cards match
+ * @param {number} total - How many cards there are
+ * @param {string|null} error - Why the search couldn't be understood, if it couldn't
+ */
+function CardSearch({ query, onQueryChange, mode, onModeChange, matchCount, total, error }) {
+    const [showHelp, setShowHelp] = useState(false);  // Examples start hidden
+
+    return (
+        <div style={{ marginBottom: '1em' }}>
+            <div style={{ display: 'flex', gap: '0.5em', alignItems: 'center', flexWrap: 'wrap' }}>
+                <input
+                    type="text"
+                    value={query}
+                    onChange={(e) => onQueryChange(e.target.value)}
+                    placeholder='Search this deck, like t:creature cmc<=3 or o:"draw a card"'
+                    style={{
+                        flex: '1 1 300px',
+                        padding: '0.5em',
+                        fontSize: '14px',
+                        border: `2px solid ${error ? '#f44336' : '#ddd'}`,
+                        borderRadius: '4px'
+                    }}
+                />
+                <select
+                    value={mode}
+                    onChange={(e) => onModeChange(e.target.value)}
+                    style={{ padding: '0.5em', fontSize: '14px', border: '2px solid #ddd', borderRadius: '4px' }}
+                >
+                    <option value="highlight">Highlight matches</option>
+                    <option value="filter">Show only matches</option>
+                </select>
+                <button
+                    onClick={() => setShowHelp(!showHelp)}
+                    style={{
+                        padding: '0.5em 1em',
+                        fontSize: '14px',
+                        backgroundColor: '#f0f0f0',
+                        color: '#333',
+                        border: 'none',
+                        borderRadius: '4px',
+                        cursor: 'pointer'
+                    }}
+                >
+                    {showHelp ? 'Hide Help' : 'Help'}
+                </button>
+            </div>
+
+            {/* Either why the search didn't work, or how many cards it found */}
+            {error ? (
+                <div style={{ color: '#f44336', fontSize: '14px', marginTop: '0.5em' }}>{error}</div>
+            ) : query.trim() !== '' && (
+                <div style={{ color: '#666', fontSize: '14px', marginTop: '0.5em' }}>
+                    {matchCount} of {total} cards match
+                </div>
+            )}
+
+            {showHelp && (
+                <div style={{ fontSize: '14px', color: '#666', marginTop: '0.5em' }}>
+                    <p style={{ margin: '0 0 0.5em 0' }}>
+                        Searches work like on Scryfall: t: (type), o: (rules text), kw: (keyword), cmc or mv (mana
+                        value, with =, &lt;, &gt;, &lt;=, &gt;=), c: (color), id: (color identity), r: (rarity),
+                        is:commander, is:permanent and is:spell. Put "-" in front to mean "not", "or" between
+                        searches, and parentheses around groups.
+                    </p>
+                    {EXAMPLES.map(([example, meaning]) => (
+                        <div key={example}>
+                            <button
+                                onClick={() => onQueryChange(example)}
+                                style={{
+                                    padding: 0,
+                                    fontSize: '14px',
+                                    fontFamily: 'monospace',
+                                    backgroundColor: 'transparent',
+                                    color: '#2196F3',
+                                    border: 'none',
+                                    cursor: 'pointer'
+                                }}
+                            >
+                                {example}
+                            </button>
+                            {' '}- {meaning}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default CardSearch;
@@ -0,0 +1,132 @@
+/**
+ * COLOR FILTER - Show Only Decks of Certain Colors
+ *
+ * The bar above the deck list. You can:
+ * - Click color symbols to pick colors, then choose whether decks must be
+ *   exactly those colors or just include them
+ * - Pick a named combination (a guild like Golgari, a shard like Esper, a
+ *   wedge like Abzan, ...) to see decks of exactly those colors
+ */
+
+// Import React - needed for all React components
+import React from 'react';
+// Import the mana symbol circles and the color combination names
+import ManaSymbols from './ManaSymbols';
+import { COLOR_COMBINATIONS, sortColors } from './colors';
+
+// The order the named combinations are listed in
+const GROUPS = ['Mono', 'Guilds', 'Shards', 'Wedges', 'Four colors', 'Five colors'];
+
+/**
+ * COLOR FILTER COMPONENT
+ *
+ * @param {{ mode: string, colors: Array<string> }} filter - The current filter ('exact' or 'including', and the picked colors)
+ * @param {Function} onChange - Called with the new filter
+ * @param {number} shown - How many decks match
+ * @param {number} total - How many decks there are
+ */
+function ColorFilter({ filter, onChange, shown, total }) {
+    // Click a color to add or remove it (colorless can't be mixed with real colors)
+    const toggleColor = (color) => {
+        let colors;
+        if (filter.colors.includes(color)) {
+            colors = filter.colors.filter(other => other !== color);
+        } else if (color === 'C') {
+            colors = ['C'];
+        } else {
+            colors = sortColors([...filter.colors.filter(other => other !== 'C'), color]);
+        }
+        onChange({ ...filter, colors });
+    };
+
+    // Picking a named combination means "exactly these colors"
+    const handleNamedCombination = (key) => {
+        if (key === 'none') return;
+        onChange({ mode: 'exact', colors: key === '' ? ['C'] : key.split('') });
+    };
+
+    // The named combination matching the picked colors, if there is one (so the dropdown shows it)
+    const pickedKey = filter.colors.includes('C') ? '' : sortColors(filter.colors).join('');
+    const selectedCombination = filter.mode === 'exact' && filter.colors.length > 0 ? pickedKey : 'none';
+
+    return (
+        <div style={{
+            display: 'flex',
+            alignItems: 'center',
+            flexWrap: 'wrap',
+            gap: '1em',
+            backgroundColor: 'white',
+            padding: '1em',
+            borderRadius: '8px',
+            boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+            marginBottom: '2em'
+        }}>
+            <div style={{ display: 'flex', gap: '0.25em' }}>
+                {['W', 'U', 'B', 'R', 'G', 'C'].map(color => (
+                    <button
+                        key={color}
+                        onClick={() => toggleColor(color)}
+                        style={{
+                            padding: '0.2em',
+                            backgroundColor: filter.colors.includes(color) ? '#2196F3' : 'transparent',
+                            border: 'none',
+                            borderRadius: '50%',
+                            cursor: 'pointer',
+                            opacity: filter.colors.length === 0 || filter.colors.includes(color) ? 1 : 0.5
+                        }}
+                    >
+                        <ManaSymbols colors={color === 'C' ? [] : [color]} size={24} />
+                    </button>
+                ))}
+            </div>
+
+            <select
+                value={filter.mode}
+                onChange={(e) => onChange({ ...filter, mode: e.target.value })}
+                style={{ padding: '0.5em', fontSize: '14px', border: '2px solid #ddd', borderRadius: '4px' }}
+            >
+                <option value="exact">Exactly these colors</option>
+                <option value="including">Including these colors</option>
+            </select>
+
+            <select
+                value={selectedCombination}
+                onChange={(e) => handleNamedCombination(e.target.value)}
+                style={{ padding: '0.5em', fontSize: '14px', border: '2px solid #ddd', borderRadius: '4px' }}
+            >
+                <option value="none">Guild, shard, wedge...</option>
+                {GROUPS.map(group => (
+                    <optgroup key={group} label={group}>
+                        {Object.entries(COLOR_COMBINATIONS)
+                            .filter(([, combination]) => combination.group === group)
+                            .map(([key, combination]) => (
+                                <option key={key} value={key}>{combination.name}</option>
+                            ))}
+                    </optgroup>
+                ))}
+            </select>
+
+            {filter.colors.length > 0 && (
+                <>
+                    <button
+                        onClick={() => onChange({ ...filter, colors: [] })}
+                        style={{
+                            padding: '0.5em 1em',
+                            fontSize: '14px',
+                            backgroundColor: '#ccc',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '4px',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        Clear
+                    </button>
+                    <span style={{ fontSize: '14px', color: '#666' }}>Showing {shown} of {total} decks</span>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default ColorFilter;
@@ -0,0 +1,227 @@
+/**
+ * DECK ANALYTICS - Charts About a Deck's Cards
+ *
+ * Shown on a deck's page. It draws (with plain SVG, no charting service):
+ * - A mana curve: how many spells cost 0, 1, 2, ... mana, split either into
+ *   permanents and non-permanents, or by color
+ * - A type breakdown: how many creatures, artifacts, lands and so on
+ * - Colored pips: how many mana symbols of each color the deck's costs have
+ *   (hybrid and Phyrexian symbols count for each of their colors)
+ *
+ * Plus a few numbers: average mana value with and without lands, and the
+ * number of lands.
+ */
+
+// Import React and its tools for managing data that changes over time
+import React, { useState } from 'react';
+// Import the helpers that do the counting
+import {
+    getManaCurveBreakdown,
+    getTypeBreakdown,
+    getPipCounts,
+    getAverageManaValue,
+    countLands,
+    CARD_TYPES
+} from './deckAnalysis';
+// Import the colors we draw each Magic color with
+import { COLOR_INFO } from './colors';
+
+// What each part of a stacked bar is called and what color it's drawn in
+const PERMANENT_SEGMENTS = [
+    { key: 'permanent', label: 'Permanents', fill: '#2196F3' },
+    { key: 'nonPermanent', label: 'Instants & sorceries', fill: '#FF9800' }
+];
+const COLOR_SEGMENTS = [
+    ...['W', 'U', 'B', 'R', 'G'].map(color => ({ key: color, label: COLOR_INFO[color].name, fill: COLOR_INFO[color].fill })),
+    { key: 'M', label: 'Multicolored', fill: '#e6c65c' },
+    { key: 'C', label: 'Colorless', fill: COLOR_INFO.C.fill }
+];
+
+/**
+ * STACKED BAR CHART
+ *
+ * One bar per column, each made of colored segments stacked on top of each
+ * other, with the column's total above it.
+ *
+ * @param {Array} columns - [{ label, values: { [segment key]: number } }]
+ * @param {Array} segments - [{ key, label, fill }] in the order they're stacked (bottom first)
+ */
+function StackedBarChart({ columns, segments }) {
+    const width = 480;
+    const height = 220;
+    const top = 20;       // Room for the totals above the bars
+    const bottom = 24;    // Room for the labels under the bars
+    const slot = width / columns.length;
+    const barWidth = slot * 0.6;
+    const totals = columns.map(column => segments.reduce((sum, segment) => sum + (column.values[segment.key] || 0), 0));
+    const scale = (height - top - bottom) / Math.max(1, ...totals);
+
+    return (
+        <svg viewBox={`0 0 ${width} ${height}`} style={{ width: '100%', maxWidth: `${width}px` }} role="img">
+            {columns.map((column, index) => {
+                const x = index * slot + (slot - barWidth) / 2;
+                let y = height - bottom;
+                return (
+                    <g key={column.label}>
+                        {segments.map(segment => {
+                            const value = column.values[segment.key] || 0;
+                            if (value === 0) return null;
+                            const barHeight = value * scale;
+                            y -= barHeight;
+                            return (
+                                <rect key={segment.key} x={x} y={y} width={barWidth} height={barHeight} fill={segment.fill} stroke="white" strokeWidth="0.5">
+                                    <title>{`${segment.label}: ${value}`}</title>
+                                </rect>
+                            );
+                        })}
+                        {totals[index] > 0 && (
+                            <text x={x + barWidth / 2} y={y - 4} textAnchor="middle" fontSize="12" fill="#333">{totals[index]}</text>
+                        )}
+                        <text x={x + barWidth / 2} y={height - 6} textAnchor="middle" fontSize="12" fill="#666">{column.label}</text>
+                    </g>
+                );
+            })}
+            <line x1="0" y1={height - bottom} x2={width} y2={height - bottom} stroke="#ddd" />
+        </svg>
+    );
+}
+
+/**
+ * HORIZONTAL BAR CHART
+ *
+ * One labelled bar per row, with its number at the end.
+ *
+ * @param {Array} rows - [{ label, value, fill }]
+ */
+function HorizontalBarChart({ rows }) {
+    const width = 480;
+    const rowHeight = 24;
+    const labelWidth = 110;
+    const scale = (width - labelWidth - 40) / Math.max(1, ...rows.map(row => row.value));
+
+    return (
+        <svg viewBox={`0 0 ${width} ${rows.length * rowHeight}`} style={{ width: '100%', maxWidth: `${width}px` }} role="img">
+            {rows.map((row, index) => (
+                <g key={row.label} transform={`translate(0, ${index * rowHeight})`}>
+                    <text x={labelWidth - 8} y={rowHeight / 2 + 4} textAnchor="end" fontSize="12" fill="#333">{row.label}</text>
+                    <rect x={labelWidth} y={4} width={row.value * scale} height={rowHeight - 8} fill={row.fill} stroke="rgba(0,0,0,0.2)" strokeWidth="0.5" />
+                    <text x={labelWidth + row.value * scale + 6} y={rowHeight / 2 + 4} fontSize="12" fill="#666">{row.value}</text>
+                </g>
+            ))}
+        </svg>
+    );
+}
+
+/**
+ * A row of colored squares explaining what each bar color means.
+ */
+function Legend({ segments }) {
+    return (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.25em 1em', fontSize: '12px', color: '#666', marginTop: '0.5em' }}>
+            {segments.map(segment => (
+                <span key={segment.key} style={{ display: 'inline-flex', alignItems: 'center', gap: '0.25em' }}>
+                    <span style={{ width: '10px', height: '10px', backgroundColor: segment.fill, border: '1px solid rgba(0,0,0,0.2)' }} />
+                    {segment.label}
+                </span>
+            ))}
+        </div>
+    );
+}
+
+/**
+ * DECK ANALYTICS COMPONENT
+ *
+ * @param {Array} cards - The deck's cards, filled in from the card cache (mana cost, type, colors)
+ */
+function DeckAnalytics({ cards }) {
+    const [curveSplit, setCurveSplit] = useState('permanent');  // 'permanent' or 'color'
+
+    const curve = getManaCurveBreakdown(cards);
+    const segments = curveSplit === 'color' ? COLOR_SEGMENTS : PERMANENT_SEGMENTS;
+    const curveColumns = curve.map(column => ({
+        label: column.bucket,
+        values: curveSplit === 'color' ? column.byColor : column
+    }));
+
+    const typeCounts = getTypeBreakdown(cards);
+    const typeRows = CARD_TYPES
+        .filter(type => typeCounts[type] > 0)
+        .map(type => ({ label: type, value: typeCounts[type], fill: '#2196F3' }));
+
+    const pips = getPipCounts(cards);
+    const pipRows = ['W', 'U', 'B', 'R', 'G', 'C']
+        .filter(color => pips[color] > 0)
+        .map(color => ({ label: COLOR_INFO[color].name, value: pips[color], fill: COLOR_INFO[color].fill }));
+
+    // The handful of numbers shown above the charts
+    const summary = [
+        ['Average mana value', getAverageManaValue(cards)],
+        ['Average with lands', getAverageManaValue(cards, { includeLands: true })],
+        ['Lands', countLands(cards)],
+        ['Cards', cards.reduce((sum, card) => sum + card.quantity, 0)]
+    ];
+
+    const toggleStyle = (active) => ({
+        padding: '0.25em 0.75em',
+        fontSize: '12px',
+        backgroundColor: active ? '#2196F3' : '#f0f0f0',
+        color: active ? 'white' : '#333',
+        border: 'none',
+        borderRadius: '4px',
+        cursor: 'pointer'
+    });
+
+    return (
+        <div>
+            <div style={{ display: 'flex', gap: '2em', flexWrap: 'wrap', marginBottom: '1.5em' }}>
+                {summary.map(([label, value]) => (
+                    <div key={label}>
+                        <div style={{ fontSize: '12px', color: '#666' }}>{label}</div>
+                        <div style={{ fontSize: '24px', fontWeight: 'bold' }}>{value}</div>
+                    </div>
+                ))}
+            </div>
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))', gap: '2em' }}>
+                <div>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5em' }}>
+                        <h3 style={{ margin: 0 }}>Mana Curve</h3>
+                        <div style={{ display: 'flex', gap: '0.25em' }}>
+                            <button onClick={() => setCurveSplit('permanent')} style={toggleStyle(curveSplit === 'permanent')}>
+                                Permanents
+                            </button>
+                            <button onClick={() => setCurveSplit('color')} style={toggleStyle(curveSplit === 'color')}>
+                                Colors
+                            </button>
+                        </div>
+                    </div>
+                    <StackedBarChart columns={curveColumns} segments={segments} />
+                    <Legend segments={segments} />
+                    <div style={{ fontSize: '12px', color: '#666', marginTop: '0.25em' }}>Lands aren't included.</div>
+                </div>
+
+                <div>
+                    <h3 style={{ marginTop: 0 }}>Card Types</h3>
+                    <HorizontalBarChart rows={typeRows} />
+                    <div style={{ fontSize: '12px', color: '#666', marginTop: '0.25em' }}>
+                        Cards with more than one type (like Artifact Creature) count for each.
+                    </div>
+                </div>
+
+                <div>
+                    <h3 style={{ marginTop: 0 }}>Colored Pips</h3>
+                    {pipRows.length > 0 ? (
+                        <HorizontalBarChart rows={pipRows} />
+                    ) : (
+                        <p style={{ color: '#666' }}>No colored mana symbols in this deck's costs.</p>
+                    )}
+                    <div style={{ fontSize: '12px', color: '#666', marginTop: '0.25em' }}>
+                        Hybrid and Phyrexian symbols count for each of their colors.
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default DeckAnalytics;
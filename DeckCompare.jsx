@@ -0,0 +1,270 @@
+/**
+ * DECK COMPARE PAGE - Put Two or More Decks Side by Side
+ *
+ * Handy when you have two similar builds and want to decide which to keep.
+ * Tick the decks you want to compare and this page shows:
+ * - Their records and win rates next to each other
+ * - Their mana curves and mix of card types
+ * - The cards they all share, and the cards only one of them has
+ *
+ * The chosen decks are kept in the address (like /compare?decks=123,456),
+ * so a comparison can be bookmarked or reloaded.
+ */
+
+// Import React and its tools for managing data that changes over time
+import React, { useState, useEffect } from 'react';
+// Import the tools for reading the address and linking to deck pages
+import { Link, useSearchParams } from 'react-router-dom';
+// Import the deck storage and the card cache (for mana values and card types)
+import { getDecks } from './deckStorage';
+import { hydrateDecklist } from './cardCache';
+// Import the helpers that do the counting
+import {
+    CURVE_BUCKETS,
+    CARD_TYPES,
+    getManaCurve,
+    getAverageManaValue,
+    getTypeMix,
+    getWinRate,
+    compareDecklists
+} from './deckAnalysis';
+
+// One color per deck, so each deck's bars and columns are easy to tell apart
+const DECK_COLORS = ['#2196F3', '#4CAF50', '#f44336', '#FF9800', '#9C27B0', '#795548'];
+
+// The white boxes each section sits in
+const panelStyle = {
+    backgroundColor: 'white',
+    padding: '1.5em',
+    borderRadius: '8px',
+    boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+    marginBottom: '2em'
+};
+
+const cellStyle = { padding: '0.5em', borderBottom: '1px solid #eee', textAlign: 'center' };
+
+function DeckCompare() {
+    /**
+     * STATE VARIABLES
+     *
+     * - decks: Every saved deck, to choose from
+     * - cardsByDeck: Each chosen deck's cards, filled in from the card cache (by deck id)
+     * - The chosen deck ids live in the address (?decks=...), not in state
+     */
+    const [decks] = useState(() => getDecks());
+    const [cardsByDeck, setCardsByDeck] = useState({});
+    const [searchParams, setSearchParams] = useSearchParams();
+
+    const selectedIds = (searchParams.get('decks') || '').split(',').filter(Boolean);
+    const selected = selectedIds.map(id => decks.find(deck => deck.id === id)).filter(Boolean);
+
+    // Tick or untick a deck
+    const toggleDeck = (id) => {
+        const ids = selectedIds.includes(id) ? selectedIds.filter(other => other !== id) : [...selectedIds, id];
+        setSearchParams(ids.length > 0 ? { decks: ids.join(',') } : {});
+    };
+
+    /**
+     * FILL IN CARD DETAILS FOR THE CHOSEN DECKS
+     *
+     * Mana values and card types come from the card cache, the same way the
+     * deck page gets them. Decks we've already filled in aren't done again.
+     */
+    useEffect(() => {
+        let cancelled = false;
+        selected
+            .filter(deck => !cardsByDeck[deck.id])
+            .forEach(deck => {
+                hydrateDecklist(deck.decklist || [])
+                    .then(cards => {
+                        if (!cancelled) setCardsByDeck(current => ({ ...current, [deck.id]: cards }));
+                    })
+                    .catch(error => console.error('Error loading card details:', error));
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [searchParams.get('decks')]);
+
+    // Until the card cache answers, use the plain decklist (names and quantities are enough for most of the page)
+    const cardLists = selected.map(deck => cardsByDeck[deck.id] || deck.decklist || []);
+    const loading = selected.some(deck => !cardsByDeck[deck.id]);
+    const comparison = compareDecklists(cardLists);
+    const curves = cardLists.map(getManaCurve);
+    const typeMixes = cardLists.map(getTypeMix);
+    const tallestBar = Math.max(1, ...curves.flatMap(curve => Object.values(curve)));
+
+    const countCards = (cards) => cards.reduce((sum, card) => sum + card.quantity, 0);
+
+    return (
+        <div style={{ maxWidth: 1200, margin: '0 auto', padding: '2em', fontFamily: 'sans-serif' }}>
+            <h1 style={{ marginTop: 0 }}>Compare Decks</h1>
+
+            {/* Pick the decks to compare */}
+            <div style={panelStyle}>
+                <h2 style={{ marginTop: 0 }}>Choose decks</h2>
+                {decks.length < 2 ? (
+                    <p style={{ color: '#666', margin: 0 }}>You need at least two saved decks to compare.</p>
+                ) : (
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5em 1.5em' }}>
+                        {decks.map(deck => (
+                            <label key={deck.id} style={{ cursor: 'pointer' }}>
+                                <input
+                                    type="checkbox"
+                                    checked={selectedIds.includes(deck.id)}
+                                    onChange={() => toggleDeck(deck.id)}
+                                    style={{ marginRight: '0.5em' }}
+                                />
+                                {deck.name}
+                            </label>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {selected.length < 2 ? (
+                <p style={{ color: '#666', textAlign: 'center' }}>Pick two or more decks to see them side by side.</p>
+            ) : (
+                <>
+                    {loading && <p style={{ color: '#666' }}>Loading card details...</p>}
+
+                    {/* Records and win rates */}
+                    <div style={panelStyle}>
+                        <h2 style={{ marginTop: 0 }}>Overview</h2>
+                        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+                            <thead>
+                                <tr>
+                                    <th style={{ ...cellStyle, textAlign: 'left' }}></th>
+                                    {selected.map((deck, index) => (
+                                        <th key={deck.id} style={{ ...cellStyle, color: DECK_COLORS[index % DECK_COLORS.length] }}>
+                                            <Link to={`/deck/${deck.id}`} style={{ color: 'inherit' }}>{deck.name}</Link>
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {[
+                                    ['Record', deck => `${deck.stats?.wins || 0}-${deck.stats?.losses || 0}` +
+                                        (deck.stats?.draws > 0 ? `-${deck.stats.draws}` : '')],
+                                    ['Win rate', deck => `${getWinRate(deck.stats)}%`],
+                                    ['Games played', deck => deck.stats?.totalGames || 0],
+                                    ['Cards', (deck, index) => countCards(cardLists[index])],
+                                    ['Average mana value', (deck, index) => getAverageManaValue(cardLists[index])]
+                                ].map(([label, getValue]) => (
+                                    <tr key={label}>
+                                        <td style={{ ...cellStyle, textAlign: 'left', fontWeight: 'bold' }}>{label}</td>
+                                        {selected.map((deck, index) => (
+                                            <td key={deck.id} style={cellStyle}>{getValue(deck, index)}</td>
+                                        ))}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {/* Mana curves: one group of bars per mana value, one bar per deck */}
+                    <div style={panelStyle}>
+                        <h2 style={{ marginTop: 0 }}>Mana Curve</h2>
+                        <div style={{ display: 'flex', alignItems: 'flex-end', gap: '1em', height: '200px' }}>
+                            {CURVE_BUCKETS.map(bucket => (
+                                <div key={bucket} style={{ flex: 1, display: 'flex', flexDirection: 'column', height: '100%' }}>
+                                    <div style={{ flex: 1, display: 'flex', alignItems: 'flex-end', gap: '2px' }}>
+                                        {curves.map((curve, index) => (
+                                            <div
+                                                key={selected[index].id}
+                                                title={`${selected[index].name}: ${curve[bucket]}`}
+                                                style={{
+                                                    flex: 1,
+                                                    height: `${(curve[bucket] / tallestBar) * 100}%`,
+                                                    backgroundColor: DECK_COLORS[index % DECK_COLORS.length],
+                                                    borderRadius: '2px 2px 0 0'
+                                                }}
+                                            />
+                                        ))}
+                                    </div>
+                                    <div style={{ textAlign: 'center', fontSize: '12px', marginTop: '0.25em' }}>{bucket}</div>
+                                </div>
+                            ))}
+                        </div>
+                        <p style={{ fontSize: '12px', color: '#666', marginBottom: 0 }}>Lands aren't included. Hover over a bar to see its count.</p>
+                    </div>
+
+                    {/* Card types */}
+                    <div style={panelStyle}>
+                        <h2 style={{ marginTop: 0 }}>Card Types</h2>
+                        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+                            <tbody>
+                                {[...CARD_TYPES, 'Other']
+                                    .filter(type => typeMixes.some(mix => mix[type] > 0))
+                                    .map(type => (
+                                        <tr key={type}>
+                                            <td style={{ ...cellStyle, textAlign: 'left', fontWeight: 'bold' }}>{type}</td>
+                                            {typeMixes.map((mix, index) => {
+                                                // Show how far each deck is from the first one, like "30 (+2)"
+                                                const difference = mix[type] - typeMixes[0][type];
+                                                return (
+                                                    <td key={selected[index].id} style={{ ...cellStyle, color: DECK_COLORS[index % DECK_COLORS.length] }}>
+                                                        {mix[type]}
+                                                        {index > 0 && difference !== 0 && (
+                                                            <span style={{ color: '#666' }}>{` (${difference > 0 ? '+' : ''}${difference})`}</span>
+                                                        )}
+                                                    </td>
+                                                );
+                                            })}
+                                        </tr>
+                                    ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {/* Shared and unique cards */}
+                    <div style={panelStyle}>
+                        <h2 style={{ marginTop: 0 }}>Cards in Every Deck ({comparison.shared.length})</h2>
+                        <ul style={{ margin: 0, paddingLeft: '1.5em', columns: 3, fontSize: '14px' }}>
+                            {comparison.shared.map(card => (
+                                <li key={card.name}>
+                                    {card.name}
+                                    {/* Only mention quantities when they differ */}
+                                    {new Set(card.quantities).size > 1 && (
+                                        <span style={{ color: '#666' }}>{` (${card.quantities.join(' / ')})`}</span>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+
+                    <div style={{ display: 'grid', gridTemplateColumns: `repeat(${selected.length}, 1fr)`, gap: '1em', marginBottom: '2em' }}>
+                        {selected.map((deck, index) => (
+                            <div key={deck.id} style={{ ...panelStyle, marginBottom: 0, borderTop: `4px solid ${DECK_COLORS[index % DECK_COLORS.length]}` }}>
+                                <h3 style={{ marginTop: 0 }}>Only in {deck.name} ({comparison.unique[index].length})</h3>
+                                <ul style={{ margin: 0, paddingLeft: '1.5em', fontSize: '14px' }}>
+                                    {comparison.unique[index].map(name => (
+                                        <li key={name}>{name}</li>
+                                    ))}
+                                </ul>
+                            </div>
+                        ))}
+                    </div>
+
+                    {comparison.partial.length > 0 && (
+                        <div style={panelStyle}>
+                            <h2 style={{ marginTop: 0 }}>In Some Decks ({comparison.partial.length})</h2>
+                            <ul style={{ margin: 0, paddingLeft: '1.5em', columns: 2, fontSize: '14px' }}>
+                                {comparison.partial.map(card => (
+                                    <li key={card.name}>
+                                        {card.name}
+                                        <span style={{ color: '#666' }}>
+                                            {` (${selected.filter((deck, index) => card.quantities[index] > 0).map(deck => deck.name).join(', ')})`}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
+export default DeckCompare;
@@ -2,19 +2,70 @@
  * DECK DETAIL PAGE - Shows Everything About One Specific Deck
  * 
  * This page appears when you click on a deck from the main list. It shows:
- * - The commander card (with image)
- * - Statistics (wins, losses, mulligans, win rate)
+ * - The command zone: commanders, partners, backgrounds and companions (with images)
+ * - Statistics (wins, losses, mulligans, win rate), worked out from the game log
+ * - The game log: every game played with the deck
+ * - An opening hand simulator for trying out mulligans and the first few turns
  * - A notes section where you can write about the deck
  * - The full decklist with card images
+ * - The sideboard and maybeboard (if the imported list had them)
  * - Sorting options to organize the cards
+ * - A printing picker to choose which set and art each card comes from
  * 
- * You can edit stats, add notes, and sort cards in different ways.
+ * You can log games, add notes, and sort cards in different ways.
  */
 
 // Import React tools for managing changing data
 import React, { useState, useEffect } from 'react';
 // Import tools to get the deck ID from the URL and navigate to other pages
 import { useParams, useNavigate } from 'react-router-dom';
+// Import the card cache, which fills in pictures and details for the cards in the deck
+import { hydrateDecklist, cacheCards } from './cardCache';
+// Import the Scryfall helper for card pictures, and the popup for choosing a card's printing
+import { getCardImageUrl } from './scryfall';
+import PrintingPicker from './PrintingPicker';
+// Import the popup for exporting the deck in other formats
+import ExportPanel from './ExportPanel';
+// Import the editor for adding, removing and changing the deck's cards
+import DeckEditor from './DeckEditor';
+// Import the panel listing older versions of the deck
+import DeckHistory from './DeckHistory';
+// Import the charts about the deck's mana curve, card types and colors
+import DeckAnalytics from './DeckAnalytics';
+// Import the report on whether the deck's lands make the colors it needs
+import ManaBaseReport from './ManaBaseReport';
+// Import the opening hand simulator (sample hands, mulligans and thousands of test hands)
+import OpeningHands from './OpeningHands';
+// Import the search box, and the Scryfall-style searches it runs
+import CardSearch from './CardSearch';
+import { parseQuery, QuerySyntaxError } from './cardQuery';
+// Import the popup showing everything about one card
+import CardDetailModal from './CardDetailModal';
+// Import the game log table and the popup for logging a game
+import GameLog from './GameLog';
+import GameForm from './GameForm';
+// Import the text list and stacks views, and the helpers that remember which view each deck uses
+import DeckTextView from './DeckTextView';
+import DeckStacksView from './DeckStacksView';
+import { getDeckView, saveDeckView, DEFAULT_VIEW } from './deckViews';
+// Import the deck storage helpers (every deck is read and saved through these)
+import { getDeck, updateDeck, saveDeckLegality } from './deckStorage';
+// Import the list signature, so card lookups and the legality check only run again when the cards change
+import { getListSignature } from './versionHistory';
+// Import the command zone helpers (commanders, partners, backgrounds, companions)
+import { getCommandZone, getColorIdentity, getLibraryCards, ROLE_LABELS } from './commandZone';
+// Import the helpers for mana values, card types and win rates
+import { getManaValue, getCardType, getWinRate, groupCards } from './deckAnalysis';
+// Import the par win rate and placement helpers for the game log
+import { getParWinRate, getNormalizedWinRate, getAveragePlacement } from './gameResults';
+// Import the playgroup, so the game log can show who the opponents were
+import { getPlayers } from './playgroup';
+// Import the Commander legality check and the badge that shows its result
+import { checkDeckLegality, isCompleteCheck, sameLegality } from './deckValidator';
+import LegalityBadge from './LegalityBadge';
+// Import the color symbols and color combination names
+import ManaSymbols from './ManaSymbols';
+import { getColorCombinationName } from './colors';
 
 function DeckDetail() {
     /**
@@ -32,20 +83,40 @@ function DeckDetail() {
      * STATE VARIABLES - Memory boxes that remember information
      * 
      * - deck: The deck we're currently viewing (starts as null until we load it)
-     * - showStatsModal: Whether the "edit stats" popup is open or closed
-     * - statsInput: The numbers you're typing in the edit stats popup
+     * - cards: The deck's cards with their pictures and details filled in from the card cache
+     * - gameForm: The game popup ({ game: the entry being edited, or null for a new game }), or null when it's closed
      * - notes: The notes you've written about this deck
      * - sortBy: How the cards are currently sorted ('name', 'mana', or 'type')
+     * - printingCard: The card whose printing is being changed (null when the picker is closed)
+     * - showExport: Whether the export popup is open
+     * - editing: Whether the decklist is being edited
+     * - showHistory: Whether the version history panel is open
+     * - showAnalytics: Whether the analytics charts are open
+     * - showManaBase: Whether the mana base report is open
+     * - showOpeningHands: Whether the opening hand simulator is open
+     * - searchQuery: What's typed in the card search box
+     * - searchMode: Whether the search highlights matching cards ('highlight') or hides the rest ('filter')
+     * - viewingIndex: Where the card shown in the card popup sits in the decklist (null when the popup is closed)
+     * - view: How the cards are laid out ({ layout: 'grid', 'text' or 'stacks', groupBy: 'type' or 'mana' })
+     * - players: The playgroup, so the game log can show who each opponent was
      */
     const [deck, setDeck] = useState(null);  // No deck loaded yet
-    const [showStatsModal, setShowStatsModal] = useState(false);  // Edit popup starts closed
-    const [statsInput, setStatsInput] = useState({
-        wins: 0,
-        losses: 0,
-        mulligans: 0
-    });
+    const [cards, setCards] = useState([]);  // No card details loaded yet
+    const [gameForm, setGameForm] = useState(null);  // Game popup starts closed
     const [notes, setNotes] = useState('');  // No notes yet
     const [sortBy, setSortBy] = useState('name');  // Start sorted by name
+    const [printingCard, setPrintingCard] = useState(null);  // Printing picker starts closed
+    const [showExport, setShowExport] = useState(false);  // Export popup starts closed
+    const [editing, setEditing] = useState(false);  // Start by showing the cards, not editing them
+    const [showHistory, setShowHistory] = useState(false);  // History panel starts closed
+    const [showAnalytics, setShowAnalytics] = useState(false);  // Analytics panel starts closed
+    const [showManaBase, setShowManaBase] = useState(false);  // Mana base panel starts closed
+    const [showOpeningHands, setShowOpeningHands] = useState(false);  // Opening hand simulator starts closed
+    const [searchQuery, setSearchQuery] = useState('');  // Nothing searched yet
+    const [searchMode, setSearchMode] = useState('highlight');  // Start by highlighting matches
+    const [viewingIndex, setViewingIndex] = useState(null);  // Card popup starts closed
+    const [view, setView] = useState(DEFAULT_VIEW);  // Replaced by the deck's own view when it loads
+    const [players] = useState(() => getPlayers());  // The playgroup, for opponents' names in the game log
 
     /**
      * LOAD THE DECK WHEN THE PAGE OPENS
@@ -54,100 +125,194 @@ function DeckDetail() {
      * It finds the deck with the matching ID and loads all its information.
      */
     useEffect(() => {
-        // Get all saved decks from browser storage
-        const savedDecks = localStorage.getItem('mtgDecks');
-        if (savedDecks) {
-            // Convert from text format back to data
-            const decks = JSON.parse(savedDecks);
-            // Find the deck that matches the ID in the URL
-            const foundDeck = decks.find(d => d.id === id);
-            
-            if (foundDeck) {
-                // We found it! Load all the deck's information
-                setDeck(foundDeck);
-                // Load the statistics into the edit form
-                setStatsInput({
-                    wins: foundDeck.stats?.wins || 0,
-                    losses: foundDeck.stats?.losses || 0,
-                    mulligans: foundDeck.stats?.mulligans || 0
-                });
-                // Load any notes that were saved
-                setNotes(foundDeck.notes || '');
-            }
+        // Find the deck that matches the ID in the URL
+        const foundDeck = getDeck(id);
+        
+        if (foundDeck) {
+            // We found it! Load all the deck's information
+            setDeck(foundDeck);
+            // Load any notes that were saved
+            setNotes(foundDeck.notes || '');
+            // Show the cards the way they were shown last time
+            setView(getDeckView(foundDeck.id));
         }
     }, [id]); // Run this whenever the ID in the URL changes
 
+    // Changes only when the cards or commanders do, not when notes or games are saved
+    const listSignature = deck ? getListSignature(deck) : null;
+
+    /**
+     * FILL IN CARD DETAILS
+     * 
+     * The deck itself only remembers which cards it has. Whenever the decklist
+     * changes, we look each card up in the card cache (or on Scryfall if we've
+     * never seen it) to get its picture, mana cost and type.
+     */
+    useEffect(() => {
+        if (!deck) return;
+        // Show what we have right away, then swap in the full details when they arrive
+        setCards(deck.decklist || []);
+        
+        let cancelled = false;  // Ignore the answer if the deck changed while we were waiting
+        hydrateDecklist(deck.decklist || [])
+            .then(hydrated => {
+                if (!cancelled) setCards(hydrated);
+            })
+            .catch(error => console.error('Error loading card details:', error));
+        return () => {
+            cancelled = true;
+        };
+    }, [listSignature]);
+
+    /**
+     * CHECK THE DECK IS LEGAL
+     * 
+     * Whenever the cards or commanders change (and when the page opens), we
+     * check the deck against the Commander rules again. The result is saved on
+     * the deck so the deck list can show it, but only if it actually changed,
+     * and only if every card could be looked up (offline, the check can't
+     * tell legal cards from unknown ones). Changing the list clears the old
+     * result, so until a full check succeeds the deck shows as not checked.
+     * Saving a check doesn't count as changing the deck.
+     */
+    useEffect(() => {
+        if (!deck) return;
+        
+        let cancelled = false;  // Ignore the answer if the deck changed while we were checking
+        checkDeckLegality(deck)
+            .then(legality => {
+                if (cancelled || !isCompleteCheck(legality) || sameLegality(legality, deck.legality)) return;
+                try {
+                    setDeck(saveDeckLegality(id, legality));
+                } catch (error) {
+                    console.error('Error saving deck legality:', error);
+                }
+            })
+            .catch(error => console.error('Error checking deck legality:', error));
+        return () => {
+            cancelled = true;
+        };
+    }, [listSignature]);
+
     /**
      * SAVE UPDATED DECK INFORMATION
      * 
      * This function saves changes you make to the deck (like updating stats or notes).
-     * It finds the deck in the list, replaces it with the updated version, and saves everything.
+     * deckStorage replaces the old version of the deck with the new one and
+     * remembers when it was changed. If it can't be saved (for example, the
+     * browser's storage is full), we say so and keep showing the saved version.
+     * If the cards changed, deckStorage also adds the new list to the deck's
+     * version history, along with the note.
      * 
      * @param {Object} updatedDeck - The deck object with all the updated information
+     * @param {string} note - What changed, for the version history (optional)
+     * @returns {boolean} - Whether it was saved, so a form can stay open if it wasn't
      */
-    const saveDeck = (updatedDeck) => {
-        // Get all decks from storage
-        const savedDecks = localStorage.getItem('mtgDecks');
-        if (savedDecks) {
-            const decks = JSON.parse(savedDecks);
-            // Replace the old version of this deck with the new one
-            // map() goes through each deck and replaces the one with matching ID
-            const updatedDecks = decks.map(d => d.id === id ? updatedDeck : d);
-            // Save everything back to storage
-            localStorage.setItem('mtgDecks', JSON.stringify(updatedDecks));
-            // Update what we're showing on screen
-            setDeck(updatedDeck);
+    const saveDeck = (updatedDeck, note = '') => {
+        try {
+            // Update what we're showing on screen with exactly what was saved
+            setDeck(updateDeck(id, updatedDeck, { note }));
+            return true;
+        } catch (error) {
+            alert(error.message);
+            return false;
         }
     };
 
     /**
-     * SAVE STATS FROM THE EDIT POPUP
+     * SAVE A GAME FROM THE GAME POPUP
+     *
+     * A new game is added to the log; an edited one replaces the old entry.
+     * deckStorage works the stats out again from the log.
+     *
+     * @param {Object} game - The finished entry (see gameResults.js)
+     */
+    const handleSaveGame = (game) => {
+        const games = deck.games || [];
+        const exists = games.some(other => other.id === game.id);
+        const saved = saveDeck({
+            ...deck,
+            games: exists ? games.map(other => (other.id === game.id ? game : other)) : [...games, game]
+        });
+        if (saved) setGameForm(null);
+    };
+
+    /**
+     * DELETE A GAME FROM THE LOG
+     *
+     * @param {Object} game - The entry to delete
+     */
+    const handleDeleteGame = (game) => {
+        const description = game.kind === 'summary' ? 'the earlier totals' : `the game from ${game.playedAt}`;
+        if (!window.confirm(`Delete ${description}? This can't be undone.`)) return;
+        saveDeck({ ...deck, games: (deck.games || []).filter(other => other.id !== game.id) });
+    };
+
+    /**
+     * CHANGE A CARD'S PRINTING
+     * 
+     * This runs when you pick a printing in the printing picker. The deck entry
+     * switches to that printing (so its picture changes), and if the card is
+     * in the command zone (a commander, say), its picture there changes too.
      * 
-     * This runs when you click "Save" in the edit stats popup. It takes the numbers
-     * you typed in and saves them to the deck. It also automatically calculates
-     * the total games (wins + losses).
+     * @param {Object} choice - { card: the Scryfall printing picked, foil: whether our copy is foil }
      */
-    const handleUpdateStats = () => {
-        // Create an updated deck with the new statistics
-        const updatedDeck = {
-            ...deck,  // Keep everything else the same
-            stats: {
-                ...statsInput,  // Use the numbers you typed in
-                // Automatically calculate total games
-                totalGames: (statsInput.wins || 0) + (statsInput.losses || 0)
-            },
-            notes: notes  // Also save any notes you wrote
-        };
-        // Save the updated deck
-        saveDeck(updatedDeck);
-        // Close the edit popup
-        setShowStatsModal(false);
+    const handleSelectPrinting = ({ card, foil }) => {
+        const { deckIndex } = printingCard;
+        
+        // Remember the new printing in the card cache so its picture shows up right away (and offline)
+        cacheCards([card]);
+        
+        // Swap the printing in the decklist, keeping the quantity the same
+        const decklist = deck.decklist.map((entry, index) => index === deckIndex ? {
+            ...entry,
+            name: card.name,
+            scryfallId: card.id,
+            setCode: card.set.toUpperCase(),
+            collectorNumber: card.collector_number,
+            foil
+        } : entry);
+        
+        // If this card is in the command zone, show the new picture there as well
+        const oldName = deck.decklist[deckIndex].name;
+        const updatedCommandZone = getCommandZone(deck).map(entry => entry.name === oldName
+            ? { ...entry, scryfallId: card.id, imageUrl: getCardImageUrl(card) }
+            : entry);
+        
+        saveDeck({ ...deck, decklist, commandZone: updatedCommandZone }, `Changed the printing of ${card.name}`);
+        setPrintingCard(null);
     };
 
     /**
-     * QUICK STAT UPDATE (The +/- Buttons)
+     * RESTORE AN OLDER VERSION
      * 
-     * This runs when you click the + or - buttons next to wins, losses, or mulligans.
-     * It quickly increases or decreases the number by 1.
+     * Brings back that version's cards and command zone (and so its colors).
+     * Stats and notes aren't part of a version, so they stay as they are.
      * 
-     * @param {string} stat - Which stat to update ('wins', 'losses', or 'mulligans')
-     * @param {number} delta - How much to change it by (+1 or -1)
+     * @param {Object} snapshot - The version picked in the history panel
      */
-    const handleQuickStatUpdate = (stat, delta) => {
-        // Create updated stats
-        const updatedStats = {
-            ...deck.stats,  // Keep other stats the same
-            // Update the specific stat, but don't let it go below 0
-            [stat]: Math.max(0, (deck.stats[stat] || 0) + delta),
-            // If we're updating wins or losses, recalculate total games
-            totalGames: stat === 'wins' || stat === 'losses' 
-                ? Math.max(0, (deck.stats.wins || 0) + (stat === 'wins' ? delta : 0) + 
-                             (deck.stats.losses || 0) + (stat === 'losses' ? delta : 0))
-                : deck.stats.totalGames || 0  // Mulligans don't affect total games
-        };
-        // Save the updated deck
-        const updatedDeck = { ...deck, stats: updatedStats };
-        saveDeck(updatedDeck);
+    const handleRestoreVersion = (snapshot) => {
+        const versionNumber = deck.history.indexOf(snapshot) + 1;
+        saveDeck({
+            ...deck,
+            decklist: snapshot.decklist,
+            commandZone: snapshot.commandZone,
+            colorIdentity: getColorIdentity(snapshot.commandZone)
+        }, `Restored version ${versionNumber}`);
+    };
+
+    /**
+     * CHANGE HOW THE CARDS ARE SHOWN
+     *
+     * Switches between the grid, text and stacks views (or how they're
+     * grouped), and remembers the choice for this deck.
+     *
+     * @param {Object} changes - Like { layout: 'stacks' } or { groupBy: 'mana' }
+     */
+    const handleViewChange = (changes) => {
+        const newView = { ...view, ...changes };
+        setView(newView);
+        saveDeckView(deck.id, newView);
     };
 
     /**
@@ -165,70 +330,16 @@ function DeckDetail() {
         );
     }
 
-    /**
-     * CALCULATE WIN RATE
-     * 
-     * This calculates what percentage of games you won.
-     * Formula: (Wins / Total Games) × 100
-     * 
-     * Example: 3 wins out of 5 games = 60% win rate
-     */
-    const winRate = deck.stats?.totalGames > 0 
-        ? ((deck.stats.wins || 0) / deck.stats.totalGames * 100).toFixed(1)
-        : 0;  // If no games played yet, win rate is 0%
-
-    /**
-     * GET MANA VALUE (Converted Mana Cost)
-     * 
-     * This figures out how much mana a card costs. For example:
-     * - "{1}{R}" = 2 mana (1 generic + 1 red)
-     * - "{3}{G}{G}" = 5 mana (3 generic + 2 green)
-     * 
-     * We prefer to use the CMC (Converted Mana Cost) that Scryfall gives us,
-     * but if we don't have that, we count the numbers in the mana cost string.
-     * 
-     * @param {Object} card - The card object
-     * @returns {number} - The total mana value
-     */
-    const getManaValue = (card) => {
-        // If Scryfall gave us the CMC, use that (it's more accurate)
-        if (card.cmc !== null && card.cmc !== undefined) {
-            return card.cmc;
-        }
-        // Otherwise, we need to count the numbers in the mana cost string
-        if (!card.manaCost || card.manaCost === '') return 0;
-        
-        // Find all the numbers in curly braces (like {1}, {2}, etc.)
-        const matches = card.manaCost.match(/\{(\d+)\}/g);
-        if (!matches) return 0;
-        
-        // Add up all the numbers we found
-        return matches.reduce((sum, match) => {
-            const num = parseInt(match.replace(/[{}]/g, ''));
-            return sum + (isNaN(num) ? 0 : num);
-        }, 0);
-    };
+    // The deck's commanders, partners, backgrounds and companions, and the colors they allow
+    const commandZone = getCommandZone(deck);
+    const deckColorIdentity = deck.colorIdentity || getColorIdentity(commandZone);
 
-    /**
-     * GET CARD TYPE FOR SORTING
-     * 
-     * This extracts the main type from a card's type line. For example:
-     * - "Creature — Human Wizard" → "Creature"
-     * - "Instant" → "Instant"
-     * - "Artifact Creature — Golem" → "Artifact Creature"
-     * 
-     * We only want the part before the dash for sorting purposes.
-     * 
-     * @param {string} typeLine - The full type line from Scryfall
-     * @returns {string} - Just the main type
-     */
-    const getCardType = (typeLine) => {
-        if (!typeLine) return 'Unknown';
-        // Split at the dash and take the first part
-        // "Creature — Human Wizard" becomes ["Creature ", " Human Wizard"]
-        const mainType = typeLine.split('—')[0].trim();
-        return mainType || 'Unknown';
-    };
+    // What percentage of games this deck has won (see deckAnalysis.js), and how that compares
+    // with what an average deck would win in the same pods (see gameResults.js)
+    const winRate = getWinRate(deck.stats);
+    const parWinRate = getParWinRate(deck.stats);
+    const normalizedWinRate = getNormalizedWinRate(deck.stats);
+    const averagePlacement = getAveragePlacement(deck.stats);
 
     /**
      * SORT THE DECKLIST
@@ -244,11 +355,9 @@ function DeckDetail() {
      * @returns {Array} - The sorted list of cards
      */
     const getSortedDecklist = () => {
-        // If there's no decklist, return empty array
-        if (!deck.decklist) return [];
-        
         // Make a copy of the decklist (don't change the original)
-        const sorted = [...deck.decklist];
+        // Each card remembers where it sits in the saved decklist, so we can change it later
+        const sorted = cards.map((card, deckIndex) => ({ ...card, deckIndex }));
         
         // Sort based on which option is selected
         switch (sortBy) {
@@ -295,6 +404,27 @@ function DeckDetail() {
 
     const sortedDecklist = getSortedDecklist();
 
+    // Work out which cards match the search (a search that can't be understood matches everything)
+    let matchesSearch = () => true;
+    let searchError = null;
+    try {
+        matchesSearch = parseQuery(searchQuery);
+    } catch (error) {
+        if (!(error instanceof QuerySyntaxError)) throw error;
+        searchError = error.message;
+    }
+    const searching = searchQuery.trim() !== '' && !searchError;
+    const shownDecklist = searching && searchMode === 'filter' ? sortedDecklist.filter(matchesSearch) : sortedDecklist;
+
+    // The text and stacks views split the cards into groups (by type or mana value)
+    const cardGroups = view.layout === 'grid' ? [] : groupCards(shownDecklist, view.groupBy);
+    const isDimmed = (card) => searching && searchMode === 'highlight' && !matchesSearch(card);
+
+    // The cards in the order they appear on screen, so the card popup's arrow keys follow it
+    const orderedDecklist = view.layout === 'grid' ? shownDecklist : cardGroups.flatMap(group => group.cards);
+    // The card open in the card popup, and where it is in that order
+    const viewingPosition = orderedDecklist.findIndex(card => card.deckIndex === viewingIndex);
+
     return (
         <div style={{ maxWidth: 1200, margin: '0 auto', padding: '2em', fontFamily: 'sans-serif' }}>
             <div style={{ marginBottom: '2em' }}>
@@ -312,34 +442,84 @@ function DeckDetail() {
                 >
                     ← Back to Decks
                 </button>
-                <h1 style={{ margin: 0 }}>{deck.name}</h1>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '1em' }}>
+                        <h1 style={{ margin: 0 }}>{deck.name}</h1>
+                        <LegalityBadge legality={deck.legality} />
+                    </div>
+                    <button
+                        onClick={() => setShowExport(true)}
+                        style={{
+                            padding: '0.5em 1em',
+                            backgroundColor: '#4CAF50',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '4px',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        Export
+                    </button>
+                </div>
             </div>
 
-            {deck.commander && (
+            {commandZone.length > 0 && (
                 <div style={{
                     backgroundColor: 'white',
                     padding: '1.5em',
                     borderRadius: '8px',
                     marginBottom: '2em',
-                    boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
-                    display: 'flex',
-                    gap: '2em',
-                    alignItems: 'center'
+                    boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
                 }}>
-                    {deck.commander.imageUrl && (
-                        <img
-                            src={deck.commander.imageUrl}
-                            alt={deck.commander.name}
-                            style={{
-                                width: '200px',
-                                borderRadius: '8px'
-                            }}
-                        />
-                    )}
-                    <div>
-                        <div style={{ fontSize: '14px', color: '#666', marginBottom: '0.5em' }}>Commander</div>
-                        <div style={{ fontSize: '24px', fontWeight: 'bold' }}>{deck.commander.name}</div>
+                    {/* Every commander, partner, background and companion, side by side */}
+                    <div style={{ display: 'flex', gap: '2em', flexWrap: 'wrap' }}>
+                        {commandZone.map(entry => (
+                            <div key={`${entry.role}-${entry.name}`} style={{ display: 'flex', gap: '1em', alignItems: 'center' }}>
+                                {entry.imageUrl && (
+                                    <img
+                                        src={entry.imageUrl}
+                                        alt={entry.name}
+                                        style={{
+                                            width: '200px',
+                                            borderRadius: '8px'
+                                        }}
+                                    />
+                                )}
+                                <div>
+                                    <div style={{ fontSize: '14px', color: '#666', marginBottom: '0.5em' }}>{ROLE_LABELS[entry.role]}</div>
+                                    <div style={{ fontSize: '24px', fontWeight: 'bold' }}>{entry.name}</div>
+                                </div>
+                            </div>
+                        ))}
                     </div>
+                    {commandZone.some(entry => entry.colorIdentity?.length > 0) && (
+                        <div style={{ marginTop: '1em', color: '#666' }}>
+                            Color identity: <ManaSymbols colors={deckColorIdentity} /> <strong>{getColorCombinationName(deckColorIdentity)}</strong>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {/* Everything that makes the deck illegal in Commander */}
+            {deck.legality && !deck.legality.legal && (
+                <div style={{
+                    backgroundColor: '#ffebee',
+                    border: '2px solid #f44336',
+                    padding: '1.5em',
+                    borderRadius: '8px',
+                    marginBottom: '2em'
+                }}>
+                    <h2 style={{ marginTop: 0, color: '#c62828' }}>Not Legal in Commander</h2>
+                    <ul style={{ margin: 0, paddingLeft: '1.5em' }}>
+                        {deck.legality.violations.map(violation => (
+                            <li key={violation.message} style={{ marginBottom: '0.5em' }}>
+                                {violation.message}
+                                {violation.cards.length > 0 && (
+                                    <div style={{ fontSize: '14px', color: '#666' }}>{violation.cards.join(', ')}</div>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
                 </div>
             )}
 
@@ -357,62 +537,31 @@ function DeckDetail() {
                 }}>
                     <h2 style={{ marginTop: 0 }}>Statistics</h2>
                     <div style={{ marginBottom: '1em' }}>
-                        <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5em' }}>
-                            <span>Wins:</span>
-                            <div>
-                                <button
-                                    onClick={() => handleQuickStatUpdate('wins', -1)}
-                                    style={{ padding: '0.25em 0.5em', marginRight: '0.5em' }}
-                                >-</button>
-                                <strong>{deck.stats?.wins || 0}</strong>
-                                <button
-                                    onClick={() => handleQuickStatUpdate('wins', 1)}
-                                    style={{ padding: '0.25em 0.5em', marginLeft: '0.5em' }}
-                                >+</button>
-                            </div>
-                        </div>
-                        <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5em' }}>
-                            <span>Losses:</span>
-                            <div>
-                                <button
-                                    onClick={() => handleQuickStatUpdate('losses', -1)}
-                                    style={{ padding: '0.25em 0.5em', marginRight: '0.5em' }}
-                                >-</button>
-                                <strong>{deck.stats?.losses || 0}</strong>
-                                <button
-                                    onClick={() => handleQuickStatUpdate('losses', 1)}
-                                    style={{ padding: '0.25em 0.5em', marginLeft: '0.5em' }}
-                                >+</button>
-                            </div>
-                        </div>
-                        <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5em' }}>
-                            <span>Mulligans:</span>
-                            <div>
-                                <button
-                                    onClick={() => handleQuickStatUpdate('mulligans', -1)}
-                                    style={{ padding: '0.25em 0.5em', marginRight: '0.5em' }}
-                                >-</button>
-                                <strong>{deck.stats?.mulligans || 0}</strong>
-                                <button
-                                    onClick={() => handleQuickStatUpdate('mulligans', 1)}
-                                    style={{ padding: '0.25em 0.5em', marginLeft: '0.5em' }}
-                                >+</button>
+                        {[
+                            ['Wins', deck.stats?.wins || 0],
+                            ['Losses', deck.stats?.losses || 0],
+                            ...(deck.stats?.draws > 0 ? [['Draws', deck.stats.draws]] : []),
+                            ...(deck.stats?.unfinished > 0 ? [['Cut Short', deck.stats.unfinished]] : []),
+                            ['Mulligans', deck.stats?.mulligans || 0],
+                            ['Total Games', deck.stats?.totalGames || 0],
+                            ['Win Rate', parWinRate === null ? `${winRate}%` : `${winRate}% (par ${parWinRate}%)`],
+                            ...(normalizedWinRate === null ? [] : [['Win Rate vs. Par', `${normalizedWinRate}×`]]),
+                            ...(averagePlacement === null ? [] : [[
+                                'Average Placement',
+                                `${averagePlacement.placement} of ${averagePlacement.podSize}`
+                            ]])
+                        ].map(([label, value]) => (
+                            <div key={label} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5em' }}>
+                                <span>{label}:</span>
+                                <strong>{value}</strong>
                             </div>
-                        </div>
-                        <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5em' }}>
-                            <span>Total Games:</span>
-                            <strong>{deck.stats?.totalGames || 0}</strong>
-                        </div>
-                        <div style={{ display: 'flex', justifyContent: 'space-between' }}>
-                            <span>Win Rate:</span>
-                            <strong>{winRate}%</strong>
-                        </div>
+                        ))}
                     </div>
                     <button
-                        onClick={() => setShowStatsModal(true)}
+                        onClick={() => setGameForm({ game: null })}
                         style={{
                             padding: '0.75em 1.5em',
-                            backgroundColor: '#2196F3',
+                            backgroundColor: '#4CAF50',
                             color: 'white',
                             border: 'none',
                             borderRadius: '4px',
@@ -420,7 +569,7 @@ function DeckDetail() {
                             width: '100%'
                         }}
                     >
-                        Edit Stats
+                        Log a Game
                     </button>
                 </div>
 
@@ -435,6 +584,8 @@ function DeckDetail() {
                         value={notes}
                         onChange={(e) => setNotes(e.target.value)}
                         onBlur={() => {
+                            // Nothing to save if the notes didn't change
+                            if (notes === (deck.notes || '')) return;
                             const updatedDeck = { ...deck, notes: notes };
                             saveDeck(updatedDeck);
                         }}
@@ -453,210 +604,458 @@ function DeckDetail() {
                 </div>
             </div>
 
+            {/* Every game played with this deck */}
             <div style={{
                 backgroundColor: 'white',
                 padding: '1.5em',
                 borderRadius: '8px',
-                boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+                boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+                marginBottom: '2em'
             }}>
-                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1em' }}>
-                    <h2 style={{ margin: 0 }}>Decklist ({deck.decklist?.length || 0} cards)</h2>
-                    <div style={{ display: 'flex', gap: '0.5em' }}>
-                        <button
-                            onClick={() => setSortBy('name')}
-                            style={{
-                                padding: '0.5em 1em',
-                                fontSize: '14px',
-                                backgroundColor: sortBy === 'name' ? '#2196F3' : '#f0f0f0',
-                                color: sortBy === 'name' ? 'white' : '#333',
-                                border: 'none',
-                                borderRadius: '4px',
-                                cursor: 'pointer',
-                                fontWeight: sortBy === 'name' ? 'bold' : 'normal'
-                            }}
-                        >
-                            Name
-                        </button>
-                        <button
-                            onClick={() => setSortBy('mana')}
-                            style={{
-                                padding: '0.5em 1em',
-                                fontSize: '14px',
-                                backgroundColor: sortBy === 'mana' ? '#2196F3' : '#f0f0f0',
-                                color: sortBy === 'mana' ? 'white' : '#333',
-                                border: 'none',
-                                borderRadius: '4px',
-                                cursor: 'pointer',
-                                fontWeight: sortBy === 'mana' ? 'bold' : 'normal'
-                            }}
-                        >
-                            Mana Value
-                        </button>
-                        <button
-                            onClick={() => setSortBy('type')}
-                            style={{
-                                padding: '0.5em 1em',
-                                fontSize: '14px',
-                                backgroundColor: sortBy === 'type' ? '#2196F3' : '#f0f0f0',
-                                color: sortBy === 'type' ? 'white' : '#333',
-                                border: 'none',
-                                borderRadius: '4px',
-                                cursor: 'pointer',
-                                fontWeight: sortBy === 'type' ? 'bold' : 'normal'
-                            }}
-                        >
-                            Type
-                        </button>
+                <h2 style={{ marginTop: 0 }}>Game Log ({deck.stats?.totalGames || 0} games)</h2>
+                <GameLog
+                    games={deck.games}
+                    players={players}
+                    onEdit={(game) => setGameForm({ game })}
+                    onDelete={handleDeleteGame}
+                />
+            </div>
+
+            {/* Charts about the deck's cards */}
+            <div style={{
+                backgroundColor: 'white',
+                padding: '1.5em',
+                borderRadius: '8px',
+                boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+                marginBottom: '2em'
+            }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <h2 style={{ margin: 0 }}>Analytics</h2>
+                    <button
+                        onClick={() => setShowAnalytics(!showAnalytics)}
+                        style={{
+                            padding: '0.5em 1em',
+                            fontSize: '14px',
+                            backgroundColor: '#f0f0f0',
+                            color: '#333',
+                            border: 'none',
+                            borderRadius: '4px',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        {showAnalytics ? 'Hide' : 'Show'}
+                    </button>
+                </div>
+                {showAnalytics && (
+                    <div style={{ marginTop: '1em' }}>
+                        <DeckAnalytics cards={cards} />
                     </div>
+                )}
+            </div>
+
+            {/* Whether the lands and mana rocks make the colors the spells need */}
+            <div style={{
+                backgroundColor: 'white',
+                padding: '1.5em',
+                borderRadius: '8px',
+                boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+                marginBottom: '2em'
+            }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <h2 style={{ margin: 0 }}>Mana Base</h2>
+                    <button
+                        onClick={() => setShowManaBase(!showManaBase)}
+                        style={{
+                            padding: '0.5em 1em',
+                            fontSize: '14px',
+                            backgroundColor: '#f0f0f0',
+                            color: '#333',
+                            border: 'none',
+                            borderRadius: '4px',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        {showManaBase ? 'Hide' : 'Show'}
+                    </button>
                 </div>
-                <div style={{
-                    display: 'grid',
-                    gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))',
-                    gap: '1em'
-                }}>
-                    {sortedDecklist.map((card, index) => (
-                        <div
-                            key={index}
-                            style={{
-                                border: '1px solid #ddd',
-                                borderRadius: '4px',
-                                overflow: 'hidden',
-                                cursor: 'pointer',
-                                transition: 'transform 0.2s'
-                            }}
-                            onMouseEnter={(e) => {
-                                e.currentTarget.style.transform = 'scale(1.05)';
-                            }}
-                            onMouseLeave={(e) => {
-                                e.currentTarget.style.transform = 'scale(1)';
-                            }}
-                        >
-                            {card.imageUrl && (
-                                <img
-                                    src={card.imageUrl}
-                                    alt={card.name}
-                                    style={{
-                                        width: '100%',
-                                        display: 'block'
-                                    }}
-                                />
-                            )}
-                            <div style={{ padding: '0.5em', fontSize: '14px' }}>
-                                <div style={{ fontWeight: 'bold' }}>
-                                    {card.quantity}x {card.name}
-                                </div>
-                                {card.manaCost && (
-                                    <div style={{ color: '#666', fontSize: '12px' }}>
-                                        {card.manaCost}
-                                    </div>
-                                )}
-                            </div>
-                        </div>
-                    ))}
+                {showManaBase && (
+                    <div style={{ marginTop: '1em' }}>
+                        <ManaBaseReport cards={getLibraryCards(cards, commandZone)} colors={deckColorIdentity} />
+                    </div>
+                )}
+            </div>
+
+            {/* Deal sample hands and see how often they're keepable */}
+            <div style={{
+                backgroundColor: 'white',
+                padding: '1.5em',
+                borderRadius: '8px',
+                boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+                marginBottom: '2em'
+            }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <h2 style={{ margin: 0 }}>Opening Hands</h2>
+                    <button
+                        onClick={() => setShowOpeningHands(!showOpeningHands)}
+                        style={{
+                            padding: '0.5em 1em',
+                            fontSize: '14px',
+                            backgroundColor: '#f0f0f0',
+                            color: '#333',
+                            border: 'none',
+                            borderRadius: '4px',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        {showOpeningHands ? 'Hide' : 'Show'}
+                    </button>
                 </div>
+                {showOpeningHands && (
+                    <div style={{ marginTop: '1em' }}>
+                        <OpeningHands cards={cards} commandZone={commandZone} />
+                    </div>
+                )}
             </div>
 
-            {showStatsModal && (
-                <div style={{
-                    position: 'fixed',
-                    top: 0,
-                    left: 0,
-                    right: 0,
-                    bottom: 0,
-                    backgroundColor: 'rgba(0,0,0,0.5)',
-                    display: 'flex',
-                    alignItems: 'center',
-                    justifyContent: 'center',
-                    zIndex: 1000
-                }}>
-                    <div style={{
-                        backgroundColor: 'white',
-                        padding: '2em',
-                        borderRadius: '8px',
-                        maxWidth: '400px',
-                        width: '90%'
-                    }}>
-                        <h2 style={{ marginTop: 0 }}>Edit Statistics</h2>
-                        <div style={{ marginBottom: '1em' }}>
-                            <label style={{ display: 'block', marginBottom: '0.5em' }}>Wins:</label>
-                            <input
-                                type="number"
-                                value={statsInput.wins}
-                                onChange={(e) => setStatsInput({ ...statsInput, wins: parseInt(e.target.value) || 0 })}
+            <div style={{
+                backgroundColor: 'white',
+                padding: '1.5em',
+                borderRadius: '8px',
+                boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+            }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1em' }}>
+                    <h2 style={{ margin: 0 }}>Decklist ({deck.decklist?.length || 0} cards)</h2>
+                    {!editing && (
+                        <div style={{ display: 'flex', gap: '0.5em' }}>
+                            <button
+                                onClick={() => setEditing(true)}
                                 style={{
-                                    width: '100%',
-                                    padding: '0.5em',
-                                    fontSize: '16px',
-                                    border: '2px solid #ddd',
+                                    padding: '0.5em 1em',
+                                    fontSize: '14px',
+                                    backgroundColor: '#4CAF50',
+                                    color: 'white',
+                                    border: 'none',
                                     borderRadius: '4px',
-                                    boxSizing: 'border-box'
+                                    cursor: 'pointer',
+                                    marginRight: '1em'
                                 }}
-                            />
-                        </div>
-                        <div style={{ marginBottom: '1em' }}>
-                            <label style={{ display: 'block', marginBottom: '0.5em' }}>Losses:</label>
-                            <input
-                                type="number"
-                                value={statsInput.losses}
-                                onChange={(e) => setStatsInput({ ...statsInput, losses: parseInt(e.target.value) || 0 })}
+                            >
+                                Edit Cards
+                            </button>
+                            <button
+                                onClick={() => setSortBy('name')}
                                 style={{
-                                    width: '100%',
-                                    padding: '0.5em',
-                                    fontSize: '16px',
-                                    border: '2px solid #ddd',
+                                    padding: '0.5em 1em',
+                                    fontSize: '14px',
+                                    backgroundColor: sortBy === 'name' ? '#2196F3' : '#f0f0f0',
+                                    color: sortBy === 'name' ? 'white' : '#333',
+                                    border: 'none',
                                     borderRadius: '4px',
-                                    boxSizing: 'border-box'
+                                    cursor: 'pointer',
+                                    fontWeight: sortBy === 'name' ? 'bold' : 'normal'
                                 }}
-                            />
-                        </div>
-                        <div style={{ marginBottom: '1em' }}>
-                            <label style={{ display: 'block', marginBottom: '0.5em' }}>Mulligans:</label>
-                            <input
-                                type="number"
-                                value={statsInput.mulligans}
-                                onChange={(e) => setStatsInput({ ...statsInput, mulligans: parseInt(e.target.value) || 0 })}
+                            >
+                                Name
+                            </button>
+                            <button
+                                onClick={() => setSortBy('mana')}
                                 style={{
-                                    width: '100%',
-                                    padding: '0.5em',
-                                    fontSize: '16px',
-                                    border: '2px solid #ddd',
+                                    padding: '0.5em 1em',
+                                    fontSize: '14px',
+                                    backgroundColor: sortBy === 'mana' ? '#2196F3' : '#f0f0f0',
+                                    color: sortBy === 'mana' ? 'white' : '#333',
+                                    border: 'none',
                                     borderRadius: '4px',
-                                    boxSizing: 'border-box'
+                                    cursor: 'pointer',
+                                    fontWeight: sortBy === 'mana' ? 'bold' : 'normal'
                                 }}
-                            />
+                            >
+                                Mana Value
+                            </button>
+                            <button
+                                onClick={() => setSortBy('type')}
+                                style={{
+                                    padding: '0.5em 1em',
+                                    fontSize: '14px',
+                                    backgroundColor: sortBy === 'type' ? '#2196F3' : '#f0f0f0',
+                                    color: sortBy === 'type' ? 'white' : '#333',
+                                    border: 'none',
+                                    borderRadius: '4px',
+                                    cursor: 'pointer',
+                                    fontWeight: sortBy === 'type' ? 'bold' : 'normal'
+                                }}
+                            >
+                                Type
+                            </button>
                         </div>
-                        <div style={{ display: 'flex', gap: '1em', justifyContent: 'flex-end' }}>
+                    )}
+                </div>
+                {/* While editing, the editor replaces the card pictures */}
+                {editing ? (
+                    <DeckEditor
+                        deck={deck}
+                        onSave={(decklist, note) => {
+                            // Stay in the editor if it couldn't be saved, so the changes aren't lost
+                            if (saveDeck({ ...deck, decklist }, note)) setEditing(false);
+                        }}
+                        onCancel={() => setEditing(false)}
+                    />
+                ) : (
+                    <>
+                        <CardSearch
+                            query={searchQuery}
+                            onQueryChange={setSearchQuery}
+                            mode={searchMode}
+                            onModeChange={setSearchMode}
+                            matchCount={cards.filter(matchesSearch).reduce((sum, card) => sum + card.quantity, 0)}
+                            total={cards.reduce((sum, card) => sum + card.quantity, 0)}
+                            error={searchError}
+                        />
+                        {/* Choose how the cards are laid out (remembered for this deck) */}
+                        <div style={{ display: 'flex', gap: '0.5em', alignItems: 'center', flexWrap: 'wrap', marginBottom: '1em' }}>
+                            <span style={{ fontSize: '14px', color: '#666' }}>View:</span>
                             <button
-                                onClick={() => setShowStatsModal(false)}
+                                onClick={() => handleViewChange({ layout: 'grid' })}
                                 style={{
-                                    padding: '0.75em 1.5em',
-                                    fontSize: '16px',
-                                    backgroundColor: '#ccc',
-                                    color: 'white',
+                                    padding: '0.5em 1em',
+                                    fontSize: '14px',
+                                    backgroundColor: view.layout === 'grid' ? '#2196F3' : '#f0f0f0',
+                                    color: view.layout === 'grid' ? 'white' : '#333',
                                     border: 'none',
                                     borderRadius: '4px',
-                                    cursor: 'pointer'
+                                    cursor: 'pointer',
+                                    fontWeight: view.layout === 'grid' ? 'bold' : 'normal'
                                 }}
                             >
-                                Cancel
+                                Pictures
                             </button>
                             <button
-                                onClick={handleUpdateStats}
+                                onClick={() => handleViewChange({ layout: 'text' })}
                                 style={{
-                                    padding: '0.75em 1.5em',
-                                    fontSize: '16px',
-                                    backgroundColor: '#4CAF50',
-                                    color: 'white',
+                                    padding: '0.5em 1em',
+                                    fontSize: '14px',
+                                    backgroundColor: view.layout === 'text' ? '#2196F3' : '#f0f0f0',
+                                    color: view.layout === 'text' ? 'white' : '#333',
                                     border: 'none',
                                     borderRadius: '4px',
-                                    cursor: 'pointer'
+                                    cursor: 'pointer',
+                                    fontWeight: view.layout === 'text' ? 'bold' : 'normal'
                                 }}
                             >
-                                Save
+                                Text
                             </button>
+                            <button
+                                onClick={() => handleViewChange({ layout: 'stacks' })}
+                                style={{
+                                    padding: '0.5em 1em',
+                                    fontSize: '14px',
+                                    backgroundColor: view.layout === 'stacks' ? '#2196F3' : '#f0f0f0',
+                                    color: view.layout === 'stacks' ? 'white' : '#333',
+                                    border: 'none',
+                                    borderRadius: '4px',
+                                    cursor: 'pointer',
+                                    fontWeight: view.layout === 'stacks' ? 'bold' : 'normal'
+                                }}
+                            >
+                                Stacks
+                            </button>
+                            {view.layout !== 'grid' && (
+                                <select
+                                    value={view.groupBy}
+                                    onChange={(e) => handleViewChange({ groupBy: e.target.value })}
+                                    style={{ padding: '0.5em', fontSize: '14px', border: '2px solid #ddd', borderRadius: '4px' }}
+                                >
+                                    <option value="type">Group by type</option>
+                                    <option value="mana">Group by mana value</option>
+                                </select>
+                            )}
                         </div>
+                        {view.layout === 'text' && (
+                            <DeckTextView
+                                groups={cardGroups}
+                                onCardClick={(card) => setViewingIndex(card.deckIndex)}
+                                isDimmed={isDimmed}
+                            />
+                        )}
+                        {view.layout === 'stacks' && (
+                            <DeckStacksView
+                                groups={cardGroups}
+                                onCardClick={(card) => setViewingIndex(card.deckIndex)}
+                                isDimmed={isDimmed}
+                            />
+                        )}
+                        {view.layout === 'grid' && (
+                            <div style={{
+                                display: 'grid',
+                                gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))',
+                                gap: '1em'
+                            }}>
+                                {shownDecklist.map((card) => (
+                                    <div
+                                        key={card.deckIndex}
+                                        onClick={() => setViewingIndex(card.deckIndex)}
+                                        style={{
+                                            // While highlighting, matching cards get a blue outline and the rest fade out
+                                            border: searching && searchMode === 'highlight' && matchesSearch(card) ? '2px solid #2196F3' : '1px solid #ddd',
+                                            opacity: isDimmed(card) ? 0.3 : 1,
+                                            borderRadius: '4px',
+                                            overflow: 'hidden',
+                                            cursor: 'pointer',
+                                            transition: 'transform 0.2s'
+                                        }}
+                                        onMouseEnter={(e) => {
+                                            e.currentTarget.style.transform = 'scale(1.05)';
+                                        }}
+                                        onMouseLeave={(e) => {
+                                            e.currentTarget.style.transform = 'scale(1)';
+                                        }}
+                                    >
+                                        {card.imageUrl && (
+                                            <img
+                                                src={card.imageUrl}
+                                                alt={card.name}
+                                                style={{
+                                                    width: '100%',
+                                                    display: 'block'
+                                                }}
+                                            />
+                                        )}
+                                        <div style={{ padding: '0.5em', fontSize: '14px' }}>
+                                            <div style={{ fontWeight: 'bold' }}>
+                                                {card.quantity}x {card.name}
+                                            </div>
+                                            {card.manaCost && (
+                                                <div style={{ color: '#666', fontSize: '12px' }}>
+                                                    {card.manaCost}
+                                                </div>
+                                            )}
+                                            <div style={{
+                                                display: 'flex',
+                                                justifyContent: 'space-between',
+                                                alignItems: 'center',
+                                                color: '#666',
+                                                fontSize: '12px',
+                                                marginTop: '0.25em'
+                                            }}>
+                                                <span>
+                                                    {card.setCode ? `${card.setCode} #${card.collectorNumber || '?'}` : 'Default printing'}
+                                                    {card.foil && ' ★ Foil'}
+                                                </span>
+                                                <button
+                                                    onClick={(e) => {
+                                                        e.stopPropagation();  // Don't open the card popup too
+                                                        setPrintingCard(card);
+                                                    }}
+                                                    style={{
+                                                        padding: '0.1em 0.5em',
+                                                        fontSize: '12px',
+                                                        backgroundColor: '#f0f0f0',
+                                                        color: '#333',
+                                                        border: 'none',
+                                                        borderRadius: '4px',
+                                                        cursor: 'pointer'
+                                                    }}
+                                                >
+                                                    Printing
+                                                </button>
+                                            </div>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+
+            {/* Sideboard and maybeboard cards aren't part of the deck, so we just list their names */}
+            {[['Sideboard', deck.sideboard], ['Maybeboard', deck.maybeboard]]
+                .filter(([, cards]) => cards && cards.length > 0)
+                .map(([title, cards]) => (
+                    <div
+                        key={title}
+                        style={{
+                            backgroundColor: 'white',
+                            padding: '1.5em',
+                            borderRadius: '8px',
+                            boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+                            marginTop: '2em'
+                        }}
+                    >
+                        <h2 style={{ marginTop: 0 }}>{title} ({cards.reduce((sum, card) => sum + card.quantity, 0)} cards)</h2>
+                        <ul style={{ margin: 0, paddingLeft: '1.5em', columns: 3, fontSize: '14px' }}>
+                            {cards.map(card => (
+                                <li key={card.name}>{card.quantity}x {card.name}</li>
+                            ))}
+                        </ul>
                     </div>
+                ))}
+
+            {/* Every saved version of the decklist */}
+            <div style={{
+                backgroundColor: 'white',
+                padding: '1.5em',
+                borderRadius: '8px',
+                boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+                marginTop: '2em'
+            }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <h2 style={{ margin: 0 }}>History ({deck.history?.length || 0} versions)</h2>
+                    <button
+                        onClick={() => setShowHistory(!showHistory)}
+                        style={{
+                            padding: '0.5em 1em',
+                            fontSize: '14px',
+                            backgroundColor: '#f0f0f0',
+                            color: '#333',
+                            border: 'none',
+                            borderRadius: '4px',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        {showHistory ? 'Hide' : 'Show'}
+                    </button>
                 </div>
+                {showHistory && (
+                    <div style={{ marginTop: '1em' }}>
+                        <DeckHistory deck={deck} onRestore={handleRestoreVersion} />
+                    </div>
+                )}
+            </div>
+
+            {printingCard && (
+                <PrintingPicker
+                    card={printingCard}
+                    onSelect={handleSelectPrinting}
+                    onClose={() => setPrintingCard(null)}
+                />
+            )}
+
+            {viewingPosition !== -1 && (
+                <CardDetailModal
+                    card={orderedDecklist[viewingPosition]}
+                    position={viewingPosition}
+                    total={orderedDecklist.length}
+                    onPrevious={viewingPosition > 0 ? () => setViewingIndex(orderedDecklist[viewingPosition - 1].deckIndex) : null}
+                    onNext={viewingPosition < orderedDecklist.length - 1 ? () => setViewingIndex(orderedDecklist[viewingPosition + 1].deckIndex) : null}
+                    onClose={() => setViewingIndex(null)}
+                />
+            )}
+
+            {showExport && (
+                <ExportPanel
+                    deck={deck}
+                    cards={cards}
+                    onClose={() => setShowExport(false)}
+                />
+            )}
+
+            {gameForm && (
+                <GameForm
+                    game={gameForm.game}
+                    onSave={handleSaveGame}
+                    onClose={() => setGameForm(null)}
+                />
             )}
         </div>
     );
@@ -0,0 +1,313 @@
+/**
+ * DECK EDITOR - Change a Deck's Cards Without Importing It Again
+ *
+ * Shown on a deck's page when you click "Edit Cards". You can:
+ * - Change how many copies of a card the deck has
+ * - Remove a card
+ * - Add a card (the name box suggests card names as you type)
+ *
+ * Nothing is saved until you click "Save Changes". New cards are then looked
+ * up exactly like the importer does it (card cache first, then Scryfall), and
+ * if a name didn't match a card exactly, the same review screen lets you pick
+ * the right one. The deck keeps its stats, notes and everything else.
+ */
+
+// Import React and its tools for managing data that changes over time
+import React, { useState } from 'react';
+// Import the name box with card name suggestions
+import CardNameInput from './CardNameInput';
+// Import the review screen for names that didn't match a card exactly
+import ImportReview from './ImportReview';
+// Import the card lookup (cache first, then Scryfall) and the card name helper
+import { resolveCards, cacheCards } from './cardCache';
+import { normalizeCardName } from './scryfall';
+// Import the helper that builds decklist entries the same way the importer does
+import { createDeckCard } from './deckStorage';
+
+/**
+ * DECK EDITOR COMPONENT
+ *
+ * @param {Object} deck - The deck being edited
+ * @param {Function} onSave - Called with the new decklist and the change note when the changes are saved
+ * @param {Function} onCancel - Called when the user throws their changes away
+ */
+function DeckEditor({ deck, onSave, onCancel }) {
+    /**
+     * STATE VARIABLES
+     *
+     * - entries: The decklist being edited. Cards added here are marked isNew
+     *   until they've been looked up.
+     * - newCardName / newCardQuantity: The "add a card" form
+     * - note: What changed, saved with the new version in the deck's history
+     * - saving: Whether new cards are being looked up
+     * - review: New cards waiting for the user to review ({ items, results })
+     */
+    const [entries, setEntries] = useState(() => (deck.decklist || []).map(entry => ({ ...entry })));
+    const [newCardName, setNewCardName] = useState('');
+    const [newCardQuantity, setNewCardQuantity] = useState(1);
+    const [note, setNote] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [review, setReview] = useState(null);
+
+    /**
+     * ADD A CARD
+     *
+     * If the deck already has a card with this name, we just add to its
+     * quantity instead of listing it twice.
+     *
+     * @param {string} name - The card's name
+     */
+    const handleAddCard = (name) => {
+        const trimmed = name.trim();
+        if (!trimmed) return;
+        const quantity = Math.max(1, newCardQuantity || 1);
+
+        const index = entries.findIndex(entry => normalizeCardName(entry.name) === normalizeCardName(trimmed));
+        if (index >= 0) {
+            setEntries(entries.map((entry, i) => (i === index ? { ...entry, quantity: entry.quantity + quantity } : entry)));
+        } else {
+            setEntries([...entries, { name: trimmed, quantity, isNew: true }]);
+        }
+        setNewCardName('');
+        setNewCardQuantity(1);
+    };
+
+    // Change one card's quantity (never below 1 - use Remove to take a card out)
+    const handleQuantityChange = (index, quantity) => {
+        setEntries(entries.map((entry, i) => (i === index ? { ...entry, quantity: Math.max(1, quantity || 1) } : entry)));
+    };
+
+    // Take a card out of the deck
+    const handleRemove = (index) => {
+        setEntries(entries.filter((_, i) => i !== index));
+    };
+
+    /**
+     * BUILD THE NEW DECKLIST AND SAVE IT
+     *
+     * Cards that were already in the deck stay exactly as they were (apart
+     * from their quantity). New cards become regular decklist entries. If a
+     * new card turned out to be one the deck already has (a typo for it,
+     * say), the copies are added together.
+     *
+     * @param {Array} results - The lookup result for each new card, in order
+     * @param {Object} resolutions - Review choices by key: { card, dropped }
+     */
+    const finishSave = (results, resolutions) => {
+        cacheCards(Object.values(resolutions).map(resolution => resolution.card));
+
+        const decklist = [];
+        let newIndex = 0;
+        entries.forEach(entry => {
+            if (!entry.isNew) {
+                decklist.push(entry);
+                return;
+            }
+            const key = `new-${newIndex}`;
+            const result = results[newIndex++];
+            if (resolutions[key]?.dropped) return;  // The user dropped this card
+
+            const card = createDeckCard(entry, key in resolutions ? resolutions[key].card : result.card);
+            const index = decklist.findIndex(other => normalizeCardName(other.name) === normalizeCardName(card.name));
+            if (index >= 0) {
+                // A new copy, so the entry the editor is still showing isn't changed
+                decklist[index] = { ...decklist[index], quantity: decklist[index].quantity + card.quantity };
+            } else {
+                decklist.push(card);
+            }
+        });
+
+        onSave(decklist, note);
+    };
+
+    /**
+     * SAVE CHANGES
+     *
+     * Looks up every new card, then either saves right away or shows the
+     * review screen for names that didn't match exactly.
+     */
+    const handleSave = async () => {
+        const newEntries = entries.filter(entry => entry.isNew);
+        if (newEntries.length === 0) {
+            finishSave([], {});
+            return;
+        }
+
+        setSaving(true);
+        try {
+            const results = await resolveCards(newEntries.map(entry => ({ name: entry.name })));
+
+            const items = newEntries
+                .map((entry, index) => ({ entry, index }))
+                .filter(({ index }) => results[index].match !== 'exact')
+                .map(({ entry, index }) => ({
+                    key: `new-${index}`,
+                    label: `${entry.quantity}x ${entry.name}`,
+                    name: entry.name,
+                    quantity: entry.quantity,
+                    match: results[index].match,
+                    card: results[index].card
+                }));
+
+            if (items.length > 0) {
+                setReview({ items, results });
+            } else {
+                finishSave(results, {});
+            }
+        } catch (error) {
+            alert('Failed to look up the new cards. Please check your connection and try again.');
+            console.error('Deck edit error:', error);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    // While reviewing new cards, the review screen takes over
+    if (review) {
+        return (
+            <ImportReview
+                items={review.items}
+                onConfirm={(resolutions) => finishSave(review.results, resolutions)}
+                onCancel={() => setReview(null)}
+            />
+        );
+    }
+
+    const totalCards = entries.reduce((sum, entry) => sum + entry.quantity, 0);
+
+    return (
+        <div>
+            <div style={{ display: 'flex', gap: '0.5em', marginBottom: '1em' }}>
+                <input
+                    type="number"
+                    min="1"
+                    value={newCardQuantity}
+                    onChange={(e) => setNewCardQuantity(parseInt(e.target.value) || 1)}
+                    style={{
+                        width: '4em',
+                        padding: '0.5em',
+                        fontSize: '14px',
+                        border: '2px solid #ddd',
+                        borderRadius: '4px'
+                    }}
+                />
+                <CardNameInput
+                    value={newCardName}
+                    onChange={setNewCardName}
+                    onSubmit={handleAddCard}
+                    placeholder="Add a card..."
+                />
+                <button
+                    onClick={() => handleAddCard(newCardName)}
+                    disabled={!newCardName.trim()}
+                    style={{
+                        padding: '0.5em 1em',
+                        fontSize: '14px',
+                        backgroundColor: '#2196F3',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '4px',
+                        cursor: newCardName.trim() ? 'pointer' : 'not-allowed'
+                    }}
+                >
+                    Add
+                </button>
+            </div>
+
+            <div style={{ fontSize: '14px', color: '#666', marginBottom: '0.5em' }}>{totalCards} cards</div>
+
+            <div style={{ border: '1px solid #ddd', borderRadius: '4px', maxHeight: '500px', overflowY: 'auto', marginBottom: '1em' }}>
+                {entries.map((entry, index) => (
+                    <div
+                        key={`${entry.name}-${index}`}
+                        style={{
+                            display: 'flex',
+                            alignItems: 'center',
+                            gap: '0.5em',
+                            padding: '0.25em 0.5em',
+                            borderBottom: '1px solid #eee',
+                            fontSize: '14px'
+                        }}
+                    >
+                        <input
+                            type="number"
+                            min="1"
+                            value={entry.quantity}
+                            onChange={(e) => handleQuantityChange(index, parseInt(e.target.value))}
+                            style={{ width: '4em', padding: '0.25em' }}
+                        />
+                        <span style={{ flex: 1 }}>
+                            {entry.name}
+                            {entry.isNew && <span style={{ color: '#4CAF50', marginLeft: '0.5em' }}>(new)</span>}
+                        </span>
+                        <button
+                            onClick={() => handleRemove(index)}
+                            style={{
+                                padding: '0.25em 0.75em',
+                                fontSize: '12px',
+                                backgroundColor: '#f44336',
+                                color: 'white',
+                                border: 'none',
+                                borderRadius: '4px',
+                                cursor: 'pointer'
+                            }}
+                        >
+                            Remove
+                        </button>
+                    </div>
+                ))}
+            </div>
+
+            <input
+                type="text"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder="What changed? (optional, shown in the deck's history)"
+                style={{
+                    width: '100%',
+                    padding: '0.5em',
+                    fontSize: '14px',
+                    border: '2px solid #ddd',
+                    borderRadius: '4px',
+                    boxSizing: 'border-box',
+                    marginBottom: '1em'
+                }}
+            />
+
+            <div style={{ display: 'flex', gap: '1em', justifyContent: 'flex-end' }}>
+                <button
+                    onClick={onCancel}
+                    disabled={saving}
+                    style={{
+                        padding: '0.75em 1.5em',
+                        fontSize: '16px',
+                        backgroundColor: '#ccc',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '4px',
+                        cursor: saving ? 'not-allowed' : 'pointer'
+                    }}
+                >
+                    Cancel
+                </button>
+                <button
+                    onClick={handleSave}
+                    disabled={saving}
+                    style={{
+                        padding: '0.75em 1.5em',
+                        fontSize: '16px',
+                        backgroundColor: saving ? '#ccc' : '#4CAF50',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '4px',
+                        cursor: saving ? 'not-allowed' : 'pointer'
+                    }}
+                >
+                    {saving ? 'Looking up new cards...' : 'Save Changes'}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default DeckEditor;
@@ -0,0 +1,176 @@
+/**
+ * DECK HISTORY - See and Restore Older Versions of a Deck
+ *
+ * Shown on a deck's page. Lists every saved version of the decklist (newest
+ * first) with its date, its change note, and the games played while it was
+ * the current version. Pick any two versions to see which cards were added
+ * and removed between them, or restore an older version.
+ *
+ * Restoring only brings back the cards and command zone - the deck's stats
+ * and notes stay as they are. The restored list is saved as a new version,
+ * so nothing in the history is ever lost.
+ */
+
+// Import React and its tools for managing data that changes over time
+import React, { useState } from 'react';
+// Import the helper that works out what changed between two versions
+import { diffVersions } from './versionHistory';
+
+/**
+ * One line of a change list, like "+2 Sol Ring".
+ */
+function ChangeList({ title, color, items }) {
+    if (items.length === 0) return null;
+    return (
+        <div style={{ marginBottom: '0.75em' }}>
+            <strong style={{ color }}>{title}</strong>
+            <ul style={{ margin: '0.25em 0 0', paddingLeft: '1.5em', columns: 2, fontSize: '14px' }}>
+                {items.map(item => (
+                    <li key={item}>{item}</li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+/**
+ * DECK HISTORY COMPONENT
+ *
+ * @param {Object} deck - The deck whose history to show
+ * @param {Function} onRestore - Called with the snapshot the user chose to restore
+ */
+function DeckHistory({ deck, onRestore }) {
+    const history = deck.history || [];
+
+    /**
+     * STATE VARIABLES
+     *
+     * - fromId / toId: The two versions being compared (they start as the
+     *   second newest and the newest, i.e. the latest change)
+     */
+    const [fromId, setFromId] = useState(null);
+    const [toId, setToId] = useState(null);
+
+    if (history.length === 0) {
+        return <p style={{ color: '#666' }}>No versions saved yet.</p>;
+    }
+
+    // Friendly names for each version, like "Version 3 - 4/2/2026, 8:15 PM"
+    const versionLabel = (snapshot) => `Version ${history.indexOf(snapshot) + 1} - ${new Date(snapshot.createdAt).toLocaleString()}`;
+
+    const latest = history[history.length - 1];
+    const from = history.find(snapshot => snapshot.id === fromId) || history[Math.max(0, history.length - 2)];
+    const to = history.find(snapshot => snapshot.id === toId) || latest;
+    const diff = diffVersions(from, to);
+    const noChanges = diff.added.length + diff.removed.length + diff.printings.length +
+        diff.commandersAdded.length + diff.commandersRemoved.length === 0;
+
+    /**
+     * GAMES PLAYED WITH A VERSION
+     *
+     * Each version remembers the deck's record when it was saved, so the
+     * games played with it are the difference between its record and the
+     * next version's (or the deck's current record, for the newest one).
+     */
+    const recordWhileCurrent = (index) => {
+        const start = history[index].stats || { wins: 0, losses: 0 };
+        const end = index < history.length - 1 ? history[index + 1].stats || start : deck.stats || start;
+        return {
+            wins: Math.max(0, (end.wins || 0) - (start.wins || 0)),
+            losses: Math.max(0, (end.losses || 0) - (start.losses || 0))
+        };
+    };
+
+    // Ask first, then hand the older version back to the deck page
+    const handleRestore = (snapshot) => {
+        if (window.confirm(`Restore ${versionLabel(snapshot)}? Your stats and notes won't change.`)) {
+            onRestore(snapshot);
+        }
+    };
+
+    const selectStyle = { padding: '0.5em', fontSize: '14px', border: '2px solid #ddd', borderRadius: '4px' };
+
+    return (
+        <div>
+            {/* Pick two versions to compare */}
+            <div style={{ display: 'flex', gap: '0.5em', alignItems: 'center', flexWrap: 'wrap', marginBottom: '1em' }}>
+                <span>Compare</span>
+                <select value={from.id} onChange={(e) => setFromId(e.target.value)} style={selectStyle}>
+                    {history.map(snapshot => (
+                        <option key={snapshot.id} value={snapshot.id}>{versionLabel(snapshot)}</option>
+                    ))}
+                </select>
+                <span>with</span>
+                <select value={to.id} onChange={(e) => setToId(e.target.value)} style={selectStyle}>
+                    {history.map(snapshot => (
+                        <option key={snapshot.id} value={snapshot.id}>{versionLabel(snapshot)}</option>
+                    ))}
+                </select>
+            </div>
+
+            <div style={{ backgroundColor: '#f9f9f9', borderRadius: '4px', padding: '1em', marginBottom: '1.5em' }}>
+                {noChanges ? (
+                    <span style={{ color: '#666' }}>No differences between these versions.</span>
+                ) : (
+                    <>
+                        <ChangeList title="Commanders added" color="#4CAF50" items={diff.commandersAdded} />
+                        <ChangeList title="Commanders removed" color="#f44336" items={diff.commandersRemoved} />
+                        <ChangeList title="Added" color="#4CAF50" items={diff.added.map(card => `+${card.quantity} ${card.name}`)} />
+                        <ChangeList title="Removed" color="#f44336" items={diff.removed.map(card => `-${card.quantity} ${card.name}`)} />
+                        <ChangeList title="Printing changed" color="#2196F3" items={diff.printings} />
+                    </>
+                )}
+            </div>
+
+            {/* Every version, newest first */}
+            {history.map((snapshot, index) => ({ snapshot, index })).reverse().map(({ snapshot, index }) => {
+                const record = recordWhileCurrent(index);
+                return (
+                    <div
+                        key={snapshot.id}
+                        style={{
+                            display: 'flex',
+                            justifyContent: 'space-between',
+                            alignItems: 'center',
+                            gap: '1em',
+                            padding: '0.75em 0',
+                            borderBottom: '1px solid #eee',
+                            fontSize: '14px'
+                        }}
+                    >
+                        <div>
+                            <div style={{ fontWeight: 'bold' }}>
+                                {versionLabel(snapshot)}
+                                {snapshot === latest && <span style={{ color: '#4CAF50', marginLeft: '0.5em' }}>(current)</span>}
+                            </div>
+                            <div style={{ color: '#666' }}>
+                                {snapshot.note || (index === 0 ? 'First version' : 'No note')}
+                                {` - ${snapshot.decklist.reduce((sum, card) => sum + card.quantity, 0)} cards`}
+                                {` - played ${record.wins}-${record.losses} with this version`}
+                            </div>
+                        </div>
+                        {snapshot !== latest && (
+                            <button
+                                onClick={() => handleRestore(snapshot)}
+                                style={{
+                                    padding: '0.25em 0.75em',
+                                    fontSize: '12px',
+                                    backgroundColor: '#2196F3',
+                                    color: 'white',
+                                    border: 'none',
+                                    borderRadius: '4px',
+                                    cursor: 'pointer',
+                                    whiteSpace: 'nowrap'
+                                }}
+                            >
+                                Restore
+                            </button>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+export default DeckHistory;
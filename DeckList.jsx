@@ -12,9 +12,42 @@
  */
 
 // Import React and its tools for managing data that changes over time
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 // Import navigation tool so we can send users to other pages
 import { useNavigate } from 'react-router-dom';
+// Import the decklist parser that understands text, Arena, MTGO, Cockatrice, Forge and CSV lists
+import { parseDecklist, countCards } from './decklistParser';
+// Import the Scryfall helpers and the local card cache (which checks for cards we've seen before)
+import { normalizeCardName } from './scryfall';
+import { resolveCards, cacheCards, fillColorIdentity } from './cardCache';
+// Import the command zone helpers (commanders, partners, backgrounds, companions)
+import { assignRoles, createCommandZoneEntry, getColorIdentity, getCommandZone, ROLE_LABELS } from './commandZone';
+// Import the review screen for cards that couldn't be matched exactly
+import ImportReview from './ImportReview';
+// Import the deck storage helpers (every deck is read and saved through these)
+import {
+    getDecks,
+    getDeck,
+    createDeck,
+    createDeckCard,
+    updateDeck,
+    deleteDeck,
+    getImportDrafts,
+    saveImportDraft,
+    deleteImportDraft
+} from './deckStorage';
+// Import the progress view shown while an import looks up its cards
+import ImportProgress from './ImportProgress';
+// Import the backup helpers and the popup for restoring a backup
+import { createBackup, parseBackup, getBackupFileName } from './backup';
+import RestoreBackup from './RestoreBackup';
+// Import the Commander legality check and the badge that shows its result
+import { validateDeck } from './deckValidator';
+import LegalityBadge from './LegalityBadge';
+// Import the color symbols, the color filter bar and the check for whether a deck matches it
+import ManaSymbols from './ManaSymbols';
+import ColorFilter from './ColorFilter';
+import { matchesColorFilter } from './colors';
 
 function DeckList() {
     /**
@@ -25,15 +58,30 @@ function DeckList() {
      * - showImportModal: Whether the "import deck" popup window is open or closed
      * - decklistText: The text you paste when importing a deck
      * - deckName: The name you give your deck when importing
-     * - commanderName: The name of your commander (optional)
+     * - commanderNames: Your commander, partner, background or companion names, one per line (optional)
      * - importing: Whether we're currently in the process of importing (so we can show "Importing..." message)
+     * - importProgress: How far the lookup has got ({ done, total, current, failed })
+     * - pendingImport: A looked-up decklist waiting for the user to review some of its cards
+     * - pendingRestore: A backup file that's been opened, waiting for the user to choose how to restore it
+     * - drafts: Imports that were stopped or interrupted, waiting to be resumed
+     * - draftId: The draft the import in the popup is saved as (null until an import starts)
+     * - colorFilter: Which colors of deck to show ({ mode: 'exact' or 'including', colors }, no colors = all decks)
      */
     const [decks, setDecks] = useState([]);              // Start with empty list of decks
     const [showImportModal, setShowImportModal] = useState(false);  // Import popup starts closed
     const [decklistText, setDecklistText] = useState('');           // No text pasted yet
     const [deckName, setDeckName] = useState('');                  // No deck name entered yet
-    const [commanderName, setCommanderName] = useState('');          // No commander name entered yet
+    const [commanderNames, setCommanderNames] = useState('');        // No commander names entered yet
     const [importing, setImporting] = useState(false);              // Not currently importing
+    const [importProgress, setImportProgress] = useState(null);     // No lookup running yet
+    const [pendingImport, setPendingImport] = useState(null);       // Nothing waiting for review
+    const [pendingRestore, setPendingRestore] = useState(null);     // No backup being restored
+    const [drafts, setDrafts] = useState([]);                       // No unfinished imports yet
+    const [draftId, setDraftId] = useState(null);                   // The popup's import isn't a draft yet
+    const [colorFilter, setColorFilter] = useState({ mode: 'exact', colors: [] });  // Show every deck to start with
+    
+    // The running import's AbortController - calling abort() on it stops the card lookup
+    const abortControllerRef = useRef(null);
     
     // Get the navigation function so we can send users to other pages
     const navigate = useNavigate();
@@ -44,145 +92,89 @@ function DeckList() {
      * This runs once when the page first loads. It's like opening a filing cabinet
      * and pulling out all your saved decks. The decks are stored in the browser's
      * localStorage, which is like a permanent storage box that stays on your computer.
+     * (deckStorage.js takes care of reading them, upgrading old decks and
+     * recovering from damaged data.)
      */
     useEffect(() => {
-        // Go to the browser's storage and look for saved decks
-        const savedDecks = localStorage.getItem('mtgDecks');
+        setDecks(getDecks());
+        setDrafts(getImportDrafts());
         
-        // If we found saved decks, convert them from text format back to data and display them
-        if (savedDecks) {
-            setDecks(JSON.parse(savedDecks));
-        }
+        // If we leave the page mid-import, stop looking cards up (the draft stays saved)
+        return () => abortControllerRef.current?.abort();
     }, []); // The empty array [] means "only run this once when the page loads"
 
     /**
-     * SAVE DECKS TO STORAGE
-     * 
-     * This function saves your decks to the browser's permanent storage.
-     * Think of it like putting your decks back in the filing cabinet.
-     * 
-     * @param {Array} newDecks - The updated list of all your decks
-     */
-    const saveDecks = (newDecks) => {
-        // Update what we're showing on screen
-        setDecks(newDecks);
-        // Save to permanent storage (convert to text format first)
-        localStorage.setItem('mtgDecks', JSON.stringify(newDecks));
-    };
-
-    /**
-     * FETCH CARD DATA FROM SCRYFALL
-     * 
-     * This function asks Scryfall (a free Magic: The Gathering card database)
-     * for information about a specific card. It's like looking up a card in a
-     * giant encyclopedia of Magic cards.
+     * FILL IN COLORS FOR OLDER DECKS
      * 
-     * What we get back:
-     * - Card image
-     * - Mana cost
-     * - Card type (Creature, Instant, etc.)
-     * - Rarity
-     * - And more!
-     * 
-     * @param {string} cardName - The name of the card to look up
-     * @returns {Object|null} - The card data, or null if not found
+     * Decks imported before colors were saved get their cards' colors (and
+     * their commanders' colors) looked up once, one deck at a time, so the
+     * color symbols and filters work for them too. Looking cards up can take
+     * a while, so if a deck was saved in the meantime (in another tab, or by
+     * restoring a backup) we leave it alone rather than save over it.
      */
-    const fetchScryfallCard = async (cardName) => {
-        try {
-            // First, try to find the card with an exact name match
-            // encodeURIComponent makes sure special characters in card names work properly
-            let response = await fetch(`https://api.scryfall.com/cards/named?exact=${encodeURIComponent(cardName)}`);
-            
-            // If exact match didn't work, try a fuzzy search (finds similar names)
-            if (!response.ok) {
-                response = await fetch(`https://api.scryfall.com/cards/search?q=${encodeURIComponent(cardName)}`);
-                if (!response.ok) {
-                    // Still didn't work, give up
-                    return null;
-                }
-                // We got search results, take the first one (most likely match)
-                const searchData = await response.json();
-                if (searchData.data && searchData.data.length > 0) {
-                    return searchData.data[0];
+    useEffect(() => {
+        let cancelled = false;
+        
+        const fillAll = async () => {
+            for (const deck of getDecks()) {
+                const changes = await fillColorIdentity(deck);
+                if (cancelled) return;
+                if (!changes) continue;
+                // Changed (or deleted) while we were looking: its colors get filled in next time
+                if (getDeck(deck.id)?.updatedAt !== deck.updatedAt) continue;
+                try {
+                    updateDeck(deck.id, changes);
+                } catch (error) {
+                    console.error('Could not save deck colors:', error);
+                    return;
                 }
-                return null;
+                setDecks(getDecks());
             }
-            
-            // Exact match worked! Return the card data
-            const data = await response.json();
-            return data;
-        } catch (error) {
-            // Something went wrong (maybe internet connection issue)
-            console.error('Error fetching Scryfall card:', error);
-            return null;
-        }
-    };
+        };
+        fillAll().catch(error => console.error('Error filling in deck colors:', error));
+        
+        return () => {
+            cancelled = true;
+        };
+    }, []);
 
     /**
-     * PARSE DECKLIST TEXT
+     * RESET THE IMPORT FORM
      * 
-     * This function reads the text you paste and figures out which cards are in your deck.
-     * It's like a smart reader that understands different ways people write decklists.
-     * 
-     * It can understand formats like:
-     * - "1 Sol Ring"
-     * - "1x Sol Ring"
-     * - "1 - Sol Ring"
-     * 
-     * It also skips:
-     * - Empty lines
-     * - Comments (lines starting with // or #)
-     * - Section headers (like "Commander:" or "Sideboard:")
-     * 
-     * @param {string} text - The pasted decklist text
-     * @returns {Array} - List of cards with their quantities
+     * Closes the import popup and clears everything typed into it.
      */
-    const parseDecklist = (text) => {
-        // Split the text into individual lines, remove extra spaces, and remove empty lines
-        const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-        const cards = []; // This will hold our list of cards
-        
-        // Look at each line one by one
-        for (const line of lines) {
-            // Skip lines that are comments or section headers
-            if (line.startsWith('//') || line.startsWith('#') || 
-                line.toLowerCase().includes('commander') || 
-                line.toLowerCase().includes('sideboard')) {
-                continue; // Skip this line and move to the next one
-            }
-            
-            // Try to match patterns like "1 Card Name", "1x Card Name", "1 - Card Name"
-            // This is a "regular expression" - a pattern matcher
-            const match = line.match(/^(\d+)\s*x?\s*-?\s*(.+)$/);
-            
-            if (match) {
-                // We found a card! Extract the quantity (number) and name
-                const quantity = parseInt(match[1]);  // The number (like "1" or "2")
-                const cardName = match[2].trim();     // The card name (like "Sol Ring")
-                
-                // Make sure we have a valid card name and quantity
-                if (cardName && quantity > 0) {
-                    cards.push({ name: cardName, quantity });
-                }
-            }
-        }
-        
-        return cards; // Give back the list of cards we found
+    const closeImportModal = () => {
+        abortControllerRef.current?.abort();
+        setShowImportModal(false);
+        setDraftId(null);
+        setDrafts(getImportDrafts());
+        setPendingImport(null);
+        setDecklistText('');
+        setDeckName('');
+        setCommanderNames('');
     };
 
     /**
-     * HANDLE DECK IMPORT - The Main Import Function
+     * RUN AN IMPORT - The Main Import Function
      * 
-     * This is the big function that runs when you click "Import". It:
+     * This is the big function that runs when you click "Import" (or resume a draft). It:
      * 1. Checks that you entered a deck name and pasted a decklist
      * 2. Reads the decklist and figures out which cards are in it
-     * 3. For each card, asks Scryfall for the card image and information
-     * 4. Creates a new deck object with all this information
-     * 5. Saves it and takes you to the deck detail page
+     * 3. Asks Scryfall for the image and information of every card (in batches of 75)
+     * 4. If any names didn't match exactly, shows the review screen so you can pick the right cards
+     * 5. Otherwise, creates the deck right away (see finishImport below)
+     * 
+     * Scryfall answers 75 cards per request, so even a 100-card deck only takes a few seconds.
+     * 
+     * The import is saved as a draft as soon as it starts (and its progress as
+     * it goes), so if it's stopped or the tab is closed it can be resumed from
+     * the main page. Cards already fetched are in the card cache by then, so
+     * resuming only fetches the ones that were still missing.
      * 
-     * This process can take a minute because it fetches images for every card!
+     * @param {Object} form - What was typed: { deckName, decklistText, commanderNames }
+     * @param {string|null} existingDraftId - The draft this import continues, if any
      */
-    const handleImport = async () => {
+    const runImport = async ({ deckName, decklistText, commanderNames }, existingDraftId) => {
         // Make sure the user pasted a decklist
         if (!decklistText.trim()) {
             alert('Please paste a decklist');
@@ -195,105 +187,336 @@ function DeckList() {
             return; // Stop here if they didn't
         }
 
-        // Turn on the "importing" flag so we can show "Importing..." message
+        // Step 1: Read the pasted text and figure out which cards are in the deck
+        // The parser sorts cards into sections (commander, companion, deck, sideboard, maybeboard)
+        const parsed = parseDecklist(decklistText);
+        const { commander, companion, deck, sideboard, maybeboard } = parsed.sections;
+        // Commanders are part of the deck's 100 cards, so they go in the main list.
+        // Companions start the game outside the deck, so they only go in the command zone.
+        const parsedCards = [...commander, ...deck];
+        
+        // Make sure we found at least one card
+        if (parsedCards.length === 0) {
+            alert('No valid cards found in decklist. Please check the format (e.g., "1 Card Name" or "1x Card Name")');
+            return;
+        }
+
+        // Turn on the "importing" flag so we can show the progress view
         setImporting(true);
+
+        // Save the import as a draft right away, so nothing is lost if it's interrupted
+        let draft = saveImportDraft({
+            id: existingDraftId,
+            deckName,
+            decklistText,
+            commanderNames,
+            progress: null,
+            failed: []
+        });
+        setDraftId(draft.id);
+
+        // Stopping the import calls abort() on this controller
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
         
         try {
-            // Step 1: Read the pasted text and figure out which cards are in the deck
-            const parsedCards = parseDecklist(decklistText);
-            
-            // Make sure we found at least one card
-            if (parsedCards.length === 0) {
-                alert('No valid cards found in decklist. Please check the format (e.g., "1 Card Name" or "1x Card Name")');
-                setImporting(false);
-                return;
-            }
+            // Figure out what goes in the command zone: the names typed in the form win,
+            // then the decklist's own Commander and Companion sections, then the first card as a last resort
+            const typedNames = commanderNames.split('\n').map(name => name.trim()).filter(Boolean);
+            const zoneSources = typedNames.length > 0
+                ? typedNames.map(name => ({ name, section: null }))
+                : commander.length + companion.length > 0
+                    ? [...commander, ...companion].map(card => ({
+                        name: card.name,
+                        section: companion.includes(card) ? 'companion' : 'commander',
+                        printing: card
+                    }))
+                    : [{ name: parsedCards[0].name, section: null }];
 
-            // Step 2: For each card, get its image and information from Scryfall
-            const decklist = []; // This will hold all our cards with their images
-            let commanderData = null; // We'll store commander info here
-            
-            // Figure out which card is the commander (use provided name or first card)
-            const commanderToFind = commanderName.trim() || parsedCards[0]?.name;
-            
-            // Go through each card one by one
-            for (const card of parsedCards) {
-                // Ask Scryfall for information about this card
-                const scryfallData = await fetchScryfallCard(card.name);
-                
-                // If this card is the commander, remember its data
-                if (card.name.toLowerCase() === commanderToFind.toLowerCase() && !commanderData) {
-                    commanderData = scryfallData;
+            // Command zone cards that are also in the main list share its lookup; the others get their own
+            const extraLookups = [];
+            const commandZone = zoneSources.map(source => {
+                const index = parsedCards.findIndex(
+                    card => normalizeCardName(card.name) === normalizeCardName(source.name)
+                );
+                if (index >= 0) {
+                    return { ...source, key: `card-${index}`, resultIndex: index };
                 }
-                
-                // Save all the card information we got
-                decklist.push({
-                    name: card.name,                    // The card's name
-                    quantity: card.quantity,             // How many copies (usually 1)
-                    // Get the card image (some cards have two faces, so check both)
-                    imageUrl: scryfallData?.image_uris?.normal || scryfallData?.card_faces?.[0]?.image_uris?.normal || null,
-                    manaCost: scryfallData?.mana_cost || '',  // The mana cost (like "{1}{R}")
-                    // CMC = Converted Mana Cost (total mana value)
-                    cmc: scryfallData?.cmc ?? (scryfallData?.card_faces?.[0]?.cmc ?? null),
-                    type: scryfallData?.type_line || '',     // Card type (like "Creature — Human Wizard")
-                    rarity: scryfallData?.rarity || ''        // Rarity (Common, Uncommon, Rare, Mythic)
+                extraLookups.push({
+                    name: source.name,
+                    scryfallId: source.printing?.scryfallId,
+                    setCode: source.printing?.setCode,
+                    collectorNumber: source.printing?.collectorNumber
                 });
-                
-                // Wait 100 milliseconds before asking for the next card
-                // This is polite to Scryfall's servers - we don't want to overwhelm them!
-                await new Promise(resolve => setTimeout(resolve, 100));
-            }
+                return {
+                    ...source,
+                    key: `zone-${extraLookups.length - 1}`,
+                    resultIndex: parsedCards.length + extraLookups.length - 1
+                };
+            });
+
+            // Step 2: Look up every card at once (plus any command zone cards that aren't in the list)
+            // Cards we've seen before come straight from the local cache; only new ones go to Scryfall
+            // If the list says which printing it is (like "(C21) 263"), we ask for that exact printing
+            const results = await resolveCards(
+                [
+                    ...parsedCards.map(card => ({
+                        name: card.name,
+                        scryfallId: card.scryfallId,
+                        setCode: card.setCode,
+                        collectorNumber: card.collectorNumber
+                    })),
+                    ...extraLookups
+                ],
+                {
+                    signal: controller.signal,
+                    onProgress: (progress) => {
+                        setImportProgress(progress);
+                        // Keep the draft's progress up to date in case the tab is closed
+                        draft = saveImportDraft({
+                            ...draft,
+                            progress: { done: progress.done, total: progress.total },
+                            failed: progress.failed
+                        });
+                    }
+                }
+            );
+
+            const pending = { deckName, draftId: draft.id, parsedCards, sideboard, maybeboard, commandZone, results };
+
+            // Step 3: Collect every line that was only guessed at (fuzzy) or not found at all
+            const reviewItems = parsedCards
+                .map((card, index) => ({ card, index }))
+                .filter(({ index }) => results[index].match !== 'exact')
+                .map(({ card, index }) => ({
+                    key: `card-${index}`,
+                    label: `${card.line ? `Line ${card.line}: ` : ''}${card.quantity}x ${card.name}`,
+                    name: card.name,
+                    quantity: card.quantity,
+                    match: results[index].match,
+                    card: results[index].card
+                }));
+            commandZone
+                .filter(zone => zone.key.startsWith('zone-') && results[zone.resultIndex].match !== 'exact')
+                .forEach(zone => reviewItems.push({
+                    key: zone.key,
+                    label: `${zone.section === 'companion' ? 'Companion' : 'Commander'}: ${zone.name}`,
+                    name: zone.name,
+                    quantity: 1,
+                    match: results[zone.resultIndex].match,
+                    card: results[zone.resultIndex].card
+                }));
 
-            // Step 3: If commander name was provided but we didn't find it in the decklist,
-            // try to look it up separately
-            if (commanderName.trim() && !commanderData) {
-                commanderData = await fetchScryfallCard(commanderName.trim());
+            // Step 4: Let the user sort those out before we save anything
+            if (reviewItems.length > 0) {
+                setPendingImport({ ...pending, reviewItems });
+                return;
             }
 
-            // Step 4: Create a new deck object with all the information
-            const newDeck = {
-                id: Date.now().toString(),  // Give it a unique ID (current timestamp)
-                name: deckName.trim(),       // The deck name you entered
-                // Commander information (if we found it)
-                commander: commanderData ? {
-                    name: commanderName.trim() || parsedCards[0]?.name,
-                    imageUrl: commanderData?.image_uris?.normal || commanderData?.card_faces?.[0]?.image_uris?.normal || null
-                } : (commanderName.trim() ? {
-                    // Commander name provided but image not found
-                    name: commanderName.trim(),
-                    imageUrl: null
-                } : null),
-                decklist: decklist,  // All the cards with their images
-                // Start with empty statistics
-                stats: {
-                    wins: 0,
-                    losses: 0,
-                    mulligans: 0,
-                    totalGames: 0
-                },
-                notes: '',  // No notes yet
-                createdAt: new Date().toISOString()  // When this deck was created
-            };
-
-            // Step 5: Add the new deck to our list and save everything
-            const updatedDecks = [...decks, newDeck];  // Add new deck to existing list
-            saveDecks(updatedDecks);
-            
-            // Step 6: Close the import popup and clear the form
-            setShowImportModal(false);
-            setDecklistText('');
-            setDeckName('');
-            setCommanderName('');
-            
-            // Step 7: Take the user to the new deck's detail page
-            navigate(`/deck/${newDeck.id}`);
+            finishImport(pending, {});
         } catch (error) {
-            // If something went wrong, show an error message
-            alert('Failed to import deck. Please check the decklist format and try again.');
-            console.error('Import error:', error);
+            // Stopping on purpose isn't an error - the draft is kept so it can be resumed
+            if (error.name !== 'AbortError') {
+                // If something went wrong, show an error message
+                alert('Failed to import deck. Please check the decklist format and try again.');
+                console.error('Import error:', error);
+            }
+            setDrafts(getImportDrafts());
         } finally {
             // Always turn off the "importing" flag, even if something went wrong
             setImporting(false);
+            setImportProgress(null);
+            if (abortControllerRef.current === controller) abortControllerRef.current = null;
+        }
+    };
+
+    /**
+     * START AN IMPORT FROM THE FORM
+     */
+    const handleImport = () => runImport({ deckName, decklistText, commanderNames }, draftId);
+
+    /**
+     * STOP THE IMPORT THAT'S RUNNING
+     *
+     * Cancels the card lookup. The import stays saved as a draft.
+     */
+    const handleCancelImport = () => {
+        abortControllerRef.current?.abort();
+    };
+
+    /**
+     * RESUME AN UNFINISHED IMPORT
+     *
+     * Opens the import popup with the draft's name and decklist filled in and
+     * starts the import again.
+     *
+     * @param {Object} draft - The draft to resume
+     */
+    const handleResumeDraft = (draft) => {
+        setDeckName(draft.deckName);
+        setDecklistText(draft.decklistText);
+        setCommanderNames(draft.commanderNames || '');
+        setPendingImport(null);
+        setShowImportModal(true);
+        runImport(draft, draft.id);
+    };
+
+    /**
+     * THROW AWAY AN UNFINISHED IMPORT
+     *
+     * @param {string} id - The draft's id
+     */
+    const handleDiscardDraft = (id) => {
+        setDrafts(deleteImportDraft(id));
+    };
+
+    /**
+     * Keep a sideboard or maybeboard card's name, quantity and printing as the list gave them.
+     */
+    const toSideCard = (card) => ({
+        name: card.name,
+        quantity: card.quantity,
+        setCode: card.setCode,
+        collectorNumber: card.collectorNumber,
+        foil: card.foil
+    });
+
+    /**
+     * FINISH THE IMPORT - Create and Save the Deck
+     * 
+     * Runs once every card is settled: right away if everything matched, or
+     * after the review screen. The review's choices ("resolutions") replace the
+     * guessed cards, and dropped lines are left out of the deck.
+     * 
+     * @param {Object} pending - The looked-up decklist from runImport
+     * @param {Object} resolutions - Review choices by key: { card, dropped }
+     */
+    const finishImport = (pending, resolutions) => {
+        const { deckName, draftId, parsedCards, sideboard, maybeboard, commandZone, results } = pending;
+
+        // Cards picked on the review screen weren't cached yet, so save them now
+        cacheCards(Object.values(resolutions).map(resolution => resolution.card));
+
+        // Use the review's choice for a line if there was one, otherwise what the lookup found
+        const resolvedCard = (key, result) => (key in resolutions ? resolutions[key].card : result.card);
+
+        // The deck only remembers which card it is - the picture, mana cost and so on live in the card cache
+        const decklist = [];
+        const foundCards = [];  // The Scryfall cards, for the legality check
+        parsedCards.forEach((card, index) => {
+            if (resolutions[`card-${index}`]?.dropped) return;  // The user dropped this line
+            const found = resolvedCard(`card-${index}`, results[index]);
+            decklist.push(createDeckCard(card, found));
+            foundCards.push(found);
+        });
+
+        // Build the command zone, leaving out anything the user dropped, and work out each card's role
+        const zoneCards = commandZone
+            .filter(zone => !resolutions[zone.key]?.dropped)
+            .map(zone => ({ ...zone, card: resolvedCard(zone.key, results[zone.resultIndex]) }));
+        const roles = assignRoles(zoneCards);
+        const newCommandZone = zoneCards.map((zone, i) => createCommandZoneEntry(zone.card, zone.name, roles[i]));
+
+        // Describe the new deck (deckStorage fills in its id and dates)
+        const newDeckFields = {
+            name: deckName.trim(),       // The deck name you entered
+            // Commanders, partners, backgrounds and companions
+            commandZone: newCommandZone,
+            // The deck's colors, worked out from its commanders
+            colorIdentity: getColorIdentity(newCommandZone),
+            decklist: decklist,  // All the cards in the deck
+            // Cards that aren't part of the deck itself - we just keep what the list said about them
+            sideboard: sideboard.map(toSideCard),
+            maybeboard: maybeboard.map(toSideCard),
+            // No games played yet (the stats are worked out from this log)
+            games: [],
+            notes: ''  // No notes yet
+        };
+        // Check it against the Commander rules, so the deck list can show whether it's legal
+        newDeckFields.legality = validateDeck(newDeckFields, [...foundCards, ...zoneCards.map(zone => zone.card)]);
+
+        // Save the new deck (if storage is full, tell the user and leave the import open)
+        let newDeck;
+        try {
+            newDeck = createDeck(newDeckFields);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        setDecks(getDecks());
+        // The import is finished, so its draft isn't needed anymore
+        deleteImportDraft(draftId);
+        
+        // Close the import popup and clear the form
+        closeImportModal();
+        
+        // Take the user to the new deck's detail page
+        navigate(`/deck/${newDeck.id}`);
+    };
+
+    /**
+     * LOAD A DECKLIST FROM A FILE
+     * 
+     * Instead of pasting, you can pick a file exported from another program
+     * (MTGO .dek, Cockatrice .cod, Forge .dck, a CSV or a plain text file).
+     * We read the file's text into the decklist box, and if the file has a
+     * deck name and you haven't typed one yet, we fill that in too.
+     * 
+     * @param {Event} e - The file input's change event
+     */
+    const handleFileUpload = async (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+        
+        const text = await file.text();
+        setDecklistText(text);
+        
+        const parsed = parseDecklist(text);
+        if (!deckName.trim() && parsed.name) {
+            setDeckName(parsed.name);
+        }
+        
+        // Clear the input so picking the same file again still triggers a change
+        e.target.value = '';
+    };
+
+    /**
+     * DOWNLOAD A BACKUP OF EVERYTHING
+     * 
+     * Saves every deck, the playgroup and every setting into one JSON file.
+     * Keep it somewhere safe - it's the only way to get your decks back if your
+     * browser data is cleared. It works with no decks too, since the players
+     * and settings are still worth keeping.
+     */
+    const handleBackup = () => {
+        const backup = createBackup(decks);
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = getBackupFileName(backup);
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    /**
+     * OPEN A BACKUP FILE
+     * 
+     * Reads the chosen file and, if it's a real backup, opens the restore
+     * popup so you can choose how to restore it.
+     * 
+     * @param {Event} e - The file input's change event
+     */
+    const handleRestoreFile = async (e) => {
+        const file = e.target.files?.[0];
+        // Clear the input so picking the same file again still triggers a change
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            setPendingRestore(parseBackup(await file.text()));
+        } catch (error) {
+            alert(error.message);
         }
     };
 
@@ -308,36 +531,133 @@ function DeckList() {
     const handleDeleteDeck = (deckId) => {
         // Show a confirmation popup - "Are you sure?"
         if (window.confirm('Are you sure you want to delete this deck?')) {
-            // User said yes, so remove this deck from the list
-            // filter() creates a new list with only decks that DON'T have this ID
-            const updatedDecks = decks.filter(deck => deck.id !== deckId);
-            // Save the updated list (without the deleted deck)
-            saveDecks(updatedDecks);
+            // User said yes, so remove this deck and show the decks that are left
+            try {
+                setDecks(deleteDeck(deckId));
+            } catch (error) {
+                alert(error.message);
+            }
         }
         // If user said no, nothing happens and the deck stays
     };
 
+    // Parse the decklist as it's typed so we can show what was found and which lines had problems
+    const parsedPreview = decklistText.trim() ? parseDecklist(decklistText) : null;
+
+    // The decks that match the color filter
+    const shownDecks = decks.filter(deck => matchesColorFilter(deck.colorIdentity, colorFilter));
+
     return (
         <div style={{ maxWidth: 1200, margin: '0 auto', padding: '2em', fontFamily: 'sans-serif' }}>
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '2em' }}>
                 <h1 style={{ margin: 0 }}>My Commander Decks</h1>
-                <button
-                    onClick={() => setShowImportModal(true)}
-                    style={{
+                <div style={{ display: 'flex', gap: '0.5em', alignItems: 'center' }}>
+                    <button
+                        onClick={handleBackup}
+                        style={{
+                            padding: '0.75em 1.5em',
+                            fontSize: '16px',
+                            backgroundColor: '#2196F3',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '4px',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        Backup
+                    </button>
+                    {/* A label styled like a button, so clicking it opens the file picker */}
+                    <label style={{
                         padding: '0.75em 1.5em',
                         fontSize: '16px',
-                        backgroundColor: '#4CAF50',
+                        backgroundColor: '#2196F3',
                         color: 'white',
-                        border: 'none',
                         borderRadius: '4px',
-                        cursor: 'pointer',
-                        fontWeight: 'bold'
-                    }}
-                >
-                    + Import Decklist
-                </button>
+                        cursor: 'pointer'
+                    }}>
+                        Restore
+                        <input
+                            type="file"
+                            accept=".json"
+                            onChange={handleRestoreFile}
+                            style={{ display: 'none' }}
+                        />
+                    </label>
+                    <button
+                        onClick={() => setShowImportModal(true)}
+                        style={{
+                            padding: '0.75em 1.5em',
+                            fontSize: '16px',
+                            backgroundColor: '#4CAF50',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '4px',
+                            cursor: 'pointer',
+                            fontWeight: 'bold'
+                        }}
+                    >
+                        + Import Decklist
+                    </button>
+                </div>
             </div>
 
+            {/* Imports that were stopped or interrupted, ready to pick up where they left off */}
+            {drafts.length > 0 && (
+                <div style={{
+                    backgroundColor: '#fff8e1',
+                    border: '2px solid #ffc107',
+                    borderRadius: '8px',
+                    padding: '1em',
+                    marginBottom: '2em'
+                }}>
+                    <h3 style={{ marginTop: 0 }}>Unfinished Imports</h3>
+                    {drafts.map(draft => (
+                        <div
+                            key={draft.id}
+                            style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '0.5em 0' }}
+                        >
+                            <div>
+                                <strong>{draft.deckName}</strong>
+                                <div style={{ fontSize: '12px', color: '#666' }}>
+                                    {draft.progress ? `${draft.progress.done}/${draft.progress.total} cards looked up` : 'Not started'}
+                                    {draft.failed?.length > 0 && `, ${draft.failed.length} not found`}
+                                    {` - saved ${new Date(draft.updatedAt).toLocaleString()}`}
+                                </div>
+                            </div>
+                            <div style={{ display: 'flex', gap: '0.5em' }}>
+                                <button
+                                    onClick={() => handleResumeDraft(draft)}
+                                    disabled={importing}
+                                    style={{
+                                        padding: '0.5em 1em',
+                                        backgroundColor: '#4CAF50',
+                                        color: 'white',
+                                        border: 'none',
+                                        borderRadius: '4px',
+                                        cursor: importing ? 'not-allowed' : 'pointer'
+                                    }}
+                                >
+                                    Resume
+                                </button>
+                                <button
+                                    onClick={() => handleDiscardDraft(draft.id)}
+                                    style={{
+                                        padding: '0.5em 1em',
+                                        backgroundColor: '#f44336',
+                                        color: 'white',
+                                        border: 'none',
+                                        borderRadius: '4px',
+                                        cursor: 'pointer'
+                                    }}
+                                >
+                                    Discard
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
             {decks.length === 0 ? (
                 <div style={{
                     textAlign: 'center',
@@ -350,77 +670,99 @@ function DeckList() {
                     <p>Click "Import Decklist" to add your first deck.</p>
                 </div>
             ) : (
-                <div style={{
-                    display: 'grid',
-                    gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))',
-                    gap: '1.5em'
-                }}>
-                    {decks.map(deck => (
-                        <div
-                            key={deck.id}
-                            onClick={() => navigate(`/deck/${deck.id}`)}
-                            style={{
-                                backgroundColor: 'white',
-                                border: '2px solid #ddd',
-                                borderRadius: '8px',
-                                padding: '1.5em',
-                                cursor: 'pointer',
-                                transition: 'all 0.2s',
-                                boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
-                            }}
-                            onMouseEnter={(e) => {
-                                e.currentTarget.style.borderColor = '#2196F3';
-                                e.currentTarget.style.boxShadow = '0 4px 8px rgba(0,0,0,0.15)';
-                            }}
-                            onMouseLeave={(e) => {
-                                e.currentTarget.style.borderColor = '#ddd';
-                                e.currentTarget.style.boxShadow = '0 2px 4px rgba(0,0,0,0.1)';
-                            }}
-                        >
-                            {deck.commander && (
-                                <div style={{ textAlign: 'center', marginBottom: '1em' }}>
-                                    {deck.commander.imageUrl && (
-                                        <img
-                                            src={deck.commander.imageUrl}
-                                            alt={deck.commander.name}
-                                            style={{
-                                                width: '100%',
-                                                maxWidth: '200px',
-                                                borderRadius: '8px',
-                                                marginBottom: '0.5em'
-                                            }}
-                                        />
-                                    )}
-                                    <div style={{ fontSize: '14px', color: '#666' }}>Commander</div>
-                                    <div style={{ fontWeight: 'bold', fontSize: '16px' }}>{deck.commander.name}</div>
-                                </div>
-                            )}
-                            <h3 style={{ marginTop: 0, marginBottom: '0.5em' }}>{deck.name}</h3>
-                            <div style={{ fontSize: '14px', color: '#666', marginBottom: '1em' }}>
-                                <div>Cards: {deck.decklist?.length || 0}</div>
-                                <div>Wins: {deck.stats?.wins || 0} | Losses: {deck.stats?.losses || 0}</div>
-                            </div>
-                            <button
-                                onClick={(e) => {
-                                    e.stopPropagation();
-                                    handleDeleteDeck(deck.id);
-                                }}
+                <>
+                    <ColorFilter filter={colorFilter} onChange={setColorFilter} shown={shownDecks.length} total={decks.length} />
+                    <div style={{
+                        display: 'grid',
+                        gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))',
+                        gap: '1.5em'
+                    }}>
+                        {shownDecks.map(deck => (
+                            <div
+                                key={deck.id}
+                                onClick={() => navigate(`/deck/${deck.id}`)}
                                 style={{
-                                    padding: '0.5em 1em',
-                                    fontSize: '14px',
-                                    backgroundColor: '#f44336',
-                                    color: 'white',
-                                    border: 'none',
-                                    borderRadius: '4px',
+                                    backgroundColor: 'white',
+                                    border: '2px solid #ddd',
+                                    borderRadius: '8px',
+                                    padding: '1.5em',
                                     cursor: 'pointer',
-                                    width: '100%'
+                                    transition: 'all 0.2s',
+                                    boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+                                }}
+                                onMouseEnter={(e) => {
+                                    e.currentTarget.style.borderColor = '#2196F3';
+                                    e.currentTarget.style.boxShadow = '0 4px 8px rgba(0,0,0,0.15)';
+                                }}
+                                onMouseLeave={(e) => {
+                                    e.currentTarget.style.borderColor = '#ddd';
+                                    e.currentTarget.style.boxShadow = '0 2px 4px rgba(0,0,0,0.1)';
                                 }}
                             >
-                                Delete
-                            </button>
-                        </div>
-                    ))}
-                </div>
+                                {getCommandZone(deck).length > 0 && (
+                                    <div style={{
+                                        display: 'flex',
+                                        justifyContent: 'center',
+                                        gap: '0.5em',
+                                        textAlign: 'center',
+                                        marginBottom: '1em'
+                                    }}>
+                                        {/* Show every commander, partner, background and companion side by side */}
+                                        {getCommandZone(deck).map(entry => (
+                                            <div key={`${entry.role}-${entry.name}`} style={{ flex: 1, maxWidth: '200px' }}>
+                                                {entry.imageUrl && (
+                                                    <img
+                                                        src={entry.imageUrl}
+                                                        alt={entry.name}
+                                                        style={{
+                                                            width: '100%',
+                                                            borderRadius: '8px',
+                                                            marginBottom: '0.5em'
+                                                        }}
+                                                    />
+                                                )}
+                                                <div style={{ fontSize: '14px', color: '#666' }}>{ROLE_LABELS[entry.role]}</div>
+                                                <div style={{ fontWeight: 'bold', fontSize: '16px' }}>{entry.name}</div>
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+                                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5em', marginBottom: '0.5em' }}>
+                                    <h3 style={{ margin: 0 }}>{deck.name}</h3>
+                                    <LegalityBadge legality={deck.legality} />
+                                </div>
+                                <div style={{ marginBottom: '0.5em' }}>
+                                    <ManaSymbols colors={deck.colorIdentity} />
+                                </div>
+                                <div style={{ fontSize: '14px', color: '#666', marginBottom: '1em' }}>
+                                    <div>Cards: {deck.decklist?.length || 0}</div>
+                                    <div>Wins: {deck.stats?.wins || 0} | Losses: {deck.stats?.losses || 0}</div>
+                                </div>
+                                <button
+                                    onClick={(e) => {
+                                        e.stopPropagation();
+                                        handleDeleteDeck(deck.id);
+                                    }}
+                                    style={{
+                                        padding: '0.5em 1em',
+                                        fontSize: '14px',
+                                        backgroundColor: '#f44336',
+                                        color: 'white',
+                                        border: 'none',
+                                        borderRadius: '4px',
+                                        cursor: 'pointer',
+                                        width: '100%'
+                                    }}
+                                >
+                                    Delete
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                    {shownDecks.length === 0 && (
+                        <p style={{ textAlign: 'center', color: '#666' }}>No decks match these colors.</p>
+                    )}
+                </>
             )}
 
             {showImportModal && (
@@ -445,131 +787,207 @@ function DeckList() {
                         maxHeight: '90vh',
                         overflow: 'auto'
                     }}>
-                        <h2 style={{ marginTop: 0 }}>Import Decklist</h2>
-                        <p style={{ color: '#666', marginBottom: '1em', fontSize: '14px' }}>
-                            Paste your decklist below. Format: "1 Card Name" or "1x Card Name" (one per line)
-                        </p>
-                        
-                        <div style={{ marginBottom: '1em' }}>
-                            <label style={{ display: 'block', marginBottom: '0.5em', fontWeight: 'bold' }}>
-                                Deck Name: *
-                            </label>
-                            <input
-                                type="text"
-                                value={deckName}
-                                onChange={(e) => setDeckName(e.target.value)}
-                                placeholder="My Commander Deck"
-                                style={{
-                                    width: '100%',
-                                    padding: '0.75em',
-                                    fontSize: '16px',
-                                    border: '2px solid #ddd',
-                                    borderRadius: '4px',
-                                    boxSizing: 'border-box'
-                                }}
-                                disabled={importing}
+                        {pendingImport ? (
+                            <ImportReview
+                                items={pendingImport.reviewItems}
+                                onConfirm={(resolutions) => finishImport(pendingImport, resolutions)}
+                                onCancel={() => setPendingImport(null)}
                             />
-                        </div>
+                        ) : (
+                            <>
+                                <h2 style={{ marginTop: 0 }}>Import Decklist</h2>
+                                <p style={{ color: '#666', marginBottom: '1em', fontSize: '14px' }}>
+                                    Paste your decklist below. Format: "1 Card Name" or "1x Card Name" (one per line)
+                                </p>
 
-                        <div style={{ marginBottom: '1em' }}>
-                            <label style={{ display: 'block', marginBottom: '0.5em', fontWeight: 'bold' }}>
-                                Commander Name (optional):
-                            </label>
-                            <input
-                                type="text"
-                                value={commanderName}
-                                onChange={(e) => setCommanderName(e.target.value)}
-                                placeholder="Commander Name"
-                                style={{
-                                    width: '100%',
-                                    padding: '0.75em',
-                                    fontSize: '16px',
-                                    border: '2px solid #ddd',
-                                    borderRadius: '4px',
-                                    boxSizing: 'border-box'
-                                }}
-                                disabled={importing}
-                            />
-                        </div>
+                                <div style={{ marginBottom: '1em' }}>
+                                    <label style={{ display: 'block', marginBottom: '0.5em', fontWeight: 'bold' }}>
+                                        Load from file (optional):
+                                    </label>
+                                    <input
+                                        type="file"
+                                        accept=".txt,.dek,.cod,.dck,.csv"
+                                        onChange={handleFileUpload}
+                                        disabled={importing}
+                                    />
+                                </div>
+                        
+                                <div style={{ marginBottom: '1em' }}>
+                                    <label style={{ display: 'block', marginBottom: '0.5em', fontWeight: 'bold' }}>
+                                        Deck Name: *
+                                    </label>
+                                    <input
+                                        type="text"
+                                        value={deckName}
+                                        onChange={(e) => setDeckName(e.target.value)}
+                                        placeholder="My Commander Deck"
+                                        style={{
+                                            width: '100%',
+                                            padding: '0.75em',
+                                            fontSize: '16px',
+                                            border: '2px solid #ddd',
+                                            borderRadius: '4px',
+                                            boxSizing: 'border-box'
+                                        }}
+                                        disabled={importing}
+                                    />
+                                </div>
 
-                        <div style={{ marginBottom: '1em' }}>
-                            <label style={{ display: 'block', marginBottom: '0.5em', fontWeight: 'bold' }}>
-                                Decklist: *
-                            </label>
-                            <textarea
-                                value={decklistText}
-                                onChange={(e) => setDecklistText(e.target.value)}
-                                placeholder={`1 Sol Ring
-1 Arcane Signet
-1 Command Tower
-...`}
-                                style={{
-                                    width: '100%',
-                                    minHeight: '300px',
-                                    padding: '0.75em',
-                                    fontSize: '14px',
-                                    fontFamily: 'monospace',
-                                    border: '2px solid #ddd',
-                                    borderRadius: '4px',
-                                    boxSizing: 'border-box',
-                                    resize: 'vertical'
-                                }}
-                                disabled={importing}
-                            />
-                        </div>
+                                <div style={{ marginBottom: '1em' }}>
+                                    <label style={{ display: 'block', marginBottom: '0.5em', fontWeight: 'bold' }}>
+                                        Command Zone (optional, one per line):
+                                    </label>
+                                    <textarea
+                                        value={commanderNames}
+                                        onChange={(e) => setCommanderNames(e.target.value)}
+                                        placeholder={`Commander
+Partner or Background (if any)
+Companion (if any)`}
+                                        style={{
+                                            width: '100%',
+                                            minHeight: '80px',
+                                            padding: '0.75em',
+                                            fontSize: '16px',
+                                            border: '2px solid #ddd',
+                                            borderRadius: '4px',
+                                            boxSizing: 'border-box',
+                                            fontFamily: 'sans-serif',
+                                            resize: 'vertical'
+                                        }}
+                                        disabled={importing}
+                                    />
+                                </div>
 
-                        <div style={{ 
-                            backgroundColor: '#f0f0f0', 
-                            padding: '1em', 
-                            borderRadius: '4px', 
-                            marginBottom: '1em',
-                            fontSize: '12px',
-                            color: '#666'
-                        }}>
-                            <strong>Tip:</strong> You can paste decklists from Moxfield, TappedOut, or any text format. 
-                            The first card will be used as commander if no commander name is specified.
-                        </div>
+                                <div style={{ marginBottom: '1em' }}>
+                                    <label style={{ display: 'block', marginBottom: '0.5em', fontWeight: 'bold' }}>
+                                        Decklist: *
+                                    </label>
+                                    <textarea
+                                        value={decklistText}
+                                        onChange={(e) => setDecklistText(e.target.value)}
+                                        placeholder={`1 Sol Ring
+        1 Arcane Signet
+        1 Command Tower
+        ...`}
+                                        style={{
+                                            width: '100%',
+                                            minHeight: '300px',
+                                            padding: '0.75em',
+                                            fontSize: '14px',
+                                            fontFamily: 'monospace',
+                                            border: '2px solid #ddd',
+                                            borderRadius: '4px',
+                                            boxSizing: 'border-box',
+                                            resize: 'vertical'
+                                        }}
+                                        disabled={importing}
+                                    />
+                                </div>
 
-                        <div style={{ display: 'flex', gap: '1em', justifyContent: 'flex-end' }}>
-                            <button
-                                onClick={() => {
-                                    setShowImportModal(false);
-                                    setDecklistText('');
-                                    setDeckName('');
-                                    setCommanderName('');
-                                }}
-                                disabled={importing}
-                                style={{
-                                    padding: '0.75em 1.5em',
-                                    fontSize: '16px',
-                                    backgroundColor: '#ccc',
-                                    color: 'white',
-                                    border: 'none',
-                                    borderRadius: '4px',
-                                    cursor: importing ? 'not-allowed' : 'pointer'
-                                }}
-                            >
-                                Cancel
-                            </button>
-                            <button
-                                onClick={handleImport}
-                                disabled={importing || !decklistText.trim() || !deckName.trim()}
-                                style={{
-                                    padding: '0.75em 1.5em',
-                                    fontSize: '16px',
-                                    backgroundColor: importing ? '#ccc' : '#4CAF50',
-                                    color: 'white',
-                                    border: 'none',
-                                    borderRadius: '4px',
-                                    cursor: importing ? 'not-allowed' : 'pointer'
-                                }}
-                            >
-                                {importing ? 'Importing...' : 'Import'}
-                            </button>
-                        </div>
+                                {parsedPreview && (
+                                    <div style={{ marginBottom: '1em', fontSize: '14px' }}>
+                                        <div style={{ color: '#666' }}>
+                                            Detected format: <strong>{parsedPreview.format}</strong>
+                                            {' | '}Deck: {countCards(parsedPreview, ['commander', 'deck'])} cards
+                                            {parsedPreview.sections.commander.length > 0 && (
+                                                <> | Commander: {parsedPreview.sections.commander.map(card => card.name).join(', ')}</>
+                                            )}
+                                            {parsedPreview.sections.companion.length > 0 && (
+                                                <> | Companion: {parsedPreview.sections.companion.map(card => card.name).join(', ')}</>
+                                            )}
+                                            {countCards(parsedPreview, ['sideboard', 'maybeboard']) > 0 && (
+                                                <> | Sideboard/Maybeboard: {countCards(parsedPreview, ['sideboard', 'maybeboard'])} cards</>
+                                            )}
+                                        </div>
+                                        {parsedPreview.errors.length > 0 && (
+                                            <div style={{
+                                                marginTop: '0.5em',
+                                                padding: '0.75em',
+                                                backgroundColor: '#fff3e0',
+                                                border: '1px solid #ffb74d',
+                                                borderRadius: '4px',
+                                                color: '#8a4b00'
+                                            }}>
+                                                <strong>These lines couldn't be read and will be skipped:</strong>
+                                                <ul style={{ margin: '0.5em 0 0', paddingLeft: '1.5em' }}>
+                                                    {parsedPreview.errors.map(error => (
+                                                        <li key={`${error.line}-${error.text}`}>
+                                                            Line {error.line}: <code>{error.text}</code> - {error.message}
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            </div>
+                                        )}
+                                    </div>
+                                )}
+
+                                <div style={{ 
+                                    backgroundColor: '#f0f0f0', 
+                                    padding: '1em', 
+                                    borderRadius: '4px', 
+                                    marginBottom: '1em',
+                                    fontSize: '12px',
+                                    color: '#666'
+                                }}>
+                                    <strong>Tip:</strong> You can paste decklists from Moxfield, Archidekt, MTG Arena, TappedOut, or any text format, 
+                                    or load MTGO (.dek), Cockatrice (.cod), Forge (.dck) and CSV files. 
+                                    If no command zone is typed in, the list's "Commander" and "Companion" sections are used, or else the first card.
+                                    Partners, Backgrounds and Companions are recognized automatically.
+                                </div>
+
+                                {/* While importing, show how far along it is (with a button to stop it) */}
+                                {importing ? (
+                                    <ImportProgress progress={importProgress} onCancel={handleCancelImport} />
+                                ) : (
+                                    <div style={{ display: 'flex', gap: '1em', justifyContent: 'flex-end' }}>
+                                        <button
+                                            onClick={closeImportModal}
+                                            style={{
+                                                padding: '0.75em 1.5em',
+                                                fontSize: '16px',
+                                                backgroundColor: '#ccc',
+                                                color: 'white',
+                                                border: 'none',
+                                                borderRadius: '4px',
+                                                cursor: 'pointer'
+                                            }}
+                                        >
+                                            Cancel
+                                        </button>
+                                        <button
+                                            onClick={handleImport}
+                                            disabled={!decklistText.trim() || !deckName.trim()}
+                                            style={{
+                                                padding: '0.75em 1.5em',
+                                                fontSize: '16px',
+                                                backgroundColor: '#4CAF50',
+                                                color: 'white',
+                                                border: 'none',
+                                                borderRadius: '4px',
+                                                cursor: 'pointer'
+                                            }}
+                                        >
+                                            {draftId ? 'Resume Import' : 'Import'}
+                                        </button>
+                                    </div>
+                                )}
+                            </>
+                        )}
                     </div>
                 </div>
             )}
+
+            {pendingRestore && (
+                <RestoreBackup
+                    decks={decks}
+                    backup={pendingRestore}
+                    onRestore={(restoredDecks) => {
+                        setDecks(restoredDecks);
+                        setPendingRestore(null);
+                    }}
+                    onClose={() => setPendingRestore(null)}
+                />
+            )}
         </div>
     );
 }
@@ -0,0 +1,90 @@
+/**
+ * DECK STACKS VIEW - The Deck as Piles of Cards
+ *
+ * Lays a deck out like piles of real cards on a table: one column per group
+ * (by type or by mana value), with the cards overlapping so only their name
+ * bars show. Hovering over a card brings it to the front so you can see all
+ * of it, and clicking it opens the card popup.
+ */
+
+// Import React and its tools for managing data that changes over time
+import React, { useState } from 'react';
+
+// How wide each card is, and how much of each card peeks out from under the next one
+const CARD_WIDTH = 146;
+const CARD_HEIGHT = Math.round(CARD_WIDTH * 680 / 488);  // Magic cards are 488 x 680 on Scryfall
+const PEEK = 28;
+
+/**
+ * DECK STACKS VIEW COMPONENT
+ *
+ * @param {Array} groups - The groups to show ([{ label, count, cards }], see groupCards in deckAnalysis.js)
+ * @param {Function} onCardClick - Called with a card when it's clicked
+ * @param {Function} isDimmed - Called with a card; true means fade it out (it doesn't match the search)
+ */
+function DeckStacksView({ groups, onCardClick, isDimmed }) {
+    const [hovered, setHovered] = useState(null);  // The card under the mouse, brought to the front
+
+    return (
+        <div style={{ display: 'flex', gap: '1em', overflowX: 'auto', paddingBottom: '1em' }}>
+            {groups.map(group => (
+                <div key={group.label} style={{ flex: `0 0 ${CARD_WIDTH}px` }}>
+                    <div style={{ fontWeight: 'bold', fontSize: '14px', marginBottom: '0.5em' }}>
+                        {group.label} ({group.count})
+                    </div>
+                    {/* Every card but the last only shows its top strip; the pile is as tall as that plus one whole card */}
+                    <div style={{ position: 'relative', height: `${(group.cards.length - 1) * PEEK + CARD_HEIGHT}px` }}>
+                        {group.cards.map((card, index) => (
+                            <div
+                                key={card.deckIndex}
+                                onClick={() => onCardClick(card)}
+                                onMouseEnter={() => setHovered(card)}
+                                onMouseLeave={() => setHovered(null)}
+                                title={card.name}
+                                style={{
+                                    position: 'absolute',
+                                    top: `${index * PEEK}px`,
+                                    left: 0,
+                                    width: `${CARD_WIDTH}px`,
+                                    height: `${CARD_HEIGHT}px`,
+                                    zIndex: hovered === card ? group.cards.length : index,
+                                    borderRadius: '7px',
+                                    overflow: 'hidden',
+                                    cursor: 'pointer',
+                                    backgroundColor: '#f0f0f0',
+                                    border: '1px solid #ccc',
+                                    boxSizing: 'border-box',
+                                    boxShadow: '0 1px 3px rgba(0,0,0,0.3)',
+                                    opacity: isDimmed(card) ? 0.3 : 1
+                                }}
+                            >
+                                {card.imageUrl ? (
+                                    <img src={card.imageUrl} alt={card.name} style={{ width: '100%', display: 'block' }} />
+                                ) : (
+                                    <div style={{ padding: '0.4em', fontSize: '12px', fontWeight: 'bold' }}>{card.name}</div>
+                                )}
+                                {card.quantity > 1 && (
+                                    <span style={{
+                                        position: 'absolute',
+                                        top: '4px',
+                                        right: '4px',
+                                        padding: '0 0.4em',
+                                        fontSize: '12px',
+                                        fontWeight: 'bold',
+                                        backgroundColor: 'rgba(0,0,0,0.7)',
+                                        color: 'white',
+                                        borderRadius: '4px'
+                                    }}>
+                                        {card.quantity}x
+                                    </span>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default DeckStacksView;
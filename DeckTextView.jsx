@@ -0,0 +1,77 @@
+/**
+ * DECK TEXT VIEW - The Deck as a Compact List
+ *
+ * Shows a deck's cards as a text list, split into groups (by type or by
+ * mana value) with a count for each group, so a whole 100-card deck fits on
+ * one screen. Hovering over a card name shows its picture next to the mouse,
+ * and clicking it opens the card popup.
+ */
+
+// Import React and its tools for managing data that changes over time
+import React, { useState } from 'react';
+
+/**
+ * DECK TEXT VIEW COMPONENT
+ *
+ * @param {Array} groups - The groups to show ([{ label, count, cards }], see groupCards in deckAnalysis.js)
+ * @param {Function} onCardClick - Called with a card when its name is clicked
+ * @param {Function} isDimmed - Called with a card; true means fade it out (it doesn't match the search)
+ */
+function DeckTextView({ groups, onCardClick, isDimmed }) {
+    // The card being hovered over, and where the mouse is (null when not hovering)
+    const [preview, setPreview] = useState(null);
+
+    return (
+        <div style={{ columnWidth: '260px', columnGap: '2em' }}>
+            {groups.map(group => (
+                <div key={group.label} style={{ breakInside: 'avoid', marginBottom: '1.5em' }}>
+                    <h3 style={{ margin: '0 0 0.5em 0', borderBottom: '1px solid #eee', paddingBottom: '0.25em' }}>
+                        {group.label} ({group.count})
+                    </h3>
+                    {group.cards.map(card => (
+                        <div
+                            key={card.deckIndex}
+                            onClick={() => onCardClick(card)}
+                            onMouseMove={(e) => setPreview({ card, x: e.clientX, y: e.clientY })}
+                            onMouseLeave={() => setPreview(null)}
+                            style={{
+                                display: 'flex',
+                                justifyContent: 'space-between',
+                                gap: '0.5em',
+                                padding: '0.2em 0.25em',
+                                fontSize: '14px',
+                                cursor: 'pointer',
+                                borderRadius: '4px',
+                                opacity: isDimmed(card) ? 0.3 : 1,
+                                backgroundColor: preview?.card === card ? '#f0f0f0' : 'transparent'
+                            }}
+                        >
+                            <span>{card.quantity} {card.name}{card.foil && ' ★'}</span>
+                            <span style={{ color: '#666', fontSize: '12px', whiteSpace: 'nowrap' }}>{card.manaCost}</span>
+                        </div>
+                    ))}
+                </div>
+            ))}
+
+            {/* The picture of the card under the mouse, kept inside the window */}
+            {preview?.card.imageUrl && (
+                <img
+                    src={preview.card.imageUrl}
+                    alt={preview.card.name}
+                    style={{
+                        position: 'fixed',
+                        left: Math.min(preview.x + 20, window.innerWidth - 240),
+                        top: Math.max(10, Math.min(preview.y - 100, window.innerHeight - 345)),
+                        width: '230px',
+                        borderRadius: '10px',
+                        boxShadow: '0 4px 12px rgba(0,0,0,0.3)',
+                        pointerEvents: 'none',
+                        zIndex: 900
+                    }}
+                />
+            )}
+        </div>
+    );
+}
+
+export default DeckTextView;
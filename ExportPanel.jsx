@@ -0,0 +1,168 @@
+/**
+ * EXPORT PANEL - Copy or Download a Deck in Another Format
+ *
+ * A popup that shows the deck written out in whichever format you pick
+ * (plain text, MTG Arena, MTGO, CSV or JSON). From there you can copy it to
+ * paste into another site or app, or download it as a file.
+ */
+
+// Import React and its tools for managing data that changes over time
+import React, { useState } from 'react';
+// Import the functions that write the deck in each format
+import { EXPORT_FORMATS, exportDeck, getExportFileName } from './deckExport';
+
+/**
+ * EXPORT PANEL COMPONENT
+ *
+ * @param {Object} deck - The saved deck to export
+ * @param {Array} cards - The deck's cards with details filled in (used for extras like MTGO ids)
+ * @param {Function} onClose - Called when the popup should close
+ */
+function ExportPanel({ deck, cards, onClose }) {
+    const [format, setFormat] = useState('text');  // Which format is being shown
+    const [copied, setCopied] = useState(false);   // Show "Copied!" after copying
+
+    // The exported text for the chosen format (rebuilt whenever the format changes)
+    const output = exportDeck(deck, format, cards);
+
+    /**
+     * COPY THE EXPORT TO THE CLIPBOARD
+     */
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(output);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (error) {
+            console.error('Could not copy to clipboard:', error);
+            alert('Could not copy automatically. Select the text and copy it by hand.');
+        }
+    };
+
+    /**
+     * DOWNLOAD THE EXPORT AS A FILE
+     *
+     * We wrap the text in a "Blob" (a file that only exists in memory), give
+     * it a temporary link, and click that link for the user.
+     */
+    const handleDownload = () => {
+        const blob = new Blob([output], { type: EXPORT_FORMATS[format].mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = getExportFileName(deck, format);
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    return (
+        <div style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: 'rgba(0,0,0,0.5)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 1000
+        }}>
+            <div style={{
+                backgroundColor: 'white',
+                padding: '2em',
+                borderRadius: '8px',
+                maxWidth: '700px',
+                width: '90%',
+                maxHeight: '90vh',
+                overflow: 'auto'
+            }}>
+                <h2 style={{ marginTop: 0 }}>Export Deck</h2>
+
+                {/* One button per format */}
+                <div style={{ display: 'flex', gap: '0.5em', flexWrap: 'wrap', marginBottom: '1em' }}>
+                    {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => (
+                        <button
+                            key={key}
+                            onClick={() => setFormat(key)}
+                            style={{
+                                padding: '0.5em 1em',
+                                backgroundColor: format === key ? '#2196F3' : '#ddd',
+                                color: format === key ? 'white' : 'black',
+                                border: 'none',
+                                borderRadius: '4px',
+                                cursor: 'pointer'
+                            }}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+
+                <textarea
+                    value={output}
+                    readOnly
+                    rows={16}
+                    onFocus={(e) => e.target.select()}
+                    style={{
+                        width: '100%',
+                        padding: '0.5em',
+                        fontSize: '14px',
+                        fontFamily: 'monospace',
+                        border: '2px solid #ddd',
+                        borderRadius: '4px',
+                        boxSizing: 'border-box',
+                        marginBottom: '1em'
+                    }}
+                />
+
+                <div style={{ display: 'flex', gap: '1em', justifyContent: 'flex-end' }}>
+                    <button
+                        onClick={onClose}
+                        style={{
+                            padding: '0.75em 1.5em',
+                            fontSize: '16px',
+                            backgroundColor: '#ccc',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '4px',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        Close
+                    </button>
+                    <button
+                        onClick={handleCopy}
+                        style={{
+                            padding: '0.75em 1.5em',
+                            fontSize: '16px',
+                            backgroundColor: '#2196F3',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '4px',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        {copied ? 'Copied!' : 'Copy'}
+                    </button>
+                    <button
+                        onClick={handleDownload}
+                        style={{
+                            padding: '0.75em 1.5em',
+                            fontSize: '16px',
+                            backgroundColor: '#4CAF50',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '4px',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        Download
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ExportPanel;
@@ -0,0 +1,356 @@
+/**
+ * GAME FORM - Log a Game (or Change One)
+ *
+ * The popup for adding a game to a deck's game log, or editing one that's
+ * already there. A game has a date, how many players were in the pod, who
+ * the opponents were (players from the playgroup) and the commanders they
+ * played, where we finished (or whether it was a draw or cut short), who won
+ * if it wasn't us, whether we conceded, the turn it ended on, how many times
+ * we mulliganed, and a note.
+ *
+ * Summary entries (totals carried over from before the game log) are edited
+ * here too; they have wins, losses and mulligans instead.
+ */
+
+// Import React and its tools for managing data that changes over time
+import React, { useState } from 'react';
+// Import the card name box, so opposing commanders can be picked from suggestions
+import CardNameInput from './CardNameInput';
+// Import the game log helpers
+import { createGameEntry, RESULTS, MAX_POD_SIZE, DEFAULT_POD_SIZE, ordinal, today } from './gameResults';
+// Import the playgroup, so each opponent can be one of the players we know
+import { getPlayers } from './playgroup';
+
+// Shared look for the form's text boxes
+const inputStyle = {
+    width: '100%',
+    padding: '0.5em',
+    fontSize: '16px',
+    border: '2px solid #ddd',
+    borderRadius: '4px',
+    boxSizing: 'border-box'
+};
+
+// Shared look for the labels above each box
+const labelStyle = { display: 'block', marginBottom: '0.5em' };
+
+/**
+ * Make the opponents list fit the pod: one seat per other player.
+ */
+const fitOpponents = (opponents, podSize) => {
+    const count = Math.max(1, Math.min(MAX_POD_SIZE, parseInt(podSize, 10) || 2) - 1);
+    return Array.from({ length: count }, (_, index) => opponents[index] || { playerId: null, commander: '', won: false });
+};
+
+/**
+ * GAME FORM COMPONENT
+ *
+ * @param {Object|null} game - The entry being edited, or null to log a new game
+ * @param {Function} onSave - Called with the finished entry
+ * @param {Function} onClose - Called when the popup should close without saving
+ */
+function GameForm({ game, onSave, onClose }) {
+    const [players] = useState(() => getPlayers());  // The playgroup, to pick opponents from
+    // What's typed in the form (numbers stay as text until saving, so boxes can be cleared)
+    const [form, setForm] = useState(() => {
+        if (game) {
+            return {
+                ...game,
+                opponents: game.kind === 'summary' ? [] : fitOpponents(game.opponents, game.podSize || DEFAULT_POD_SIZE),
+                podSize: game.podSize ?? '',
+                placement: game.placement ?? null,
+                turn: game.turn ?? ''
+            };
+        }
+        return {
+            kind: 'game',
+            playedAt: today(),
+            podSize: DEFAULT_POD_SIZE,
+            opponents: fitOpponents([], DEFAULT_POD_SIZE),
+            result: 'win',
+            placement: 1,
+            conceded: false,
+            turn: '',
+            mulligans: 0,
+            note: ''
+        };
+    });
+
+    const isSummary = form.kind === 'summary';
+
+    // One button per finishing position in the pod, then draws and cut short games
+    const places = Array.from(
+        { length: Math.min(MAX_POD_SIZE, parseInt(form.podSize, 10) || DEFAULT_POD_SIZE) },
+        (_, index) => index + 1
+    );
+
+    // Change one field of the form
+    const setField = (field, value) => setForm(current => ({ ...current, [field]: value }));
+
+    // A new pod size changes how many opponent boxes there are
+    const handlePodSizeChange = (value) => {
+        setForm(current => ({ ...current, podSize: value, opponents: fitOpponents(current.opponents, value) }));
+    };
+
+    // Picking a place decides between a win and a loss; draws and cut short games have no place
+    const handleFinishChange = (result, placement = null) => {
+        setForm(current => ({ ...current, result, placement }));
+    };
+
+    // Change one thing about one opponent (their player or their commander)
+    const setOpponent = (index, field, value) => {
+        setForm(current => ({
+            ...current,
+            opponents: current.opponents.map((other, i) => (i === index ? { ...other, [field]: value } : other))
+        }));
+    };
+
+    // Mark which opponent won (or nobody, if it wasn't recorded)
+    const setWinner = (winnerIndex) => {
+        setForm(current => ({
+            ...current,
+            opponents: current.opponents.map((other, i) => ({ ...other, won: i === winnerIndex }))
+        }));
+    };
+
+    // What to call an opponent in the "Who won?" list
+    const describeOpponent = (opponent, index) => {
+        const player = players.find(other => other.id === opponent.playerId);
+        const who = player ? player.name : `Opponent ${index + 1}`;
+        return opponent.commander ? `${who} (${opponent.commander})` : who;
+    };
+
+    const handleSave = () => {
+        onSave(createGameEntry({ ...form, id: game?.id }));
+    };
+
+    return (
+        <div style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: 'rgba(0,0,0,0.5)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 1000
+        }}>
+            <div style={{
+                backgroundColor: 'white',
+                padding: '2em',
+                borderRadius: '8px',
+                maxWidth: '500px',
+                width: '90%',
+                maxHeight: '90vh',
+                overflow: 'auto'
+            }}>
+                <h2 style={{ marginTop: 0 }}>
+                    {isSummary ? 'Edit Earlier Totals' : game ? 'Edit Game' : 'Log a Game'}
+                </h2>
+
+                <div style={{ marginBottom: '1em' }}>
+                    <label style={labelStyle}>Date:</label>
+                    <input
+                        type="date"
+                        value={form.playedAt}
+                        onChange={(e) => setField('playedAt', e.target.value)}
+                        style={inputStyle}
+                    />
+                </div>
+
+                {isSummary ? (
+                    <>
+                        <div style={{ marginBottom: '1em' }}>
+                            <label style={labelStyle}>Wins:</label>
+                            <input
+                                type="number"
+                                min="0"
+                                value={form.wins}
+                                onChange={(e) => setField('wins', e.target.value)}
+                                style={inputStyle}
+                            />
+                        </div>
+                        <div style={{ marginBottom: '1em' }}>
+                            <label style={labelStyle}>Losses:</label>
+                            <input
+                                type="number"
+                                min="0"
+                                value={form.losses}
+                                onChange={(e) => setField('losses', e.target.value)}
+                                style={inputStyle}
+                            />
+                        </div>
+                    </>
+                ) : (
+                    <>
+                        <div style={{ display: 'flex', gap: '1em', marginBottom: '1em' }}>
+                            <div style={{ flex: 1 }}>
+                                <label style={labelStyle}>Players in the pod:</label>
+                                <input
+                                    type="number"
+                                    min="2"
+                                    max={MAX_POD_SIZE}
+                                    value={form.podSize}
+                                    onChange={(e) => handlePodSizeChange(e.target.value)}
+                                    style={inputStyle}
+                                />
+                            </div>
+                            <div style={{ flex: 1 }}>
+                                <label style={labelStyle}>Ended on turn:</label>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={form.turn}
+                                    onChange={(e) => setField('turn', e.target.value)}
+                                    style={inputStyle}
+                                />
+                            </div>
+                        </div>
+                        <div style={{ marginBottom: '1em' }}>
+                            <label style={labelStyle}>Where did you finish?</label>
+                            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5em' }}>
+                                {[
+                                    ...places.map(place => ({
+                                        key: place,
+                                        label: place === 1 ? '1st (won)' : ordinal(place),
+                                        result: place === 1 ? 'win' : 'loss',
+                                        placement: place
+                                    })),
+                                    { key: 'draw', label: RESULTS.draw, result: 'draw', placement: null },
+                                    { key: 'unfinished', label: RESULTS.unfinished, result: 'unfinished', placement: null }
+                                ].map(option => {
+                                    const selected = form.result === option.result && form.placement === option.placement;
+                                    return (
+                                        <button
+                                            key={option.key}
+                                            onClick={() => handleFinishChange(option.result, option.placement)}
+                                            style={{
+                                                flex: '1 0 auto',
+                                                padding: '0.5em',
+                                                fontSize: '16px',
+                                                backgroundColor: selected ? '#2196F3' : '#f0f0f0',
+                                                color: selected ? 'white' : '#333',
+                                                border: 'none',
+                                                borderRadius: '4px',
+                                                cursor: 'pointer'
+                                            }}
+                                        >
+                                            {option.label}
+                                        </button>
+                                    );
+                                })}
+                            </div>
+                            {form.result === 'loss' && (
+                                <div style={{ marginTop: '0.5em' }}>
+                                    <label style={labelStyle}>Who won?</label>
+                                    <select
+                                        value={form.opponents.findIndex(opponent => opponent.won)}
+                                        onChange={(e) => setWinner(Number(e.target.value))}
+                                        style={inputStyle}
+                                    >
+                                        <option value={-1}>Not recorded</option>
+                                        {form.opponents.map((opponent, index) => (
+                                            <option key={index} value={index}>{describeOpponent(opponent, index)}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            )}
+                            {form.result === 'loss' && (
+                                <label style={{ display: 'block', marginTop: '0.5em' }}>
+                                    <input
+                                        type="checkbox"
+                                        checked={Boolean(form.conceded)}
+                                        onChange={(e) => setField('conceded', e.target.checked)}
+                                        style={{ marginRight: '0.5em' }}
+                                    />
+                                    I conceded
+                                </label>
+                            )}
+                        </div>
+                        <div style={{ marginBottom: '1em' }}>
+                            <label style={labelStyle}>Opponents and their commanders:</label>
+                            {form.opponents.map((opponent, index) => (
+                                <div key={index} style={{ display: 'flex', gap: '0.5em', marginBottom: '0.5em' }}>
+                                    {players.length > 0 && (
+                                        <select
+                                            value={opponent.playerId || ''}
+                                            onChange={(e) => setOpponent(index, 'playerId', e.target.value || null)}
+                                            style={{ ...inputStyle, width: 'auto', flex: '0 0 35%' }}
+                                        >
+                                            <option value="">Player...</option>
+                                            {players.map(player => (
+                                                <option key={player.id} value={player.id}>{player.name}</option>
+                                            ))}
+                                        </select>
+                                    )}
+                                    <CardNameInput
+                                        value={opponent.commander}
+                                        onChange={(value) => setOpponent(index, 'commander', value)}
+                                        onSubmit={(value) => setOpponent(index, 'commander', value)}
+                                        placeholder={`Opponent ${index + 1}'s commander`}
+                                    />
+                                </div>
+                            ))}
+                        </div>
+                    </>
+                )}
+
+                <div style={{ marginBottom: '1em' }}>
+                    <label style={labelStyle}>{isSummary ? 'Mulligans (in all those games):' : 'Mulligans:'}</label>
+                    <input
+                        type="number"
+                        min="0"
+                        value={form.mulligans}
+                        onChange={(e) => setField('mulligans', e.target.value)}
+                        style={inputStyle}
+                    />
+                </div>
+
+                <div style={{ marginBottom: '1em' }}>
+                    <label style={labelStyle}>Note:</label>
+                    <textarea
+                        value={form.note}
+                        onChange={(e) => setField('note', e.target.value)}
+                        placeholder="What happened? What went well or badly?"
+                        style={{ ...inputStyle, minHeight: '80px', fontFamily: 'sans-serif', fontSize: '14px' }}
+                    />
+                </div>
+
+                <div style={{ display: 'flex', gap: '1em', justifyContent: 'flex-end' }}>
+                    <button
+                        onClick={onClose}
+                        style={{
+                            padding: '0.75em 1.5em',
+                            fontSize: '16px',
+                            backgroundColor: '#ccc',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '4px',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleSave}
+                        style={{
+                            padding: '0.75em 1.5em',
+                            fontSize: '16px',
+                            backgroundColor: '#4CAF50',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '4px',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        Save
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default GameForm;
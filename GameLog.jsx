@@ -0,0 +1,117 @@
+/**
+ * GAME LOG - Every Game a Deck Has Played
+ *
+ * A table of the deck's games, newest first: the date, result and where we
+ * finished, pod size, the opponents and their commanders, the turn it
+ * ended, mulligans and the note. Each game
+ * can be edited or deleted. Totals carried over from before the game log
+ * show up as one "earlier games" row.
+ */
+
+// Import React - needed for all React components
+import React from 'react';
+// Import the game log helpers
+import { RESULTS, ordinal, sortGamesNewestFirst } from './gameResults';
+
+// Shared look for the table cells
+const cellStyle = { padding: '0.5em', borderBottom: '1px solid #eee', textAlign: 'left', verticalAlign: 'top' };
+
+// What color each result is shown in
+const RESULT_COLORS = { win: '#4CAF50', loss: '#f44336', draw: '#666', unfinished: '#999' };
+
+/**
+ * Describe one opponent, like "Sam: Atraxa, Praetors' Voice (won)".
+ */
+const describeOpponent = (opponent, players) => {
+    const player = players.find(other => other.id === opponent.playerId);
+    const who = [player?.name, opponent.commander].filter(Boolean).join(': ');
+    return opponent.won ? `${who} (won)` : who;
+};
+
+/**
+ * GAME LOG COMPONENT
+ *
+ * @param {Array} games - The deck's game log (see gameResults.js)
+ * @param {Array} players - The playgroup, to show opponents' names (see playgroup.js)
+ * @param {Function} onEdit - Called with an entry when its "Edit" button is clicked
+ * @param {Function} onDelete - Called with an entry when its "Delete" button is clicked
+ */
+function GameLog({ games, players = [], onEdit, onDelete }) {
+    if (!games || games.length === 0) {
+        return <p style={{ color: '#666' }}>No games logged yet. Click "Log a Game" after you play.</p>;
+    }
+
+    const smallButtonStyle = {
+        padding: '0.25em 0.75em',
+        fontSize: '12px',
+        border: 'none',
+        borderRadius: '4px',
+        cursor: 'pointer',
+        marginLeft: '0.25em'
+    };
+
+    return (
+        <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+                <thead>
+                    <tr>
+                        <th style={cellStyle}>Date</th>
+                        <th style={cellStyle}>Result</th>
+                        <th style={cellStyle}>Pod</th>
+                        <th style={cellStyle}>Opponents</th>
+                        <th style={cellStyle}>Turn</th>
+                        <th style={cellStyle}>Mulligans</th>
+                        <th style={cellStyle}>Note</th>
+                        <th style={cellStyle}></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {sortGamesNewestFirst(games).map(game => (
+                        <tr key={game.id}>
+                            <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>{game.playedAt}</td>
+                            {game.kind === 'summary' ? (
+                                <td colSpan={4} style={cellStyle}>
+                                    <strong>{game.wins}-{game.losses}</strong>
+                                    <span style={{ color: '#666' }}> in {game.wins + game.losses} earlier games</span>
+                                </td>
+                            ) : (
+                                <>
+                                    <td style={{ ...cellStyle, color: RESULT_COLORS[game.result], fontWeight: 'bold' }}>
+                                        {RESULTS[game.result]}
+                                        {game.result === 'loss' && game.placement && (
+                                            <span style={{ fontWeight: 'normal' }}> ({ordinal(game.placement)})</span>
+                                        )}
+                                        {game.conceded && (
+                                            <div style={{ fontWeight: 'normal', fontSize: '12px', color: '#666' }}>conceded</div>
+                                        )}
+                                    </td>
+                                    <td style={cellStyle}>{game.podSize ?? '-'}</td>
+                                    <td style={cellStyle}>
+                                        {game.opponents.length > 0
+                                            ? game.opponents.map((opponent, index) => (
+                                                <div key={index}>{describeOpponent(opponent, players)}</div>
+                                            ))
+                                            : '-'}
+                                    </td>
+                                    <td style={cellStyle}>{game.turn ?? '-'}</td>
+                                </>
+                            )}
+                            <td style={cellStyle}>{game.mulligans}</td>
+                            <td style={{ ...cellStyle, color: '#666' }}>{game.note}</td>
+                            <td style={{ ...cellStyle, whiteSpace: 'nowrap', textAlign: 'right' }}>
+                                <button onClick={() => onEdit(game)} style={{ ...smallButtonStyle, backgroundColor: '#f0f0f0', color: '#333' }}>
+                                    Edit
+                                </button>
+                                <button onClick={() => onDelete(game)} style={{ ...smallButtonStyle, backgroundColor: '#f44336', color: 'white' }}>
+                                    Delete
+                                </button>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+export default GameLog;
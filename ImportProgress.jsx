@@ -0,0 +1,79 @@
+/**
+ * IMPORT PROGRESS - Show How Far Along an Import Is
+ *
+ * While an import looks up its cards, this shows a progress bar, which card
+ * is being looked up right now, how many are done, and any names that
+ * couldn't be found so far. The "Stop Import" button cancels the lookup; the
+ * import is kept as a draft so it can be resumed later.
+ */
+
+// Import React - needed for all React components
+import React from 'react';
+
+/**
+ * IMPORT PROGRESS COMPONENT
+ *
+ * @param {Object|null} progress - { done, total, stage, current, failed } from the card lookup (null before it starts)
+ * @param {Function} onCancel - Called when the user clicks "Stop Import"
+ */
+function ImportProgress({ progress, onCancel }) {
+    const done = progress?.done || 0;
+    const total = progress?.total || 0;
+    const failed = progress?.failed || [];
+    // Everything was already in the card cache: nothing to fetch, so we're as good as done
+    const percent = total > 0 ? Math.round((done / total) * 100) : progress ? 100 : 0;
+
+    return (
+        <div style={{ marginBottom: '1em' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '14px', marginBottom: '0.5em' }}>
+                <span>
+                    {!progress && 'Checking the card cache...'}
+                    {progress && progress.stage === 'fuzzy' && 'Searching for names that didn\'t match exactly...'}
+                    {progress && progress.stage !== 'fuzzy' && 'Looking up cards...'}
+                </span>
+                <strong>{done}/{total}</strong>
+            </div>
+
+            {/* The progress bar: a grey track with a green fill */}
+            <div style={{ height: '12px', backgroundColor: '#eee', borderRadius: '6px', overflow: 'hidden' }}>
+                <div style={{
+                    width: `${percent}%`,
+                    height: '100%',
+                    backgroundColor: '#4CAF50',
+                    transition: 'width 0.2s'
+                }} />
+            </div>
+
+            {progress?.current && (
+                <div style={{ fontSize: '12px', color: '#666', marginTop: '0.5em' }}>
+                    Now: {progress.current}
+                </div>
+            )}
+
+            {failed.length > 0 && (
+                <div style={{ fontSize: '12px', color: '#c62828', marginTop: '0.5em' }}>
+                    Not found so far ({failed.length}): {failed.join(', ')}
+                </div>
+            )}
+
+            <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: '1em' }}>
+                <button
+                    onClick={onCancel}
+                    style={{
+                        padding: '0.75em 1.5em',
+                        fontSize: '16px',
+                        backgroundColor: '#f44336',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '4px',
+                        cursor: 'pointer'
+                    }}
+                >
+                    Stop Import
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default ImportProgress;
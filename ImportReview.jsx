@@ -0,0 +1,281 @@
+/**
+ * IMPORT REVIEW - Double-Check Cards Before the Deck Is Saved
+ *
+ * When a card name in a pasted decklist doesn't exactly match a real card,
+ * we shouldn't just guess and move on - a typo could quietly turn into a
+ * completely different card. This screen appears during import whenever some
+ * lines were only "fuzzy" matched (a best guess) or couldn't be found at all.
+ *
+ * For each of those lines you can:
+ * - Pick the right card from a row of candidate pictures
+ * - Fix the name and search again
+ * - Drop the line so it isn't added to the deck
+ *
+ * Once every line has a card picked (or has been dropped), "Create Deck"
+ * finishes the import.
+ */
+
+// Import React and its tools for managing data that changes over time
+import React, { useState, useEffect } from 'react';
+// Import the Scryfall helpers for searching and showing card pictures
+import { fetchCardFuzzy, searchCardCandidates, getCardImageUrl } from './scryfall';
+
+/**
+ * Put the best guess first and remove duplicate cards from the candidate list.
+ */
+const mergeCandidates = (guess, candidates) => {
+    const merged = guess ? [guess, ...candidates] : candidates;
+    return merged.filter((card, index) => merged.findIndex(other => other.id === card.id) === index);
+};
+
+/**
+ * IMPORT REVIEW COMPONENT
+ *
+ * @param {Array} items - The lines that need review: { key, label, name, quantity, match, card }
+ * @param {Function} onConfirm - Called with { [key]: { card, dropped } } when the user clicks "Create Deck"
+ * @param {Function} onCancel - Called when the user wants to go back and edit the decklist
+ */
+function ImportReview({ items, onConfirm, onCancel }) {
+    /**
+     * One row per line being reviewed. Besides the original line, each row remembers:
+     * - query: The name typed in the search box
+     * - selected: The card currently picked (a fuzzy match starts out picked)
+     * - dropped: Whether the user chose to leave this line out
+     * - candidates: Possible cards to choose from
+     * - loading: Whether we're still searching for candidates
+     */
+    const [rows, setRows] = useState(() => items.map(item => ({
+        ...item,
+        query: item.name,
+        selected: item.card || null,
+        dropped: false,
+        candidates: item.card ? [item.card] : [],
+        loading: true
+    })));
+
+    // Change one row without touching the others
+    const updateRow = (key, changes) => {
+        setRows(current => current.map(row => (row.key === key ? { ...row, ...changes } : row)));
+    };
+
+    /**
+     * FIND CANDIDATES FOR EVERY LINE WHEN THE SCREEN OPENS
+     *
+     * We search one line at a time with a short pause in between, to be
+     * polite to Scryfall's servers.
+     */
+    useEffect(() => {
+        let cancelled = false;
+
+        const loadCandidates = async () => {
+            for (const item of items) {
+                const candidates = await searchCardCandidates(item.name);
+                if (cancelled) return;
+                updateRow(item.key, { candidates: mergeCandidates(item.card, candidates), loading: false });
+                await new Promise(resolve => setTimeout(resolve, 100));
+            }
+        };
+        loadCandidates();
+
+        // If the screen closes before we're done, stop updating it
+        return () => {
+            cancelled = true;
+        };
+    }, [items]);
+
+    /**
+     * SEARCH AGAIN WITH AN EDITED NAME
+     *
+     * Runs a fuzzy lookup (our best guess) and a search (more choices) for
+     * whatever is typed in the row's box.
+     *
+     * @param {Object} row - The row to search for
+     */
+    const handleSearch = async (row) => {
+        if (!row.query.trim()) return;
+        updateRow(row.key, { loading: true });
+
+        const guess = await fetchCardFuzzy(row.query.trim());
+        const candidates = await searchCardCandidates(row.query.trim());
+        updateRow(row.key, {
+            candidates: mergeCandidates(guess, candidates),
+            selected: guess || null,
+            dropped: false,
+            loading: false
+        });
+    };
+
+    // Every line needs a decision before the deck can be created
+    const unresolvedCount = rows.filter(row => !row.dropped && !row.selected).length;
+
+    const handleConfirm = () => {
+        const resolutions = {};
+        rows.forEach(row => {
+            resolutions[row.key] = { card: row.dropped ? null : row.selected, dropped: row.dropped };
+        });
+        onConfirm(resolutions);
+    };
+
+    return (
+        <div>
+            <h2 style={{ marginTop: 0 }}>Review Import</h2>
+            <p style={{ color: '#666', marginBottom: '1em', fontSize: '14px' }}>
+                {rows.length} {rows.length === 1 ? 'line' : 'lines'} couldn't be matched exactly.
+                Pick the right card for each one, fix the name and search again, or drop the line.
+            </p>
+
+            {rows.map(row => (
+                <div
+                    key={row.key}
+                    style={{
+                        border: '2px solid #ddd',
+                        borderRadius: '8px',
+                        padding: '1em',
+                        marginBottom: '1em',
+                        opacity: row.dropped ? 0.5 : 1
+                    }}
+                >
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5em' }}>
+                        <div>
+                            <strong>{row.label}</strong>
+                            <span style={{
+                                marginLeft: '0.5em',
+                                padding: '0.1em 0.5em',
+                                borderRadius: '4px',
+                                fontSize: '12px',
+                                color: 'white',
+                                backgroundColor: row.match === 'fuzzy' ? '#ff9800' : '#f44336'
+                            }}>
+                                {row.match === 'fuzzy' ? 'Best guess' : 'Not found'}
+                            </span>
+                        </div>
+                        <button
+                            onClick={() => updateRow(row.key, { dropped: !row.dropped })}
+                            style={{
+                                padding: '0.25em 0.75em',
+                                fontSize: '14px',
+                                backgroundColor: row.dropped ? '#4CAF50' : '#f44336',
+                                color: 'white',
+                                border: 'none',
+                                borderRadius: '4px',
+                                cursor: 'pointer'
+                            }}
+                        >
+                            {row.dropped ? 'Keep line' : 'Drop line'}
+                        </button>
+                    </div>
+
+                    {!row.dropped && (
+                        <>
+                            <div style={{ display: 'flex', gap: '0.5em', marginBottom: '0.5em' }}>
+                                <input
+                                    type="text"
+                                    value={row.query}
+                                    onChange={(e) => updateRow(row.key, { query: e.target.value })}
+                                    onKeyDown={(e) => e.key === 'Enter' && handleSearch(row)}
+                                    style={{
+                                        flex: 1,
+                                        padding: '0.5em',
+                                        fontSize: '14px',
+                                        border: '2px solid #ddd',
+                                        borderRadius: '4px'
+                                    }}
+                                />
+                                <button
+                                    onClick={() => handleSearch(row)}
+                                    disabled={row.loading}
+                                    style={{
+                                        padding: '0.5em 1em',
+                                        fontSize: '14px',
+                                        backgroundColor: '#2196F3',
+                                        color: 'white',
+                                        border: 'none',
+                                        borderRadius: '4px',
+                                        cursor: row.loading ? 'not-allowed' : 'pointer'
+                                    }}
+                                >
+                                    Search
+                                </button>
+                            </div>
+
+                            {row.loading && <div style={{ fontSize: '14px', color: '#666' }}>Searching...</div>}
+                            {!row.loading && row.candidates.length === 0 && (
+                                <div style={{ fontSize: '14px', color: '#666' }}>
+                                    No cards found. Try fixing the name, or drop this line.
+                                </div>
+                            )}
+
+                            <div style={{ display: 'flex', gap: '0.5em', overflowX: 'auto' }}>
+                                {row.candidates.map(card => (
+                                    <div
+                                        key={card.id}
+                                        onClick={() => updateRow(row.key, { selected: card })}
+                                        title={`${card.name} (${(card.set || '').toUpperCase()})`}
+                                        style={{
+                                            flex: '0 0 auto',
+                                            width: '110px',
+                                            cursor: 'pointer',
+                                            border: row.selected?.id === card.id ? '3px solid #2196F3' : '3px solid transparent',
+                                            borderRadius: '6px',
+                                            padding: '2px',
+                                            fontSize: '12px',
+                                            textAlign: 'center'
+                                        }}
+                                    >
+                                        {getCardImageUrl(card, 'small') && (
+                                            <img
+                                                src={getCardImageUrl(card, 'small')}
+                                                alt={card.name}
+                                                style={{ width: '100%', display: 'block', borderRadius: '4px' }}
+                                            />
+                                        )}
+                                        <div>{card.name}</div>
+                                    </div>
+                                ))}
+                            </div>
+                        </>
+                    )}
+                </div>
+            ))}
+
+            <div style={{ display: 'flex', gap: '1em', justifyContent: 'flex-end', alignItems: 'center' }}>
+                {unresolvedCount > 0 && (
+                    <span style={{ fontSize: '14px', color: '#666' }}>
+                        {unresolvedCount} {unresolvedCount === 1 ? 'line still needs' : 'lines still need'} a card or to be dropped
+                    </span>
+                )}
+                <button
+                    onClick={onCancel}
+                    style={{
+                        padding: '0.75em 1.5em',
+                        fontSize: '16px',
+                        backgroundColor: '#ccc',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '4px',
+                        cursor: 'pointer'
+                    }}
+                >
+                    Back
+                </button>
+                <button
+                    onClick={handleConfirm}
+                    disabled={unresolvedCount > 0}
+                    style={{
+                        padding: '0.75em 1.5em',
+                        fontSize: '16px',
+                        backgroundColor: unresolvedCount > 0 ? '#ccc' : '#4CAF50',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '4px',
+                        cursor: unresolvedCount > 0 ? 'not-allowed' : 'pointer'
+                    }}
+                >
+                    Create Deck
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default ImportReview;
@@ -0,0 +1,48 @@
+/**
+ * LEGALITY BADGE - A Small "Legal" / "Not Legal" Label
+ *
+ * Shows whether a deck passed the Commander legality check (see
+ * deckValidator.js): green when it did, red (with the number of problems)
+ * when it didn't, and grey if the deck hasn't been checked yet. Hovering over
+ * a red badge lists the problems.
+ */
+
+// Import React - needed for all React components
+import React from 'react';
+
+/**
+ * LEGALITY BADGE COMPONENT
+ *
+ * @param {Object|undefined} legality - The deck's saved check result ({ legal, violations })
+ */
+function LegalityBadge({ legality }) {
+    const { label, color, title } = !legality
+        ? { label: 'Not checked', color: '#999', title: 'Open the deck to check whether it\'s legal' }
+        : legality.legal
+            ? { label: 'Legal', color: '#4CAF50', title: 'This deck follows the Commander deck-building rules' }
+            : {
+                label: `Not legal (${legality.violations.length})`,
+                color: '#f44336',
+                title: legality.violations.map(violation => violation.message).join('\n')
+            };
+
+    return (
+        <span
+            title={title}
+            style={{
+                display: 'inline-block',
+                padding: '0.15em 0.6em',
+                fontSize: '12px',
+                fontWeight: 'bold',
+                color: 'white',
+                backgroundColor: color,
+                borderRadius: '10px',
+                whiteSpace: 'nowrap'
+            }}
+        >
+            {label}
+        </span>
+    );
+}
+
+export default LegalityBadge;
@@ -0,0 +1,114 @@
+/**
+ * MANA BASE REPORT - Can the Deck Cast Its Spells?
+ *
+ * Shown on a deck's page. For each of the deck's colors it shows:
+ * - What share of the deck's colored mana symbols ("pips") are that color
+ * - What share of its mana sources (lands and mana rocks) make that color
+ * - The chance of having a source of that color by turns 2, 3 and 4
+ * Colors with too few sources for how much the spells need them are
+ * flagged. Below that, the lands are split into ones that enter untapped,
+ * ones that sometimes enter tapped, and ones that always do.
+ */
+
+// Import React - needed for all React components
+import React from 'react';
+// Import the mana base helpers
+import { analyzeManaBase, CHECK_TURNS } from './manaBase';
+// Import the mana symbol circles and color names
+import ManaSymbols from './ManaSymbols';
+import { COLOR_INFO } from './colors';
+
+// Shared look for the table cells
+const cellStyle = { padding: '0.5em', borderBottom: '1px solid #eee', textAlign: 'center' };
+
+// Turn a 0-1 share into a percentage like "42%"
+const toPercent = (share) => `${Math.round(share * 100)}%`;
+
+/**
+ * MANA BASE REPORT COMPONENT
+ *
+ * @param {Array} cards - The deck's cards, filled in from the card cache (commanders not included)
+ * @param {Array<string>} colors - The deck's color identity
+ */
+function ManaBaseReport({ cards, colors }) {
+    const report = analyzeManaBase(cards, colors || []);
+    const shortColors = report.colors.filter(row => row.short);
+
+    if (report.colors.length === 0) {
+        return <p style={{ color: '#666' }}>This deck doesn't use any colored mana.</p>;
+    }
+
+    return (
+        <div>
+            {shortColors.length > 0 && (
+                <div style={{
+                    padding: '0.75em 1em',
+                    backgroundColor: '#ffebee',
+                    border: '1px solid #f44336',
+                    borderRadius: '4px',
+                    marginBottom: '1em',
+                    fontSize: '14px'
+                }}>
+                    Short on sources: {shortColors.map(row => COLOR_INFO[row.color].name).join(', ')}.
+                    {' '}These colors make up more of your spells' costs than of your mana sources.
+                </div>
+            )}
+
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+                <thead>
+                    <tr>
+                        <th style={{ ...cellStyle, textAlign: 'left' }}>Color</th>
+                        <th style={cellStyle}>Pips</th>
+                        <th style={cellStyle}>Sources</th>
+                        {CHECK_TURNS.map(turn => (
+                            <th key={turn} style={cellStyle}>By turn {turn}</th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody>
+                    {report.colors.map(row => (
+                        <tr key={row.color} style={{ backgroundColor: row.short ? '#ffebee' : 'transparent' }}>
+                            <td style={{ ...cellStyle, textAlign: 'left' }}>
+                                <ManaSymbols colors={[row.color]} /> {COLOR_INFO[row.color].name}
+                            </td>
+                            <td style={cellStyle}>{row.pips} ({toPercent(row.pipShare)})</td>
+                            <td style={{ ...cellStyle, color: row.short ? '#f44336' : 'inherit', fontWeight: row.short ? 'bold' : 'normal' }}>
+                                {row.sources} ({toPercent(row.sourceShare)})
+                            </td>
+                            {CHECK_TURNS.map(turn => (
+                                <td key={turn} style={cellStyle}>{toPercent(row.chances[turn])}</td>
+                            ))}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <div style={{ fontSize: '12px', color: '#666', marginTop: '0.5em' }}>
+                Sources are lands and mana rocks. "By turn" is the chance of having drawn at least one source of that
+                color by then, counting your opening hand and a draw every turn (including the first), without mulligans.
+            </div>
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '1em', marginTop: '1.5em' }}>
+                {[
+                    ['Untapped', report.lands.untapped],
+                    ['Sometimes tapped', report.lands.conditional],
+                    ['Always tapped', report.lands.tapped]
+                ].map(([title, lands]) => (
+                    <div key={title}>
+                        <h3 style={{ marginTop: 0 }}>{title} ({lands.reduce((sum, card) => sum + card.quantity, 0)})</h3>
+                        {lands.length > 0 ? (
+                            <ul style={{ margin: 0, paddingLeft: '1.25em', fontSize: '14px' }}>
+                                {lands.map(card => (
+                                    <li key={card.name}>{card.quantity > 1 ? `${card.quantity} ` : ''}{card.name}</li>
+                                ))}
+                            </ul>
+                        ) : (
+                            <p style={{ color: '#666', fontSize: '14px', margin: 0 }}>None</p>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default ManaBaseReport;
@@ -0,0 +1,51 @@
+/**
+ * MANA SYMBOLS - Little Colored Circles for a Deck's Colors
+ *
+ * Draws one circle per color (W, U, B, R, G), like the mana symbols printed
+ * on Magic cards. A colorless deck gets a single grey "C". Hovering over the
+ * symbols shows the combination's name (like "Golgari").
+ */
+
+// Import React - needed for all React components
+import React from 'react';
+// Import the color names and drawing colors
+import { COLOR_INFO, sortColors, getColorCombinationName } from './colors';
+
+/**
+ * MANA SYMBOLS COMPONENT
+ *
+ * @param {Array<string>} colors - The colors to show, like ['B', 'G']
+ * @param {number} size - How big each circle is, in pixels
+ */
+function ManaSymbols({ colors, size = 20 }) {
+    const sorted = sortColors(colors);
+    const symbols = sorted.length > 0 ? sorted : ['C'];
+
+    return (
+        <span title={getColorCombinationName(sorted)} style={{ display: 'inline-flex', gap: '2px', verticalAlign: 'middle' }}>
+            {symbols.map(color => (
+                <span
+                    key={color}
+                    style={{
+                        display: 'inline-flex',
+                        alignItems: 'center',
+                        justifyContent: 'center',
+                        width: size,
+                        height: size,
+                        borderRadius: '50%',
+                        backgroundColor: COLOR_INFO[color].fill,
+                        color: COLOR_INFO[color].text,
+                        border: '1px solid rgba(0,0,0,0.3)',
+                        fontSize: size * 0.6,
+                        fontWeight: 'bold',
+                        boxSizing: 'border-box'
+                    }}
+                >
+                    {color}
+                </span>
+            ))}
+        </span>
+    );
+}
+
+export default ManaSymbols;
@@ -0,0 +1,342 @@
+/**
+ * OPENING HANDS - Goldfish a Deck's First Few Turns
+ *
+ * Shown on a deck's page. Two tools:
+ * - A sample game: deal seven cards, take London mulligans (putting cards
+ *   on the bottom by clicking them), keep, then draw a card each turn
+ *   (turn 1 included) for the first several turns
+ * - A batch: deal thousands of hands and show how many lands they have and
+ *   how often they pass your keep rules (a land range, plus an optional
+ *   card search such as "t:creature cmc<=2")
+ *
+ * Commanders aren't in the library, so they're never drawn.
+ */
+
+// Import React and its tools for managing data that changes over time
+import React, { useState } from 'react';
+// Import the shuffling, dealing and mulligan helpers
+import {
+    buildLibrary,
+    startGame,
+    takeMulligan,
+    putOnBottom,
+    keepHand,
+    drawForTurn,
+    simulateOpeningHands,
+    isLand,
+    MAX_TURNS,
+    DEFAULT_BATCH_SIZE,
+    DEFAULT_KEEP_RULES
+} from './goldfish';
+// Import the card search, for keep rules like "at least 1 t:creature cmc<=2"
+import { parseQuery, QuerySyntaxError } from './cardQuery';
+
+// Shared look for the buttons
+const buttonStyle = {
+    padding: '0.5em 1em',
+    fontSize: '14px',
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer'
+};
+
+const inputStyle = {
+    padding: '0.4em',
+    fontSize: '14px',
+    border: '2px solid #ddd',
+    borderRadius: '4px'
+};
+
+// Turn a 0-1 share into a percentage like "42.3%"
+const toPercent = (share) => `${(share * 100).toFixed(1)}%`;
+
+/**
+ * LAND COUNT CHART
+ *
+ * One bar per number of lands (0 to 7), as a share of all the hands dealt.
+ * Bars for land counts the keep rules allow are green, the others grey.
+ *
+ * @param {Array<number>} landCounts - How many hands had 0, 1, 2, ... lands
+ * @param {number} count - How many hands were dealt
+ * @param {Object} rules - The keep rules, to color the bars
+ */
+function LandCountChart({ landCounts, count, rules }) {
+    const width = 480;
+    const height = 200;
+    const top = 20;
+    const bottom = 24;
+    const slot = width / landCounts.length;
+    const barWidth = slot * 0.6;
+    const scale = (height - top - bottom) / Math.max(1, ...landCounts);
+
+    return (
+        <svg viewBox={`0 0 ${width} ${height}`} style={{ width: '100%', maxWidth: `${width}px` }} role="img">
+            {landCounts.map((hands, lands) => {
+                const x = lands * slot + (slot - barWidth) / 2;
+                const barHeight = hands * scale;
+                const allowed = lands >= rules.minLands && lands <= rules.maxLands;
+                return (
+                    <g key={lands}>
+                        <rect x={x} y={height - bottom - barHeight} width={barWidth} height={barHeight} fill={allowed ? '#4CAF50' : '#bbb'}>
+                            <title>{`${lands} lands: ${hands} hands`}</title>
+                        </rect>
+                        {hands > 0 && (
+                            <text x={x + barWidth / 2} y={height - bottom - barHeight - 4} textAnchor="middle" fontSize="11" fill="#333">
+                                {toPercent(hands / count)}
+                            </text>
+                        )}
+                        <text x={x + barWidth / 2} y={height - 6} textAnchor="middle" fontSize="12" fill="#666">{lands}</text>
+                    </g>
+                );
+            })}
+            <line x1="0" y1={height - bottom} x2={width} y2={height - bottom} stroke="#ddd" />
+        </svg>
+    );
+}
+
+/**
+ * OPENING HANDS COMPONENT
+ *
+ * @param {Array} cards - The deck's cards, filled in from the card cache
+ * @param {Array} commandZone - The deck's commanders, partners, backgrounds and companions (left out of the library)
+ */
+function OpeningHands({ cards, commandZone }) {
+    /**
+     * STATE VARIABLES
+     *
+     * - game: The sample game being played (null until "New Hand" is clicked)
+     * - freeMulligan: Whether the first mulligan is free
+     * - rules: The keep rules for the batch ({ minLands, maxLands, query, minMatches })
+     * - batchSize: How many hands the batch deals
+     * - results: The batch's results (null until it's run)
+     * - running: Whether the batch is being dealt right now
+     * - error: What's wrong with the keep rules' card search, if anything
+     */
+    const [game, setGame] = useState(null);
+    const [freeMulligan, setFreeMulligan] = useState(true);
+    const [rules, setRules] = useState(DEFAULT_KEEP_RULES);
+    const [batchSize, setBatchSize] = useState(DEFAULT_BATCH_SIZE);
+    const [results, setResults] = useState(null);
+    const [running, setRunning] = useState(false);
+    const [error, setError] = useState('');
+
+    const library = buildLibrary(cards, commandZone);
+
+    // Change one keep rule (the old results no longer match, so clear them)
+    const setRule = (field, value) => {
+        setRules(current => ({ ...current, [field]: value }));
+        setResults(null);
+    };
+
+    /**
+     * RUN THE BATCH
+     *
+     * Dealing thousands of hands takes a moment, so we show "Dealing..."
+     * first and start on the next tick, once the page has had a chance to
+     * update.
+     */
+    const handleRunBatch = () => {
+        let matchesQuery = null;
+        try {
+            matchesQuery = rules.query.trim() ? parseQuery(rules.query) : null;
+        } catch (queryError) {
+            if (!(queryError instanceof QuerySyntaxError)) throw queryError;
+            setError(queryError.message);
+            return;
+        }
+        setError('');
+        setRunning(true);
+        setTimeout(() => {
+            setResults(simulateOpeningHands(library, rules, matchesQuery, batchSize));
+            setRunning(false);
+        }, 0);
+    };
+
+    if (library.length === 0) {
+        return <p style={{ color: '#666' }}>This deck has no cards to shuffle yet.</p>;
+    }
+
+    const landsInHand = game ? game.hand.filter(entry => isLand(entry.card)).length : 0;
+
+    return (
+        <div>
+            {/* A sample game, one step at a time */}
+            <h3 style={{ marginTop: 0 }}>Sample Hand</h3>
+            <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.5em', marginBottom: '1em' }}>
+                <button onClick={() => setGame(startGame(library, { freeMulligan }))} style={{ ...buttonStyle, backgroundColor: '#2196F3' }}>
+                    New Hand
+                </button>
+                <button
+                    onClick={() => setGame(takeMulligan(game))}
+                    disabled={!game || game.kept}
+                    style={{ ...buttonStyle, backgroundColor: '#f44336', opacity: !game || game.kept ? 0.5 : 1 }}
+                >
+                    Mulligan
+                </button>
+                <button
+                    onClick={() => setGame(keepHand(game))}
+                    disabled={!game || game.kept || game.toBottom > 0}
+                    style={{ ...buttonStyle, backgroundColor: '#4CAF50', opacity: !game || game.kept || game.toBottom > 0 ? 0.5 : 1 }}
+                >
+                    Keep
+                </button>
+                <button
+                    onClick={() => setGame(drawForTurn(game))}
+                    disabled={!game || !game.kept || game.turn >= MAX_TURNS}
+                    style={{ ...buttonStyle, backgroundColor: '#2196F3', opacity: !game || !game.kept || game.turn >= MAX_TURNS ? 0.5 : 1 }}
+                >
+                    Next Turn
+                </button>
+                <label style={{ fontSize: '14px', marginLeft: '0.5em' }}>
+                    <input
+                        type="checkbox"
+                        checked={freeMulligan}
+                        onChange={(e) => setFreeMulligan(e.target.checked)}
+                        style={{ marginRight: '0.5em' }}
+                    />
+                    First mulligan is free
+                </label>
+            </div>
+
+            {game && (
+                <>
+                    <p style={{ color: '#666', fontSize: '14px' }}>
+                        {game.kept ? `Turn ${game.turn}` : 'Opening hand'}
+                        {game.mulligans > 0 && ` - ${game.mulligans} mulligan${game.mulligans === 1 ? '' : 's'}`}
+                        {` - ${landsInHand} land${landsInHand === 1 ? '' : 's'} in hand - ${game.library.length} cards in library`}
+                        {game.toBottom > 0 && (
+                            <strong style={{ color: '#f44336' }}>
+                                {` - click ${game.toBottom} card${game.toBottom === 1 ? '' : 's'} to put on the bottom`}
+                            </strong>
+                        )}
+                    </p>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5em', marginBottom: '1.5em' }}>
+                        {game.hand.map((entry, index) => (
+                            <div
+                                key={`${entry.card.name}-${entry.card.copy}`}
+                                onClick={() => setGame(putOnBottom(game, index))}
+                                title={game.toBottom > 0 ? `Put ${entry.card.name} on the bottom` : entry.card.name}
+                                style={{
+                                    width: '110px',
+                                    position: 'relative',
+                                    cursor: game.toBottom > 0 ? 'pointer' : 'default'
+                                }}
+                            >
+                                {entry.card.imageUrl ? (
+                                    <img src={entry.card.imageUrl} alt={entry.card.name} style={{ width: '100%', borderRadius: '5px', display: 'block' }} />
+                                ) : (
+                                    <div style={{
+                                        height: '153px',
+                                        padding: '0.4em',
+                                        fontSize: '12px',
+                                        backgroundColor: '#f0f0f0',
+                                        border: '1px solid #ccc',
+                                        borderRadius: '5px',
+                                        boxSizing: 'border-box'
+                                    }}>
+                                        {entry.card.name}
+                                    </div>
+                                )}
+                                {entry.turn > 0 && (
+                                    <span style={{
+                                        position: 'absolute',
+                                        top: '4px',
+                                        left: '4px',
+                                        padding: '0 0.4em',
+                                        fontSize: '11px',
+                                        fontWeight: 'bold',
+                                        backgroundColor: 'rgba(0,0,0,0.7)',
+                                        color: 'white',
+                                        borderRadius: '4px'
+                                    }}>
+                                        T{entry.turn}
+                                    </span>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                </>
+            )}
+
+            {/* Thousands of hands at once */}
+            <h3>Keepable Hands</h3>
+            <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.75em', fontSize: '14px', marginBottom: '1em' }}>
+                <label>
+                    Keep with{' '}
+                    <input
+                        type="number"
+                        min="0"
+                        max="7"
+                        value={rules.minLands}
+                        onChange={(e) => setRule('minLands', Math.max(0, parseInt(e.target.value, 10) || 0))}
+                        style={{ ...inputStyle, width: '3.5em' }}
+                    />
+                    {' '}to{' '}
+                    <input
+                        type="number"
+                        min="0"
+                        max="7"
+                        value={rules.maxLands}
+                        onChange={(e) => setRule('maxLands', Math.max(0, parseInt(e.target.value, 10) || 0))}
+                        style={{ ...inputStyle, width: '3.5em' }}
+                    />
+                    {' '}lands
+                </label>
+                <label>
+                    and at least{' '}
+                    <input
+                        type="number"
+                        min="1"
+                        max="7"
+                        value={rules.minMatches}
+                        onChange={(e) => setRule('minMatches', Math.max(1, parseInt(e.target.value, 10) || 1))}
+                        style={{ ...inputStyle, width: '3.5em' }}
+                    />
+                    {' '}cards matching{' '}
+                    <input
+                        type="text"
+                        value={rules.query}
+                        onChange={(e) => setRule('query', e.target.value)}
+                        placeholder="t:creature cmc<=2 (optional)"
+                        style={{ ...inputStyle, width: '14em' }}
+                    />
+                </label>
+                <label>
+                    Deal{' '}
+                    <select value={batchSize} onChange={(e) => setBatchSize(Number(e.target.value))} style={inputStyle}>
+                        {[1000, 10000, 50000].map(size => (
+                            <option key={size} value={size}>{size.toLocaleString()}</option>
+                        ))}
+                    </select>
+                    {' '}hands
+                </label>
+                <button onClick={handleRunBatch} disabled={running} style={{ ...buttonStyle, backgroundColor: '#4CAF50' }}>
+                    {running ? 'Dealing...' : 'Run'}
+                </button>
+            </div>
+            {error && <p style={{ color: '#f44336', fontSize: '14px' }}>{error}</p>}
+
+            {results && (
+                <div>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '2em', marginBottom: '1em' }}>
+                        <div>
+                            <div style={{ fontSize: '24px', fontWeight: 'bold' }}>{toPercent(results.keepRate)}</div>
+                            <div style={{ color: '#666', fontSize: '14px' }}>of seven-card hands are keeps</div>
+                        </div>
+                        {freeMulligan && (
+                            <div>
+                                <div style={{ fontSize: '24px', fontWeight: 'bold' }}>{toPercent(results.keepWithFreeMulligan)}</div>
+                                <div style={{ color: '#666', fontSize: '14px' }}>keep seven cards after at most the free mulligan</div>
+                            </div>
+                        )}
+                    </div>
+                    <h4 style={{ margin: '0 0 0.5em 0' }}>Lands in the opening hand ({results.count.toLocaleString()} hands)</h4>
+                    <LandCountChart landCounts={results.landCounts} count={results.count} rules={rules} />
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default OpeningHands;
@@ -0,0 +1,292 @@
+/**
+ * PLAYERS PAGE - The Playgroup and Who Beats Whom
+ *
+ * Lists the people we play with. Each player can be linked to the decks
+ * they play: decks saved in this app, and decks that only exist somewhere
+ * else (a friend's deck, say), which are just typed in by name.
+ *
+ * When games are logged with the opponents' players filled in, this page
+ * shows each player's record and win rate, the players they face most
+ * often, and a head-to-head table of how every pair of players has done
+ * against each other.
+ */
+
+// Import React and its tools for managing data that changes over time
+import React, { useState } from 'react';
+// Import the tool for linking to deck pages
+import { Link } from 'react-router-dom';
+// Import the deck storage (to link players to saved decks, and for the games)
+import { getDecks } from './deckStorage';
+// Import the playgroup storage and the records worked out from it
+import { getPlayers, createPlayer, updatePlayer, deletePlayer, getPlaygroupRecords } from './playgroup';
+// Import the win rate formula, so players' win rates match the decks'
+import { getWinRate } from './deckAnalysis';
+
+// The white boxes each section sits in
+const panelStyle = {
+    backgroundColor: 'white',
+    padding: '1.5em',
+    borderRadius: '8px',
+    boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+    marginBottom: '2em'
+};
+
+const cellStyle = { padding: '0.5em', borderBottom: '1px solid #eee', textAlign: 'center' };
+
+const inputStyle = {
+    padding: '0.5em',
+    fontSize: '14px',
+    border: '2px solid #ddd',
+    borderRadius: '4px'
+};
+
+const smallButtonStyle = {
+    padding: '0.5em 1em',
+    fontSize: '14px',
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer'
+};
+
+function PlayerList() {
+    /**
+     * STATE VARIABLES
+     *
+     * - players: Everyone in the playgroup
+     * - decks: Every saved deck (to link to players, and for their game logs)
+     * - newPlayerName: What's typed in the "Add a player" box
+     * - deckNameInputs: What's typed in each player's "deck played elsewhere" box (by player id)
+     */
+    const [players, setPlayers] = useState(() => getPlayers());
+    const [decks] = useState(() => getDecks());
+    const [newPlayerName, setNewPlayerName] = useState('');
+    const [deckNameInputs, setDeckNameInputs] = useState({});
+
+    const { records, headToHead } = getPlaygroupRecords(players, decks);
+    const playerName = (playerId) => players.find(player => player.id === playerId)?.name || 'Unknown';
+
+    // Save a change to one player (linking a deck to one player unlinks it from the others)
+    const changePlayer = (id, changes) => {
+        try {
+            setPlayers(updatePlayer(id, changes));
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    const handleAddPlayer = () => {
+        const name = newPlayerName.trim();
+        if (!name) return;
+        if (players.some(player => player.name.toLowerCase() === name.toLowerCase())) {
+            alert(`There's already a player called ${name}.`);
+            return;
+        }
+        try {
+            const player = createPlayer(name);
+            setPlayers([...players, player]);
+            setNewPlayerName('');
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    const handleDeletePlayer = (player) => {
+        if (!window.confirm(`Remove ${player.name} from the playgroup? Games they played stay in the decks' logs.`)) return;
+        try {
+            setPlayers(deletePlayer(player.id));
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    const handleAddDeckName = (player) => {
+        const name = (deckNameInputs[player.id] || '').trim();
+        if (!name || player.deckNames.includes(name)) return;
+        changePlayer(player.id, { deckNames: [...player.deckNames, name] });
+        setDeckNameInputs(current => ({ ...current, [player.id]: '' }));
+    };
+
+    // Saved decks nobody has been linked to yet
+    const unlinkedDecks = decks.filter(deck => !players.some(player => player.deckIds.includes(deck.id)));
+
+    return (
+        <div style={{ maxWidth: 1200, margin: '0 auto', padding: '2em', fontFamily: 'sans-serif' }}>
+            <h1 style={{ marginTop: 0 }}>Players</h1>
+
+            {/* Add someone to the playgroup */}
+            <div style={panelStyle}>
+                <h2 style={{ marginTop: 0 }}>Add a player</h2>
+                <div style={{ display: 'flex', gap: '0.5em' }}>
+                    <input
+                        type="text"
+                        value={newPlayerName}
+                        onChange={(e) => setNewPlayerName(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Enter' && handleAddPlayer()}
+                        placeholder="Player name"
+                        style={{ ...inputStyle, flex: 1 }}
+                    />
+                    <button onClick={handleAddPlayer} style={{ ...smallButtonStyle, backgroundColor: '#4CAF50' }}>
+                        Add Player
+                    </button>
+                </div>
+            </div>
+
+            {players.length === 0 ? (
+                <p style={{ color: '#666', textAlign: 'center' }}>
+                    No players yet. Add the people you play with, then pick them as opponents when you log a game.
+                </p>
+            ) : (
+                <>
+                    {/* One box per player: their decks and their record */}
+                    <div style={{
+                        display: 'grid',
+                        gridTemplateColumns: 'repeat(auto-fill, minmax(340px, 1fr))',
+                        gap: '2em',
+                        marginBottom: '2em'
+                    }}>
+                        {players.map(player => {
+                            const record = records[player.id];
+                            return (
+                                <div key={player.id} style={{ ...panelStyle, marginBottom: 0 }}>
+                                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                                        <h2 style={{ margin: 0 }}>{player.name}</h2>
+                                        <button
+                                            onClick={() => handleDeletePlayer(player)}
+                                            style={{ ...smallButtonStyle, backgroundColor: '#f44336' }}
+                                        >
+                                            Remove
+                                        </button>
+                                    </div>
+
+                                    <p style={{ color: '#666' }}>
+                                        {record.games} games, {record.wins} wins
+                                        {record.finishedGames > 0 && ` - ${getWinRate({ wins: record.wins, finishedGames: record.finishedGames })}% win rate`}
+                                    </p>
+                                    {record.mostFaced.length > 0 && (
+                                        <p style={{ fontSize: '14px' }}>
+                                            <strong>Most faced:</strong>{' '}
+                                            {record.mostFaced
+                                                .map(faced => `${playerName(faced.playerId)} (${faced.games})`)
+                                                .join(', ')}
+                                        </p>
+                                    )}
+
+                                    <h3 style={{ marginBottom: '0.5em' }}>Decks</h3>
+                                    {player.deckIds.length === 0 && player.deckNames.length === 0 && (
+                                        <p style={{ color: '#666', fontSize: '14px' }}>No decks linked yet.</p>
+                                    )}
+                                    <ul style={{ paddingLeft: '1.25em', fontSize: '14px' }}>
+                                        {player.deckIds.map(deckId => {
+                                            const deck = decks.find(other => other.id === deckId);
+                                            if (!deck) return null;
+                                            return (
+                                                <li key={deckId} style={{ marginBottom: '0.25em' }}>
+                                                    <Link to={`/deck/${deck.id}`}>{deck.name}</Link>{' '}
+                                                    <button
+                                                        onClick={() => changePlayer(player.id, { deckIds: player.deckIds.filter(other => other !== deckId) })}
+                                                        style={{ border: 'none', background: 'none', color: '#f44336', cursor: 'pointer' }}
+                                                        title="Unlink this deck"
+                                                    >
+                                                        ✕
+                                                    </button>
+                                                </li>
+                                            );
+                                        })}
+                                        {player.deckNames.map(name => (
+                                            <li key={name} style={{ marginBottom: '0.25em' }}>
+                                                {name} <span style={{ color: '#666' }}>(not saved here)</span>{' '}
+                                                <button
+                                                    onClick={() => changePlayer(player.id, { deckNames: player.deckNames.filter(other => other !== name) })}
+                                                    style={{ border: 'none', background: 'none', color: '#f44336', cursor: 'pointer' }}
+                                                    title="Remove this deck"
+                                                >
+                                                    ✕
+                                                </button>
+                                            </li>
+                                        ))}
+                                    </ul>
+
+                                    {/* Link one of the saved decks nobody plays yet */}
+                                    {unlinkedDecks.length > 0 && (
+                                        <select
+                                            value=""
+                                            onChange={(e) => e.target.value && changePlayer(player.id, { deckIds: [...player.deckIds, e.target.value] })}
+                                            style={{ ...inputStyle, width: '100%', marginBottom: '0.5em' }}
+                                        >
+                                            <option value="">Link a saved deck...</option>
+                                            {unlinkedDecks.map(deck => (
+                                                <option key={deck.id} value={deck.id}>{deck.name}</option>
+                                            ))}
+                                        </select>
+                                    )}
+
+                                    {/* Or type in a deck that isn't saved here */}
+                                    <div style={{ display: 'flex', gap: '0.5em' }}>
+                                        <input
+                                            type="text"
+                                            value={deckNameInputs[player.id] || ''}
+                                            onChange={(e) => setDeckNameInputs(current => ({ ...current, [player.id]: e.target.value }))}
+                                            onKeyDown={(e) => e.key === 'Enter' && handleAddDeckName(player)}
+                                            placeholder="A deck played elsewhere"
+                                            style={{ ...inputStyle, flex: 1 }}
+                                        />
+                                        <button onClick={() => handleAddDeckName(player)} style={{ ...smallButtonStyle, backgroundColor: '#2196F3' }}>
+                                            Add
+                                        </button>
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+
+                    {/* Every pair of players: row player's wins against the column player, and the other way round */}
+                    {players.length > 1 && (
+                        <div style={panelStyle}>
+                            <h2 style={{ marginTop: 0 }}>Head to Head</h2>
+                            <p style={{ color: '#666', fontSize: '14px', marginTop: 0 }}>
+                                Each box shows the games both players were in: how many the row's player won, then how many
+                                the column's player won. Games someone else won, draws and games cut short count in neither.
+                            </p>
+                            <div style={{ overflowX: 'auto' }}>
+                                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+                                    <thead>
+                                        <tr>
+                                            <th style={{ ...cellStyle, textAlign: 'left' }}></th>
+                                            {players.map(player => (
+                                                <th key={player.id} style={cellStyle}>{player.name}</th>
+                                            ))}
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {players.map(player => (
+                                            <tr key={player.id}>
+                                                <td style={{ ...cellStyle, textAlign: 'left', fontWeight: 'bold' }}>{player.name}</td>
+                                                {players.map(other => {
+                                                    const pair = headToHead[player.id][other.id];
+                                                    if (other.id === player.id || !pair) {
+                                                        return <td key={other.id} style={{ ...cellStyle, color: '#ccc' }}>-</td>;
+                                                    }
+                                                    const theirWins = headToHead[other.id][player.id].wins;
+                                                    return (
+                                                        <td key={other.id} style={cellStyle} title={`${pair.games} games together`}>
+                                                            <span style={{ color: pair.wins > theirWins ? '#4CAF50' : 'inherit' }}>{pair.wins}</span>
+                                                            -
+                                                            <span style={{ color: theirWins > pair.wins ? '#f44336' : 'inherit' }}>{theirWins}</span>
+                                                        </td>
+                                                    );
+                                                })}
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
+export default PlayerList;
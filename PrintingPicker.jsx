@@ -0,0 +1,139 @@
+/**
+ * PRINTING PICKER - Choose Which Version of a Card You Own
+ *
+ * Most Magic cards have been printed many times, in different sets with
+ * different art. This popup shows every printing of one card so you can pick
+ * the one that's actually in your deck (and say whether it's foil). The deck
+ * then remembers that printing and shows its picture.
+ */
+
+// Import React and its tools for managing data that changes over time
+import React, { useState, useEffect } from 'react';
+// Import the Scryfall helpers for finding printings and showing their pictures
+import { fetchCardPrintings, getCardImageUrl } from './scryfall';
+
+/**
+ * PRINTING PICKER COMPONENT
+ *
+ * @param {Object} card - The deck entry being changed ({ name, scryfallId, foil, ... })
+ * @param {Function} onSelect - Called with { card, foil } when a printing is picked
+ * @param {Function} onClose - Called when the popup should close without changes
+ */
+function PrintingPicker({ card, onSelect, onClose }) {
+    const [printings, setPrintings] = useState([]);  // Every printing Scryfall knows about
+    const [loading, setLoading] = useState(true);    // Still waiting for Scryfall
+    const [foil, setFoil] = useState(Boolean(card.foil));  // Whether our copy is foil
+
+    /**
+     * LOAD ALL PRINTINGS WHEN THE POPUP OPENS
+     */
+    useEffect(() => {
+        let cancelled = false;  // Ignore the answer if the popup closed while we waited
+        setLoading(true);
+        fetchCardPrintings(card.name).then(result => {
+            if (cancelled) return;
+            setPrintings(result);
+            setLoading(false);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [card.name]);
+
+    return (
+        <div style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: 'rgba(0,0,0,0.5)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 1000
+        }}>
+            <div style={{
+                backgroundColor: 'white',
+                padding: '2em',
+                borderRadius: '8px',
+                maxWidth: '900px',
+                width: '90%',
+                maxHeight: '90vh',
+                overflow: 'auto'
+            }}>
+                <h2 style={{ marginTop: 0 }}>Choose a Printing: {card.name}</h2>
+                <label style={{ display: 'block', marginBottom: '1em' }}>
+                    <input
+                        type="checkbox"
+                        checked={foil}
+                        onChange={(e) => setFoil(e.target.checked)}
+                        style={{ marginRight: '0.5em' }}
+                    />
+                    My copy is foil
+                </label>
+
+                {loading && <p style={{ color: '#666' }}>Loading printings...</p>}
+                {!loading && printings.length === 0 && (
+                    <p style={{ color: '#666' }}>No printings found. Check your internet connection and try again.</p>
+                )}
+
+                <div style={{
+                    display: 'grid',
+                    gridTemplateColumns: 'repeat(auto-fill, minmax(140px, 1fr))',
+                    gap: '1em',
+                    marginBottom: '1em'
+                }}>
+                    {printings.map(printing => (
+                        <div
+                            key={printing.id}
+                            onClick={() => onSelect({ card: printing, foil })}
+                            title={printing.set_name}
+                            style={{
+                                cursor: 'pointer',
+                                border: printing.id === card.scryfallId ? '3px solid #2196F3' : '3px solid transparent',
+                                borderRadius: '6px',
+                                padding: '2px',
+                                fontSize: '12px',
+                                textAlign: 'center'
+                            }}
+                        >
+                            {getCardImageUrl(printing, 'small') && (
+                                <img
+                                    src={getCardImageUrl(printing, 'small')}
+                                    alt={`${printing.name} (${printing.set_name})`}
+                                    style={{ width: '100%', display: 'block', borderRadius: '4px' }}
+                                />
+                            )}
+                            <div style={{ fontWeight: 'bold' }}>
+                                {printing.set.toUpperCase()} #{printing.collector_number}
+                            </div>
+                            <div style={{ color: '#666' }}>
+                                {printing.set_name} ({(printing.released_at || '').slice(0, 4)})
+                            </div>
+                        </div>
+                    ))}
+                </div>
+
+                <div style={{ display: 'flex', gap: '1em', justifyContent: 'flex-end' }}>
+                    <button
+                        onClick={onClose}
+                        style={{
+                            padding: '0.75em 1.5em',
+                            fontSize: '16px',
+                            backgroundColor: '#ccc',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '4px',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        Cancel
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default PrintingPicker;
@@ -0,0 +1,210 @@
+/**
+ * RESTORE BACKUP - Choose How to Bring a Backup Back
+ *
+ * After picking a backup file, this popup shows what's in it and lets you
+ * choose between replacing everything or merging it with the decks you
+ * already have. When merging, any deck that was changed both here and in the
+ * backup is listed side by side so you can pick which version to keep, and
+ * so is any player from the playgroup who is different in the two places.
+ */
+
+// Import React and its tools for managing data that changes over time
+import React, { useState } from 'react';
+// Import the backup helpers that plan and carry out the restore
+import { planMerge, restoreBackup } from './backup';
+
+/**
+ * A short description of one copy of a deck, for comparing conflicts.
+ */
+const describeDeck = (deck) => {
+    const cardCount = (deck.decklist || []).reduce((sum, card) => sum + (card.quantity || 0), 0);
+    const changed = deck.updatedAt || deck.createdAt;
+    return `${cardCount} cards, ${deck.stats?.totalGames || 0} games` +
+        (changed ? `, last changed ${new Date(changed).toLocaleString()}` : '');
+};
+
+/**
+ * A short description of one copy of a player, for comparing conflicts.
+ */
+const describePlayer = (player) => {
+    const deckCount = player.deckIds.length + player.deckNames.length;
+    return `${deckCount} ${deckCount === 1 ? 'deck' : 'decks'}`;
+};
+
+/**
+ * RESTORE BACKUP COMPONENT
+ *
+ * @param {Array} decks - The decks saved right now
+ * @param {Object} backup - The backup file's contents (from parseBackup)
+ * @param {Function} onRestore - Called with the new list of decks once the restore is done
+ * @param {Function} onClose - Called when the popup should close without restoring
+ */
+function RestoreBackup({ decks, backup, onRestore, onClose }) {
+    const [mode, setMode] = useState('merge');  // 'merge' or 'replace'
+    const [choices, setChoices] = useState({});  // Which copy to keep for each conflict
+    const [playerChoices, setPlayerChoices] = useState({});  // Which copy to keep for each player conflict
+
+    const plan = planMerge(decks, backup);
+
+    const handleRestore = () => {
+        if (mode === 'replace' &&
+            !window.confirm(`Replace all ${decks.length} of your decks with the ${backup.decks.length} in this backup?`)) {
+            return;
+        }
+        try {
+            onRestore(restoreBackup(decks, backup, mode, choices, playerChoices));
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    return (
+        <div style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: 'rgba(0,0,0,0.5)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 1000
+        }}>
+            <div style={{
+                backgroundColor: 'white',
+                padding: '2em',
+                borderRadius: '8px',
+                maxWidth: '700px',
+                width: '90%',
+                maxHeight: '90vh',
+                overflow: 'auto'
+            }}>
+                <h2 style={{ marginTop: 0 }}>Restore Backup</h2>
+                <p style={{ color: '#666', fontSize: '14px' }}>
+                    This backup was made {new Date(backup.createdAt).toLocaleString()} and
+                    has {backup.decks.length} {backup.decks.length === 1 ? 'deck' : 'decks'}.
+                </p>
+
+                <label style={{ display: 'block', marginBottom: '0.5em' }}>
+                    <input
+                        type="radio"
+                        checked={mode === 'merge'}
+                        onChange={() => setMode('merge')}
+                        style={{ marginRight: '0.5em' }}
+                    />
+                    <strong>Merge</strong> - keep my decks and add or update decks from the backup
+                </label>
+                <label style={{ display: 'block', marginBottom: '1em' }}>
+                    <input
+                        type="radio"
+                        checked={mode === 'replace'}
+                        onChange={() => setMode('replace')}
+                        style={{ marginRight: '0.5em' }}
+                    />
+                    <strong>Replace</strong> - delete my decks and settings and use only the backup
+                </label>
+
+                {mode === 'merge' && (
+                    <div style={{ fontSize: '14px', marginBottom: '1em' }}>
+                        <div style={{ color: '#666', marginBottom: '1em' }}>
+                            {plan.added.length} new, {plan.updated.length} updated, {plan.unchanged.length + plan.newerHere.length} already up to date
+                            {plan.newerHere.length > 0 && ` (${plan.newerHere.length} changed here since)`}
+                            {plan.conflicts.length > 0 && `, ${plan.conflicts.length} changed in both places`}
+                            {plan.players.added.length > 0 && `; ${plan.players.added.length} new ${plan.players.added.length === 1 ? 'player' : 'players'}`}
+                        </div>
+
+                        {/* Each conflict: choose which copy to keep */}
+                        {plan.conflicts.map(conflict => (
+                            <div
+                                key={conflict.id}
+                                style={{
+                                    border: '2px solid #ff9800',
+                                    borderRadius: '8px',
+                                    padding: '1em',
+                                    marginBottom: '1em'
+                                }}
+                            >
+                                <strong>{conflict.current.name}</strong>
+                                {[['current', 'Keep my copy', conflict.current], ['backup', 'Use the backup\'s copy', conflict.backup]].map(([choice, label, deck]) => (
+                                    <label key={choice} style={{ display: 'block', marginTop: '0.5em' }}>
+                                        <input
+                                            type="radio"
+                                            checked={(choices[conflict.id] || 'current') === choice}
+                                            onChange={() => setChoices({ ...choices, [conflict.id]: choice })}
+                                            style={{ marginRight: '0.5em' }}
+                                        />
+                                        {label}
+                                        {deck.name !== conflict.current.name && ` ("${deck.name}")`}
+                                        <span style={{ color: '#666' }}> - {describeDeck(deck)}</span>
+                                    </label>
+                                ))}
+                            </div>
+                        ))}
+
+                        {/* Each player who is different here and in the backup: choose which copy to keep */}
+                        {plan.players.conflicts.map(conflict => (
+                            <div
+                                key={conflict.id}
+                                style={{
+                                    border: '2px solid #ff9800',
+                                    borderRadius: '8px',
+                                    padding: '1em',
+                                    marginBottom: '1em'
+                                }}
+                            >
+                                <strong>Player: {conflict.current.name}</strong>
+                                {[['current', 'Keep my copy', conflict.current], ['backup', 'Use the backup\'s copy', conflict.backup]].map(([choice, label, player]) => (
+                                    <label key={choice} style={{ display: 'block', marginTop: '0.5em' }}>
+                                        <input
+                                            type="radio"
+                                            checked={(playerChoices[conflict.id] || 'current') === choice}
+                                            onChange={() => setPlayerChoices({ ...playerChoices, [conflict.id]: choice })}
+                                            style={{ marginRight: '0.5em' }}
+                                        />
+                                        {label}
+                                        {player.name !== conflict.current.name && ` ("${player.name}")`}
+                                        <span style={{ color: '#666' }}> - {describePlayer(player)}</span>
+                                    </label>
+                                ))}
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                <div style={{ display: 'flex', gap: '1em', justifyContent: 'flex-end' }}>
+                    <button
+                        onClick={onClose}
+                        style={{
+                            padding: '0.75em 1.5em',
+                            fontSize: '16px',
+                            backgroundColor: '#ccc',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '4px',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleRestore}
+                        style={{
+                            padding: '0.75em 1.5em',
+                            fontSize: '16px',
+                            backgroundColor: mode === 'replace' ? '#f44336' : '#4CAF50',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '4px',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        Restore
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default RestoreBackup;
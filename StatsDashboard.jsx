@@ -0,0 +1,328 @@
+/**
+ * STATS DASHBOARD - How All Your Decks Are Doing
+ *
+ * The deck page shows one deck's record; this page puts every deck's games
+ * together. It shows:
+ * - The overall record and win rate (and how it compares with par)
+ * - A chart of the win rate over time, and one of how many games were
+ *   played each week (both drawn with plain SVG, no charting service)
+ * - The most and least played decks
+ * - The best and worst performers, counting only decks with enough games
+ *
+ * Everything can be narrowed down to a range of dates and to decks of
+ * certain colors.
+ */
+
+// Import React and its tools for managing data that changes over time
+import React, { useState } from 'react';
+// Import the tool for linking to deck pages
+import { Link } from 'react-router-dom';
+// Import the deck storage
+import { getDecks } from './deckStorage';
+// Import the numbers behind the dashboard
+import { getDashboardStats, DEFAULT_MIN_GAMES } from './dashboardStats';
+import { getParWinRate, getNormalizedWinRate } from './gameResults';
+import { getWinRate } from './deckAnalysis';
+// Import the color filter bar the deck list uses
+import ColorFilter from './ColorFilter';
+
+// The white boxes each section sits in
+const panelStyle = {
+    backgroundColor: 'white',
+    padding: '1.5em',
+    borderRadius: '8px',
+    boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+    marginBottom: '2em'
+};
+
+const cellStyle = { padding: '0.5em', borderBottom: '1px solid #eee', textAlign: 'center' };
+
+const inputStyle = {
+    padding: '0.5em',
+    fontSize: '14px',
+    border: '2px solid #ddd',
+    borderRadius: '4px'
+};
+
+// How wide and tall the charts are drawn (they shrink to fit smaller screens)
+const CHART_WIDTH = 720;
+const CHART_HEIGHT = 220;
+const CHART_LEFT = 36;    // Room for the numbers on the left
+const CHART_BOTTOM = 24;  // Room for the dates underneath
+const CHART_TOP = 10;
+
+/**
+ * Every how-many weeks to put a date under a chart, so the dates don't overlap.
+ */
+const labelEvery = (count) => Math.max(1, Math.ceil(count / 8));
+
+/**
+ * WIN RATE OVER TIME
+ *
+ * A line through each week's win rate (counting every game up to the end of
+ * that week), with a dashed line at par for comparison.
+ *
+ * @param {Array} weeks - [{ week, winRate }] (see getDashboardStats)
+ * @param {number|null} par - The par win rate, in percent (null to leave the line out)
+ */
+function WinRateChart({ weeks, par }) {
+    const plotWidth = CHART_WIDTH - CHART_LEFT;
+    const plotHeight = CHART_HEIGHT - CHART_TOP - CHART_BOTTOM;
+    const step = weeks.length > 1 ? plotWidth / (weeks.length - 1) : 0;
+    const x = (index) => CHART_LEFT + (weeks.length > 1 ? index * step : plotWidth / 2);
+    const y = (percent) => CHART_TOP + plotHeight * (1 - percent / 100);
+    const every = labelEvery(weeks.length);
+
+    const points = weeks
+        .map((week, index) => (week.winRate === null ? null : `${x(index)},${y(week.winRate)}`))
+        .filter(Boolean);
+
+    return (
+        <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} style={{ width: '100%', maxWidth: `${CHART_WIDTH}px` }} role="img">
+            {[0, 25, 50, 75, 100].map(percent => (
+                <g key={percent}>
+                    <line x1={CHART_LEFT} y1={y(percent)} x2={CHART_WIDTH} y2={y(percent)} stroke="#eee" />
+                    <text x={CHART_LEFT - 6} y={y(percent) + 4} textAnchor="end" fontSize="11" fill="#666">{percent}%</text>
+                </g>
+            ))}
+            {par !== null && (
+                <line x1={CHART_LEFT} y1={y(par)} x2={CHART_WIDTH} y2={y(par)} stroke="#FF9800" strokeDasharray="6 4">
+                    <title>{`Par: ${par.toFixed(1)}%`}</title>
+                </line>
+            )}
+            <polyline points={points.join(' ')} fill="none" stroke="#2196F3" strokeWidth="2" />
+            {weeks.map((week, index) => (
+                <g key={week.week}>
+                    {week.winRate !== null && (
+                        <circle cx={x(index)} cy={y(week.winRate)} r="3" fill="#2196F3">
+                            <title>{`Week of ${week.week}: ${week.winRate.toFixed(1)}%`}</title>
+                        </circle>
+                    )}
+                    {index % every === 0 && (
+                        <text x={x(index)} y={CHART_HEIGHT - 6} textAnchor="middle" fontSize="11" fill="#666">{week.week.slice(5)}</text>
+                    )}
+                </g>
+            ))}
+        </svg>
+    );
+}
+
+/**
+ * GAMES PER WEEK
+ *
+ * One bar per week, with the games won shaded darker inside it.
+ *
+ * @param {Array} weeks - [{ week, games, wins }] (see getDashboardStats)
+ */
+function GamesPerWeekChart({ weeks }) {
+    const plotWidth = CHART_WIDTH - CHART_LEFT;
+    const plotHeight = CHART_HEIGHT - CHART_TOP - CHART_BOTTOM;
+    const slot = plotWidth / Math.max(1, weeks.length);
+    const barWidth = Math.max(1, slot * 0.7);
+    const most = Math.max(1, ...weeks.map(week => week.games));
+    const scale = plotHeight / most;
+    const every = labelEvery(weeks.length);
+    const base = CHART_HEIGHT - CHART_BOTTOM;
+
+    return (
+        <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} style={{ width: '100%', maxWidth: `${CHART_WIDTH}px` }} role="img">
+            <text x={CHART_LEFT - 6} y={CHART_TOP + 4} textAnchor="end" fontSize="11" fill="#666">{most}</text>
+            <text x={CHART_LEFT - 6} y={base} textAnchor="end" fontSize="11" fill="#666">0</text>
+            {weeks.map((week, index) => {
+                const x = CHART_LEFT + index * slot + (slot - barWidth) / 2;
+                return (
+                    <g key={week.week}>
+                        <rect x={x} y={base - week.games * scale} width={barWidth} height={week.games * scale} fill="#90CAF9">
+                            <title>{`Week of ${week.week}: ${week.games} games, ${week.wins} won`}</title>
+                        </rect>
+                        <rect x={x} y={base - week.wins * scale} width={barWidth} height={week.wins * scale} fill="#4CAF50" pointerEvents="none" />
+                        {index % every === 0 && (
+                            <text x={x + barWidth / 2} y={CHART_HEIGHT - 6} textAnchor="middle" fontSize="11" fill="#666">{week.week.slice(5)}</text>
+                        )}
+                    </g>
+                );
+            })}
+            <line x1={CHART_LEFT} y1={base} x2={CHART_WIDTH} y2={base} stroke="#ddd" />
+        </svg>
+    );
+}
+
+/**
+ * A TABLE OF DECKS
+ *
+ * Used for the most played, least played, best and worst lists.
+ *
+ * @param {string} title - The heading
+ * @param {Array} rows - [{ deck, stats }] (see getDashboardStats)
+ * @param {string} empty - What to say when the list is empty
+ */
+function DeckTable({ title, rows, empty }) {
+    return (
+        <div style={{ ...panelStyle, marginBottom: 0 }}>
+            <h2 style={{ marginTop: 0 }}>{title}</h2>
+            {rows.length === 0 ? (
+                <p style={{ color: '#666', margin: 0 }}>{empty}</p>
+            ) : (
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+                    <thead>
+                        <tr>
+                            <th style={{ ...cellStyle, textAlign: 'left' }}>Deck</th>
+                            <th style={cellStyle}>Games</th>
+                            <th style={cellStyle}>Record</th>
+                            <th style={cellStyle}>Win rate</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map(({ deck, stats }) => (
+                            <tr key={deck.id}>
+                                <td style={{ ...cellStyle, textAlign: 'left' }}>
+                                    <Link to={`/deck/${deck.id}`}>{deck.name}</Link>
+                                </td>
+                                <td style={cellStyle}>{stats.totalGames}</td>
+                                <td style={cellStyle}>
+                                    {stats.wins}-{stats.losses}{stats.draws > 0 && `-${stats.draws}`}
+                                </td>
+                                <td style={cellStyle}>{stats.finishedGames > 0 ? `${getWinRate(stats)}%` : '-'}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
+
+function StatsDashboard() {
+    /**
+     * STATE VARIABLES
+     *
+     * - decks: Every saved deck
+     * - from / to: The range of dates to count ('' means no limit)
+     * - colorFilter: Which colors of deck to count (same as the deck list's filter)
+     * - minGames: How many finished games a deck needs to be ranked best or worst
+     */
+    const [decks] = useState(() => getDecks());
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+    const [colorFilter, setColorFilter] = useState({ mode: 'exact', colors: [] });
+    const [minGames, setMinGames] = useState(DEFAULT_MIN_GAMES);
+
+    const dashboard = getDashboardStats(decks, { from, to, colorFilter, minGames });
+    const { overall, weeks } = dashboard;
+    const parWinRate = getParWinRate(overall);
+    const normalizedWinRate = getNormalizedWinRate(overall);
+    const decksPlayed = dashboard.deckRows.filter(row => row.stats.totalGames > 0).length;
+
+    return (
+        <div style={{ maxWidth: 1200, margin: '0 auto', padding: '2em', fontFamily: 'sans-serif' }}>
+            <h1 style={{ marginTop: 0 }}>Statistics</h1>
+
+            {/* Which games to count */}
+            <div style={panelStyle}>
+                <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '1em', marginBottom: '1em' }}>
+                    <label>
+                        From{' '}
+                        <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} style={inputStyle} />
+                    </label>
+                    <label>
+                        To{' '}
+                        <input type="date" value={to} onChange={(e) => setTo(e.target.value)} style={inputStyle} />
+                    </label>
+                    {(from || to) && (
+                        <button
+                            onClick={() => { setFrom(''); setTo(''); }}
+                            style={{
+                                padding: '0.5em 1em',
+                                fontSize: '14px',
+                                backgroundColor: '#f0f0f0',
+                                color: '#333',
+                                border: 'none',
+                                borderRadius: '4px',
+                                cursor: 'pointer'
+                            }}
+                        >
+                            All dates
+                        </button>
+                    )}
+                    <label style={{ marginLeft: 'auto' }}>
+                        Rank decks with at least{' '}
+                        <input
+                            type="number"
+                            min="1"
+                            value={minGames}
+                            onChange={(e) => setMinGames(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                            style={{ ...inputStyle, width: '4em' }}
+                        />
+                        {' '}games
+                    </label>
+                </div>
+                <ColorFilter filter={colorFilter} onChange={setColorFilter} shown={dashboard.decks.length} total={decks.length} />
+                {(from || to) && (
+                    <p style={{ color: '#666', fontSize: '14px', marginBottom: 0 }}>
+                        Totals carried over from before the game log have no dates, so they're left out while a date is picked.
+                    </p>
+                )}
+            </div>
+
+            {/* The overall record */}
+            <div style={panelStyle}>
+                <h2 style={{ marginTop: 0 }}>Overall</h2>
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: '1em' }}>
+                    {[
+                        ['Games', overall.totalGames],
+                        ['Record', `${overall.wins}-${overall.losses}${overall.draws > 0 ? `-${overall.draws}` : ''}`],
+                        ['Win rate', `${getWinRate(overall)}%`],
+                        ...(parWinRate === null ? [] : [['Par', `${parWinRate}%`]]),
+                        ...(normalizedWinRate === null ? [] : [['Win rate vs. par', `${normalizedWinRate}×`]]),
+                        ...(overall.unfinished > 0 ? [['Cut short', overall.unfinished]] : []),
+                        ['Decks played', `${decksPlayed} of ${dashboard.decks.length}`]
+                    ].map(([label, value]) => (
+                        <div key={label} style={{ textAlign: 'center' }}>
+                            <div style={{ fontSize: '24px', fontWeight: 'bold' }}>{value}</div>
+                            <div style={{ color: '#666', fontSize: '14px' }}>{label}</div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            {weeks.length === 0 ? (
+                <p style={{ color: '#666', textAlign: 'center' }}>No logged games match these filters yet.</p>
+            ) : (
+                <>
+                    <div style={panelStyle}>
+                        <h2 style={{ marginTop: 0 }}>Win Rate Over Time</h2>
+                        <WinRateChart weeks={weeks} par={parWinRate === null ? null : Number(parWinRate)} />
+                        <p style={{ color: '#666', fontSize: '12px', marginBottom: 0 }}>
+                            Each point is the win rate over every game up to the end of that week. The dashed orange line is par.
+                        </p>
+                    </div>
+
+                    <div style={panelStyle}>
+                        <h2 style={{ marginTop: 0 }}>Games per Week</h2>
+                        <GamesPerWeekChart weeks={weeks} />
+                        <p style={{ color: '#666', fontSize: '12px', marginBottom: 0 }}>
+                            Light blue is every game that week; green is the games won.
+                        </p>
+                    </div>
+                </>
+            )}
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(400px, 1fr))', gap: '2em', marginBottom: '2em' }}>
+                <DeckTable title="Most Played" rows={dashboard.mostPlayed} empty="No decks match these filters." />
+                <DeckTable title="Least Played" rows={dashboard.leastPlayed} empty="Not enough decks to list." />
+                <DeckTable
+                    title="Best Performers"
+                    rows={dashboard.best}
+                    empty={`No deck has ${minGames} or more finished games yet.`}
+                />
+                <DeckTable
+                    title="Worst Performers"
+                    rows={dashboard.worst}
+                    empty={`Not enough decks with ${minGames} or more finished games to list.`}
+                />
+            </div>
+        </div>
+    );
+}
+
+export default StatsDashboard;
@@ -0,0 +1,307 @@
+/**
+ * BACKUP - Save Your Whole Collection to One File, and Bring It Back
+ *
+ * Everything the app knows lives in your browser's localStorage, so clearing
+ * your browser data would wipe out every deck. A backup file is a safety net:
+ * one JSON file holding every deck (with its stats and notes) and every app
+ * setting.
+ *
+ * Restoring a backup can work two ways:
+ * - Replace: throw away what's here and use the backup instead
+ * - Merge: keep what's here and bring in the backup's decks, matching decks by id
+ *
+ * When merging, a deck that exists in both places but has been changed in
+ * both is a "conflict", and you get to choose which version to keep. To
+ * tell which side changed, this browser remembers each deck's updatedAt as
+ * of the last backup it made or restored: the version both sides started
+ * from.
+ *
+ * The playgroup's players are saved with the settings, but merging treats
+ * them like decks: they're matched by id, so games from the backup still
+ * point at the players who played them, and a player who is different in
+ * the two places is a conflict too.
+ */
+
+import { DECK_STORAGE_KEYS, SCHEMA_VERSION, migrateDecks, replaceAllDecks } from './deckStorage';
+import { PLAYERS_KEY, getPlayers, parsePlayers, replaceAllPlayers } from './playgroup';
+
+// Every localStorage key starting with this belongs to the app; the ones deckStorage doesn't manage are settings
+const SETTINGS_PREFIX = 'mtg';
+
+// Where we remember each deck's updatedAt as of the last backup made or restored here (not a setting)
+const SYNCED_VERSIONS_KEY = 'mtgBackupVersions';
+
+/**
+ * THE BACKUP FILE VERSION
+ *
+ * If the file layout ever changes, this number goes up so older backups can
+ * still be recognized (and converted) when restoring.
+ */
+export const BACKUP_VERSION = 1;
+
+/**
+ * GATHER THE APP'S SETTINGS
+ *
+ * @returns {Object} - Every app localStorage key (except the decks' own) and its saved value
+ */
+const readSettings = () => {
+    const settings = {};
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key.startsWith(SETTINGS_PREFIX) && !DECK_STORAGE_KEYS.includes(key) && key !== SYNCED_VERSIONS_KEY) {
+            settings[key] = localStorage.getItem(key);
+        }
+    }
+    return settings;
+};
+
+/**
+ * THE VERSIONS BOTH SIDES STARTED FROM
+ *
+ * @returns {Object} - { [deckId]: updatedAt } as of the last backup made or restored here
+ */
+const readSyncedVersions = () => {
+    try {
+        return JSON.parse(localStorage.getItem(SYNCED_VERSIONS_KEY) || '{}') || {};
+    } catch {
+        return {};
+    }
+};
+
+/**
+ * Remember these decks' versions as the ones both sides now share.
+ *
+ * Only bookkeeping for the next merge, so if it can't be saved we just go without.
+ */
+const rememberSyncedVersions = (decks) => {
+    const versions = readSyncedVersions();
+    decks.forEach(deck => {
+        versions[deck.id] = deck.updatedAt;
+    });
+    try {
+        localStorage.setItem(SYNCED_VERSIONS_KEY, JSON.stringify(versions));
+    } catch (error) {
+        console.error('Error remembering backup versions:', error);
+    }
+};
+
+/**
+ * CREATE A BACKUP
+ *
+ * Each deck keeps its updatedAt, and we remember those versions here, so a
+ * later merge can tell which decks changed since.
+ *
+ * @param {Array} decks - Every saved deck
+ * @returns {Object} - The backup, ready to be turned into a JSON file
+ */
+export const createBackup = (decks) => {
+    rememberSyncedVersions(decks);
+    return {
+        type: 'mtg-backup',
+        version: BACKUP_VERSION,
+        createdAt: new Date().toISOString(),
+        // Which deck layout the decks are in, so restoring can upgrade them if needed
+        schemaVersion: SCHEMA_VERSION,
+        decks,
+        settings: readSettings()
+    };
+};
+
+/**
+ * READ A BACKUP FILE
+ *
+ * Checks that the file really is one of our backups before anything is restored.
+ *
+ * @param {string} text - The backup file's contents
+ * @returns {Object} - The backup ({ version, createdAt, decks, settings })
+ * @throws {Error} - With a message you can show the user if the file can't be used
+ */
+export const parseBackup = (text) => {
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch {
+        throw new Error('This file isn\'t a backup (it isn\'t valid JSON).');
+    }
+
+    if (backup?.type !== 'mtg-backup' || !Array.isArray(backup.decks)) {
+        throw new Error('This file isn\'t a deck backup. (Single deck exports can\'t be restored here.)');
+    }
+    // A newer file layout, or decks laid out by a newer app: we'd lose whatever that version added
+    if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION || (backup.schemaVersion || 0) > SCHEMA_VERSION) {
+        throw new Error('This backup was made by a newer version of the app. Please update and try again.');
+    }
+
+    // Decks from an older app version are upgraded just like decks loaded from storage
+    return {
+        ...backup,
+        decks: migrateDecks(backup.decks, backup.schemaVersion || 0),
+        settings: backup.settings || {}
+    };
+};
+
+/**
+ * Are two copies of a deck exactly the same?
+ *
+ * The version history is left out: backups made before it existed get a
+ * fresh one when they're upgraded, which shouldn't make an otherwise
+ * identical deck look changed.
+ */
+const sameDeck = (a, b) => {
+    const withoutHistory = ({ history, ...deck }) => deck;
+    return JSON.stringify(withoutHistory(a)) === JSON.stringify(withoutHistory(b));
+};
+
+/**
+ * Read the players saved in a backup (an empty list if it has none, or they're damaged).
+ */
+const readBackupPlayers = (backup) => {
+    try {
+        return parsePlayers(backup.settings[PLAYERS_KEY]);
+    } catch {
+        return [];
+    }
+};
+
+/**
+ * WORK OUT WHAT A MERGE WOULD DO FOR THE PLAYERS
+ *
+ * Players don't remember when they were changed, so one that is different
+ * here and in the backup is always a conflict.
+ *
+ * @returns {Object} - { added, unchanged, conflicts } where conflicts are { id, current, backup }
+ */
+const planPlayerMerge = (currentPlayers, backupPlayers) => {
+    const plan = { added: [], unchanged: [], conflicts: [] };
+
+    backupPlayers.forEach(backupPlayer => {
+        const current = currentPlayers.find(player => player.id === backupPlayer.id);
+        if (!current) {
+            plan.added.push(backupPlayer);
+        } else if (JSON.stringify(current) === JSON.stringify(backupPlayer)) {
+            plan.unchanged.push(backupPlayer);
+        } else {
+            plan.conflicts.push({ id: current.id, current, backup: backupPlayer });
+        }
+    });
+
+    return plan;
+};
+
+/**
+ * WORK OUT WHAT A MERGE WOULD DO
+ *
+ * Each side has "changed" if its updatedAt is different from the version
+ * both started from (see readSyncedVersions). For every deck in the backup:
+ * - Not here yet: it gets added
+ * - Here and identical: nothing to do
+ * - Only the backup's copy changed: it's the newer one, so it replaces ours
+ * - Only our copy changed: ours is the newer one, so we keep it
+ * - Both changed (or we never shared a version, so we can't tell): it's a
+ *   conflict for the user to decide
+ *
+ * The players are planned the same way (see planPlayerMerge) and listed under `players`.
+ *
+ * @param {Array} currentDecks - The decks saved right now
+ * @param {Object} backup - A backup from parseBackup
+ * @param {Array} currentPlayers - The players saved right now (see playgroup.js)
+ * @returns {Object} - { added, updated, newerHere, unchanged, conflicts, players } where conflicts are { id, current, backup }
+ */
+export const planMerge = (currentDecks, backup, currentPlayers = getPlayers()) => {
+    const plan = {
+        added: [],
+        updated: [],
+        newerHere: [],
+        unchanged: [],
+        conflicts: [],
+        players: planPlayerMerge(currentPlayers, readBackupPlayers(backup))
+    };
+    const synced = readSyncedVersions();
+
+    backup.decks.forEach(backupDeck => {
+        const current = currentDecks.find(deck => deck.id === backupDeck.id);
+        if (!current) {
+            plan.added.push(backupDeck);
+            return;
+        }
+        if (sameDeck(current, backupDeck)) {
+            plan.unchanged.push(backupDeck);
+            return;
+        }
+
+        const base = synced[backupDeck.id];
+        const changedHere = !base || current.updatedAt !== base;
+        const changedInBackup = !base || backupDeck.updatedAt !== base;
+        if (changedHere && changedInBackup) {
+            plan.conflicts.push({ id: current.id, current, backup: backupDeck });
+        } else if (changedInBackup) {
+            plan.updated.push(backupDeck);
+        } else {
+            plan.newerHere.push(backupDeck);
+        }
+    });
+
+    return plan;
+};
+
+/**
+ * RESTORE A BACKUP
+ *
+ * Saves the chosen decks and players, and writes the settings into localStorage.
+ *
+ * @param {Array} currentDecks - The decks saved right now
+ * @param {Object} backup - A backup from parseBackup
+ * @param {string} mode - 'replace' or 'merge'
+ * @param {Object} choices - For merges: { [deckId]: 'current' | 'backup' } for each conflict (default 'current')
+ * @param {Object} playerChoices - For merges: { [playerId]: 'current' | 'backup' } for each player conflict (default 'current')
+ * @returns {Array} - The full list of decks after restoring
+ * @throws {StorageError} - If the decks or players couldn't be saved (for example, storage is full)
+ */
+export const restoreBackup = (currentDecks, backup, mode, choices = {}, playerChoices = {}) => {
+    if (mode === 'replace') {
+        // Save the decks first, so a full storage doesn't leave us with new settings but old decks
+        const decks = replaceAllDecks(backup.decks);
+        // Clear out every old setting so only the backup's remain
+        Object.keys(readSettings()).forEach(key => localStorage.removeItem(key));
+        Object.entries(backup.settings).forEach(([key, value]) => localStorage.setItem(key, value));
+        rememberSyncedVersions(decks);
+        return decks;
+    }
+
+    const currentPlayers = getPlayers();
+    const plan = planMerge(currentDecks, backup, currentPlayers);
+    const replacements = new Map(plan.updated.map(deck => [deck.id, deck]));
+    plan.conflicts
+        .filter(conflict => choices[conflict.id] === 'backup')
+        .forEach(conflict => replacements.set(conflict.id, conflict.backup));
+
+    const decks = replaceAllDecks([
+        ...currentDecks.map(deck => replacements.get(deck.id) || deck),
+        ...plan.added
+    ]);
+
+    const playerReplacements = new Map(plan.players.conflicts
+        .filter(conflict => playerChoices[conflict.id] === 'backup')
+        .map(conflict => [conflict.id, conflict.backup]));
+    if (plan.players.added.length > 0 || playerReplacements.size > 0) {
+        replaceAllPlayers([
+            ...currentPlayers.map(player => playerReplacements.get(player.id) || player),
+            ...plan.players.added
+        ]);
+    }
+
+    // Settings we already have win; the backup only fills in ones we're missing
+    Object.entries(backup.settings)
+        .filter(([key]) => key !== PLAYERS_KEY && localStorage.getItem(key) === null)
+        .forEach(([key, value]) => localStorage.setItem(key, value));
+    // Whichever copy was kept, both sides have now seen the backup's version of every deck in it
+    rememberSyncedVersions(backup.decks);
+    return decks;
+};
+
+/**
+ * PICK A FILE NAME FOR A BACKUP
+ *
+ * Like "mtg-decks-backup-2024-05-01.json", so backups sort by date.
+ */
+export const getBackupFileName = (backup) => `mtg-decks-backup-${backup.createdAt.slice(0, 10)}.json`;
@@ -0,0 +1,335 @@
+/**
+ * CARD CACHE - A Local Library of Every Card We've Already Looked Up
+ *
+ * Sol Ring might be in five of your decks, but its card data never changes.
+ * Instead of asking Scryfall about it again on every import, we keep a copy of
+ * every card we've seen in the browser's IndexedDB storage (a database built
+ * into the browser that can hold much more than localStorage).
+ *
+ * Cards are stored by their Scryfall id, and can also be found by name.
+ * Decks only remember which card and printing they hold; the picture, mana
+ * cost, type and so on come from here. Because the cache lives on your
+ * computer, decks whose cards have been seen before still show up properly
+ * when you're offline.
+ *
+ * If the browser doesn't support IndexedDB (or blocks it, as some private
+ * browsing modes do), the cache quietly falls back to memory for this visit.
+ */
+
+import { lookupCards, getCardDetails, getCardNames, normalizeCardName } from './scryfall';
+import { getCommandZone, getColorIdentity } from './commandZone';
+
+const DB_NAME = 'mtgCardCache';
+// Version 2 added the "printing" index (set code + collector number)
+const DB_VERSION = 2;
+const STORE_NAME = 'cards';
+
+// Backup storage used when IndexedDB isn't available
+const memoryCache = new Map();
+
+// We only open the database once and share the connection
+let dbPromise = null;
+
+/**
+ * OPEN THE DATABASE
+ *
+ * The first time this runs in a browser it also creates the "cards" store,
+ * a "names" index so we can search by card name, and a "printing" index so
+ * we can find one exact printing by set code and collector number.
+ *
+ * @returns {Promise<IDBDatabase|null>} - The database, or null if IndexedDB can't be used
+ */
+const openDatabase = () => {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+
+        try {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const store = db.objectStoreNames.contains(STORE_NAME)
+                    ? request.transaction.objectStore(STORE_NAME)
+                    : db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                if (!store.indexNames.contains('names')) {
+                    // multiEntry lets one card be found under each of its names ("Fire // Ice", "Fire", "Ice")
+                    store.createIndex('names', 'names', { multiEntry: true });
+                }
+                if (!store.indexNames.contains('printing')) {
+                    // Find one exact printing, like ['c21', '263'] for Commander 2021's Sol Ring
+                    store.createIndex('printing', ['set', 'collector_number']);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('Could not open card cache:', request.error);
+                resolve(null);
+            };
+        } catch (error) {
+            console.error('Could not open card cache:', error);
+            resolve(null);
+        }
+    });
+
+    return dbPromise;
+};
+
+/**
+ * Wrap an IndexedDB request in a promise so we can use await with it.
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * GET CARDS BY SCRYFALL ID
+ *
+ * @param {Array} ids - Scryfall ids to look for
+ * @returns {Promise<Map>} - Map of id -> Scryfall card, for the ids we have
+ */
+export const getCachedCards = async (ids) => {
+    const found = new Map();
+    const db = await openDatabase();
+
+    if (!db) {
+        ids.forEach(id => memoryCache.has(id) && found.set(id, memoryCache.get(id)));
+        return found;
+    }
+
+    const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+    const cards = await Promise.all([...new Set(ids)].map(id => promisify(store.get(id))));
+    cards.forEach(card => card && found.set(card.id, card));
+    return found;
+};
+
+/**
+ * FIND CARDS BY NAME
+ *
+ * We might have several printings of the same card cached (Sol Ring from
+ * five different sets, say), so each name gives back a list.
+ *
+ * @param {Array} names - Card names to look for (any capitalization)
+ * @returns {Promise<Map>} - Map of normalized name -> list of cached printings, for the names we have
+ */
+export const findCachedCardsByName = async (names) => {
+    const found = new Map();
+    const keys = [...new Set(names.map(normalizeCardName))].filter(Boolean);
+    const db = await openDatabase();
+
+    if (!db) {
+        for (const card of memoryCache.values()) {
+            card.names.filter(name => keys.includes(name)).forEach(name => {
+                found.set(name, [...(found.get(name) || []), card]);
+            });
+        }
+        return found;
+    }
+
+    const index = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).index('names');
+    const results = await Promise.all(keys.map(key => promisify(index.getAll(key))));
+    results.forEach((cards, i) => cards.length > 0 && found.set(keys[i], cards));
+    return found;
+};
+
+/**
+ * FIND CARDS BY PRINTING
+ *
+ * @param {Array} printings - { setCode, collectorNumber } pairs to look for
+ * @returns {Promise<Map>} - Map of 'set/number' (like 'c21/263') -> Scryfall card, for the printings we have
+ */
+export const findCachedPrintings = async (printings) => {
+    const found = new Map();
+    const keys = [...new Set(printings.map(p => `${p.setCode.toLowerCase()}/${p.collectorNumber}`))];
+    const db = await openDatabase();
+
+    if (!db) {
+        for (const card of memoryCache.values()) {
+            const key = `${card.set}/${card.collector_number}`;
+            if (keys.includes(key)) found.set(key, card);
+        }
+        return found;
+    }
+
+    const index = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).index('printing');
+    const cards = await Promise.all(keys.map(key => promisify(index.get(key.split('/')))));
+    cards.forEach((card, i) => card && found.set(keys[i], card));
+    return found;
+};
+
+/**
+ * SAVE CARDS INTO THE CACHE
+ *
+ * Stores the full Scryfall card (plus its searchable names and when we saved it),
+ * so later features can use any field without fetching the card again.
+ *
+ * @param {Array} cards - Scryfall card objects
+ */
+export const cacheCards = async (cards) => {
+    const records = cards.filter(Boolean).map(card => ({
+        ...card,
+        names: getCardNames(card),
+        cachedAt: new Date().toISOString()
+    }));
+    if (records.length === 0) return;
+
+    const db = await openDatabase();
+    if (!db) {
+        records.forEach(record => memoryCache.set(record.id, record));
+        return;
+    }
+
+    try {
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        records.forEach(record => store.put(record));
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } catch (error) {
+        // A full disk shouldn't stop an import - we just won't have these cards cached
+        console.error('Could not save cards to cache:', error);
+    }
+};
+
+/**
+ * RESOLVE CARDS - Cache First, Then Scryfall
+ *
+ * Works exactly like lookupCards in scryfall.js (same requests, same results),
+ * but checks the cache before asking Scryfall, and saves anything new it
+ * fetches. Progress only counts the cards that actually need fetching.
+ *
+ * Fetched cards are saved as each batch arrives, so if the lookup is
+ * cancelled (or the tab is closed) partway through, trying again only has to
+ * fetch the cards that were still missing.
+ *
+ * @param {Array} requests - Card names, or { name, scryfallId, setCode, collectorNumber } objects
+ * @param {Object} options - Passed on to lookupCards (onProgress, signal, baseUrl, ...)
+ * @returns {Promise<Array>} - One { name, card, match } result per request
+ */
+export const resolveCards = async (requests, options = {}) => {
+    const described = requests.map(request => (typeof request === 'string' ? { name: request } : request));
+    const wantsPrinting = (r) => !r.scryfallId && r.setCode && r.collectorNumber;
+
+    // Step 1: Look in the cache by id, by exact printing and by name
+    const byId = await getCachedCards(described.map(r => r.scryfallId).filter(Boolean));
+    const byPrinting = await findCachedPrintings(described.filter(wantsPrinting));
+    const byName = await findCachedCardsByName(described.filter(r => !r.scryfallId).map(r => r.name));
+
+    const fromCache = (r) => {
+        if (r.scryfallId) return byId.get(r.scryfallId) || null;
+        if (wantsPrinting(r)) {
+            return byPrinting.get(`${r.setCode.toLowerCase()}/${r.collectorNumber}`) || null;
+        }
+        const printings = byName.get(normalizeCardName(r.name)) || [];
+        // With only a set code, the cached printing has to come from that set
+        if (r.setCode) return printings.find(card => card.set === r.setCode.toLowerCase()) || null;
+        return printings[0] || null;
+    };
+
+    // Step 2: Ask Scryfall only about the ones the cache didn't have
+    // (when the browser knows it's offline, don't even try - the cache is all we've got)
+    const missing = described.filter(r => !fromCache(r));
+    const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+    const saving = [];  // Cache writes still in progress
+    const fetched = missing.length === 0 ? []
+        : offline ? missing.map(r => ({ name: r.name, card: null, match: null }))
+        : await lookupCards(missing, {
+            ...options,
+            onCards: (cards) => {
+                saving.push(cacheCards(cards));
+                options.onCards?.(cards);
+            }
+        });
+    // Make sure everything fetched is in the cache before anyone goes looking for it
+    await Promise.all(saving);
+
+    // Step 3: Put the answers back in the original order
+    let fetchedIndex = 0;
+    return described.map(r => {
+        const cached = fromCache(r);
+        if (cached) return { name: r.name, card: cached, match: 'exact' };
+        return fetched[fetchedIndex++];
+    });
+};
+
+/**
+ * FILL IN CARD DETAILS FOR A DECKLIST
+ *
+ * Deck entries only store which card and printing they are ({ name, quantity,
+ * scryfallId, setCode, collectorNumber, foil }). This looks up each card
+ * (cache first, Scryfall only if needed) and adds the picture, mana cost,
+ * type and rarity for display. Older decks that still have those details
+ * written into each entry keep working as they are.
+ *
+ * @param {Array} entries - A deck's decklist
+ * @returns {Promise<Array>} - The same entries with card details filled in
+ */
+export const hydrateDecklist = async (entries) => {
+    const results = await resolveCards(
+        entries.map(entry => ({
+            name: entry.name,
+            scryfallId: entry.scryfallId || null,
+            setCode: entry.setCode || null,
+            collectorNumber: entry.collectorNumber || null
+        }))
+    );
+    return entries.map((entry, i) => {
+        const card = results[i]?.card;
+        return card ? { ...entry, ...getCardDetails(card), name: entry.name, quantity: entry.quantity } : entry;
+    });
+};
+
+/**
+ * FILL IN COLORS FOR OLDER DECKS
+ *
+ * Decks imported before colors were saved don't know each card's color
+ * identity, and decks from before multi-commander support don't know their
+ * commanders' colors either. This looks their cards up (cache first) and
+ * works out the missing colors.
+ *
+ * @param {Object} deck - A saved deck
+ * @returns {Promise<Object|null>} - The changes to save ({ decklist, commandZone, colorIdentity }),
+ *                                   or null if nothing is missing or the cards couldn't be looked up
+ */
+export const fillColorIdentity = async (deck) => {
+    const decklist = deck.decklist || [];
+    const commandZone = getCommandZone(deck);
+    if (decklist.every(entry => Array.isArray(entry.colorIdentity))) return null;
+
+    const results = await resolveCards([
+        ...decklist.map(entry => ({
+            name: entry.name,
+            scryfallId: entry.scryfallId || null,
+            setCode: entry.setCode || null,
+            collectorNumber: entry.collectorNumber || null
+        })),
+        ...commandZone.map(entry => ({ name: entry.name, scryfallId: entry.scryfallId || null }))
+    ]);
+    // Nothing found at all (offline, say): try again another time
+    if (!results.some(result => result.card)) return null;
+
+    // A card that still can't be found is treated as colorless, so we don't keep looking for it
+    const withColors = (entry, card) => ({
+        ...entry,
+        colorIdentity: card?.color_identity || entry.colorIdentity || [],
+        colors: card?.colors || card?.card_faces?.[0]?.colors || entry.colors || []
+    });
+    const filledDecklist = decklist.map((entry, i) => withColors(entry, results[i].card));
+    const filledCommandZone = commandZone.map((entry, i) => {
+        const card = results[decklist.length + i].card;
+        return card ? { ...entry, colorIdentity: card.color_identity || [] } : entry;
+    });
+
+    return {
+        decklist: filledDecklist,
+        commandZone: filledCommandZone,
+        colorIdentity: getColorIdentity(filledCommandZone)
+    };
+};
@@ -0,0 +1,288 @@
+/**
+ * CARD QUERY - Scryfall-Style Searches Inside a Deck
+ *
+ * Understands a small part of Scryfall's search language, so you can type
+ * the same searches you'd type on scryfall.com and have them run on the
+ * cards in one deck, without going online:
+ * - t:creature          Type line contains "creature"
+ * - o:"draw a card"     Rules text contains "draw a card" (~ stands for the card's name)
+ * - kw:flying           Has the Flying keyword
+ * - cmc<=3 (or mv<=3)   Mana value 3 or less (also =, <, >, >=, !=)
+ * - c:g                 Green (c:gw is green and white, c=g is exactly mono-green,
+ *                       c<=gw is only green and/or white, c:c is colorless, c:m is multicolored)
+ * - id:bg               Color identity fits inside black-green (guild names like
+ *                       id:golgari work too)
+ * - r:mythic            Rarity (r>=rare means rare or mythic)
+ * - is:commander        Could be a commander; is:permanent and is:spell work too
+ * - name:bolt, or just  bolt   Name contains "bolt"
+ * Put "-" in front of anything to mean "not", "or" between searches to mean
+ * "either", and use parentheses to group: (t:instant or t:sorcery) -c:r
+ *
+ * Like deckAnalysis.js, the searches work on decklist entries filled in from
+ * the card cache (so each card has its type, cmc, colors and rarity).
+ */
+
+import { getManaValue } from './deckAnalysis';
+import { canBeCommander } from './deckValidator';
+import { COLOR_COMBINATIONS } from './colors';
+
+/**
+ * A SEARCH THAT CAN'T BE UNDERSTOOD
+ *
+ * Its message is written for the user, so it can be shown under the search box.
+ */
+export class QuerySyntaxError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QuerySyntaxError';
+    }
+}
+
+// Rarities from lowest to highest, so r>=rare can be worked out
+const RARITIES = ['common', 'uncommon', 'rare', 'mythic'];
+
+// Words you can type instead of color letters
+const COLOR_WORDS = { white: 'W', blue: 'U', black: 'B', red: 'R', green: 'G' };
+
+/**
+ * SPLIT A SEARCH INTO PIECES
+ *
+ * Turns 't:creature -(c:g or "llanowar")' into a list of tokens:
+ * terms (like { key: 't', op: ':', value: 'creature' }), "not" (-), "or",
+ * and parentheses.
+ *
+ * @param {string} query - What was typed
+ * @returns {Array} - The tokens, in order
+ */
+const tokenize = (query) => {
+    const tokens = [];
+    let rest = query;
+    while (rest.length > 0) {
+        const space = rest.match(/^\s+/);
+        if (space) {
+            rest = rest.slice(space[0].length);
+            continue;
+        }
+        if (rest[0] === '(' || rest[0] === ')') {
+            tokens.push({ kind: rest[0] });
+            rest = rest.slice(1);
+            continue;
+        }
+        if (rest[0] === '-' && rest.length > 1 && !/\s/.test(rest[1])) {
+            tokens.push({ kind: 'not' });
+            rest = rest.slice(1);
+            continue;
+        }
+
+        // A field search like t:creature or o:"draw a card"
+        const field = rest.match(/^([a-z]+)(!=|>=|<=|:|=|<|>)("([^"]*)"?|[^\s()]*)/i);
+        if (field) {
+            const value = field[4] ?? field[3];
+            if (value === '') throw new QuerySyntaxError(`"${field[1]}${field[2]}" needs something after it.`);
+            tokens.push({ kind: 'term', key: field[1].toLowerCase(), op: field[2], value });
+            rest = rest.slice(field[0].length);
+            continue;
+        }
+
+        // A plain word or "quoted phrase" searches card names ("or" on its own joins two searches)
+        const word = rest.match(/^("([^"]*)"?|[^\s()]+)/);
+        if (word[1].toLowerCase() === 'or') {
+            tokens.push({ kind: 'or' });
+        } else {
+            tokens.push({ kind: 'term', key: 'name', op: ':', value: word[2] ?? word[1] });
+        }
+        rest = rest.slice(word[0].length);
+    }
+    return tokens;
+};
+
+/**
+ * Compare two numbers with one of the search operators.
+ */
+const compareNumbers = (actual, op, expected) => {
+    switch (op) {
+        case ':':
+        case '=': return actual === expected;
+        case '!=': return actual !== expected;
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        default: return false;
+    }
+};
+
+/**
+ * WHICH COLORS DID THE SEARCH ASK FOR?
+ *
+ * Accepts letters (gw), color names (green), and combination names
+ * (golgari, esper, ...). 'c' or 'colorless' means no colors.
+ *
+ * @param {string} value - Like 'gw' or 'golgari'
+ * @returns {Array<string>} - Like ['W', 'G']
+ */
+const parseColors = (value) => {
+    const lower = value.toLowerCase();
+    if (lower === 'c' || lower === 'colorless') return [];
+    if (COLOR_WORDS[lower]) return [COLOR_WORDS[lower]];
+    const named = Object.entries(COLOR_COMBINATIONS).find(([, combination]) => combination.name.toLowerCase() === lower);
+    if (named) return named[0].split('');
+    if (/^[wubrg]+$/.test(lower)) return [...new Set(lower.toUpperCase().split(''))];
+    throw new QuerySyntaxError(`"${value}" isn't a color. Try letters like "wu", or a name like "golgari".`);
+};
+
+/**
+ * Compare a card's colors with the searched-for colors, the way Scryfall does.
+ * For c: the colon means "at least these colors"; for id: it means "fits inside these colors".
+ */
+const compareColors = (cardColors, op, wanted) => {
+    const has = (color) => cardColors.includes(color);
+    const containsAll = wanted.every(has);
+    const insideWanted = cardColors.every(color => wanted.includes(color));
+    switch (op) {
+        case '=': return containsAll && insideWanted;
+        case '!=': return !(containsAll && insideWanted);
+        case '>=': return containsAll;
+        case '>': return containsAll && !insideWanted;
+        case '<=': return insideWanted;
+        case '<': return insideWanted && !containsAll;
+        default: return false;
+    }
+};
+
+/**
+ * TURN ONE SEARCH TERM INTO A TEST
+ *
+ * @param {Object} term - { key, op, value } from tokenize
+ * @returns {Function} - Takes a card, returns true if it matches
+ */
+const buildTest = ({ key, op, value }) => {
+    const lower = value.toLowerCase();
+    const textOnly = (field) => {
+        if (op !== ':' && op !== '=') throw new QuerySyntaxError(`${field} searches only work with ":" (like ${field}:${value}).`);
+    };
+
+    switch (key) {
+        case 'name':
+            textOnly('name');
+            return (card) => card.name.toLowerCase().includes(lower);
+
+        case 't':
+        case 'type':
+            textOnly(key);
+            return (card) => (card.type || '').toLowerCase().includes(lower);
+
+        case 'o':
+        case 'oracle':
+            textOnly(key);
+            return (card) => (card.oracleText || '').toLowerCase().includes(lower.replace(/~/g, card.name.toLowerCase()));
+
+        case 'kw':
+        case 'keyword':
+            textOnly(key);
+            return (card) => (card.keywords || []).some(keyword => keyword.toLowerCase() === lower);
+
+        case 'cmc':
+        case 'mv':
+        case 'manavalue': {
+            const number = Number(value);
+            if (value.trim() === '' || Number.isNaN(number)) throw new QuerySyntaxError(`"${value}" isn't a number (like ${key}<=3).`);
+            return (card) => compareNumbers(getManaValue(card), op, number);
+        }
+
+        case 'c':
+        case 'color': {
+            if (lower === 'm' || lower === 'multicolor') return (card) => (card.colors || []).length > 1;
+            const wanted = parseColors(value);
+            // c:c means colorless; otherwise c: means "at least these colors"
+            if (wanted.length === 0) return (card) => (card.colors || []).length === 0;
+            return (card) => compareColors(card.colors || [], op === ':' ? '>=' : op, wanted);
+        }
+
+        case 'id':
+        case 'identity': {
+            const wanted = parseColors(value);
+            // id: means "could go in a deck of these colors"
+            return (card) => compareColors(card.colorIdentity || [], op === ':' ? '<=' : op, wanted);
+        }
+
+        case 'r':
+        case 'rarity': {
+            const rarity = RARITIES.find(name => name === lower || name[0] === lower);
+            if (!rarity) throw new QuerySyntaxError(`"${value}" isn't a rarity. Try common, uncommon, rare or mythic.`);
+            return (card) => {
+                const index = RARITIES.indexOf(card.rarity);
+                return index !== -1 && compareNumbers(index, op, RARITIES.indexOf(rarity));
+            };
+        }
+
+        case 'is':
+            textOnly('is');
+            if (lower === 'commander') {
+                return (card) => canBeCommander({ type_line: card.type || '', oracle_text: card.oracleText || '' });
+            }
+            if (lower === 'permanent') return (card) => !/\b(instant|sorcery)\b/i.test((card.type || '').split('//')[0]);
+            if (lower === 'spell') return (card) => !/\bland\b/i.test((card.type || '').split('//')[0]);
+            throw new QuerySyntaxError(`"is:${value}" isn't supported. Try is:commander, is:permanent or is:spell.`);
+
+        default:
+            throw new QuerySyntaxError(`"${key}${op}" isn't a search this deck understands.`);
+    }
+};
+
+/**
+ * UNDERSTAND A WHOLE SEARCH
+ *
+ * Reads the tokens with a small recursive parser. "or" binds loosest, then
+ * searches written next to each other (which all have to match), then "-"
+ * and parentheses.
+ *
+ * @param {string} query - What was typed, like "t:creature cmc<=3 -c:g"
+ * @returns {Function} - Takes a card, returns true if it matches (everything matches an empty search)
+ * @throws {QuerySyntaxError} - If the search can't be understood
+ */
+export const parseQuery = (query) => {
+    const tokens = tokenize(query || '');
+    if (tokens.length === 0) return () => true;
+    let position = 0;
+
+    const parseOr = () => {
+        const options = [parseAnd()];
+        while (tokens[position]?.kind === 'or') {
+            position++;
+            options.push(parseAnd());
+        }
+        return (card) => options.some(test => test(card));
+    };
+
+    const parseAnd = () => {
+        const parts = [];
+        while (position < tokens.length && tokens[position].kind !== 'or' && tokens[position].kind !== ')') {
+            parts.push(parseUnary());
+        }
+        if (parts.length === 0) throw new QuerySyntaxError('Something is missing before or after "or", or inside parentheses.');
+        return (card) => parts.every(test => test(card));
+    };
+
+    const parseUnary = () => {
+        const token = tokens[position++];
+        if (token.kind === 'not') {
+            if (position >= tokens.length || tokens[position].kind === 'or' || tokens[position].kind === ')') {
+                throw new QuerySyntaxError('"-" needs something after it.');
+            }
+            const inner = parseUnary();
+            return (card) => !inner(card);
+        }
+        if (token.kind === '(') {
+            const inner = parseOr();
+            if (tokens[position]?.kind !== ')') throw new QuerySyntaxError('A "(" is missing its ")".');
+            position++;
+            return inner;
+        }
+        return buildTest(token);
+    };
+
+    const test = parseOr();
+    if (position < tokens.length) throw new QuerySyntaxError('There\'s a ")" without a "(".');
+    return test;
+};
@@ -0,0 +1,107 @@
+/**
+ * COLORS - Names for Magic's Colors and Color Combinations
+ *
+ * Magic players have a name for almost every group of colors:
+ * - Two colors are a "guild" (from the Ravnica plane), like Golgari (black-green)
+ * - Three colors next to each other on the color wheel are a "shard" (from
+ *   Alara), like Esper (white-blue-black)
+ * - Three colors with one pair of enemies are a "wedge" (from Tarkir), like
+ *   Abzan (white-black-green)
+ * - Four colors are named after the color they leave out, like "Non-Red"
+ *
+ * This file knows those names, and how to check a deck's colors against a
+ * filter on the deck list.
+ */
+
+import { COLOR_ORDER } from './commandZone';
+
+/**
+ * Each color's full name, plus the symbol and background color we draw it with.
+ */
+export const COLOR_INFO = {
+    W: { name: 'White', fill: '#f8f6d8', text: '#333' },
+    U: { name: 'Blue', fill: '#c1d7e9', text: '#333' },
+    B: { name: 'Black', fill: '#bab1ab', text: '#333' },
+    R: { name: 'Red', fill: '#e49977', text: '#333' },
+    G: { name: 'Green', fill: '#a3c095', text: '#333' },
+    C: { name: 'Colorless', fill: '#ccc2c0', text: '#333' }
+};
+
+/**
+ * EVERY NAMED COLOR COMBINATION
+ *
+ * Keys are colors in WUBRG order ('' is colorless). Each has a name and a
+ * group, so the filter can list them under Guilds, Shards, Wedges and so on.
+ */
+export const COLOR_COMBINATIONS = {
+    '': { name: 'Colorless', group: 'Mono' },
+    W: { name: 'Mono-White', group: 'Mono' },
+    U: { name: 'Mono-Blue', group: 'Mono' },
+    B: { name: 'Mono-Black', group: 'Mono' },
+    R: { name: 'Mono-Red', group: 'Mono' },
+    G: { name: 'Mono-Green', group: 'Mono' },
+    WU: { name: 'Azorius', group: 'Guilds' },
+    UB: { name: 'Dimir', group: 'Guilds' },
+    BR: { name: 'Rakdos', group: 'Guilds' },
+    RG: { name: 'Gruul', group: 'Guilds' },
+    WG: { name: 'Selesnya', group: 'Guilds' },
+    WB: { name: 'Orzhov', group: 'Guilds' },
+    UR: { name: 'Izzet', group: 'Guilds' },
+    BG: { name: 'Golgari', group: 'Guilds' },
+    WR: { name: 'Boros', group: 'Guilds' },
+    UG: { name: 'Simic', group: 'Guilds' },
+    WUG: { name: 'Bant', group: 'Shards' },
+    WUB: { name: 'Esper', group: 'Shards' },
+    UBR: { name: 'Grixis', group: 'Shards' },
+    BRG: { name: 'Jund', group: 'Shards' },
+    WRG: { name: 'Naya', group: 'Shards' },
+    WBG: { name: 'Abzan', group: 'Wedges' },
+    WUR: { name: 'Jeskai', group: 'Wedges' },
+    UBG: { name: 'Sultai', group: 'Wedges' },
+    WBR: { name: 'Mardu', group: 'Wedges' },
+    URG: { name: 'Temur', group: 'Wedges' },
+    UBRG: { name: 'Non-White', group: 'Four colors' },
+    WBRG: { name: 'Non-Blue', group: 'Four colors' },
+    WURG: { name: 'Non-Black', group: 'Four colors' },
+    WUBG: { name: 'Non-Red', group: 'Four colors' },
+    WUBR: { name: 'Non-Green', group: 'Four colors' },
+    WUBRG: { name: 'Five-Color', group: 'Five colors' }
+};
+
+/**
+ * Put colors in WUBRG order and drop anything that isn't a color.
+ *
+ * @param {Array<string>} colors - Like ['G', 'W']
+ * @returns {Array<string>} - Like ['W', 'G']
+ */
+export const sortColors = (colors) => COLOR_ORDER.filter(color => (colors || []).includes(color));
+
+/**
+ * WHAT ARE THESE COLORS CALLED?
+ *
+ * @param {Array<string>} colors - Like ['B', 'G']
+ * @returns {string} - Like 'Golgari'
+ */
+export const getColorCombinationName = (colors) => COLOR_COMBINATIONS[sortColors(colors).join('')].name;
+
+/**
+ * DOES A DECK MATCH A COLOR FILTER?
+ *
+ * Filters work in one of two ways:
+ * - 'exact': The deck's colors are exactly these (so Golgari means black-green and nothing else)
+ * - 'including': The deck has at least these colors (so green also matches Golgari, Simic, ...)
+ *
+ * Picking 'C' (colorless) matches only colorless decks, whichever the mode.
+ *
+ * @param {Array<string>} deckColors - The deck's color identity
+ * @param {{ mode: string, colors: Array<string> }} filter - The filter (no colors picked means "show everything")
+ * @returns {boolean}
+ */
+export const matchesColorFilter = (deckColors, filter) => {
+    if (!filter || filter.colors.length === 0) return true;
+    const colors = sortColors(deckColors);
+    if (filter.colors.includes('C')) return colors.length === 0;
+    const wanted = sortColors(filter.colors);
+    if (filter.mode === 'including') return wanted.every(color => colors.includes(color));
+    return colors.join('') === wanted.join('');
+};
@@ -0,0 +1,172 @@
+/**
+ * COMMAND ZONE - Commanders, Partners, Backgrounds and Companions
+ *
+ * A Commander deck doesn't always have just one commander. Some commanders
+ * come in pairs (Partner, "Partner with", Friends Forever, Doctor's
+ * Companion), some bring a Background enchantment along ("Choose a
+ * Background"), and some decks also have a Companion waiting outside the game.
+ *
+ * Each deck keeps a list of these cards called its "command zone":
+ * [{ name, scryfallId, imageUrl, role, colorIdentity }]
+ *
+ * The role says what the card is doing there:
+ * - 'commander': The main commander
+ * - 'partner': A second commander (Partner, Friends Forever, Doctor's Companion, ...)
+ * - 'background': A Background chosen by a "Choose a Background" commander
+ * - 'companion': A companion (it doesn't count toward the deck's colors)
+ */
+
+import { getCardImageUrl, getOracleText, normalizeCardName } from './scryfall';
+
+/**
+ * THE FIVE COLORS, IN THE ORDER MAGIC ALWAYS LISTS THEM
+ *
+ * White, Blue, Black, Red, Green ("WUBRG").
+ */
+export const COLOR_ORDER = ['W', 'U', 'B', 'R', 'G'];
+
+/**
+ * Friendly names for each role, for showing on screen.
+ */
+export const ROLE_LABELS = {
+    commander: 'Commander',
+    partner: 'Partner',
+    background: 'Background',
+    companion: 'Companion'
+};
+
+/**
+ * Roles that count as commanders (their colors make up the deck's color identity).
+ */
+const COMMANDER_ROLES = ['commander', 'partner', 'background'];
+
+/**
+ * HOW CAN THIS COMMANDER TEAM UP?
+ *
+ * Looks at a card's keywords and rules text to see which kind of pairing it
+ * allows.
+ *
+ * @param {Object} card - A Scryfall card object
+ * @returns {string|null} - 'partner', 'partner with', 'friends forever', "doctor's companion",
+ *                          'choose a background', or null if it can't pair up
+ */
+export const getPairingAbility = (card) => {
+    if (!card) return null;
+    const keywords = (card.keywords || []).map(keyword => keyword.toLowerCase());
+    const text = getOracleText(card).toLowerCase();
+
+    if (keywords.includes('partner with') || /partner with /.test(text)) return 'partner with';
+    if (keywords.includes('friends forever') || text.includes('friends forever')) return 'friends forever';
+    if (keywords.includes("doctor's companion") || text.includes("doctor's companion")) return "doctor's companion";
+    if (text.includes('choose a background')) return 'choose a background';
+    if (keywords.includes('partner') || /(^|\n)partner( \(|$)/m.test(text)) return 'partner';
+    return null;
+};
+
+/**
+ * Is this card a Background enchantment?
+ */
+export const isBackground = (card) => Boolean(card?.type_line?.includes('Background'));
+
+/**
+ * Does this card have the Companion ability?
+ */
+export const isCompanion = (card) => Boolean(
+    card && ((card.keywords || []).includes('Companion') || /(^|\n)Companion —/.test(getOracleText(card)))
+);
+
+/**
+ * DECIDE EACH COMMAND ZONE CARD'S ROLE
+ *
+ * @param {Array} entries - [{ card: <Scryfall card or null>, section: 'commander' | 'companion' | null }]
+ *                          where section is where the decklist put the card, if it said
+ * @returns {Array} - One role per entry
+ */
+export const assignRoles = (entries) => {
+    let commanderFound = false;
+    return entries.map(({ card, section }) => {
+        // The decklist told us it's a companion, or it's a companion card listed after a commander
+        if (section === 'companion' || (section !== 'commander' && commanderFound && isCompanion(card))) {
+            return 'companion';
+        }
+        if (isBackground(card)) return 'background';
+        if (!commanderFound) {
+            commanderFound = true;
+            return 'commander';
+        }
+        return 'partner';
+    });
+};
+
+/**
+ * CREATE ONE COMMAND ZONE ENTRY
+ *
+ * @param {Object|null} card - The Scryfall card (null if we couldn't find it)
+ * @param {string} name - The name to use if the card wasn't found
+ * @param {string} role - The card's role
+ * @returns {Object} - { name, scryfallId, imageUrl, role, colorIdentity }
+ */
+export const createCommandZoneEntry = (card, name, role) => ({
+    name: card?.name || name,
+    scryfallId: card?.id || null,
+    // The deck list page shows this picture, so we keep it handy on the deck itself
+    imageUrl: getCardImageUrl(card),
+    role,
+    colorIdentity: card?.color_identity || []
+});
+
+/**
+ * GET A DECK'S COMMAND ZONE
+ *
+ * Decks saved before multi-commander support had a single "commander"
+ * object instead of a list, so we turn that into a one-card command zone.
+ *
+ * @param {Object} deck - A saved deck
+ * @returns {Array} - The deck's command zone entries
+ */
+export const getCommandZone = (deck) => {
+    if (Array.isArray(deck?.commandZone)) return deck.commandZone;
+    if (deck?.commander) {
+        return [{ scryfallId: null, colorIdentity: [], ...deck.commander, role: 'commander' }];
+    }
+    return [];
+};
+
+/**
+ * Get just the commanders (everything except companions).
+ */
+export const getCommanders = (deck) => getCommandZone(deck).filter(entry => COMMANDER_ROLES.includes(entry.role));
+
+/**
+ * THE CARDS THAT START IN THE LIBRARY
+ *
+ * The decklist includes the commanders (and any companion), but they start
+ * the game in the command zone, so they're never drawn. Anything that counts
+ * draws - the mana base report, the opening hand simulator - leaves them out.
+ *
+ * @param {Array} cards - Decklist entries
+ * @param {Array} commandZone - The deck's command zone entries
+ * @returns {Array} - The entries whose card isn't in the command zone
+ */
+export const getLibraryCards = (cards, commandZone) => {
+    const outside = new Set(commandZone.map(entry => normalizeCardName(entry.name)));
+    return cards.filter(card => !outside.has(normalizeCardName(card.name)));
+};
+
+/**
+ * WORK OUT A DECK'S COLOR IDENTITY
+ *
+ * A Commander deck's colors come from its commanders: every color that
+ * appears in any commander's (or Background's) mana cost or rules text.
+ * Companions must fit inside those colors but don't add to them.
+ *
+ * @param {Array} commandZone - The deck's command zone entries
+ * @returns {Array} - Colors in WUBRG order, like ['W', 'B', 'G']
+ */
+export const getColorIdentity = (commandZone) => {
+    const colors = new Set();
+    commandZone
+        .filter(entry => COMMANDER_ROLES.includes(entry.role))
+        .forEach(entry => (entry.colorIdentity || []).forEach(color => colors.add(color)));
+    return COLOR_ORDER.filter(color => colors.has(color));
+};
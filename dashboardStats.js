@@ -0,0 +1,164 @@
+/**
+ * DASHBOARD STATS - Numbers About Every Deck at Once
+ *
+ * The deck page only knows about one deck. These helpers go through the game
+ * logs of every deck (or just the ones matching a color filter, within a
+ * range of dates) and work out:
+ * - The overall record and win rate
+ * - How many games were played each week, and how the win rate changed
+ * - Which decks were played the most and the least
+ * - Which decks did best and worst (only counting decks with enough games,
+ *   so one lucky win doesn't put a deck at the top)
+ *
+ * Summary entries (totals carried over from before the game log) don't have
+ * real dates, so they only count when no dates are picked, and never show up
+ * in the week-by-week numbers.
+ */
+
+// Import the game log helpers
+import { summarizeGames } from './gameResults';
+// Import the color filter, so the dashboard filters decks the same way the deck list does
+import { matchesColorFilter } from './colors';
+
+/**
+ * How many finished games a deck needs before it can be called a best or worst performer.
+ */
+export const DEFAULT_MIN_GAMES = 5;
+
+/**
+ * How many decks each "most played", "best" (and so on) list shows.
+ */
+const RANKING_SIZE = 5;
+
+/**
+ * WHICH WEEK IS THIS DATE IN?
+ *
+ * Weeks start on Monday. Dates are read as plain calendar days, so the
+ * answer doesn't depend on the computer's time zone.
+ *
+ * @param {string} date - A day, like '2026-10-18'
+ * @returns {string} - The Monday that week starts on, like '2026-10-12'
+ */
+export const getWeekStart = (date) => {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() - (day.getUTCDay() + 6) % 7);
+    return day.toISOString().slice(0, 10);
+};
+
+/**
+ * The Monday after the week starting on this Monday.
+ */
+const nextWeek = (weekStart) => {
+    const day = new Date(`${weekStart}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + 7);
+    return day.toISOString().slice(0, 10);
+};
+
+/**
+ * A deck's win rate as a plain number (0 to 1) for sorting, or null with no finished games.
+ */
+const winFraction = (stats) => (stats.finishedGames > 0 ? stats.wins / stats.finishedGames : null);
+
+/**
+ * SPLIT A RANKING INTO A TOP AND A BOTTOM
+ *
+ * Takes the first few rows as the top and the last few (in reverse) as the
+ * bottom, without letting a deck show up in both when there are only a few.
+ *
+ * @param {Array} rows - Rows sorted best first
+ * @returns {{ top: Array, bottom: Array }}
+ */
+const splitRanking = (rows) => {
+    const topCount = Math.min(RANKING_SIZE, Math.ceil(rows.length / 2));
+    return {
+        top: rows.slice(0, topCount),
+        bottom: rows.slice(topCount).reverse().slice(0, RANKING_SIZE)
+    };
+};
+
+/**
+ * @typedef {Object} DashboardFilter
+ * @property {string} from - The first day to count, like '2026-01-01' ('' for no limit)
+ * @property {string} to - The last day to count ('' for no limit)
+ * @property {{ mode: string, colors: Array<string> }} colorFilter - Which decks to count (see matchesColorFilter in colors.js)
+ * @property {number} minGames - How many finished games a deck needs to be ranked best or worst
+ */
+
+/**
+ * WORK OUT THE DASHBOARD
+ *
+ * @param {Array} decks - Every saved deck
+ * @param {DashboardFilter} filter - Which decks and dates to count
+ * @returns {{
+ *   decks: Array,
+ *   overall: Object,
+ *   deckRows: Array<{ deck: Object, games: Array, stats: Object }>,
+ *   mostPlayed: Array, leastPlayed: Array, best: Array, worst: Array,
+ *   weeks: Array<{ week: string, games: number, wins: number, winRate: number|null }>
+ * }} - decks are the ones matching the color filter; overall is summarizeGames over every counted
+ *     game; winRate in weeks is the win rate over every game up to the end of that week
+ */
+export const getDashboardStats = (decks, filter) => {
+    const { from, to, colorFilter, minGames } = filter;
+    const hasDates = Boolean(from || to);
+    const inRange = (game) => {
+        if (game.kind === 'summary') return !hasDates;
+        return (!from || game.playedAt >= from) && (!to || game.playedAt <= to);
+    };
+
+    const shownDecks = decks.filter(deck => matchesColorFilter(deck.colorIdentity || [], colorFilter));
+    const deckRows = shownDecks.map(deck => {
+        const games = (deck.games || []).filter(inRange);
+        return { deck, games, stats: summarizeGames(games) };
+    });
+    const allGames = deckRows.flatMap(row => row.games);
+
+    // Most and least played: every deck, even ones with no games in the range
+    const byGames = [...deckRows].sort((a, b) => b.stats.totalGames - a.stats.totalGames || a.deck.name.localeCompare(b.deck.name));
+    const played = splitRanking(byGames);
+
+    // Best and worst: only decks with enough finished games to mean something
+    const byWinRate = deckRows
+        .filter(row => row.stats.finishedGames >= Math.max(1, minGames))
+        .sort((a, b) => winFraction(b.stats) - winFraction(a.stats) || b.stats.finishedGames - a.stats.finishedGames);
+    const performers = splitRanking(byWinRate);
+
+    // Week by week, from the first week with a game to the last, with empty weeks filled in
+    const counted = {};
+    allGames
+        .filter(game => game.kind !== 'summary')
+        .forEach(game => {
+            const week = getWeekStart(game.playedAt);
+            const entry = counted[week] || { games: 0, wins: 0, finishedGames: 0 };
+            entry.games++;
+            if (game.result === 'win') entry.wins++;
+            if (game.result !== 'unfinished') entry.finishedGames++;
+            counted[week] = entry;
+        });
+    const weekKeys = Object.keys(counted).sort();
+    const weeks = [];
+    let wins = 0;
+    let finishedGames = 0;
+    for (let week = weekKeys[0]; weekKeys.length > 0 && week <= weekKeys[weekKeys.length - 1]; week = nextWeek(week)) {
+        const entry = counted[week] || { games: 0, wins: 0, finishedGames: 0 };
+        wins += entry.wins;
+        finishedGames += entry.finishedGames;
+        weeks.push({
+            week,
+            games: entry.games,
+            wins: entry.wins,
+            winRate: finishedGames > 0 ? wins / finishedGames * 100 : null
+        });
+    }
+
+    return {
+        decks: shownDecks,
+        overall: summarizeGames(allGames),
+        deckRows,
+        mostPlayed: played.top,
+        leastPlayed: played.bottom,
+        best: performers.top,
+        worst: performers.bottom,
+        weeks
+    };
+};
@@ -0,0 +1,368 @@
+/**
+ * DECK ANALYSIS - Numbers About a Deck's Cards
+ *
+ * Small helpers for working out a deck's mana curve, its mix of card types,
+ * its colored mana symbols ("pips") and its win rate, and for comparing the
+ * cards in several decks. They work on decklist entries that have been
+ * filled in from the card cache (see hydrateDecklist in cardCache.js), so
+ * each card has its manaCost, cmc, type and colors.
+ */
+
+import { normalizeCardName } from './scryfall';
+import { COLOR_ORDER } from './commandZone';
+
+/**
+ * The mana curve's columns: 0 to 6 mana, then everything costing 7 or more.
+ */
+export const CURVE_BUCKETS = ['0', '1', '2', '3', '4', '5', '6', '7+'];
+
+/**
+ * The card types we count, in the order they're checked. A card counts as
+ * the first one its type line mentions, so an "Artifact Creature" is a
+ * Creature and a "Land Creature" is a Land.
+ */
+export const CARD_TYPES = ['Land', 'Creature', 'Planeswalker', 'Battle', 'Instant', 'Sorcery', 'Artifact', 'Enchantment'];
+
+/**
+ * GET MANA VALUE (Converted Mana Cost)
+ *
+ * This figures out how much mana a card costs. For example:
+ * - "{1}{R}" = 2 mana (1 generic + 1 red)
+ * - "{3}{G}{G}" = 5 mana (3 generic + 2 green)
+ *
+ * We prefer to use the CMC (Converted Mana Cost) that Scryfall gives us,
+ * but if we don't have that, we count the numbers in the mana cost string.
+ *
+ * @param {Object} card - The card object
+ * @returns {number} - The total mana value
+ */
+export const getManaValue = (card) => {
+    // If Scryfall gave us the CMC, use that (it's more accurate)
+    if (card.cmc !== null && card.cmc !== undefined) {
+        return card.cmc;
+    }
+    // Otherwise, we need to count the numbers in the mana cost string
+    if (!card.manaCost || card.manaCost === '') return 0;
+
+    // Find all the numbers in curly braces (like {1}, {2}, etc.)
+    const matches = card.manaCost.match(/\{(\d+)\}/g);
+    if (!matches) return 0;
+
+    // Add up all the numbers we found
+    return matches.reduce((sum, match) => {
+        const num = parseInt(match.replace(/[{}]/g, ''));
+        return sum + (isNaN(num) ? 0 : num);
+    }, 0);
+};
+
+/**
+ * GET CARD TYPE FOR SORTING
+ *
+ * This extracts the main type from a card's type line. For example:
+ * - "Creature — Human Wizard" → "Creature"
+ * - "Instant" → "Instant"
+ * - "Artifact Creature — Golem" → "Artifact Creature"
+ *
+ * We only want the part before the dash for sorting purposes.
+ *
+ * @param {string} typeLine - The full type line from Scryfall
+ * @returns {string} - Just the main type
+ */
+export const getCardType = (typeLine) => {
+    if (!typeLine) return 'Unknown';
+    // Split at the dash and take the first part
+    // "Creature — Human Wizard" becomes ["Creature ", " Human Wizard"]
+    const mainType = typeLine.split('—')[0].trim();
+    return mainType || 'Unknown';
+};
+
+/**
+ * WHICH OF CARD_TYPES IS THIS CARD?
+ *
+ * Double-faced cards count as their front face.
+ *
+ * @param {string} typeLine - The full type line from Scryfall
+ * @returns {string} - One of CARD_TYPES, or 'Other' if we don't know the type
+ */
+export const getPrimaryType = (typeLine) => {
+    const frontFace = getCardType((typeLine || '').split('//')[0]);
+    return CARD_TYPES.find(type => frontFace.includes(type)) || 'Other';
+};
+
+/**
+ * IS THIS CARD A PERMANENT?
+ *
+ * Permanents stay on the battlefield after they're cast (creatures,
+ * artifacts, enchantments, planeswalkers, battles and lands). Instants and
+ * sorceries don't.
+ *
+ * @param {string} typeLine - The full type line from Scryfall
+ * @returns {boolean}
+ */
+export const isPermanent = (typeLine) => {
+    const frontFace = getCardType((typeLine || '').split('//')[0]);
+    return ['Creature', 'Artifact', 'Enchantment', 'Planeswalker', 'Battle', 'Land'].some(type => frontFace.includes(type));
+};
+
+/**
+ * WHICH COLOR GROUP DOES A CARD BELONG TO?
+ *
+ * @param {Object} card - A decklist entry filled in from the card cache
+ * @returns {string} - 'W', 'U', 'B', 'R' or 'G' for one color, 'M' for multicolored, 'C' for colorless
+ */
+export const getColorGroup = (card) => {
+    const colors = card.colors || [];
+    if (colors.length === 0) return 'C';
+    if (colors.length > 1) return 'M';
+    return colors[0];
+};
+
+/**
+ * COUNT THE COLORED MANA SYMBOLS IN A MANA COST
+ *
+ * Every symbol counts once for each color in it, so:
+ * - "{2}{G}{G}" has two green pips
+ * - Hybrid "{B/G}" has one black and one green pip
+ * - Phyrexian "{G/P}" has one green pip (it can be paid with life instead)
+ * - "{2/W}" has one white pip
+ * - "{C}" (specifically colorless mana) counts as C
+ * Generic mana like {2} or {X} isn't a pip.
+ *
+ * @param {string} manaCost - Like "{1}{B/G}{G}"
+ * @returns {Object} - { W, U, B, R, G, C } counts
+ */
+export const countPips = (manaCost) => {
+    const pips = Object.fromEntries([...COLOR_ORDER, 'C'].map(color => [color, 0]));
+    (manaCost || '').match(/\{[^}]+\}/g)?.forEach(symbol => {
+        symbol.slice(1, -1).split('/').forEach(part => {
+            if (part in pips) pips[part]++;
+        });
+    });
+    return pips;
+};
+
+/**
+ * COUNT EVERY PIP IN A DECK
+ *
+ * @param {Array} cards - Decklist entries filled in from the card cache
+ * @returns {Object} - { W, U, B, R, G, C } totals (each card's pips times its quantity)
+ */
+export const getPipCounts = (cards) => {
+    const totals = Object.fromEntries([...COLOR_ORDER, 'C'].map(color => [color, 0]));
+    cards.forEach(card => {
+        const pips = countPips(card.manaCost);
+        Object.keys(totals).forEach(color => {
+            totals[color] += pips[color] * card.quantity;
+        });
+    });
+    return totals;
+};
+
+/**
+ * CALCULATE WIN RATE
+ *
+ * Formula: (Wins / Finished Games) × 100, rounded to one decimal place.
+ * Games that were cut short don't count, since nobody won them.
+ * Example: 3 wins out of 5 games = 60% win rate
+ *
+ * @param {Object} stats - The deck's stats ({ wins, finishedGames, totalGames })
+ * @returns {string|number} - The win rate, like "60.0" (0 if no games were played)
+ */
+export const getWinRate = (stats) => {
+    const games = stats?.finishedGames ?? stats?.totalGames;
+    return games > 0 ? ((stats.wins || 0) / games * 100).toFixed(1) : 0;
+};
+
+/**
+ * COUNT CARDS BY MANA VALUE
+ *
+ * Lands aren't cast, so they're left out of the curve.
+ *
+ * @param {Array} cards - Decklist entries filled in from the card cache
+ * @returns {Object} - How many cards cost each amount: { '0': 2, '1': 10, ..., '7+': 3 }
+ */
+export const getManaCurve = (cards) => {
+    const curve = Object.fromEntries(CURVE_BUCKETS.map(bucket => [bucket, 0]));
+    cards
+        .filter(card => getPrimaryType(card.type) !== 'Land')
+        .forEach(card => {
+            const value = Math.floor(getManaValue(card));
+            curve[value >= 7 ? '7+' : String(value)] += card.quantity;
+        });
+    return curve;
+};
+
+/**
+ * MANA CURVE, SPLIT UP
+ *
+ * Like getManaCurve, but each column is broken down so it can be drawn as a
+ * stacked bar: permanents vs. everything else, and by color group (see
+ * getColorGroup).
+ *
+ * @param {Array} cards - Decklist entries filled in from the card cache
+ * @returns {Array} - One { bucket, total, permanent, nonPermanent, byColor: { W, U, B, R, G, M, C } } per CURVE_BUCKETS column
+ */
+export const getManaCurveBreakdown = (cards) => {
+    const columns = CURVE_BUCKETS.map(bucket => ({
+        bucket,
+        total: 0,
+        permanent: 0,
+        nonPermanent: 0,
+        byColor: Object.fromEntries([...COLOR_ORDER, 'M', 'C'].map(group => [group, 0]))
+    }));
+    cards
+        .filter(card => getPrimaryType(card.type) !== 'Land')
+        .forEach(card => {
+            const value = Math.floor(getManaValue(card));
+            const column = columns[Math.min(value, CURVE_BUCKETS.length - 1)];
+            column.total += card.quantity;
+            column[isPermanent(card.type) ? 'permanent' : 'nonPermanent'] += card.quantity;
+            column.byColor[getColorGroup(card)] += card.quantity;
+        });
+    return columns;
+};
+
+/**
+ * AVERAGE MANA VALUE
+ *
+ * Lands are usually left out (they'd drag the average down, since they cost
+ * nothing), but they can be counted too.
+ *
+ * @param {Array} cards - Decklist entries filled in from the card cache
+ * @param {Object} options
+ * @param {boolean} options.includeLands - Count lands as 0-mana cards (defaults to false)
+ * @returns {number} - The average, rounded to two decimal places (0 if there are no cards to count)
+ */
+export const getAverageManaValue = (cards, options = {}) => {
+    const spells = options.includeLands ? cards : cards.filter(card => getPrimaryType(card.type) !== 'Land');
+    const count = spells.reduce((sum, card) => sum + card.quantity, 0);
+    if (count === 0) return 0;
+    const total = spells.reduce((sum, card) => sum + getManaValue(card) * card.quantity, 0);
+    return Math.round((total / count) * 100) / 100;
+};
+
+/**
+ * COUNT CARDS BY TYPE
+ *
+ * @param {Array} cards - Decklist entries filled in from the card cache
+ * @returns {Object} - How many cards of each type: { Land: 36, Creature: 28, ..., Other: 0 }
+ */
+export const getTypeMix = (cards) => {
+    const mix = Object.fromEntries([...CARD_TYPES, 'Other'].map(type => [type, 0]));
+    cards.forEach(card => {
+        mix[getPrimaryType(card.type)] += card.quantity;
+    });
+    return mix;
+};
+
+/**
+ * COUNT EVERY TYPE EACH CARD HAS
+ *
+ * Unlike getTypeMix, a card counts once for each of its types, so an
+ * "Artifact Creature" adds to both Artifact and Creature. The numbers add up
+ * to more than the deck's size, but show how many of each type you can find.
+ *
+ * @param {Array} cards - Decklist entries filled in from the card cache
+ * @returns {Object} - How many cards have each type: { Land: 36, Creature: 30, Artifact: 12, ... }
+ */
+export const getTypeBreakdown = (cards) => {
+    const counts = Object.fromEntries(CARD_TYPES.map(type => [type, 0]));
+    cards.forEach(card => {
+        const frontFace = getCardType((card.type || '').split('//')[0]);
+        CARD_TYPES
+            .filter(type => frontFace.includes(type))
+            .forEach(type => {
+                counts[type] += card.quantity;
+            });
+    });
+    return counts;
+};
+
+/**
+ * COUNT THE LANDS
+ *
+ * @param {Array} cards - Decklist entries filled in from the card cache
+ * @returns {number}
+ */
+export const countLands = (cards) => cards
+    .filter(card => getPrimaryType(card.type) === 'Land')
+    .reduce((sum, card) => sum + card.quantity, 0);
+
+/**
+ * SPLIT A DECK INTO GROUPS
+ *
+ * Used by the text and stacks views. Cards can be grouped by type (creatures,
+ * then planeswalkers, ..., with lands last) or by mana value (0, 1, 2, ...,
+ * with lands in their own group at the end). Cards keep the order they're
+ * passed in within each group, and empty groups are left out.
+ *
+ * @param {Array} cards - Decklist entries filled in from the card cache
+ * @param {string} groupBy - 'type' or 'mana'
+ * @returns {Array} - [{ label, count, cards }] where count adds up the quantities
+ */
+export const groupCards = (cards, groupBy) => {
+    const labels = groupBy === 'mana'
+        ? [...CURVE_BUCKETS, 'Land']
+        : [...CARD_TYPES.filter(type => type !== 'Land'), 'Other', 'Land'];
+    const groups = labels.map(label => ({ label, count: 0, cards: [] }));
+
+    cards.forEach(card => {
+        const type = getPrimaryType(card.type);
+        let label = type;
+        if (groupBy === 'mana' && type !== 'Land') {
+            label = CURVE_BUCKETS[Math.min(Math.floor(getManaValue(card)), CURVE_BUCKETS.length - 1)];
+        }
+        const group = groups[labels.indexOf(label)];
+        group.cards.push(card);
+        group.count += card.quantity;
+    });
+
+    return groups
+        .filter(group => group.cards.length > 0)
+        .map(group => ({ ...group, label: groupBy === 'mana' && group.label !== 'Land' ? `${group.label} mana` : group.label }));
+};
+
+/**
+ * COMPARE THE CARDS IN SEVERAL DECKS
+ *
+ * Cards are matched by name, so different printings of the same card count
+ * as the same card.
+ *
+ * @param {Array<Array>} decklists - One decklist per deck
+ * @returns {Object} - {
+ *   shared: [{ name, quantities }] - cards in every deck (quantities has one number per deck),
+ *   unique: [[name]] - for each deck, the cards no other deck has,
+ *   partial: [{ name, quantities }] - cards in some decks but not all (only possible with 3 or more decks)
+ * }
+ */
+export const compareDecklists = (decklists) => {
+    // For every card name, how many copies each deck has
+    const byName = new Map();
+    decklists.forEach((cards, deckIndex) => {
+        cards.forEach(card => {
+            const key = normalizeCardName(card.name);
+            if (!byName.has(key)) {
+                byName.set(key, { name: card.name, quantities: decklists.map(() => 0) });
+            }
+            byName.get(key).quantities[deckIndex] += card.quantity;
+        });
+    });
+
+    const shared = [];
+    const partial = [];
+    const unique = decklists.map(() => []);
+    [...byName.values()]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(card => {
+            const decksWithCard = card.quantities.filter(quantity => quantity > 0).length;
+            if (decksWithCard === decklists.length) {
+                shared.push(card);
+            } else if (decksWithCard === 1) {
+                unique[card.quantities.findIndex(quantity => quantity > 0)].push(card.name);
+            } else {
+                partial.push(card);
+            }
+        });
+
+    return { shared, unique, partial };
+};
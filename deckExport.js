@@ -0,0 +1,246 @@
+/**
+ * DECK EXPORT - Turn a Saved Deck Back Into a Decklist File
+ *
+ * Importing gets decks into the app; this file gets them back out again, in
+ * the formats other programs understand:
+ * - Plain text: "1 Sol Ring" lines with section headers
+ * - MTG Arena: the same, plus each card's printing ("1 Sol Ring (C21) 263")
+ * - MTGO: a .dek XML file
+ * - CSV: a spreadsheet using Moxfield's column names
+ * - JSON: everything about the deck, including stats and notes
+ *
+ * The text formats use the same section headers our decklist parser reads
+ * (Commander, Companion, Deck, Sideboard, Maybeboard), so exporting a deck
+ * and importing it again keeps its commanders and sections.
+ */
+
+import { getCommandZone } from './commandZone';
+import { normalizeCardName } from './scryfall';
+
+/**
+ * EVERY EXPORT FORMAT WE OFFER
+ *
+ * Each one has a label for the screen, a file extension and a file type.
+ */
+export const EXPORT_FORMATS = {
+    text: { label: 'Plain Text', extension: 'txt', mimeType: 'text/plain' },
+    arena: { label: 'MTG Arena', extension: 'txt', mimeType: 'text/plain' },
+    mtgo: { label: 'MTGO (.dek)', extension: 'dek', mimeType: 'application/xml' },
+    csv: { label: 'CSV (Moxfield)', extension: 'csv', mimeType: 'text/csv' },
+    json: { label: 'JSON (everything)', extension: 'json', mimeType: 'application/json' }
+};
+
+/**
+ * SORT A DECK'S CARDS INTO SECTIONS
+ *
+ * Commanders (and partners and backgrounds) sit in the decklist like any
+ * other card, so we pull them out into their own Commander section. Companions
+ * only live in the command zone, so they get a Companion section.
+ *
+ * @param {Object} deck - A saved deck
+ * @param {Array} cards - The decklist to use (defaults to deck.decklist; pass hydrated cards for extra details)
+ * @returns {Object} - { commander, companion, deck, sideboard, maybeboard }, each a list of entries
+ */
+export const getExportSections = (deck, cards = deck.decklist || []) => {
+    const commandZone = getCommandZone(deck);
+    const commanderEntries = commandZone.filter(entry => entry.role !== 'companion');
+    const commanderNames = commanderEntries.map(entry => normalizeCardName(entry.name));
+
+    // Commanders that are in the decklist use the decklist's entry (so we keep their printing)
+    const commanders = commanderEntries.map(entry =>
+        cards.find(card => normalizeCardName(card.name) === normalizeCardName(entry.name)) ||
+        { name: entry.name, quantity: 1 }
+    );
+
+    return {
+        commander: commanders,
+        companion: commandZone.filter(entry => entry.role === 'companion').map(entry => ({ name: entry.name, quantity: 1 })),
+        deck: cards.filter(card => !commanderNames.includes(normalizeCardName(card.name))),
+        sideboard: deck.sideboard || [],
+        maybeboard: deck.maybeboard || []
+    };
+};
+
+// Section headers in the order they're written, and the word used for each
+const SECTION_HEADERS = [
+    ['commander', 'Commander'],
+    ['companion', 'Companion'],
+    ['deck', 'Deck'],
+    ['sideboard', 'Sideboard'],
+    ['maybeboard', 'Maybeboard']
+];
+
+/**
+ * WRITE A TEXT DECKLIST
+ *
+ * One block per non-empty section, each starting with its header and
+ * separated by a blank line.
+ *
+ * @param {Object} sections - From getExportSections
+ * @param {Function} formatLine - Turns one card into one line of text
+ * @param {Array} sectionNames - Which sections to include
+ * @returns {string} - The decklist text
+ */
+const writeTextSections = (sections, formatLine, sectionNames) => SECTION_HEADERS
+    .filter(([key]) => sectionNames.includes(key) && sections[key].length > 0)
+    .map(([key, header]) => [header, ...sections[key].map(formatLine)].join('\n'))
+    .join('\n\n');
+
+/**
+ * PLAIN TEXT EXPORT
+ *
+ * "1 Sol Ring" lines, grouped under section headers. Works almost everywhere.
+ */
+export const exportPlainText = (deck, cards) => writeTextSections(
+    getExportSections(deck, cards),
+    card => `${card.quantity} ${card.name}`,
+    ['commander', 'companion', 'deck', 'sideboard', 'maybeboard']
+) + '\n';
+
+/**
+ * MTG ARENA EXPORT
+ *
+ * Like plain text, but each card also says which printing it is:
+ * "1 Sol Ring (C21) 263". Arena has no maybeboard, so that section is left out.
+ */
+export const exportArena = (deck, cards) => {
+    const formatLine = card => (card.setCode && card.collectorNumber
+        ? `${card.quantity} ${card.name} (${card.setCode}) ${card.collectorNumber}`
+        : `${card.quantity} ${card.name}`);
+
+    const about = `About\nName ${deck.name}\n\n`;
+    return about + writeTextSections(
+        getExportSections(deck, cards),
+        formatLine,
+        ['commander', 'companion', 'deck', 'sideboard']
+    ) + '\n';
+};
+
+/**
+ * Escape characters that have a special meaning in XML (like & and ").
+ */
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * MTGO .dek EXPORT
+ *
+ * MTGO has no command zone, so commanders go in the sideboard (that's how
+ * MTGO itself stores Commander decks). Companions go there too. So that
+ * importing the file again can tell them apart from the real sideboard, they
+ * also get a Commander="true" or Companion="true" attribute, which MTGO
+ * ignores.
+ * CatID is MTGO's own card number, which we only know for cards whose
+ * details came from Scryfall.
+ */
+export const exportMtgo = (deck, cards) => {
+    const sections = getExportSections(deck, cards);
+    const cardTag = (card, sideboard, zone = '') =>
+        `  <Cards CatID="${card.mtgoId || 0}" Quantity="${card.quantity}" Sideboard="${sideboard}" Name="${escapeXml(card.name)}" Annotation="0"${zone} />`;
+
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<Deck xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+        '  <NetDeckID>0</NetDeckID>',
+        '  <PreconstructedDeckID>0</PreconstructedDeckID>',
+        ...sections.deck.map(card => cardTag(card, false)),
+        ...sections.commander.map(card => cardTag(card, true, ' Commander="true"')),
+        ...sections.companion.map(card => cardTag(card, true, ' Companion="true"')),
+        ...sections.sideboard.map(card => cardTag(card, true)),
+        '</Deck>',
+        ''
+    ].join('\n');
+};
+
+/**
+ * Put a value in quotes for a CSV cell, doubling any quotes inside it.
+ */
+const csvCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+/**
+ * CSV EXPORT (Moxfield columns)
+ *
+ * Uses the column names from Moxfield's CSV files, plus a "Board" column
+ * saying which section each card belongs to.
+ */
+export const exportCsv = (deck, cards) => {
+    const sections = getExportSections(deck, cards);
+    const boards = {
+        commander: 'commander',
+        companion: 'companion',
+        deck: 'mainboard',
+        sideboard: 'sideboard',
+        maybeboard: 'maybeboard'
+    };
+    const header = ['Count', 'Tradelist Count', 'Name', 'Edition', 'Condition', 'Language', 'Foil',
+        'Tags', 'Last Modified', 'Collector Number', 'Alter', 'Proxy', 'Purchase Price', 'Board'];
+
+    const rows = SECTION_HEADERS.flatMap(([key]) => sections[key].map(card => [
+        card.quantity,
+        0,
+        card.name,
+        (card.setCode || '').toLowerCase(),
+        'Near Mint',
+        'English',
+        card.foil ? 'foil' : '',
+        '',
+        '',
+        card.collectorNumber || '',
+        'False',
+        'False',
+        '',
+        boards[key]
+    ]));
+
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+};
+
+/**
+ * JSON EXPORT
+ *
+ * The whole saved deck - cards, command zone, stats, notes and all - wrapped
+ * with a little information about the file itself.
+ */
+export const exportJson = (deck) => JSON.stringify({
+    type: 'mtg-deck',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    deck
+}, null, 2) + '\n';
+
+/**
+ * EXPORT A DECK - The Main Function Everyone Else Uses
+ *
+ * @param {Object} deck - A saved deck
+ * @param {string} format - One of the keys of EXPORT_FORMATS
+ * @param {Array} cards - The deck's hydrated cards (optional, adds details like MTGO ids)
+ * @returns {string} - The exported file's contents
+ */
+export const exportDeck = (deck, format, cards) => {
+    switch (format) {
+        case 'arena':
+            return exportArena(deck, cards);
+        case 'mtgo':
+            return exportMtgo(deck, cards);
+        case 'csv':
+            return exportCsv(deck, cards);
+        case 'json':
+            return exportJson(deck);
+        default:
+            return exportPlainText(deck, cards);
+    }
+};
+
+/**
+ * PICK A FILE NAME FOR AN EXPORT
+ *
+ * "Atraxa Superfriends!" exported as Arena text becomes "atraxa-superfriends.txt".
+ */
+export const getExportFileName = (deck, format) => {
+    const slug = (deck.name || 'deck').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'deck';
+    return `${slug}.${EXPORT_FORMATS[format].extension}`;
+};
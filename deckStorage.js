@@ -0,0 +1,535 @@
+/**
+ * DECK STORAGE - The One Place That Reads and Writes Your Decks
+ *
+ * Every deck is saved in the browser's localStorage under the "mtgDecks" key.
+ * Instead of each page reading and writing that key itself, they all go
+ * through the functions in this file. That way:
+ *
+ * - Old decks are upgraded to the current layout as they're loaded
+ *   ("migrations"), and we remember which layout version is saved
+ * - Damaged data doesn't crash the page - we keep a copy of it, start fresh,
+ *   and tell the user what happened
+ * - A full storage quota gives a clear message instead of a silent failure
+ *
+ * Problems found while loading are shown as a notice at the top of the app
+ * (see subscribeToStorageNotices). Problems while saving throw a StorageError
+ * whose message can be shown to the user as-is.
+ */
+
+import { getCommandZone, getColorIdentity } from './commandZone';
+import { createSnapshot, hasListChanged } from './versionHistory';
+import { getOracleText } from './scryfall';
+import { createGameEntry, summarizeGames, summaryFromStats } from './gameResults';
+
+/**
+ * @typedef {Object} DeckCard
+ * @property {string} name - The card's name
+ * @property {number} quantity - How many copies
+ * @property {string} [scryfallId] - The exact printing's Scryfall id
+ * @property {string} [setCode] - The printing's set code, like 'C21'
+ * @property {string} [collectorNumber] - The printing's collector number, like '263'
+ * @property {boolean} [foil] - Whether the copy is foil
+ * @property {Array<string>} [colorIdentity] - The card's color identity, like ['B', 'G']
+ * @property {Array<string>} [colors] - The card's colors (its mana cost and color indicator), like ['G']
+ * @property {string} [oracleText] - The card's rules text (every face), for searching the deck
+ * @property {Array<string>} [keywords] - The card's keyword abilities, like ['Flying', 'Ward']
+ */
+
+/**
+ * @typedef {Object} Deck
+ * @property {string} id - Unique id
+ * @property {string} name - The deck's name
+ * @property {Array} commandZone - Commanders, partners, backgrounds and companions (see commandZone.js)
+ * @property {Array<string>} colorIdentity - The deck's colors, like ['W', 'B']
+ * @property {Array<DeckCard>} decklist - The cards in the deck
+ * @property {Array<DeckCard>} sideboard - Cards set aside for the sideboard
+ * @property {Array<DeckCard>} maybeboard - Cards being considered
+ * @property {Array<GameEntry>} games - Every game the deck played (see gameResults.js)
+ * @property {GameStats} stats - Worked out from games (never changed directly, see gameResults.js)
+ * @property {string} notes - The user's notes
+ * @property {Object|null} [legality] - The last Commander legality check ({ legal, violations, checkedAt }, see deckValidator.js), or null if the cards changed since
+ * @property {Array<DeckSnapshot>} history - Every version of the list, oldest first (see versionHistory.js)
+ * @property {string} createdAt - When the deck was created (ISO date)
+ * @property {string} updatedAt - When the deck was last changed (ISO date)
+ */
+
+// Where everything is kept in localStorage
+const DECKS_KEY = 'mtgDecks';
+const SCHEMA_KEY = 'mtgSchemaVersion';
+// If the saved decks are damaged, the original text is kept here so nothing is thrown away
+const CORRUPT_KEY = 'mtgDecksCorrupt';
+// Imports that were cancelled or interrupted, waiting to be resumed
+const DRAFTS_KEY = 'mtgImportDrafts';
+
+/**
+ * Every localStorage key this file manages (backups treat these separately from settings).
+ */
+export const DECK_STORAGE_KEYS = [DECKS_KEY, SCHEMA_KEY, CORRUPT_KEY, DRAFTS_KEY];
+
+/**
+ * A PROBLEM SAVING DECKS
+ *
+ * Its message is written for the user, so it can go straight into an alert.
+ */
+export class StorageError extends Error {
+    constructor(message, cause) {
+        super(message);
+        this.name = 'StorageError';
+        this.cause = cause;
+    }
+}
+
+/**
+ * CREATE ONE DECKLIST ENTRY
+ *
+ * A deck only remembers which card and printing each entry is - the picture,
+ * mana cost and so on live in the card cache. The importer and the deck
+ * editor both build entries this way.
+ *
+ * @param {Object} line - What the list said: { name, quantity, setCode, collectorNumber, foil }
+ * @param {Object|null} card - The Scryfall card the line was resolved to (null if it wasn't found)
+ * @returns {DeckCard}
+ */
+export const createDeckCard = (line, card) => ({
+    name: card?.name || line.name,       // The card's official name (or what was typed, if not found)
+    quantity: line.quantity,             // How many copies (usually 1)
+    scryfallId: card?.id || null,        // Which exact card this is in the card cache
+    // Which printing we own: set code (like "C21"), collector number, and whether it's foil
+    setCode: card?.set?.toUpperCase() || line.setCode,
+    collectorNumber: card?.collector_number || line.collectorNumber,
+    foil: line.foil,
+    // The card's colors, so the deck list can work with colors without looking every card up
+    colorIdentity: card?.color_identity || [],
+    colors: card?.colors || card?.card_faces?.[0]?.colors || [],
+    // Its rules text and keywords, so searches inside the deck work without looking cards up
+    oracleText: card ? getOracleText(card) : '',
+    keywords: card?.keywords || []
+});
+
+/**
+ * MIGRATIONS - Upgrading Old Decks
+ *
+ * MIGRATIONS[0] upgrades a deck from version 0 to version 1, MIGRATIONS[1]
+ * from 1 to 2, and so on. Decks saved before versions were tracked count as
+ * version 0. Each migration is safe to run on a deck that's already upgraded.
+ */
+const MIGRATIONS = [
+    // Version 1: a single "commander" became a "commandZone" list, with the deck's colors worked out
+    (deck) => {
+        const { commander, ...rest } = deck;
+        const commandZone = getCommandZone(deck);
+        return {
+            ...rest,
+            commandZone,
+            colorIdentity: Array.isArray(deck.colorIdentity) ? deck.colorIdentity : getColorIdentity(commandZone)
+        };
+    },
+    // Version 2: every deck has all its fields (older decks were missing some), and an updatedAt date
+    (deck) => {
+        const toCards = (cards) => (Array.isArray(cards) ? cards : [])
+            .filter(card => card && typeof card.name === 'string')
+            .map(card => ({ ...card, quantity: Math.max(1, parseInt(card.quantity, 10) || 1) }));
+        const stats = deck.stats || {};
+        const wins = Number(stats.wins) || 0;
+        const losses = Number(stats.losses) || 0;
+
+        return {
+            ...deck,
+            name: String(deck.name || 'Untitled Deck'),
+            decklist: toCards(deck.decklist),
+            sideboard: toCards(deck.sideboard),
+            maybeboard: toCards(deck.maybeboard),
+            stats: {
+                ...stats,
+                wins,
+                losses,
+                mulligans: Number(stats.mulligans) || 0,
+                totalGames: Number(stats.totalGames) || wins + losses
+            },
+            notes: typeof deck.notes === 'string' ? deck.notes : '',
+            createdAt: deck.createdAt || new Date().toISOString(),
+            updatedAt: deck.updatedAt || deck.createdAt || new Date().toISOString()
+        };
+    },
+    // Version 3: every deck has a version history, starting with the list it has now
+    (deck) => ({
+        ...deck,
+        history: Array.isArray(deck.history) ? deck.history : [createSnapshot(deck, '', deck.updatedAt)]
+    }),
+    // Version 4: games are logged one at a time (old running totals become one summary entry), and stats come from the log
+    (deck) => {
+        const games = Array.isArray(deck.games) ? deck.games : summaryFromStats(deck.stats, deck.updatedAt);
+        return { ...deck, games, stats: summarizeGames(games) };
+    },
+    // Version 5: games record where we finished and whether we conceded, and stats include par and placement
+    (deck) => {
+        const games = (Array.isArray(deck.games) ? deck.games : []).map(game => createGameEntry(game));
+        return { ...deck, games, stats: summarizeGames(games) };
+    },
+    // Version 6: a game's opponents are { playerId, commander, won } instead of just commander names
+    (deck) => ({
+        ...deck,
+        games: (Array.isArray(deck.games) ? deck.games : []).map(game => createGameEntry(game))
+    })
+];
+
+/**
+ * THE CURRENT DECK LAYOUT VERSION
+ *
+ * Always the number of migrations, so adding a migration bumps it automatically.
+ */
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+/**
+ * UPGRADE A LIST OF DECKS TO THE CURRENT LAYOUT
+ *
+ * Anything that isn't a deck at all (not an object, or no id) is left out.
+ *
+ * @param {Array} decks - Decks in an older (or the current) layout
+ * @param {number} fromVersion - The layout version they were saved with
+ * @returns {Array<Deck>} - The upgraded decks
+ */
+export const migrateDecks = (decks, fromVersion = 0) => decks
+    .filter(deck => deck && typeof deck === 'object' && deck.id)
+    .map(deck => MIGRATIONS.slice(fromVersion).reduce((upgraded, migrate) => migrate(upgraded), deck));
+
+/**
+ * NOTICES - Telling the User About Problems
+ *
+ * Pages load decks before the app's notice banner is ready to listen, so
+ * notices wait in a queue until someone subscribes.
+ */
+const listeners = new Set();
+let pendingNotices = [];
+
+const notify = (message) => {
+    if (listeners.size === 0) {
+        pendingNotices.push(message);
+        return;
+    }
+    listeners.forEach(listener => listener(message));
+};
+
+/**
+ * LISTEN FOR STORAGE PROBLEMS
+ *
+ * @param {Function} listener - Called with a message for the user whenever something went wrong loading decks
+ * @returns {Function} - Call this to stop listening
+ */
+export const subscribeToStorageNotices = (listener) => {
+    listeners.add(listener);
+    pendingNotices.forEach(listener);
+    pendingNotices = [];
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Is this error the browser telling us storage is full?
+ * (Different browsers use different names and codes for it.)
+ */
+export const isQuotaError = (error) => error && (
+    error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014
+);
+
+// Shown whenever saving is refused because a newer version of the app saved the decks
+const NEWER_VERSION_MESSAGE = 'Your decks were saved by a newer version of this app, so this version can\'t save ' +
+    'changes without losing details the newer version added. Reload the page to get the latest version.';
+
+/**
+ * Which deck layout the saved decks are in (0 if there are none yet).
+ */
+const readSavedVersion = () => parseInt(localStorage.getItem(SCHEMA_KEY), 10) || 0;
+
+/**
+ * WRITE THE WHOLE DECK LIST
+ *
+ * Refuses to save over decks from a newer version of the app: this version
+ * doesn't know about whatever that one added, so saving would quietly lose
+ * it (and mark the decks as the older layout).
+ *
+ * @param {Array<Deck>} decks - Every deck
+ * @throws {StorageError} - If the browser won't let us save, or the decks are from a newer version
+ */
+const writeDecks = (decks) => {
+    let savedVersion;
+    try {
+        savedVersion = readSavedVersion();
+    } catch (error) {
+        throw new StorageError('Your decks couldn\'t be saved. Your browser may be blocking storage for this site.', error);
+    }
+    if (savedVersion > SCHEMA_VERSION) throw new StorageError(NEWER_VERSION_MESSAGE);
+
+    try {
+        localStorage.setItem(DECKS_KEY, JSON.stringify(decks));
+        localStorage.setItem(SCHEMA_KEY, String(SCHEMA_VERSION));
+    } catch (error) {
+        if (isQuotaError(error)) {
+            throw new StorageError(
+                'Your browser\'s storage is full, so this change couldn\'t be saved. ' +
+                'Try deleting decks you no longer need, or download a backup and clear some browser data.',
+                error
+            );
+        }
+        throw new StorageError('Your decks couldn\'t be saved. Your browser may be blocking storage for this site.', error);
+    }
+};
+
+/**
+ * KEEP A COPY OF DAMAGED DATA
+ *
+ * @returns {boolean} - Whether the copy was saved
+ */
+const keepCorruptCopy = (text) => {
+    try {
+        localStorage.setItem(CORRUPT_KEY, text);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * READ EVERY DECK
+ *
+ * Upgrades old decks (and saves the upgraded versions) and recovers from
+ * damaged data, leaving a notice for the user when it had to.
+ *
+ * @returns {Array<Deck>}
+ */
+const readDecks = () => {
+    let text;
+    let savedVersion;
+    try {
+        text = localStorage.getItem(DECKS_KEY);
+        savedVersion = readSavedVersion();
+    } catch {
+        notify('Your browser is blocking storage for this site, so decks can\'t be loaded or saved.');
+        return [];
+    }
+    if (!text) return [];
+
+    let saved;
+    try {
+        saved = JSON.parse(text);
+        if (!Array.isArray(saved)) throw new Error('Saved decks are not a list');
+    } catch {
+        // Start fresh, but keep the damaged text so it can still be rescued by hand
+        const kept = keepCorruptCopy(text);
+        notify('Your saved decks were damaged and couldn\'t be read, so the app started with an empty list. ' +
+            (kept ? `The damaged data was kept in localStorage under "${CORRUPT_KEY}".` : 'The damaged data couldn\'t be kept.'));
+        try {
+            writeDecks([]);
+        } catch {
+            // Nothing more we can do; the notice above already explains the problem
+        }
+        return [];
+    }
+
+    // Decks saved by a newer version of the app: show them as they are, but don't save over them
+    if (savedVersion > SCHEMA_VERSION) {
+        notify(`${NEWER_VERSION_MESSAGE} Until then, some details may not show correctly.`);
+        return saved.filter(deck => deck && typeof deck === 'object' && deck.id);
+    }
+
+    const decks = migrateDecks(saved, savedVersion);
+    if (decks.length < saved.length) {
+        keepCorruptCopy(text);
+        notify(`${saved.length - decks.length} damaged ${saved.length - decks.length === 1 ? 'deck was' : 'decks were'} skipped. ` +
+            `The original data was kept in localStorage under "${CORRUPT_KEY}".`);
+    }
+
+    // Save the upgraded decks so we don't have to upgrade them again next time
+    if (savedVersion !== SCHEMA_VERSION || decks.length < saved.length) {
+        try {
+            writeDecks(decks);
+        } catch (error) {
+            notify(error.message);
+        }
+    }
+    return decks;
+};
+
+/**
+ * GET EVERY DECK
+ *
+ * @returns {Array<Deck>}
+ */
+export const getDecks = () => readDecks();
+
+/**
+ * GET ONE DECK
+ *
+ * @param {string} id - The deck's id
+ * @returns {Deck|null} - The deck, or null if there isn't one with that id
+ */
+export const getDeck = (id) => readDecks().find(deck => deck.id === id) || null;
+
+/**
+ * CREATE A NEW DECK
+ *
+ * Fills in the id, dates and anything else that's missing (empty stats, notes, ...).
+ *
+ * @param {Object} fields - The new deck's details (name, commandZone, decklist, ...)
+ * @returns {Deck} - The saved deck
+ * @throws {StorageError}
+ */
+export const createDeck = (fields) => {
+    const now = new Date().toISOString();
+    const [deck] = migrateDecks([{
+        id: Date.now().toString(),  // A unique id (the current time)
+        ...fields,
+        createdAt: now,
+        updatedAt: now
+    }], 0);
+    writeDecks([...readDecks(), deck]);
+    return deck;
+};
+
+/**
+ * UPDATE A DECK
+ *
+ * If the cards or the command zone changed, a snapshot of the new list is
+ * added to the deck's history. The history itself can't be changed from
+ * here - it only ever grows. The stats are always worked out again from the
+ * game log, so change the games (not the stats) to record a result.
+ *
+ * @param {string} id - The deck's id
+ * @param {Object} changes - The fields to change (anything not mentioned stays the same)
+ * @param {Object} options
+ * @param {string} options.note - What changed, saved with the new version (optional)
+ * @returns {Deck} - The saved deck
+ * @throws {StorageError} - If the deck doesn't exist or couldn't be saved
+ */
+export const updateDeck = (id, changes, options = {}) => {
+    const decks = readDecks();
+    const existing = decks.find(deck => deck.id === id);
+    if (!existing) throw new StorageError('This deck no longer exists. It may have been deleted in another tab.');
+
+    // Remember when the deck was last changed (backups use this to spot conflicts)
+    const updated = { ...existing, ...changes, id, history: existing.history || [], updatedAt: new Date().toISOString() };
+    updated.games = updated.games || [];
+    updated.stats = summarizeGames(updated.games);
+    if (hasListChanged(existing, updated)) {
+        updated.history = [...updated.history, createSnapshot(updated, options.note, updated.updatedAt)];
+        // The last legality check was for the old list, so it no longer says anything (unless a new one came along)
+        if (!('legality' in changes)) updated.legality = null;
+    }
+    writeDecks(decks.map(deck => (deck.id === id ? updated : deck)));
+    return updated;
+};
+
+/**
+ * SAVE A DECK'S LEGALITY CHECK
+ *
+ * Checking a deck doesn't change it, so unlike updateDeck this leaves
+ * updatedAt alone. Otherwise just opening a deck would count as changing
+ * it, and merging a backup would report conflicts that aren't there.
+ *
+ * @param {string} id - The deck's id
+ * @param {Object} legality - The check's result (see deckValidator.js)
+ * @returns {Deck} - The saved deck
+ * @throws {StorageError} - If the deck doesn't exist or couldn't be saved
+ */
+export const saveDeckLegality = (id, legality) => {
+    const decks = readDecks();
+    const existing = decks.find(deck => deck.id === id);
+    if (!existing) throw new StorageError('This deck no longer exists. It may have been deleted in another tab.');
+
+    const updated = { ...existing, legality };
+    writeDecks(decks.map(deck => (deck.id === id ? updated : deck)));
+    return updated;
+};
+
+/**
+ * DELETE A DECK
+ *
+ * @param {string} id - The deck's id
+ * @returns {Array<Deck>} - The decks that are left
+ * @throws {StorageError}
+ */
+export const deleteDeck = (id) => {
+    const remaining = readDecks().filter(deck => deck.id !== id);
+    writeDecks(remaining);
+    return remaining;
+};
+
+/**
+ * REPLACE EVERY DECK AT ONCE
+ *
+ * Used when restoring a backup.
+ *
+ * @param {Array<Deck>} decks - The new full list of decks
+ * @returns {Array<Deck>} - The decks that were saved
+ * @throws {StorageError}
+ */
+export const replaceAllDecks = (decks) => {
+    const valid = migrateDecks(decks, SCHEMA_VERSION);
+    writeDecks(valid);
+    return valid;
+};
+
+/**
+ * @typedef {Object} ImportDraft
+ * @property {string} id - Unique id
+ * @property {string} deckName - The name typed for the deck
+ * @property {string} decklistText - The pasted decklist
+ * @property {string} commanderNames - The command zone names typed in, one per line
+ * @property {{ done: number, total: number }|null} progress - How far the lookup got
+ * @property {Array<string>} failed - Names that couldn't be found so far
+ * @property {string} updatedAt - When the draft was last saved (ISO date)
+ */
+
+/**
+ * GET EVERY UNFINISHED IMPORT
+ *
+ * @returns {Array<ImportDraft>}
+ */
+export const getImportDrafts = () => {
+    try {
+        const drafts = JSON.parse(localStorage.getItem(DRAFTS_KEY) || '[]');
+        return Array.isArray(drafts) ? drafts.filter(draft => draft && draft.id) : [];
+    } catch {
+        // A damaged draft list isn't worth a warning - drafts are easy to redo
+        return [];
+    }
+};
+
+/**
+ * SAVE AN UNFINISHED IMPORT
+ *
+ * Creates the draft, or updates it if one with the same id exists. Drafts
+ * are a convenience, so if storage is full we just skip saving it rather
+ * than interrupting the import.
+ *
+ * @param {Object} draft - The draft (an id is added if it doesn't have one)
+ * @returns {ImportDraft} - The saved draft
+ */
+export const saveImportDraft = (draft) => {
+    const saved = { ...draft, id: draft.id || Date.now().toString(), updatedAt: new Date().toISOString() };
+    const others = getImportDrafts().filter(existing => existing.id !== saved.id);
+    try {
+        localStorage.setItem(DRAFTS_KEY, JSON.stringify([...others, saved]));
+    } catch (error) {
+        console.error('Could not save import draft:', error);
+    }
+    return saved;
+};
+
+/**
+ * DELETE AN UNFINISHED IMPORT
+ *
+ * @param {string} id - The draft's id
+ * @returns {Array<ImportDraft>} - The drafts that are left
+ */
+export const deleteImportDraft = (id) => {
+    const remaining = getImportDrafts().filter(draft => draft.id !== id);
+    try {
+        localStorage.setItem(DRAFTS_KEY, JSON.stringify(remaining));
+    } catch (error) {
+        console.error('Could not delete import draft:', error);
+    }
+    return remaining;
+};
@@ -0,0 +1,293 @@
+/**
+ * DECK VALIDATOR - Is This a Legal Commander Deck?
+ *
+ * Checks a deck against the Commander deck-building rules:
+ * - Exactly 100 cards, counting the commanders (a companion doesn't count)
+ * - Only one copy of each card, except basic lands and cards that say
+ *   "A deck can have any number of cards named ..." (like Relentless Rats)
+ * - Every card's color identity fits inside the commanders' colors
+ * - No cards Scryfall lists as banned (or not legal) in Commander
+ * - The commanders are allowed to be commanders, and allowed to team up
+ *
+ * The result is saved on the deck as "legality", so the deck list can show a
+ * legal/illegal badge without looking every card up again. It's worked out
+ * when a deck is imported and again whenever its cards change.
+ *
+ * A companion's own deck-building condition (like Lurrus's "each permanent
+ * card costs 2 or less") isn't checked.
+ */
+
+import { resolveCards } from './cardCache';
+import { normalizeCardName, getCardNames, getOracleText } from './scryfall';
+import {
+    getCommandZone,
+    getColorIdentity,
+    getPairingAbility,
+    isBackground,
+    isCompanion,
+    COLOR_ORDER
+} from './commandZone';
+
+/**
+ * How many cards a Commander deck must have, commanders included.
+ */
+export const DECK_SIZE = 100;
+
+/**
+ * @typedef {Object} Violation
+ * @property {string} rule - Which rule was broken: 'size', 'singleton', 'colorIdentity', 'banned', 'commander' or 'unknown'
+ * @property {string} message - What's wrong, written for the user
+ * @property {Array<string>} cards - The cards involved (may be empty)
+ */
+
+/**
+ * @typedef {Object} LegalityResult
+ * @property {boolean} legal - Whether the deck broke no rules
+ * @property {Array<Violation>} violations - Every rule the deck broke
+ * @property {string} checkedAt - When the check was done (ISO date)
+ */
+
+// Numbers written out in rules text, for cards like Seven Dwarves ("up to seven")
+const NUMBER_WORDS = { two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+/**
+ * Get the type line of a card's front face (double-faced cards list both faces).
+ */
+const getFrontType = (card) => (card.type_line || card.card_faces?.[0]?.type_line || '').split('//')[0];
+
+/**
+ * HOW MANY COPIES OF THIS CARD MAY A DECK HAVE?
+ *
+ * @param {Object} card - A Scryfall card object
+ * @returns {number} - 1 for most cards, Infinity for basic lands and "any number" cards
+ */
+export const getCopyLimit = (card) => {
+    const type = getFrontType(card);
+    if (type.includes('Basic') && type.includes('Land')) return Infinity;
+
+    const match = getOracleText(card).match(/A deck can have (any number of|up to (\w+)) cards named/i);
+    if (!match) return 1;
+    if (!match[2]) return Infinity;
+    return NUMBER_WORDS[match[2].toLowerCase()] || parseInt(match[2], 10) || 1;
+};
+
+/**
+ * CAN THIS CARD BE A COMMANDER?
+ *
+ * Legendary creatures can, and so can cards that say so ("... can be your
+ * commander", like some planeswalkers).
+ *
+ * @param {Object} card - A Scryfall card object
+ * @returns {boolean}
+ */
+export const canBeCommander = (card) => {
+    const type = getFrontType(card);
+    return (type.includes('Legendary') && type.includes('Creature')) || /can be your commander/i.test(getOracleText(card));
+};
+
+/**
+ * MAY THESE TWO COMMANDERS TEAM UP?
+ *
+ * @param {Object} first - A Scryfall card
+ * @param {Object} second - Another Scryfall card
+ * @returns {boolean}
+ */
+const canPair = (first, second) => {
+    const abilities = [getPairingAbility(first), getPairingAbility(second)];
+    if (abilities[0] === 'partner' && abilities[1] === 'partner') return true;
+    if (abilities[0] === 'friends forever' && abilities[1] === 'friends forever') return true;
+    // "Partner with" only works with the card it names
+    if (abilities[0] === 'partner with' && abilities[1] === 'partner with') {
+        return getOracleText(first).includes(`Partner with ${second.name}`) &&
+            getOracleText(second).includes(`Partner with ${first.name}`);
+    }
+    // A Doctor's Companion pairs with a Time Lord Doctor
+    const isDoctor = (card) => getFrontType(card).includes('Time Lord Doctor');
+    if (abilities[0] === "doctor's companion") return isDoctor(second);
+    if (abilities[1] === "doctor's companion") return isDoctor(first);
+    return false;
+};
+
+/**
+ * CHECK THE COMMAND ZONE
+ *
+ * @param {Array} zone - The deck's command zone entries, each with its Scryfall card ({ ...entry, card })
+ * @returns {Array<Violation>}
+ */
+const checkCommandZone = (zone) => {
+    const violations = [];
+    const add = (message, cards) => violations.push({ rule: 'commander', message, cards });
+    const found = zone.filter(entry => entry.card);
+
+    const commanders = found.filter(entry => entry.role === 'commander' || entry.role === 'partner');
+    const backgrounds = found.filter(entry => entry.role === 'background');
+    const companions = found.filter(entry => entry.role === 'companion');
+
+    if (!zone.some(entry => entry.role === 'commander' || entry.role === 'partner')) {
+        add('The deck has no commander.', []);
+    }
+
+    commanders
+        .filter(entry => !canBeCommander(entry.card))
+        .forEach(entry => add(`${entry.name} can't be a commander (it isn't a legendary creature).`, [entry.name]));
+
+    backgrounds
+        .filter(entry => !isBackground(entry.card))
+        .forEach(entry => add(`${entry.name} isn't a Background.`, [entry.name]));
+    if (backgrounds.length > 0 && !commanders.some(entry => getPairingAbility(entry.card) === 'choose a background')) {
+        add('A Background needs a commander that says "Choose a Background".', backgrounds.map(entry => entry.name));
+    }
+    if (backgrounds.length > 1) {
+        add('A deck can only have one Background.', backgrounds.map(entry => entry.name));
+    }
+    if (backgrounds.length > 0 && commanders.length > 1) {
+        add('A commander with a Background can\'t also have a partner.', commanders.map(entry => entry.name));
+    }
+
+    if (commanders.length > 2) {
+        add('A deck can have at most two commanders.', commanders.map(entry => entry.name));
+    } else if (commanders.length === 2 && !canPair(commanders[0].card, commanders[1].card)) {
+        add(`${commanders[0].name} and ${commanders[1].name} can't be commanders together.`, commanders.map(entry => entry.name));
+    }
+
+    companions
+        .filter(entry => !isCompanion(entry.card))
+        .forEach(entry => add(`${entry.name} isn't a companion.`, [entry.name]));
+    if (companions.length > 1) {
+        add('A deck can only have one companion.', companions.map(entry => entry.name));
+    }
+
+    return violations;
+};
+
+/**
+ * VALIDATE A DECK
+ *
+ * @param {Object} deck - The deck (its decklist and command zone are checked)
+ * @param {Array} cards - The Scryfall cards for the deck's cards and command zone (missing ones may be null)
+ * @returns {LegalityResult}
+ */
+export const validateDeck = (deck, cards) => {
+    // Find each card by any of its names (double-faced cards can be listed by their front face)
+    const byName = new Map();
+    cards.filter(Boolean).forEach(card => getCardNames(card).forEach(name => byName.set(name, card)));
+    const findCard = (name) => byName.get(normalizeCardName(name)) || null;
+
+    const violations = [];
+    const decklist = deck.decklist || [];
+    const zone = getCommandZone(deck).map(entry => ({ ...entry, card: findCard(entry.name) }));
+    const deckColors = getColorIdentity(zone);
+
+    // Cards we couldn't find can't be checked, which is a problem in itself
+    const unknown = [...decklist.map(entry => entry.name), ...zone.map(entry => entry.name)]
+        .filter(name => !findCard(name));
+    if (unknown.length > 0) {
+        violations.push({ rule: 'unknown', message: 'These cards couldn\'t be found, so they weren\'t checked.', cards: [...new Set(unknown)] });
+    }
+
+    // 100 cards, counting commanders even if the decklist left them out (companions don't count)
+    const listed = new Set(decklist.map(entry => normalizeCardName(entry.name)));
+    const missingCommanders = zone.filter(entry => entry.role !== 'companion' && !listed.has(normalizeCardName(entry.name)));
+    const total = decklist.reduce((sum, entry) => sum + entry.quantity, 0) + missingCommanders.length;
+    if (total !== DECK_SIZE) {
+        violations.push({
+            rule: 'size',
+            message: `The deck has ${total} cards. A Commander deck needs exactly ${DECK_SIZE}, including the commanders.`,
+            cards: []
+        });
+    }
+
+    // One copy of each card (counting every printing of a card together)
+    const copies = new Map();
+    decklist.forEach(entry => {
+        const key = normalizeCardName(findCard(entry.name)?.name || entry.name);
+        copies.set(key, { name: entry.name, quantity: (copies.get(key)?.quantity || 0) + entry.quantity });
+    });
+    const tooMany = [...copies.values()].filter(({ name, quantity }) => {
+        const card = findCard(name);
+        return card && quantity > getCopyLimit(card);
+    });
+    if (tooMany.length > 0) {
+        violations.push({
+            rule: 'singleton',
+            message: 'A Commander deck can only have one copy of each card (basic lands and cards like Relentless Rats are the exception).',
+            cards: tooMany.map(({ name, quantity }) => `${quantity}x ${name}`)
+        });
+    }
+
+    // Every card's colors must fit inside the commanders' colors (companions too)
+    const offColor = [...decklist, ...zone.filter(entry => entry.role === 'companion')]
+        .map(entry => ({ name: entry.name, card: findCard(entry.name) }))
+        .filter(({ card }) => card && (card.color_identity || []).some(color => !deckColors.includes(color)));
+    if (offColor.length > 0) {
+        const colors = deckColors.length > 0 ? deckColors.join('') : 'colorless';
+        violations.push({
+            rule: 'colorIdentity',
+            message: `These cards are outside the commanders' color identity (${colors}).`,
+            cards: [...new Set(offColor.map(({ name, card }) => `${name} (${COLOR_ORDER.filter(color => card.color_identity.includes(color)).join('')})`))]
+        });
+    }
+
+    // Scryfall's list of what's banned (or was never legal) in Commander
+    const banned = [...decklist, ...zone]
+        .map(entry => ({ name: entry.name, card: findCard(entry.name) }))
+        .filter(({ card }) => card && card.legalities && card.legalities.commander !== 'legal');
+    if (banned.length > 0) {
+        violations.push({
+            rule: 'banned',
+            message: 'These cards are banned or not legal in Commander.',
+            cards: [...new Set(banned.map(({ name }) => name))]
+        });
+    }
+
+    violations.push(...checkCommandZone(zone));
+
+    return { legal: violations.length === 0, violations, checkedAt: new Date().toISOString() };
+};
+
+/**
+ * LOOK UP A DECK'S CARDS AND VALIDATE IT
+ *
+ * Cards come from the card cache first, so this is quick for decks whose
+ * cards have been seen before.
+ *
+ * @param {Object} deck - The deck to check
+ * @returns {Promise<LegalityResult>}
+ */
+export const checkDeckLegality = async (deck) => {
+    const requests = [
+        ...(deck.decklist || []).map(entry => ({
+            name: entry.name,
+            scryfallId: entry.scryfallId || null,
+            setCode: entry.setCode || null,
+            collectorNumber: entry.collectorNumber || null
+        })),
+        ...getCommandZone(deck).map(entry => ({ name: entry.name, scryfallId: entry.scryfallId || null }))
+    ];
+    const results = await resolveCards(requests);
+    return validateDeck(deck, results.map(result => result.card));
+};
+
+/**
+ * COULD EVERY CARD BE CHECKED?
+ *
+ * When some cards couldn't be looked up (because we're offline, or Scryfall
+ * doesn't know the name), the result mostly says so, and isn't worth saving
+ * over the last full check.
+ *
+ * @param {LegalityResult} legality
+ * @returns {boolean}
+ */
+export const isCompleteCheck = (legality) => !legality.violations.some(violation => violation.rule === 'unknown');
+
+/**
+ * HAVE TWO CHECKS FOUND THE SAME THING?
+ *
+ * Used to avoid saving a deck again when re-checking it changed nothing.
+ *
+ * @param {LegalityResult|undefined} a
+ * @param {LegalityResult|undefined} b
+ * @returns {boolean}
+ */
+export const sameLegality = (a, b) => Boolean(a && b) &&
+    a.legal === b.legal && JSON.stringify(a.violations) === JSON.stringify(b.violations);
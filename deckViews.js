@@ -0,0 +1,57 @@
+/**
+ * DECK VIEWS - Remembering How Each Deck Is Shown
+ *
+ * A deck's cards can be shown as a grid of pictures, a text list, or piles
+ * of overlapping cards ("stacks"), grouped by type or by mana value. Each
+ * deck remembers the last choice, so it opens the same way next time.
+ *
+ * The choices are kept in localStorage under their own key. They're a
+ * setting rather than part of the deck, so changing the view doesn't count
+ * as changing the deck (and backups include them along with other settings).
+ */
+
+// Where the choices are kept, as { deckId: { layout, groupBy } }
+const VIEWS_KEY = 'mtgDeckViews';
+
+/**
+ * How a deck is shown until you pick something else.
+ */
+export const DEFAULT_VIEW = { layout: 'grid', groupBy: 'type' };
+
+/**
+ * Read every deck's saved view (an empty object if there are none, or they're damaged).
+ */
+const readViews = () => {
+    try {
+        const views = JSON.parse(localStorage.getItem(VIEWS_KEY) || '{}');
+        return views && typeof views === 'object' && !Array.isArray(views) ? views : {};
+    } catch (error) {
+        console.error('Error reading deck views:', error);
+        return {};
+    }
+};
+
+/**
+ * HOW WAS THIS DECK LAST SHOWN?
+ *
+ * @param {string} deckId - The deck's id
+ * @returns {{ layout: string, groupBy: string }} - layout is 'grid', 'text' or 'stacks'; groupBy is 'type' or 'mana'
+ */
+export const getDeckView = (deckId) => ({ ...DEFAULT_VIEW, ...readViews()[deckId] });
+
+/**
+ * REMEMBER HOW A DECK IS SHOWN
+ *
+ * If it can't be saved (storage full, say) the deck still shows the new view;
+ * it just won't be remembered next time, so there's no need to bother the user.
+ *
+ * @param {string} deckId - The deck's id
+ * @param {{ layout: string, groupBy: string }} view - The view to remember
+ */
+export const saveDeckView = (deckId, view) => {
+    try {
+        localStorage.setItem(VIEWS_KEY, JSON.stringify({ ...readViews(), [deckId]: view }));
+    } catch (error) {
+        console.error('Error saving deck view:', error);
+    }
+};
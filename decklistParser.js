@@ -0,0 +1,586 @@
+/**
+ * DECKLIST PARSER - Turns Pasted or Uploaded Decklists Into Structured Data
+ *
+ * People copy decklists out of many different websites and programs, and every
+ * one of them writes the list a little differently. This file is the translator
+ * that understands all of those dialects and turns them into one common shape.
+ *
+ * Formats we understand:
+ * - Plain text ("1 Sol Ring", "1x Sol Ring", "1 - Sol Ring")
+ * - MTG Arena / Moxfield exports ("1 Sol Ring (C21) 263 *F*")
+ * - Archidekt text exports ("1x Sol Ring (c21) 263 [Ramp]")
+ * - MTGO .dek files (XML)
+ * - Cockatrice .cod files (XML)
+ * - Forge .dck files ("[Main]" sections and "1 Sol Ring|C21" lines)
+ * - Archidekt / Moxfield CSV exports
+ *
+ * Whatever the input, we hand back the same thing:
+ * {
+ *   format: 'text' | 'mtgo' | 'cockatrice' | 'forge' | 'csv',
+ *   name: 'Deck name if the file contained one' (or ''),
+ *   sections: { commander: [...], companion: [...], deck: [...], sideboard: [...], maybeboard: [...] },
+ *   errors: [{ line: 12, text: 'the original line', message: 'what went wrong' }]
+ * }
+ *
+ * Each card in a section looks like:
+ * { name, quantity, setCode, collectorNumber, foil, scryfallId, line }
+ */
+
+/**
+ * THE SECTIONS A DECKLIST CAN HAVE
+ *
+ * Every card ends up in exactly one of these buckets.
+ */
+export const SECTION_NAMES = ['commander', 'companion', 'deck', 'sideboard', 'maybeboard'];
+
+/**
+ * SECTION HEADER WORDS
+ *
+ * Different sites use different words for the same section. This maps every
+ * word we know about to the section it means. 'about' and 'ignore' are special:
+ * their lines are not cards at all and get skipped.
+ */
+const SECTION_ALIASES = {
+    commander: 'commander',
+    commanders: 'commander',
+    companion: 'companion',
+    companions: 'companion',
+    deck: 'deck',
+    main: 'deck',
+    maindeck: 'deck',
+    'main deck': 'deck',
+    mainboard: 'deck',
+    sideboard: 'sideboard',
+    side: 'sideboard',
+    maybeboard: 'maybeboard',
+    maybe: 'maybeboard',
+    considering: 'maybeboard',
+    about: 'about',
+    metadata: 'about',
+    tokens: 'ignore',
+    token: 'ignore',
+    attractions: 'ignore',
+    stickers: 'ignore',
+    avatar: 'ignore',
+    planes: 'ignore',
+    schemes: 'ignore',
+    conspiracy: 'ignore'
+};
+
+/**
+ * Create an empty result object with every section ready to fill.
+ */
+const createResult = (format) => ({
+    format,
+    name: '',
+    sections: {
+        commander: [],
+        companion: [],
+        deck: [],
+        sideboard: [],
+        maybeboard: []
+    },
+    errors: []
+});
+
+/**
+ * Create one card entry with every field present, so the rest of the app
+ * never has to wonder whether a property exists.
+ */
+const createCard = (name, quantity, extra = {}) => ({
+    name,
+    quantity,
+    setCode: extra.setCode || null,
+    collectorNumber: extra.collectorNumber || null,
+    foil: Boolean(extra.foil),
+    scryfallId: extra.scryfallId || null,
+    line: extra.line ?? null
+});
+
+/**
+ * TURN A HEADER WORD INTO A SECTION NAME
+ *
+ * "Commander", "COMMANDERS (2)", "// Sideboard", "[Main]" and "Deck:" are all
+ * headers. Returns the section name, or null if the line is not a header.
+ *
+ * @param {string} line - One trimmed line of the decklist
+ * @returns {string|null} - A section name (or 'about'/'ignore'), or null
+ */
+const readSectionHeader = (line) => {
+    const match = line.match(/^(?:\/\/+|#+)?\s*\[?\s*([a-z ]+?)\s*\]?\s*(?:\(\d+\))?\s*:?\s*$/i);
+    if (!match) return null;
+    return SECTION_ALIASES[match[1].toLowerCase()] || null;
+};
+
+/**
+ * GROUP HEADING WORDS
+ *
+ * Moxfield and Archidekt group the main deck by card type, with a heading
+ * line for each group ("Creatures", "Lands (36)", "Instant"). These aren't
+ * sections of their own: the cards under them are in the deck, even when
+ * the group comes right after the commander.
+ */
+const GROUP_HEADINGS = new Set([
+    'creature', 'creatures', 'land', 'lands', 'instant', 'instants', 'sorcery', 'sorceries',
+    'artifact', 'artifacts', 'enchantment', 'enchantments', 'planeswalker', 'planeswalkers',
+    'battle', 'battles', 'kindred', 'tribal', 'spells', 'other'
+]);
+
+/**
+ * Is this line a group heading like "Creatures (30)" or just "Lands"?
+ *
+ * Any word followed by a count counts; without a count, only the card type
+ * words above do, so a card line missing its quantity is still reported.
+ */
+const isGroupHeading = (line) => /^[a-z][a-z ]*\(\d+\)\s*:?$/i.test(line) ||
+    GROUP_HEADINGS.has(line.replace(/:$/, '').trim().toLowerCase());
+
+/**
+ * Turn XML escape codes (like &amp;) back into normal characters.
+ */
+const decodeXml = (value) => value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&amp;/g, '&');
+
+/**
+ * Read all the name="value" pairs out of one XML tag.
+ */
+const readXmlAttributes = (tag) => {
+    const attributes = {};
+    for (const match of tag.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) {
+        attributes[match[1].toLowerCase()] = decodeXml(match[2]);
+    }
+    return attributes;
+};
+
+/**
+ * Figure out which line number (starting at 1) a position in the text is on.
+ */
+const lineNumberAt = (text, index) => text.slice(0, index).split('\n').length;
+
+/**
+ * READ ONE CARD LINE
+ *
+ * Takes something like "1x Sol Ring (C21) 263 *F* [Ramp]" and pulls out the
+ * quantity, name, set, collector number and foil flag. Forge's
+ * "1 Sol Ring|C21|1" style works too.
+ *
+ * @param {string} line - One trimmed line of the decklist
+ * @returns {Object|null} - { quantity, name, setCode, collectorNumber, foil, category }, or null if it isn't a card line
+ */
+const readCardLine = (line) => {
+    // Quantity first: "1 ", "1x ", "1 x ", "1 - "
+    const match = line.match(/^(\d+)\s*x?\s*-?\s+(.+)$/i) || line.match(/^(\d+)x\s*(.+)$/i);
+    if (!match) return null;
+
+    const quantity = parseInt(match[1], 10);
+    let rest = match[2].trim();
+    let category = null;
+    let foil = false;
+
+    // Archidekt adds "^Have,#37d67a^" labels at the very end
+    rest = rest.replace(/\s*\^[^^]*\^\s*$/, '').trim();
+
+    // Archidekt puts categories in square brackets: "[Commander{top}]"
+    const categoryMatch = rest.match(/\s*\[([^\]]*)\]\s*$/);
+    if (categoryMatch) {
+        category = categoryMatch[1];
+        rest = rest.slice(0, categoryMatch.index).trim();
+    }
+
+    // Moxfield adds "#tag" labels
+    rest = rest.replace(/(\s+#!?[^\s#]+)+$/, '').trim();
+
+    // Foil (*F*) and etched (*E*) markers
+    const foilMatch = rest.match(/\s+\*([FE])\*$/i);
+    if (foilMatch) {
+        foil = true;
+        rest = rest.slice(0, foilMatch.index).trim();
+    }
+
+    // Forge style: "Sol Ring|C21|1" (the last part is an art index, not a collector number)
+    if (rest.includes('|')) {
+        const [name, setCode] = rest.split('|').map(part => part.trim());
+        return { quantity, name, setCode: setCode || null, collectorNumber: null, foil, category };
+    }
+
+    // Arena / Moxfield style: "Sol Ring (C21) 263"
+    const printingMatch = rest.match(/^(.+?)\s+\(([A-Za-z0-9]{2,6})\)(?:\s+([A-Za-z0-9★\-]+))?$/);
+    if (printingMatch) {
+        return {
+            quantity,
+            name: printingMatch[1].trim(),
+            setCode: printingMatch[2].toUpperCase(),
+            collectorNumber: printingMatch[3] || null,
+            foil,
+            category
+        };
+    }
+
+    return { quantity, name: rest, setCode: null, collectorNumber: null, foil, category };
+};
+
+/**
+ * Work out which section an Archidekt-style category label points to, if any.
+ */
+const sectionFromCategory = (category) => {
+    if (!category) return null;
+    const lower = category.toLowerCase();
+    if (lower.includes('commander')) return 'commander';
+    if (lower.includes('companion')) return 'companion';
+    if (lower.includes('maybeboard')) return 'maybeboard';
+    if (lower.includes('sideboard')) return 'sideboard';
+    return null;
+};
+
+/**
+ * PARSE A TEXT DECKLIST (plain text, Arena, Moxfield, Archidekt and Forge)
+ *
+ * Reads the list line by line. Header lines switch which section we are
+ * filling, and every other line should be a card. Anything we can't read is
+ * reported as an error instead of being quietly thrown away.
+ */
+const parseTextDecklist = (text, format) => {
+    const result = createResult(format);
+    let section = 'deck';
+
+    text.split('\n').forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        const lineNumber = index + 1;
+        if (line.length === 0) return;
+
+        const header = readSectionHeader(line);
+        if (header) {
+            section = header;
+            return;
+        }
+
+        // Deck names: "Name My Deck" (Arena's About section) or "Name=My Deck" (Forge metadata)
+        if (section === 'about') {
+            const nameMatch = line.match(/^name\s*[=\s]\s*(.+)$/i);
+            if (nameMatch) result.name = nameMatch[1].trim();
+            return;
+        }
+        if (section === 'ignore') return;
+
+        // Comments, and group headings like "Creatures (30)" or "Lands" that some sites add
+        if (line.startsWith('//') || line.startsWith('#')) return;
+        if (isGroupHeading(line)) {
+            if (section === 'commander' || section === 'companion') section = 'deck';
+            return;
+        }
+
+        // MTGO text exports mark sideboard cards with "SB:"
+        let cardText = line;
+        let lineSection = section;
+        const sideboardMatch = line.match(/^SB:\s*(.+)$/i);
+        if (sideboardMatch) {
+            cardText = sideboardMatch[1];
+            lineSection = 'sideboard';
+        }
+
+        const parsed = readCardLine(cardText);
+        if (!parsed) {
+            result.errors.push({
+                line: lineNumber,
+                text: line,
+                message: 'Could not find a quantity and card name (expected something like "1 Sol Ring")'
+            });
+            return;
+        }
+        if (!parsed.name) {
+            result.errors.push({ line: lineNumber, text: line, message: 'Missing card name' });
+            return;
+        }
+        if (parsed.quantity <= 0) {
+            result.errors.push({ line: lineNumber, text: line, message: 'Quantity must be at least 1' });
+            return;
+        }
+
+        const target = sectionFromCategory(parsed.category) || lineSection;
+        result.sections[target].push(createCard(parsed.name, parsed.quantity, { ...parsed, line: lineNumber }));
+    });
+
+    return result;
+};
+
+/**
+ * MOVE SIDEBOARD COMMANDERS INTO THE COMMANDER SECTION
+ *
+ * MTGO and Cockatrice have no commander zone, so Commander decks keep their
+ * commander (or partner pair) in the sideboard. If the "sideboard" is just one
+ * or two single cards and the deck adds up to 100, those are the commanders.
+ */
+const promoteSideboardCommanders = (result) => {
+    const { deck, sideboard, commander } = result.sections;
+    const count = (cards) => cards.reduce((sum, card) => sum + card.quantity, 0);
+    const looksLikeCommanders = commander.length === 0 &&
+        sideboard.length > 0 && sideboard.length <= 2 &&
+        sideboard.every(card => card.quantity === 1) &&
+        count(deck) + count(sideboard) === 100;
+
+    if (looksLikeCommanders) {
+        result.sections.commander = sideboard;
+        result.sections.sideboard = [];
+    }
+    return result;
+};
+
+/**
+ * PARSE AN MTGO .dek FILE
+ *
+ * These are XML files where every card is a tag like:
+ * <Cards CatID="123" Quantity="1" Sideboard="false" Name="Sol Ring" />
+ *
+ * Files exported from this app also mark the commanders and companion with
+ * Commander="true" or Companion="true"; other files leave us guessing (see
+ * promoteSideboardCommanders).
+ */
+const parseMtgoDecklist = (text) => {
+    const result = createResult('mtgo');
+
+    for (const match of text.matchAll(/<Cards\b[^>]*>/gi)) {
+        const attributes = readXmlAttributes(match[0]);
+        const line = lineNumberAt(text, match.index);
+        const quantity = parseInt(attributes.quantity, 10);
+
+        if (!attributes.name) {
+            result.errors.push({ line, text: match[0], message: 'Card entry has no Name' });
+            continue;
+        }
+        if (!(quantity > 0)) {
+            result.errors.push({ line, text: match[0], message: 'Card entry has no valid Quantity' });
+            continue;
+        }
+
+        let section = attributes.sideboard === 'true' ? 'sideboard' : 'deck';
+        if (attributes.commander === 'true') section = 'commander';
+        if (attributes.companion === 'true') section = 'companion';
+        result.sections[section].push(createCard(attributes.name, quantity, { line }));
+    }
+
+    return promoteSideboardCommanders(result);
+};
+
+/**
+ * PARSE A COCKATRICE .cod FILE
+ *
+ * These are XML files with <zone name="main"> and <zone name="side"> blocks,
+ * each holding tags like <card number="1" name="Sol Ring"/>.
+ */
+const parseCockatriceDecklist = (text) => {
+    const result = createResult('cockatrice');
+
+    const nameMatch = text.match(/<deckname>([\s\S]*?)<\/deckname>/i);
+    if (nameMatch) result.name = decodeXml(nameMatch[1].trim());
+
+    for (const zoneMatch of text.matchAll(/<zone\b([^>]*)>([\s\S]*?)<\/zone>/gi)) {
+        const zoneName = (readXmlAttributes(zoneMatch[1]).name || '').toLowerCase();
+        const section = SECTION_ALIASES[zoneName];
+        if (!section || section === 'ignore' || section === 'about') continue;
+
+        const zoneStart = zoneMatch.index + zoneMatch[0].indexOf('>') + 1;
+        for (const cardMatch of zoneMatch[2].matchAll(/<card\b[^>]*>/gi)) {
+            const attributes = readXmlAttributes(cardMatch[0]);
+            const line = lineNumberAt(text, zoneStart + cardMatch.index);
+            const quantity = parseInt(attributes.number, 10);
+
+            if (!attributes.name) {
+                result.errors.push({ line, text: cardMatch[0], message: 'Card entry has no name' });
+                continue;
+            }
+            if (!(quantity > 0)) {
+                result.errors.push({ line, text: cardMatch[0], message: 'Card entry has no valid number' });
+                continue;
+            }
+
+            result.sections[section].push(createCard(attributes.name, quantity, {
+                setCode: attributes.setshortname ? attributes.setshortname.toUpperCase() : null,
+                collectorNumber: attributes.collectornumber,
+                line
+            }));
+        }
+    }
+
+    return promoteSideboardCommanders(result);
+};
+
+/**
+ * SPLIT CSV TEXT INTO ROWS OF CELLS
+ *
+ * Handles quoted cells, so "Kenrith, the Returned King" stays one cell even
+ * though it contains a comma. Each row remembers which line it started on.
+ */
+const readCsvRows = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push({ line: rowLine, cells: row });
+            row = [];
+            cell = '';
+            line++;
+            rowLine = line;
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell.length > 0 || row.length > 0) {
+        row.push(cell);
+        rows.push({ line: rowLine, cells: row });
+    }
+
+    // Drop rows that are completely empty (like a trailing blank line)
+    return rows.filter(r => r.cells.some(c => c.trim().length > 0));
+};
+
+/**
+ * Find the first column whose header matches one of the given names.
+ */
+const findColumn = (headers, names) => headers.findIndex(header => names.includes(header));
+
+/**
+ * PARSE AN ARCHIDEKT / MOXFIELD CSV EXPORT
+ *
+ * The first row names the columns. We look for a quantity column and a name
+ * column, plus optional set, collector number, foil, Scryfall id and category
+ * (section) columns.
+ */
+const parseCsvDecklist = (text) => {
+    const result = createResult('csv');
+    const [headerRow, ...rows] = readCsvRows(text);
+    const headers = headerRow.cells.map(cell => cell.trim().toLowerCase());
+
+    const columns = {
+        quantity: findColumn(headers, ['count', 'quantity', 'qty', 'amount']),
+        name: findColumn(headers, ['name', 'card name', 'card']),
+        setCode: findColumn(headers, ['edition code', 'set code', 'set', 'edition']),
+        collectorNumber: findColumn(headers, ['collector number', 'collector_number', 'number', 'card number']),
+        foil: findColumn(headers, ['foil', 'finish', 'printing']),
+        scryfallId: findColumn(headers, ['scryfall id', 'scryfall_id', 'scryfallid']),
+        section: findColumn(headers, ['category', 'categories', 'board', 'section'])
+    };
+
+    for (const { line, cells } of rows) {
+        const rawLine = cells.join(',');
+        const cell = (column) => (column >= 0 && cells[column] !== undefined ? cells[column].trim() : '');
+        const quantity = parseInt(cell(columns.quantity), 10);
+        const name = cell(columns.name);
+
+        if (!name) {
+            result.errors.push({ line, text: rawLine, message: 'Missing card name' });
+            continue;
+        }
+        if (!(quantity > 0)) {
+            result.errors.push({ line, text: rawLine, message: 'Missing or invalid quantity' });
+            continue;
+        }
+
+        // Only treat the set column as a set code if it looks like one ("C21", not "Commander 2021")
+        const setValue = cell(columns.setCode);
+        const setCode = /^[A-Za-z0-9]{2,6}$/.test(setValue) ? setValue.toUpperCase() : null;
+        const foilValue = cell(columns.foil).toLowerCase();
+
+        const section = sectionFromCategory(cell(columns.section)) || 'deck';
+        result.sections[section].push(createCard(name, quantity, {
+            setCode,
+            collectorNumber: cell(columns.collectorNumber),
+            foil: ['foil', 'etched', 'true', 'yes', '1'].includes(foilValue),
+            scryfallId: cell(columns.scryfallId),
+            line
+        }));
+    }
+
+    return result;
+};
+
+/**
+ * GUESS WHICH FORMAT A DECKLIST IS IN
+ *
+ * @param {string} text - The decklist text
+ * @returns {string} - 'mtgo', 'cockatrice', 'forge', 'csv' or 'text'
+ */
+export const detectFormat = (text) => {
+    const trimmed = text.trim();
+    if (/<cockatrice_deck\b/i.test(trimmed)) return 'cockatrice';
+    if (/<Deck\b/i.test(trimmed) && /<Cards\b/i.test(trimmed)) return 'mtgo';
+    if (/^\s*\[(metadata|main)\]\s*$/im.test(trimmed)) return 'forge';
+
+    const firstLine = trimmed.split('\n')[0].toLowerCase();
+    const headers = firstLine.split(',').map(cell => cell.trim().replace(/^"|"$/g, ''));
+    const hasQuantity = headers.some(h => ['count', 'quantity', 'qty', 'amount'].includes(h));
+    const hasName = headers.some(h => ['name', 'card name', 'card'].includes(h));
+    if (headers.length > 1 && hasQuantity && hasName) return 'csv';
+
+    return 'text';
+};
+
+/**
+ * PARSE A DECKLIST - The Main Function Everyone Else Uses
+ *
+ * Figures out which format the text is in and hands it to the right reader.
+ *
+ * @param {string} text - The pasted or uploaded decklist
+ * @returns {Object} - { format, name, sections, errors } (see the top of this file)
+ */
+export const parseDecklist = (text) => {
+    const normalized = (text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const format = detectFormat(normalized);
+
+    switch (format) {
+        case 'mtgo':
+            return parseMtgoDecklist(normalized);
+        case 'cockatrice':
+            return parseCockatriceDecklist(normalized);
+        case 'csv':
+            return parseCsvDecklist(normalized);
+        default:
+            return parseTextDecklist(normalized, format);
+    }
+};
+
+/**
+ * COUNT THE CARDS IN A PARSED DECKLIST
+ *
+ * Adds up quantities across the given sections (all of them by default).
+ *
+ * @param {Object} parsed - The result of parseDecklist
+ * @param {Array} sections - Which sections to count
+ * @returns {number} - Total number of cards
+ */
+export const countCards = (parsed, sections = SECTION_NAMES) => sections.reduce(
+    (total, section) => total + parsed.sections[section].reduce((sum, card) => sum + card.quantity, 0),
+    0
+);
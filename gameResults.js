@@ -0,0 +1,307 @@
+/**
+ * GAME RESULTS - The Log of Games a Deck Has Played
+ *
+ * Every deck keeps a list of the games it played: when, how many players
+ * were in the pod, which commanders the opponents played, where we finished,
+ * what turn the game ended on, how many times we mulliganed, and a note.
+ * A deck's wins, losses, mulligans and win rate are all worked out from
+ * this list, so the numbers always match the games behind them.
+ *
+ * Winning a four-player game is harder than winning a two-player one, so
+ * the win rate is also compared with "par": how often the deck would win if
+ * every player in the pod had the same chance (25% in a four-player pod).
+ *
+ * Decks from before the log existed only had running totals. Those totals
+ * become a single "summary" entry, which counts as that many games.
+ */
+
+/**
+ * @typedef {Object} Opponent
+ * @property {string|null} playerId - Which player from the playgroup sat in this seat (see playgroup.js), if known
+ * @property {string} commander - The commander they played
+ * @property {boolean} won - True if this opponent won the game (only for games we lost)
+ */
+
+/**
+ * @typedef {Object} GameEntry
+ * @property {string} id - Unique id
+ * @property {string} kind - 'game' for one game, 'summary' for totals from before the log
+ * @property {string} playedAt - The day it was played, like '2026-10-18'
+ * @property {number|null} podSize - How many players were in the game, including us (games only)
+ * @property {Array<Opponent>} opponents - The other players and their commanders (games only)
+ * @property {string} result - 'win', 'loss', 'draw' or 'unfinished' for a game that was cut short (games only)
+ * @property {number|null} placement - Where we finished, 1 for a win up to the pod size (games only; null for draws, cut short games and losses where it wasn't recorded)
+ * @property {boolean} conceded - True if we conceded a lost game (games only)
+ * @property {number|null} turn - The turn the game ended on (games only)
+ * @property {number} mulligans - How many times we mulliganed (for a summary, in all its games)
+ * @property {number} [wins] - How many games a summary entry won
+ * @property {number} [losses] - How many games a summary entry lost
+ * @property {string} note - Anything worth remembering about the game
+ */
+
+/**
+ * The results a game can have, with the words shown for them.
+ */
+export const RESULTS = {
+    win: 'Win',
+    loss: 'Loss',
+    draw: 'Draw',
+    unfinished: 'Cut short'
+};
+
+/**
+ * The most players a pod can have in the game log.
+ */
+export const MAX_POD_SIZE = 8;
+
+/**
+ * How many players a pod has when the form starts out.
+ */
+export const DEFAULT_POD_SIZE = 4;
+
+/**
+ * A finishing position as a word, like '1st', '2nd', '3rd' or '4th'.
+ */
+export const ordinal = (number) => {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const lastTwo = number % 100;
+    return `${number}${(lastTwo < 11 || lastTwo > 13) && suffixes[number % 10] || 'th'}`;
+};
+
+/**
+ * Today's date in the format the log uses ('2026-10-18'), in local time.
+ */
+export const today = () => {
+    const now = new Date();
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+/**
+ * Turn a typed-in number into a whole number (or null if nothing sensible was typed).
+ */
+const toCount = (value, min = 0) => {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) ? null : Math.max(min, number);
+};
+
+/**
+ * CREATE A GAME ENTRY
+ *
+ * Fills in anything missing and cleans up what was typed in the game form,
+ * so every entry in the log has the same shape. Editing an entry goes
+ * through here too (pass the old entry's id to keep it).
+ *
+ * @param {Object} fields - What's known about the game
+ * @returns {GameEntry}
+ */
+export const createGameEntry = (fields = {}) => {
+    const base = {
+        id: fields.id || `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        kind: fields.kind === 'summary' ? 'summary' : 'game',
+        playedAt: fields.playedAt || today(),
+        mulligans: toCount(fields.mulligans) || 0,
+        note: typeof fields.note === 'string' ? fields.note : ''
+    };
+
+    if (base.kind === 'summary') {
+        return {
+            ...base,
+            wins: toCount(fields.wins) || 0,
+            losses: toCount(fields.losses) || 0
+        };
+    }
+
+    const size = toCount(fields.podSize, 2);
+    const podSize = size === null ? null : Math.min(size, MAX_POD_SIZE);
+
+    // The finishing position decides between a win and a loss; draws and cut short games don't have one
+    let result = RESULTS[fields.result] ? fields.result : 'loss';
+    let placement = null;
+    if (result === 'win' || result === 'loss') {
+        const place = toCount(fields.placement, 1);
+        if (place !== null) {
+            placement = Math.min(place, podSize || MAX_POD_SIZE);
+            result = placement === 1 ? 'win' : 'loss';
+        } else if (result === 'win') {
+            placement = 1;
+        }
+    }
+
+    // Opponents used to be just commander names; only one of them can have won, and only if we lost
+    let winnerFound = false;
+    const opponents = (Array.isArray(fields.opponents) ? fields.opponents : [])
+        .map(opponent => (typeof opponent === 'string' ? { commander: opponent } : opponent || {}))
+        .map(opponent => {
+            const won = result === 'loss' && !winnerFound && Boolean(opponent.won);
+            if (won) winnerFound = true;
+            return {
+                playerId: opponent.playerId || null,
+                commander: String(opponent.commander || '').trim(),
+                won
+            };
+        })
+        .filter(opponent => opponent.playerId || opponent.commander);
+
+    return {
+        ...base,
+        podSize,
+        opponents,
+        result,
+        placement,
+        conceded: result === 'loss' && Boolean(fields.conceded),
+        turn: toCount(fields.turn, 1)
+    };
+};
+
+/**
+ * TURN OLD RUNNING TOTALS INTO A SUMMARY ENTRY
+ *
+ * Used when upgrading decks from before the game log.
+ *
+ * @param {Object} stats - The old { wins, losses, mulligans } totals
+ * @param {string} date - When the totals were last changed (an ISO date)
+ * @returns {Array<GameEntry>} - A list with the one summary entry, or an empty list if there was nothing to keep
+ */
+export const summaryFromStats = (stats, date) => {
+    const wins = Number(stats?.wins) || 0;
+    const losses = Number(stats?.losses) || 0;
+    const mulligans = Number(stats?.mulligans) || 0;
+    if (wins === 0 && losses === 0 && mulligans === 0) return [];
+    return [createGameEntry({
+        // A fixed id, so upgrading the same old deck twice (say, from a backup) gives the same entry
+        id: 'summary',
+        kind: 'summary',
+        playedAt: (date || '').slice(0, 10) || today(),
+        wins,
+        losses,
+        mulligans,
+        note: 'Totals from before games were logged one at a time'
+    })];
+};
+
+/**
+ * @typedef {Object} GameStats
+ * @property {number} wins - Games won (1st place)
+ * @property {number} losses - Games lost, conceded ones included
+ * @property {number} draws - Games that ended in a draw
+ * @property {number} unfinished - Games cut short without a result
+ * @property {number} conceded - Lost games we conceded
+ * @property {number} mulligans - Mulligans in every game
+ * @property {number} finishedGames - Games with a result (wins, losses and draws) - the win rate is out of these
+ * @property {number} totalGames - Every game played, cut short ones included
+ * @property {number} podGames - Finished games with a known pod size (the ones par is worked out from)
+ * @property {number} podWins - How many of those were won
+ * @property {number} expectedWins - How many of those a deck would win at par (1/4 for each four-player game, and so on)
+ * @property {number} placedGames - Games with a finishing position and a known pod size
+ * @property {number} placementTotal - All those finishing positions added up
+ * @property {number} placedPodTotal - The pod sizes of those games added up
+ */
+
+/**
+ * WORK OUT A DECK'S STATS FROM ITS GAMES
+ *
+ * Draws and cut short games are neither wins nor losses. A draw still
+ * counts toward the win rate (it's a game we didn't win), but a game cut
+ * short never finished, so it's only counted in the total. Summary entries
+ * count toward the wins and losses but, with no pod sizes or placements,
+ * not toward par or average placement.
+ *
+ * @param {Array<GameEntry>} games - The deck's game log
+ * @returns {GameStats}
+ */
+export const summarizeGames = (games) => {
+    const stats = {
+        wins: 0, losses: 0, draws: 0, unfinished: 0, conceded: 0, mulligans: 0,
+        finishedGames: 0, totalGames: 0,
+        podGames: 0, podWins: 0, expectedWins: 0,
+        placedGames: 0, placementTotal: 0, placedPodTotal: 0
+    };
+    (games || []).forEach(game => {
+        stats.mulligans += game.mulligans || 0;
+        if (game.kind === 'summary') {
+            stats.wins += game.wins || 0;
+            stats.losses += game.losses || 0;
+            return;
+        }
+
+        if (game.result === 'unfinished') {
+            stats.unfinished++;
+            return;
+        }
+        if (game.result === 'win') {
+            stats.wins++;
+        } else if (game.result === 'draw') {
+            stats.draws++;
+        } else {
+            stats.losses++;
+            if (game.conceded) stats.conceded++;
+        }
+
+        if (game.podSize) {
+            stats.podGames++;
+            stats.expectedWins += 1 / game.podSize;
+            if (game.result === 'win') stats.podWins++;
+            if (game.placement) {
+                stats.placedGames++;
+                stats.placementTotal += game.placement;
+                stats.placedPodTotal += game.podSize;
+            }
+        }
+    });
+    stats.finishedGames = stats.wins + stats.losses + stats.draws;
+    stats.totalGames = stats.finishedGames + stats.unfinished;
+    return stats;
+};
+
+/**
+ * PAR WIN RATE
+ *
+ * How often the deck would win if everyone in its pods had the same chance:
+ * 25% over four-player games, 33.3% over three-player games, and in between
+ * for a mix.
+ *
+ * @param {GameStats} stats - The deck's stats
+ * @returns {string|null} - The par win rate, like "25.0" (null if no game had a pod size)
+ */
+export const getParWinRate = (stats) => (stats?.podGames > 0
+    ? (stats.expectedWins / stats.podGames * 100).toFixed(1)
+    : null);
+
+/**
+ * NORMALIZED WIN RATE
+ *
+ * The deck's wins compared with par. 1.00× means it wins exactly as often as
+ * an average deck would in those pods, 2.00× means twice as often.
+ * Example: 3 wins in 8 four-player games is 3 ÷ (8 × 1/4) = 1.50×
+ *
+ * @param {GameStats} stats - The deck's stats
+ * @returns {string|null} - Like "1.50" (null if no game had a pod size)
+ */
+export const getNormalizedWinRate = (stats) => (stats?.expectedWins > 0
+    ? (stats.podWins / stats.expectedWins).toFixed(2)
+    : null);
+
+/**
+ * AVERAGE PLACEMENT
+ *
+ * @param {GameStats} stats - The deck's stats
+ * @returns {{ placement: string, podSize: string }|null} - Like { placement: '2.1', podSize: '4.0' } (null if no game had a placement)
+ */
+export const getAveragePlacement = (stats) => (stats?.placedGames > 0
+    ? {
+        placement: (stats.placementTotal / stats.placedGames).toFixed(1),
+        podSize: (stats.placedPodTotal / stats.placedGames).toFixed(1)
+    }
+    : null);
+
+/**
+ * Put the log in order, newest first (of the entries from the same day, the last one added comes first).
+ *
+ * @param {Array<GameEntry>} games - The deck's game log
+ * @returns {Array<GameEntry>} - A sorted copy
+ */
+export const sortGamesNewestFirst = (games) => (games || [])
+    .map((game, index) => ({ game, index }))
+    .sort((a, b) => b.game.playedAt.localeCompare(a.game.playedAt) || b.index - a.index)
+    .map(({ game }) => game);
@@ -0,0 +1,244 @@
+/**
+ * GOLDFISH - Trying Out a Deck's Opening Hands
+ *
+ * "Goldfishing" is playing a deck against nobody, just to see how it draws.
+ * These helpers shuffle a deck, deal an opening hand, take London
+ * mulligans, and draw a card each turn. They also deal thousands of hands
+ * in a row to show how many lands a hand usually has and how often it's
+ * worth keeping.
+ *
+ * London mulligan: shuffle your hand back, draw seven new cards, then put
+ * one card on the bottom of the library for each mulligan taken. In
+ * multiplayer Commander the first mulligan is free (nothing goes on the
+ * bottom), and every player draws on their first turn - even the one going
+ * first - so the hand follows getCardsSeen in manaBase.js.
+ *
+ * Every function here takes the "random" function it shuffles with, so a
+ * test can pass one that always gives the same answers.
+ */
+
+// Import the opening hand size and the draw rule, shared with the mana base report
+import { OPENING_HAND, getCardsSeen } from './manaBase';
+// Import the card type helper, so lands are spotted the same way everywhere
+import { getPrimaryType } from './deckAnalysis';
+// Import the command zone filter, so commanders stay out of the library
+import { getLibraryCards } from './commandZone';
+
+/**
+ * How many turns a sample game can be stepped through.
+ */
+export const MAX_TURNS = 10;
+
+/**
+ * How many hands a batch deals unless told otherwise.
+ */
+export const DEFAULT_BATCH_SIZE = 10000;
+
+/**
+ * The keep rules the simulator starts with: between 2 and 5 lands, and no
+ * other requirement.
+ */
+export const DEFAULT_KEEP_RULES = { minLands: 2, maxLands: 5, query: '', minMatches: 1 };
+
+/**
+ * Is this card a land? (Cards whose front face is a land count.)
+ */
+export const isLand = (card) => getPrimaryType(card.type) === 'Land';
+
+/**
+ * BUILD THE LIBRARY
+ *
+ * Turns the decklist into one entry per physical card ("4 Forest" becomes
+ * four Forests), leaving out the commanders and anything else in the
+ * command zone, since those start the game outside the library.
+ *
+ * @param {Array} cards - Decklist entries filled in from the card cache
+ * @param {Array} commandZone - The deck's commanders, partners, backgrounds and companions
+ * @returns {Array} - One entry per card, each with a `copy` number so identical cards can be told apart
+ */
+export const buildLibrary = (cards, commandZone = []) => getLibraryCards(cards, commandZone)
+    .flatMap(card => Array.from({ length: card.quantity || 1 }, (_, copy) => ({ ...card, copy })));
+
+/**
+ * SHUFFLE
+ *
+ * The Fisher-Yates shuffle: every order is equally likely.
+ *
+ * @param {Array} cards - The cards to shuffle (not changed)
+ * @param {Function} random - Returns a number from 0 up to (not including) 1
+ * @returns {Array} - A shuffled copy
+ */
+export const shuffle = (cards, random = Math.random) => {
+    const shuffled = [...cards];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+};
+
+/**
+ * @typedef {Object} GoldfishGame
+ * @property {Array} library - The cards left to draw, top first
+ * @property {Array<{ card: Object, turn: number }>} hand - The hand (turn is 0 for the opening hand, or the turn it was drawn)
+ * @property {number} mulligans - How many mulligans were taken
+ * @property {number} toBottom - How many cards still have to go on the bottom before keeping
+ * @property {boolean} kept - Whether the hand has been kept (and turns can be drawn)
+ * @property {number} turn - The current turn (0 until the hand is kept)
+ * @property {boolean} freeMulligan - Whether the first mulligan is free
+ */
+
+/**
+ * Shuffle every card together and deal a fresh opening hand.
+ */
+const deal = (cards, random) => {
+    const library = shuffle(cards, random);
+    return {
+        hand: library.slice(0, OPENING_HAND).map(card => ({ card, turn: 0 })),
+        library: library.slice(OPENING_HAND)
+    };
+};
+
+/**
+ * START A GAME
+ *
+ * @param {Array} library - The deck's cards (see buildLibrary)
+ * @param {Object} options
+ * @param {boolean} options.freeMulligan - Whether the first mulligan is free (it is in multiplayer Commander)
+ * @param {Function} random - Used for shuffling
+ * @returns {GoldfishGame}
+ */
+export const startGame = (library, options = {}, random = Math.random) => ({
+    ...deal(library, random),
+    mulligans: 0,
+    toBottom: 0,
+    kept: false,
+    turn: 0,
+    freeMulligan: options.freeMulligan !== false
+});
+
+/**
+ * TAKE A LONDON MULLIGAN
+ *
+ * Shuffles everything back, deals seven new cards, and works out how many
+ * of them have to go on the bottom.
+ *
+ * @param {GoldfishGame} game - The game so far
+ * @param {Function} random - Used for shuffling
+ * @returns {GoldfishGame}
+ */
+export const takeMulligan = (game, random = Math.random) => {
+    const mulligans = game.mulligans + 1;
+    const toBottom = Math.min(OPENING_HAND, Math.max(0, mulligans - (game.freeMulligan ? 1 : 0)));
+    return {
+        ...game,
+        ...deal([...game.hand.map(entry => entry.card), ...game.library], random),
+        mulligans,
+        toBottom
+    };
+};
+
+/**
+ * PUT A CARD FROM THE HAND ON THE BOTTOM
+ *
+ * @param {GoldfishGame} game - The game so far
+ * @param {number} index - Where the card is in the hand
+ * @returns {GoldfishGame}
+ */
+export const putOnBottom = (game, index) => {
+    if (game.toBottom === 0 || !game.hand[index]) return game;
+    return {
+        ...game,
+        hand: game.hand.filter((_, i) => i !== index),
+        library: [...game.library, game.hand[index].card],
+        toBottom: game.toBottom - 1
+    };
+};
+
+/**
+ * KEEP THE HAND
+ *
+ * Only allowed once every card that has to go on the bottom is there. The
+ * game starts on turn 1, with that turn's draw.
+ *
+ * @param {GoldfishGame} game - The game so far
+ * @returns {GoldfishGame}
+ */
+export const keepHand = (game) => (game.toBottom > 0 || game.kept ? game : drawForTurn({ ...game, kept: true, turn: 0 }));
+
+/**
+ * GO TO THE NEXT TURN
+ *
+ * Draws as many cards as the next turn adds to the cards seen (one), from
+ * the top of the library.
+ *
+ * @param {GoldfishGame} game - The game so far
+ * @returns {GoldfishGame} - The same game if the hand isn't kept yet or the turn limit is reached
+ *   (an empty library just has nothing left to draw)
+ */
+export const drawForTurn = (game) => {
+    if (!game.kept || game.turn >= MAX_TURNS) return game;
+    const turn = game.turn + 1;
+    const draws = game.library.slice(0, getCardsSeen(turn) - getCardsSeen(game.turn));
+    return {
+        ...game,
+        turn,
+        hand: [...game.hand, ...draws.map(card => ({ card, turn }))],
+        library: game.library.slice(draws.length)
+    };
+};
+
+/**
+ * IS THIS HAND WORTH KEEPING?
+ *
+ * @param {Array} hand - The cards in the hand
+ * @param {Object} rules - { minLands, maxLands, minMatches } (see DEFAULT_KEEP_RULES)
+ * @param {Function|null} matchesQuery - The rule's card search (see parseQuery in cardQuery.js), or null for no search
+ * @returns {boolean}
+ */
+export const isKeepable = (hand, rules, matchesQuery = null) => {
+    const lands = hand.filter(isLand).length;
+    if (lands < rules.minLands || lands > rules.maxLands) return false;
+    return !matchesQuery || hand.filter(matchesQuery).length >= rules.minMatches;
+};
+
+/**
+ * DEAL THOUSANDS OF HANDS
+ *
+ * Deals opening hands from freshly shuffled libraries and counts how many
+ * lands each has, and how many pass the keep rules. With a free mulligan
+ * the second hand is also a full seven cards, so we also count how often at
+ * least one of two hands is a keep.
+ *
+ * @param {Array} library - The deck's cards (see buildLibrary)
+ * @param {Object} rules - The keep rules (see DEFAULT_KEEP_RULES)
+ * @param {Function|null} matchesQuery - The rule's card search, or null for no search
+ * @param {number} count - How many hands to deal
+ * @param {Function} random - Used for shuffling
+ * @returns {{ count: number, landCounts: Array<number>, keepRate: number, keepWithFreeMulligan: number }}
+ *   - landCounts[n] is how many hands had n lands; the rates are from 0 to 1
+ */
+export const simulateOpeningHands = (library, rules, matchesQuery = null, count = DEFAULT_BATCH_SIZE, random = Math.random) => {
+    const landCounts = Array.from({ length: OPENING_HAND + 1 }, () => 0);
+    let keeps = 0;
+    let keepsWithMulligan = 0;
+
+    const dealHand = () => shuffle(library, random).slice(0, OPENING_HAND);
+    for (let i = 0; i < count; i++) {
+        const hand = dealHand();
+        landCounts[hand.filter(isLand).length]++;
+        if (isKeepable(hand, rules, matchesQuery)) {
+            keeps++;
+            keepsWithMulligan++;
+        } else if (isKeepable(dealHand(), rules, matchesQuery)) {
+            keepsWithMulligan++;
+        }
+    }
+
+    return {
+        count,
+        landCounts,
+        keepRate: count > 0 ? keeps / count : 0,
+        keepWithFreeMulligan: count > 0 ? keepsWithMulligan / count : 0
+    };
+};
@@ -0,0 +1,154 @@
+/**
+ * MANA BASE - Does the Deck Make the Mana It Needs?
+ *
+ * Helpers for the mana base report on a deck's page. They compare how much
+ * of each color the deck's spells ask for (their colored mana symbols, or
+ * "pips") with how many lands and mana rocks make that color, sort the lands
+ * into ones that enter untapped and ones that enter tapped, and work out the
+ * chance of having a source of each color by turns 2 to 4.
+ *
+ * Like deckAnalysis.js, they work on decklist entries filled in from the
+ * card cache, so each card has its type, oracleText and producedMana.
+ */
+
+import { COLOR_ORDER } from './commandZone';
+import { getPrimaryType, getPipCounts } from './deckAnalysis';
+
+/**
+ * How many cards are in an opening hand.
+ */
+export const OPENING_HAND = 7;
+
+/**
+ * The turns we work out the chance of having each color by.
+ */
+export const CHECK_TURNS = [2, 3, 4];
+
+/**
+ * A color is flagged as short on sources when its share of the sources is
+ * less than this much of its share of the pips (so 0.8 means "less than 80%").
+ */
+const SHORT_RATIO = 0.8;
+
+/**
+ * IS THIS CARD A MANA SOURCE?
+ *
+ * Counts lands and mana rocks (artifacts that make mana). Creatures that
+ * make mana can die too easily to count on.
+ *
+ * @param {Object} card - A decklist entry filled in from the card cache
+ * @returns {boolean}
+ */
+export const isManaSource = (card) => {
+    if (!card.producedMana || card.producedMana.length === 0) return false;
+    return getPrimaryType(card.type) === 'Land' || getPrimaryType(card.type) === 'Artifact';
+};
+
+/**
+ * DOES THIS LAND ENTER TAPPED?
+ *
+ * Reads the land's rules text:
+ * - 'tapped': always enters tapped (like Golgari Guildgate)
+ * - 'conditional': enters tapped unless something is true (like Woodland
+ *   Cemetery, or a shock land like Overgrown Tomb if you don't pay 2 life)
+ * - 'untapped': never enters tapped (like a basic Forest)
+ *
+ * @param {Object} card - A land filled in from the card cache
+ * @returns {string} - 'tapped', 'conditional' or 'untapped'
+ */
+export const getLandEntry = (card) => {
+    // Split into sentences so "unless" and "if" are only checked in the one that mentions entering tapped
+    const sentence = (card.oracleText || '')
+        .split(/[.\n]/)
+        .find(part => /enters( the battlefield)? tapped/i.test(part));
+    if (!sentence) return 'untapped';
+    return /\b(unless|if)\b/i.test(sentence) ? 'conditional' : 'tapped';
+};
+
+/**
+ * CHANCE OF DRAWING AT LEAST ONE
+ *
+ * The hypergeometric distribution: if a deck of deckSize cards has
+ * successes cards we want, what's the chance that drawing drawn cards finds
+ * at least one of them? It's easier to work out the chance of finding none
+ * (multiplying the chance each draw misses) and take that away from 1.
+ *
+ * @param {number} deckSize - How many cards are in the deck
+ * @param {number} successes - How many of them we want
+ * @param {number} drawn - How many cards we draw
+ * @returns {number} - The chance, from 0 to 1
+ */
+export const chanceOfAtLeastOne = (deckSize, successes, drawn) => {
+    if (successes <= 0 || deckSize <= 0) return 0;
+    let missAll = 1;
+    for (let i = 0; i < Math.min(drawn, deckSize); i++) {
+        missAll *= Math.max(0, deckSize - successes - i) / (deckSize - i);
+    }
+    return 1 - missAll;
+};
+
+/**
+ * HOW MANY CARDS HAVE YOU SEEN BY A TURN?
+ *
+ * The opening hand plus one draw per turn. In multiplayer Commander every
+ * player draws on their first turn, even the one going first. The opening
+ * hand simulator (goldfish.js) draws by this rule too.
+ *
+ * @param {number} turn - Like 3
+ * @returns {number} - Like 10
+ */
+export const getCardsSeen = (turn) => OPENING_HAND + turn;
+
+/**
+ * ANALYZE A DECK'S MANA BASE
+ *
+ * @param {Array} cards - Decklist entries filled in from the card cache (commanders aren't drawn, so leave them out)
+ * @param {Array<string>} deckColors - The deck's color identity, so colors without pips still get a row
+ * @returns {Object} - {
+ *     deckSize,
+ *     colors: [{ color, pips, pipShare, sources, sourceShare, short, chances: { 2: 0.61, 3: ..., 4: ... } }],
+ *     lands: { untapped: [cards], conditional: [cards], tapped: [cards] }
+ * }
+ */
+export const analyzeManaBase = (cards, deckColors = []) => {
+    const deckSize = cards.reduce((sum, card) => sum + card.quantity, 0);
+    const pips = getPipCounts(cards);
+    const sourceCards = cards.filter(isManaSource);
+
+    // How many sources make each color (a land making two colors counts for both)
+    const sources = Object.fromEntries(COLOR_ORDER.map(color => [
+        color,
+        sourceCards
+            .filter(card => card.producedMana.includes(color))
+            .reduce((sum, card) => sum + card.quantity, 0)
+    ]));
+
+    const shown = COLOR_ORDER.filter(color => deckColors.includes(color) || pips[color] > 0);
+    const totalPips = shown.reduce((sum, color) => sum + pips[color], 0);
+    const totalSources = shown.reduce((sum, color) => sum + sources[color], 0);
+
+    const colors = shown.map(color => {
+        const pipShare = totalPips > 0 ? pips[color] / totalPips : 0;
+        const sourceShare = totalSources > 0 ? sources[color] / totalSources : 0;
+        return {
+            color,
+            pips: pips[color],
+            pipShare,
+            sources: sources[color],
+            sourceShare,
+            short: pips[color] > 0 && sourceShare < pipShare * SHORT_RATIO,
+            chances: Object.fromEntries(CHECK_TURNS.map(turn => [
+                turn,
+                chanceOfAtLeastOne(deckSize, sources[color], getCardsSeen(turn))
+            ]))
+        };
+    });
+
+    // Sort the lands by how they enter the battlefield
+    const lands = { untapped: [], conditional: [], tapped: [] };
+    cards
+        .filter(card => getPrimaryType(card.type) === 'Land')
+        .forEach(card => lands[getLandEntry(card)].push(card));
+
+    return { deckSize, colors, lands };
+};
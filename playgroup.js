@@ -0,0 +1,260 @@
+/**
+ * PLAYGROUP - The People We Play With, and Who Beats Whom
+ *
+ * A playgroup is a list of players. Each player can be linked to decks:
+ * decks saved in this app (by id), and decks that live somewhere else -
+ * usually a friend's - which are only known by name.
+ *
+ * Games in a deck's log can say which player sat in each opponent's seat
+ * and which of them won. Together with the player linked to the deck
+ * itself, that's enough to work out each player's win rate, who they face
+ * most often, and head-to-head records between any two players.
+ *
+ * Players are kept in localStorage under their own key, next to the decks.
+ * Backups include them, and merging a backup matches players by id, just
+ * like decks, so games never point at a player who isn't there.
+ */
+
+// Import the storage error (shown to the user as-is) and the "storage is full" check
+import { StorageError, isQuotaError } from './deckStorage';
+
+// Where the players are kept (backups use it too)
+export const PLAYERS_KEY = 'mtgPlayers';
+
+/**
+ * @typedef {Object} Player
+ * @property {string} id - Unique id
+ * @property {string} name - What the player is called
+ * @property {Array<string>} deckIds - The saved decks this player plays
+ * @property {Array<string>} deckNames - Decks this player plays that aren't saved here (just their names)
+ * @property {string} createdAt - When the player was added (an ISO date)
+ */
+
+/**
+ * Fill in anything a saved player is missing, so every player has the same shape.
+ */
+const normalizePlayer = (player) => ({
+    id: String(player.id),
+    name: String(player.name || 'Unnamed Player'),
+    deckIds: Array.isArray(player.deckIds) ? player.deckIds.map(String) : [],
+    deckNames: Array.isArray(player.deckNames) ? player.deckNames.filter(name => typeof name === 'string') : [],
+    createdAt: player.createdAt || new Date().toISOString()
+});
+
+/**
+ * READ A SAVED PLAYER LIST
+ *
+ * @param {string|null} text - The JSON saved under PLAYERS_KEY (in storage or in a backup)
+ * @returns {Array<Player>} - The players, or an empty list if there are none
+ * @throws {SyntaxError} - If the text isn't valid JSON
+ */
+export const parsePlayers = (text) => {
+    const players = JSON.parse(text || '[]');
+    return Array.isArray(players)
+        ? players.filter(player => player && player.id).map(normalizePlayer)
+        : [];
+};
+
+/**
+ * READ EVERY PLAYER
+ *
+ * @returns {Array<Player>} - The players, or an empty list if there are none (or they're damaged)
+ */
+export const getPlayers = () => {
+    try {
+        return parsePlayers(localStorage.getItem(PLAYERS_KEY));
+    } catch (error) {
+        console.error('Error reading players:', error);
+        return [];
+    }
+};
+
+/**
+ * WRITE THE WHOLE PLAYER LIST
+ *
+ * @param {Array<Player>} players - Every player
+ * @throws {StorageError} - If the browser won't let us save
+ */
+const writePlayers = (players) => {
+    try {
+        localStorage.setItem(PLAYERS_KEY, JSON.stringify(players));
+    } catch (error) {
+        if (isQuotaError(error)) {
+            throw new StorageError(
+                'Your browser\'s storage is full, so the playgroup couldn\'t be saved. ' +
+                'Your players are as they were before. Download a backup and clear some browser data, then try again.',
+                error
+            );
+        }
+        throw new StorageError('Your players couldn\'t be saved. Your browser may be blocking storage for this site.', error);
+    }
+};
+
+/**
+ * ADD A PLAYER
+ *
+ * @param {string} name - The new player's name
+ * @returns {Player} - The saved player
+ * @throws {StorageError}
+ */
+export const createPlayer = (name) => {
+    const player = normalizePlayer({
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        name: name.trim()
+    });
+    writePlayers([...getPlayers(), player]);
+    return player;
+};
+
+/**
+ * UPDATE A PLAYER
+ *
+ * A saved deck can only be played by one player, so linking a deck here
+ * unlinks it from whoever had it before.
+ *
+ * @param {string} id - The player's id
+ * @param {Object} changes - The fields to change (name, deckIds, deckNames)
+ * @returns {Array<Player>} - Every player after the change
+ * @throws {StorageError} - If the player doesn't exist or couldn't be saved
+ */
+export const updatePlayer = (id, changes) => {
+    const players = getPlayers();
+    const existing = players.find(player => player.id === id);
+    if (!existing) throw new StorageError('This player no longer exists. They may have been deleted in another tab.');
+
+    const updated = normalizePlayer({ ...existing, ...changes, id });
+    const updatedPlayers = players.map(player => (player.id === id
+        ? updated
+        : { ...player, deckIds: player.deckIds.filter(deckId => !updated.deckIds.includes(deckId)) }));
+    writePlayers(updatedPlayers);
+    return updatedPlayers;
+};
+
+/**
+ * DELETE A PLAYER
+ *
+ * Games that mention the player keep their id; they just count as an
+ * unknown player from then on.
+ *
+ * @param {string} id - The player's id
+ * @returns {Array<Player>} - The players that are left
+ * @throws {StorageError}
+ */
+export const deletePlayer = (id) => {
+    const remaining = getPlayers().filter(player => player.id !== id);
+    writePlayers(remaining);
+    return remaining;
+};
+
+/**
+ * REPLACE EVERY PLAYER
+ *
+ * Used when restoring a backup. A saved deck can still only be played by one
+ * player, so if two players are linked to the same deck, the first one in
+ * the list keeps it.
+ *
+ * @param {Array<Player>} players - The full list of players to save
+ * @returns {Array<Player>} - The players as saved
+ * @throws {StorageError}
+ */
+export const replaceAllPlayers = (players) => {
+    const linked = new Set();
+    const saved = players.map(normalizePlayer).map(player => {
+        const deckIds = player.deckIds.filter(deckId => !linked.has(deckId));
+        deckIds.forEach(deckId => linked.add(deckId));
+        return { ...player, deckIds };
+    });
+    writePlayers(saved);
+    return saved;
+};
+
+/**
+ * WHO PLAYS THIS DECK?
+ *
+ * @param {Array<Player>} players - Every player
+ * @param {string} deckId - A saved deck's id
+ * @returns {Player|null} - The player linked to the deck, or null if nobody is
+ */
+export const getDeckOwner = (players, deckId) => players.find(player => player.deckIds.includes(deckId)) || null;
+
+/**
+ * WHO PLAYED IN A GAME, AND WHO WON
+ *
+ * @param {Object} game - A game from a deck's log
+ * @param {string|null} ownerId - The player linked to the deck the game was logged on
+ * @returns {{ playerIds: Array<string>, winnerId: string|null, finished: boolean }}
+ */
+const getGamePlayers = (game, ownerId) => {
+    const opponents = game.opponents || [];
+    const playerIds = [...new Set([ownerId, ...opponents.map(opponent => opponent.playerId)].filter(Boolean))];
+
+    let winnerId = null;
+    if (game.result === 'win') {
+        winnerId = ownerId;
+    } else if (game.result === 'loss') {
+        winnerId = opponents.find(opponent => opponent.won)?.playerId || null;
+    }
+    return { playerIds, winnerId, finished: game.result !== 'unfinished' };
+};
+
+/**
+ * WORK OUT EVERY PLAYER'S RECORD
+ *
+ * Goes through every game logged on every deck. A player counts as playing
+ * a game if the deck belongs to them or they're named as an opponent. Games
+ * cut short count as played but not toward the win rate; draws count as
+ * games nobody won. Summary entries (totals from before the game log) don't
+ * say who was there, so they're left out.
+ *
+ * @param {Array<Player>} players - Every player
+ * @param {Array} decks - Every saved deck
+ * @returns {{
+ *   records: Object<string, { games: number, finishedGames: number, wins: number, mostFaced: Array<{ playerId: string, games: number }> }>,
+ *   headToHead: Object<string, Object<string, { games: number, wins: number }>>
+ * }} - records by player id; headToHead[a][b] is how many games a and b both played, and how many of those a won
+ */
+export const getPlaygroupRecords = (players, decks) => {
+    const known = new Set(players.map(player => player.id));
+    const records = {};
+    const headToHead = {};
+    players.forEach(player => {
+        records[player.id] = { games: 0, finishedGames: 0, wins: 0, mostFaced: [] };
+        headToHead[player.id] = {};
+    });
+
+    decks.forEach(deck => {
+        const ownerId = getDeckOwner(players, deck.id)?.id || null;
+        (deck.games || [])
+            .filter(game => game.kind !== 'summary')
+            .forEach(game => {
+                const { playerIds, winnerId, finished } = getGamePlayers(game, ownerId);
+                const present = playerIds.filter(playerId => known.has(playerId));
+
+                present.forEach(playerId => {
+                    const record = records[playerId];
+                    record.games++;
+                    if (finished) record.finishedGames++;
+                    if (winnerId === playerId) record.wins++;
+
+                    present
+                        .filter(otherId => otherId !== playerId)
+                        .forEach(otherId => {
+                            const pair = headToHead[playerId][otherId] || { games: 0, wins: 0 };
+                            pair.games++;
+                            if (winnerId === playerId) pair.wins++;
+                            headToHead[playerId][otherId] = pair;
+                        });
+                });
+            });
+    });
+
+    // The three players each player has sat down with most often
+    Object.keys(records).forEach(playerId => {
+        records[playerId].mostFaced = Object.entries(headToHead[playerId])
+            .map(([otherId, pair]) => ({ playerId: otherId, games: pair.games }))
+            .sort((a, b) => b.games - a.games)
+            .slice(0, 3);
+    });
+
+    return { records, headToHead };
+};
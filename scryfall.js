@@ -0,0 +1,499 @@
+/**
+ * SCRYFALL CARD LOOKUP - Finds Card Data for a Whole Decklist at Once
+ *
+ * Scryfall (https://scryfall.com) is a free database of every Magic card.
+ * Asking it about cards one at a time is slow: a 100-card deck means 100
+ * separate requests with a pause between each one. Instead, this file uses
+ * Scryfall's "collection" endpoint, which answers questions about up to 75
+ * cards in a single request.
+ *
+ * How a lookup works:
+ * 1. Remove duplicate names (no need to ask about Forest twice)
+ * 2. Send the names to /cards/collection in batches of 75
+ * 3. For any names Scryfall couldn't match exactly, try a "fuzzy" lookup
+ *    one at a time (this catches small typos and capitalization mistakes)
+ * 4. Report progress along the way so the screen can show how far we are
+ *
+ * The Scryfall address can be changed (with the VITE_SCRYFALL_API_URL
+ * setting or the baseUrl option) so the lookup can be pointed at a local
+ * stub server for testing instead of the real Scryfall.
+ */
+
+/**
+ * WHERE TO SEND REQUESTS
+ *
+ * Normally this is the real Scryfall API. Set VITE_SCRYFALL_API_URL in a
+ * .env file (for example VITE_SCRYFALL_API_URL=http://localhost:4000) to use
+ * a stub server instead.
+ */
+export const SCRYFALL_API_URL = import.meta.env?.VITE_SCRYFALL_API_URL || 'https://api.scryfall.com';
+
+// Scryfall's collection endpoint accepts at most 75 cards per request
+export const COLLECTION_BATCH_SIZE = 75;
+
+// Scryfall asks for 50-100 milliseconds between requests
+const REQUEST_DELAY_MS = 100;
+
+/**
+ * Wait a little while (used to space out requests politely).
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * NORMALIZE A CARD NAME
+ *
+ * Makes two spellings of the same name look identical, so "Lim-Dûl's Vault",
+ * "lim-dul's vault" and "Lim-Dûl’s  Vault" all match each other.
+ *
+ * @param {string} name - A card name
+ * @returns {string} - The simplified name (lowercase, no accents, plain apostrophes)
+ */
+export const normalizeCardName = (name) => (name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\u2018\u2019`]/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+
+/**
+ * ALL THE NAMES A CARD CAN BE CALLED
+ *
+ * Double-faced and split cards have a full name ("Fire // Ice") and a name
+ * for each face ("Fire", "Ice"). Decklists might use any of them.
+ *
+ * @param {Object} card - A Scryfall card object
+ * @returns {Array} - Normalized names the card can be found under
+ */
+export const getCardNames = (card) => {
+    const names = [card.name, ...(card.card_faces || []).map(face => face.name)];
+    return [...new Set(names.filter(Boolean).map(normalizeCardName))];
+};
+
+/**
+ * GET A CARD'S IMAGE
+ *
+ * Most cards have one image. Double-faced cards keep an image on each face,
+ * so we fall back to the front face's picture.
+ *
+ * @param {Object} card - A Scryfall card object
+ * @param {string} size - Which image size ('small', 'normal', 'large')
+ * @returns {string|null} - The image address, or null if there isn't one
+ */
+export const getCardImageUrl = (card, size = 'normal') =>
+    card?.image_uris?.[size] || card?.card_faces?.[0]?.image_uris?.[size] || null;
+
+/**
+ * Get a card's rules text, including every face of double-faced cards.
+ */
+export const getOracleText = (card) => [card.oracle_text, ...(card.card_faces || []).map(face => face.oracle_text)]
+    .filter(Boolean)
+    .join('\n');
+
+/**
+ * GET EACH FACE OF A CARD
+ *
+ * Some cards have two faces: double-faced cards (transform and modal
+ * double-faced, with a picture on each side), split cards like Fire // Ice,
+ * adventures, and flip cards (which share one picture). Every other card has
+ * just one face. Each face gets its own name, cost, type, rules text and
+ * stats, plus a picture (the card's own picture when the face doesn't have
+ * one).
+ *
+ * @param {Object} card - A Scryfall card object
+ * @returns {Array} - One { name, manaCost, typeLine, oracleText, power, toughness, loyalty, defense, imageUrl } per face
+ */
+export const getCardFaces = (card) => {
+    const describe = (face) => ({
+        name: face.name,
+        manaCost: face.mana_cost || '',
+        typeLine: face.type_line || '',
+        oracleText: face.oracle_text || '',
+        power: face.power ?? null,
+        toughness: face.toughness ?? null,
+        loyalty: face.loyalty ?? null,
+        defense: face.defense ?? null,
+        imageUrl: face.image_uris?.large || face.image_uris?.normal || getCardImageUrl(card, 'large') || getCardImageUrl(card)
+    });
+    if (!card.card_faces || card.card_faces.length === 0) return [describe(card)];
+    return card.card_faces.map(face => describe({ ...face, type_line: face.type_line || card.type_line }));
+};
+
+/**
+ * GET A CARD'S DETAILS FOR THE DECKLIST
+ *
+ * Picks out the handful of fields the deck pages show for each card.
+ *
+ * @param {Object} card - A Scryfall card object
+ * @returns {Object} - { name, imageUrl, manaCost, cmc, type, colors, oracleText, keywords, producedMana, rarity, mtgoId }
+ */
+export const getCardDetails = (card) => ({
+    name: card.name,                                   // The card's official name
+    imageUrl: getCardImageUrl(card),                   // The card picture
+    manaCost: card.mana_cost ?? card.card_faces?.[0]?.mana_cost ?? '',  // The mana cost (like "{1}{R}")
+    cmc: card.cmc ?? card.card_faces?.[0]?.cmc ?? null,  // Total mana value
+    type: card.type_line || '',                        // Card type (like "Creature — Human Wizard")
+    colors: card.colors || card.card_faces?.[0]?.colors || [],  // The card's colors (like ['G'])
+    oracleText: getOracleText(card),                   // Rules text (every face)
+    keywords: card.keywords || [],                     // Keyword abilities (like ['Flying', 'Trample'])
+    producedMana: card.produced_mana || [],            // Colors of mana it can make (like ['G', 'W'] for a land)
+    rarity: card.rarity || '',                         // Rarity (Common, Uncommon, Rare, Mythic)
+    mtgoId: card.mtgo_id || null                       // Magic Online's number for this printing (for .dek exports)
+});
+
+/**
+ * DESCRIBE ONE LOOKUP REQUEST
+ *
+ * A request can be a plain name ('Sol Ring') or an object that says more
+ * about which printing we want:
+ * { name: 'Sol Ring', scryfallId: '...', setCode: 'C21', collectorNumber: '263' }
+ *
+ * We use the most exact information available: a Scryfall id pins down one
+ * card, a set code plus collector number pins down one printing, and a set
+ * code on its own picks that set's version of the named card.
+ *
+ * @param {string|Object} request - What the caller asked for
+ * @returns {Object} - { key, identifier, name, hasPrinting } where key is used to spot duplicates
+ */
+const describeRequest = (request) => {
+    const {
+        name = '',
+        scryfallId = null,
+        setCode = null,
+        collectorNumber = null
+    } = typeof request === 'string' ? { name: request } : request;
+    const set = setCode ? setCode.toLowerCase() : null;
+
+    if (scryfallId) {
+        return { key: `id:${scryfallId}`, identifier: { id: scryfallId }, name, hasPrinting: true };
+    }
+    if (set && collectorNumber) {
+        return {
+            key: `print:${set}/${collectorNumber}`,
+            identifier: { set, collector_number: collectorNumber },
+            name,
+            hasPrinting: true
+        };
+    }
+    if (set) {
+        return { key: `set:${set}/${normalizeCardName(name)}`, identifier: { name, set }, name, hasPrinting: true };
+    }
+    return { key: `name:${normalizeCardName(name)}`, identifier: { name }, name, hasPrinting: false };
+};
+
+/**
+ * Every request key a returned card could be the answer to.
+ */
+const getCardKeys = (card) => {
+    const names = getCardNames(card);
+    return [
+        `id:${card.id}`,
+        `print:${card.set}/${card.collector_number}`,
+        ...names.map(name => `set:${card.set}/${name}`),
+        ...names.map(name => `name:${name}`)
+    ];
+};
+
+/**
+ * ASK SCRYFALL ABOUT ONE BATCH OF CARDS
+ *
+ * @param {Array} identifiers - Up to 75 identifiers like { name: 'Sol Ring' } or { id: '...' }
+ * @param {string} baseUrl - Where to send the request
+ * @param {AbortSignal} signal - Cancels the request when aborted (optional)
+ * @returns {Array} - The Scryfall card objects that were found
+ */
+const fetchCollectionBatch = async (identifiers, baseUrl, signal) => {
+    const response = await fetch(`${baseUrl}/cards/collection`, {
+        method: 'POST',
+        signal,
+        headers: {
+            'Content-Type': 'application/json',
+            Accept: 'application/json'
+        },
+        body: JSON.stringify({ identifiers })
+    });
+
+    if (!response.ok) {
+        throw new Error(`Scryfall collection request failed with status ${response.status}`);
+    }
+
+    const result = await response.json();
+    return result.data || [];
+};
+
+/**
+ * FUZZY LOOKUP FOR ONE NAME
+ *
+ * Scryfall's fuzzy search forgives small spelling mistakes, so
+ * "jace the mind sculpter" still finds "Jace, the Mind Sculptor".
+ *
+ * @param {string} name - The card name to look up
+ * @param {string} baseUrl - Where to send the request
+ * @param {AbortSignal} signal - Cancels the request when aborted (optional)
+ * @returns {Object|null} - The Scryfall card, or null if nothing matched
+ */
+export const fetchCardFuzzy = async (name, baseUrl = SCRYFALL_API_URL, signal) => {
+    try {
+        const response = await fetch(`${baseUrl}/cards/named?fuzzy=${encodeURIComponent(name)}`, {
+            headers: { Accept: 'application/json' },
+            signal
+        });
+        if (!response.ok) return null;
+        return await response.json();
+    } catch (error) {
+        // Cancelling isn't a failed lookup - let the caller know we stopped
+        if (error.name === 'AbortError') throw error;
+        console.error('Error fetching Scryfall card:', error);
+        return null;
+    }
+};
+
+/**
+ * SEARCH FOR POSSIBLE MATCHES
+ *
+ * When a name didn't match exactly, this finds a handful of cards it might
+ * have meant, so the import review screen can show them as choices.
+ *
+ * @param {string} query - The (possibly misspelled) card name
+ * @param {Object} options
+ * @param {string} options.baseUrl - Scryfall address (defaults to SCRYFALL_API_URL)
+ * @param {number} options.limit - How many candidates to return at most
+ * @returns {Array} - Scryfall cards that might be the one you meant
+ */
+export const searchCardCandidates = async (query, options = {}) => {
+    const { baseUrl = SCRYFALL_API_URL, limit = 8 } = options;
+    try {
+        const response = await fetch(
+            `${baseUrl}/cards/search?q=${encodeURIComponent(query)}&unique=cards`,
+            { headers: { Accept: 'application/json' } }
+        );
+        if (!response.ok) return [];
+        const result = await response.json();
+        return (result.data || []).slice(0, limit);
+    } catch (error) {
+        console.error('Error searching Scryfall:', error);
+        return [];
+    }
+};
+
+/**
+ * SUGGEST CARD NAMES AS YOU TYPE
+ *
+ * Scryfall's autocomplete gives back up to 20 card names that start with (or
+ * closely match) what's been typed so far. Like every lookup here, it uses
+ * SCRYFALL_API_URL, so a local stub server can answer it during testing.
+ *
+ * @param {string} query - What's been typed so far (at least 2 characters)
+ * @param {Object} options
+ * @param {string} options.baseUrl - Scryfall address (defaults to SCRYFALL_API_URL)
+ * @param {AbortSignal} options.signal - Cancels the request (when more has been typed, say)
+ * @returns {Array} - Card names, like ['Sol Ring', 'Solemn Simulacrum']
+ */
+export const autocompleteCardNames = async (query, options = {}) => {
+    const { baseUrl = SCRYFALL_API_URL, signal } = options;
+    if (query.trim().length < 2) return [];
+    try {
+        const response = await fetch(
+            `${baseUrl}/cards/autocomplete?q=${encodeURIComponent(query.trim())}`,
+            { headers: { Accept: 'application/json' }, signal }
+        );
+        if (!response.ok) return [];
+        const result = await response.json();
+        return result.data || [];
+    } catch (error) {
+        if (error.name !== 'AbortError') console.error('Error fetching card name suggestions:', error);
+        return [];
+    }
+};
+
+/**
+ * GET A CARD'S RULINGS
+ *
+ * Rulings are official answers to questions about how a card works. Scryfall
+ * keeps them per card (every printing shares the same rulings).
+ *
+ * @param {string} cardId - The card's Scryfall id
+ * @param {Object} options
+ * @param {string} options.baseUrl - Scryfall address (defaults to SCRYFALL_API_URL)
+ * @returns {Array|null} - { source, published_at, comment } rulings, oldest first, or null if they couldn't be loaded
+ */
+export const fetchCardRulings = async (cardId, options = {}) => {
+    const { baseUrl = SCRYFALL_API_URL } = options;
+    try {
+        const response = await fetch(`${baseUrl}/cards/${encodeURIComponent(cardId)}/rulings`, {
+            headers: { Accept: 'application/json' }
+        });
+        if (!response.ok) return null;
+        const result = await response.json();
+        return result.data || [];
+    } catch (error) {
+        console.error('Error fetching card rulings:', error);
+        return null;
+    }
+};
+
+/**
+ * GET EVERY PRINTING OF A CARD
+ *
+ * Most cards have been printed many times, in different sets and with
+ * different art. This asks Scryfall for all of them, newest first.
+ * Scryfall sends results in pages, so we keep asking for the next page
+ * (up to maxPages) until we have them all.
+ *
+ * @param {string} name - The card's exact name
+ * @param {Object} options
+ * @param {string} options.baseUrl - Scryfall address (defaults to SCRYFALL_API_URL)
+ * @param {number} options.maxPages - Stop after this many pages (each page holds up to 175 printings)
+ * @returns {Array} - Scryfall card objects, one per printing
+ */
+export const fetchCardPrintings = async (name, options = {}) => {
+    const { baseUrl = SCRYFALL_API_URL, maxPages = 3 } = options;
+    const query = `!"${name.replace(/"/g, '')}"`;
+    let url = `${baseUrl}/cards/search?q=${encodeURIComponent(query)}&unique=prints&order=released&dir=desc&include_extras=true`;
+    const printings = [];
+
+    try {
+        for (let page = 0; url && page < maxPages; page++) {
+            if (page > 0) await sleep(REQUEST_DELAY_MS);
+            const response = await fetch(url, { headers: { Accept: 'application/json' } });
+            if (!response.ok) break;
+            const result = await response.json();
+            printings.push(...(result.data || []));
+            url = result.has_more ? result.next_page : null;
+        }
+    } catch (error) {
+        console.error('Error fetching card printings:', error);
+    }
+
+    return printings;
+};
+
+/**
+ * LOOK UP MANY CARDS - The Main Function Everyone Else Uses
+ *
+ * Gives back one result for every request, in the same order:
+ * { name: 'what you asked for', card: <Scryfall card or null>, match: 'exact' | 'fuzzy' | null }
+ *
+ * A request for a printing (set and collector number) that Scryfall doesn't
+ * have gets another printing of the same card, reported as 'fuzzy' so the
+ * import review shows that it isn't the printing that was asked for.
+ *
+ * Lookups can be cancelled with an AbortController: pass its signal, and
+ * when abort() is called the lookup stops and throws an AbortError.
+ *
+ * @param {Array} requests - Card names, or { name, scryfallId, setCode, collectorNumber } objects (duplicates are fine)
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with { done, total, stage, current, failed } as cards are resolved,
+ *                                        where current is the card being looked up and failed lists names not found so far
+ * @param {Function} options.onCards - Called with each group of Scryfall cards as soon as they arrive
+ * @param {AbortSignal} options.signal - Cancels the lookup when aborted
+ * @param {string} options.baseUrl - Scryfall address (defaults to SCRYFALL_API_URL)
+ * @param {number} options.delayMs - Pause between requests (defaults to 100)
+ * @returns {Array} - One { name, card, match } result per request
+ * @throws {DOMException} - An AbortError if the signal was aborted
+ */
+export const lookupCards = async (requests, options = {}) => {
+    const {
+        onProgress = () => {},
+        onCards = () => {},
+        signal,
+        baseUrl = SCRYFALL_API_URL,
+        delayMs = REQUEST_DELAY_MS
+    } = options;
+
+    // Step 1: Keep one copy of each request (ignoring capitalization and accents)
+    const described = requests.map(describeRequest);
+    const unique = new Map();
+    for (const request of described) {
+        if (request.key !== 'name:' && !unique.has(request.key)) unique.set(request.key, request);
+    }
+
+    const total = unique.size;
+    const found = new Map();  // request key -> { card, match }
+    const failed = [];  // Names that couldn't be found at all
+    let done = 0;
+    let requestsSent = 0;
+    onProgress({ done, total, stage: 'batch', failed: [...failed] });
+
+    // Pause before every request except the very first one (and stop right away if we've been cancelled)
+    const politePause = async () => {
+        signal?.throwIfAborted();
+        if (requestsSent > 0) await sleep(delayMs);
+        signal?.throwIfAborted();
+        requestsSent++;
+    };
+
+    /**
+     * Send a list of lookups to the collection endpoint, 75 at a time.
+     * Each lookup is { key, identifier, matchKey }: a returned card answers
+     * the lookup when matchKey is one of the card's keys, and counts as the
+     * given kind of match.
+     */
+    const fetchInBatches = async (lookups, stage, match) => {
+        for (let start = 0; start < lookups.length; start += COLLECTION_BATCH_SIZE) {
+            const batch = lookups.slice(start, start + COLLECTION_BATCH_SIZE);
+            await politePause();
+            onProgress({ done, total, stage, current: unique.get(batch[0].key).name, failed: [...failed] });
+
+            try {
+                const cards = await fetchCollectionBatch(batch.map(lookup => lookup.identifier), baseUrl, signal);
+                onCards(cards);
+                // Match the returned cards back to what we asked for
+                for (const card of cards) {
+                    const cardKeys = getCardKeys(card);
+                    for (const lookup of batch) {
+                        if (cardKeys.includes(lookup.matchKey) && !found.has(lookup.key)) {
+                            found.set(lookup.key, { card, match });
+                        }
+                    }
+                }
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                // If a whole batch fails, its cards just fall through to the next step
+                console.error('Error fetching Scryfall collection:', error);
+            }
+
+            done += batch.filter(lookup => found.has(lookup.key)).length;
+            onProgress({ done, total, stage, failed: [...failed] });
+        }
+    };
+
+    // Step 2: Ask about 75 cards at a time
+    const keys = [...unique.keys()];
+    await fetchInBatches(keys.map(key => ({ key, identifier: unique.get(key).identifier, matchKey: key })), 'batch', 'exact');
+
+    // Step 2b: If a printing wasn't found (a wrong set code, say), settle for any printing of that exact name,
+    // but not as an exact match: it isn't the printing that was asked for
+    const missedPrintings = keys.filter(key => !found.has(key) && unique.get(key).hasPrinting && unique.get(key).name);
+    await fetchInBatches(missedPrintings.map(key => ({
+        key,
+        identifier: { name: unique.get(key).name },
+        matchKey: `name:${normalizeCardName(unique.get(key).name)}`
+    })), 'batch', 'fuzzy');
+
+    // Step 3: Try a fuzzy lookup by name for everything that still didn't match
+    const missedKeys = keys.filter(key => !found.has(key));
+    for (const key of missedKeys) {
+        const { name } = unique.get(key);
+        let card = null;
+        if (name) {
+            await politePause();
+            onProgress({ done, total, stage: 'fuzzy', current: name, failed: [...failed] });
+            card = await fetchCardFuzzy(name, baseUrl, signal);
+        }
+        if (card) {
+            onCards([card]);
+        } else {
+            failed.push(name);
+        }
+        found.set(key, card ? { card, match: 'fuzzy' } : { card: null, match: null });
+        done++;
+        onProgress({ done, total, stage: 'fuzzy', current: name, failed: [...failed] });
+    }
+
+    // Step 4: Give back one result per request, in the original order
+    return described.map(({ key, name }) => {
+        const result = found.get(key) || { card: null, match: null };
+        return { name, ...result };
+    });
+};
@@ -0,0 +1,71 @@
+// @vitest-environment jsdom
+/**
+ * Tests for CardNameInput's suggestions: it waits for typing to stop,
+ * cancels the request it no longer needs, and skips very short text.
+ */
+
+import React, { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../scryfall', () => ({ autocompleteCardNames: vi.fn() }));
+
+import { autocompleteCardNames } from '../scryfall';
+import CardNameInput from '../CardNameInput';
+
+let container;
+let root;
+
+const render = (value) => act(() => {
+    root.render(<CardNameInput value={value} onChange={() => {}} onSubmit={() => {}} />);
+});
+
+beforeEach(() => {
+    globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+    vi.useFakeTimers();
+    autocompleteCardNames.mockReset();
+    autocompleteCardNames.mockResolvedValue(['Sol Ring', 'Solemn Simulacrum']);
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    root = createRoot(container);
+});
+
+afterEach(() => {
+    act(() => root.unmount());
+    container.remove();
+    vi.useRealTimers();
+});
+
+describe('CardNameInput suggestions', () => {
+    it('waits for typing to stop, then asks once', async () => {
+        render('so');
+        render('sol');
+        expect(autocompleteCardNames).not.toHaveBeenCalled();
+
+        await act(async () => {
+            await vi.advanceTimersByTimeAsync(200);
+        });
+        expect(autocompleteCardNames).toHaveBeenCalledTimes(1);
+        expect(autocompleteCardNames.mock.calls[0][0]).toBe('sol');
+    });
+
+    it('cancels the request when more is typed', async () => {
+        render('sol');
+        await act(async () => {
+            await vi.advanceTimersByTimeAsync(200);
+        });
+        const { signal } = autocompleteCardNames.mock.calls[0][1];
+        expect(signal.aborted).toBe(false);
+
+        render('sol r');
+        expect(signal.aborted).toBe(true);
+    });
+
+    it('does not ask about fewer than 2 characters', async () => {
+        render('s');
+        await act(async () => {
+            await vi.advanceTimersByTimeAsync(1000);
+        });
+        expect(autocompleteCardNames).not.toHaveBeenCalled();
+    });
+});
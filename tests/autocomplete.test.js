@@ -0,0 +1,47 @@
+/**
+ * Tests for autocompleteCardNames (scryfall.js) against the local Scryfall stub.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { autocompleteCardNames } from '../scryfall';
+import { startScryfallStub, makeCard } from './scryfallStub';
+
+let stub;
+
+beforeAll(async () => {
+    stub = await startScryfallStub({
+        cards: ['Sol Ring', 'Solemn Simulacrum', 'Soul Warden', 'Arcane Signet'].map(name => makeCard(name))
+    });
+});
+
+afterAll(() => stub.close());
+
+const autocompleteRequests = () => stub.requests.filter(request => request.path === '/cards/autocomplete');
+
+describe('autocompleteCardNames', () => {
+    it('asks the autocomplete endpoint and gives back the names', async () => {
+        stub.requests.length = 0;
+        const names = await autocompleteCardNames('  sol ', { baseUrl: stub.baseUrl });
+
+        expect(names).toEqual(['Sol Ring', 'Solemn Simulacrum']);
+        expect(autocompleteRequests().map(request => request.query.q)).toEqual(['sol']);
+    });
+
+    it('gives back an empty list when nothing matches', async () => {
+        expect(await autocompleteCardNames('zzz', { baseUrl: stub.baseUrl })).toEqual([]);
+    });
+
+    it('does not ask about fewer than 2 characters', async () => {
+        stub.requests.length = 0;
+        expect(await autocompleteCardNames('s', { baseUrl: stub.baseUrl })).toEqual([]);
+        expect(await autocompleteCardNames('   ', { baseUrl: stub.baseUrl })).toEqual([]);
+        expect(autocompleteRequests()).toHaveLength(0);
+    });
+
+    it('gives back an empty list when the request is cancelled or fails', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        expect(await autocompleteCardNames('sol', { baseUrl: stub.baseUrl, signal: controller.signal })).toEqual([]);
+        expect(await autocompleteCardNames('sol', { baseUrl: `${stub.baseUrl}/missing` })).toEqual([]);
+    });
+});
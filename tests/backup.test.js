@@ -0,0 +1,159 @@
+// @vitest-environment jsdom
+/**
+ * Tests for restoring backups (backup.js), in particular merging them with
+ * the decks and players already saved.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createBackup, parseBackup, planMerge, restoreBackup } from '../backup';
+import { SCHEMA_VERSION, getDecks, replaceAllDecks, updateDeck } from '../deckStorage';
+import { getPlayers, replaceAllPlayers } from '../playgroup';
+
+const makeDeck = (id, fields = {}) => ({
+    id,
+    name: `Deck ${id}`,
+    decklist: [],
+    createdAt: '2024-01-01T00:00:00.000Z',
+    updatedAt: '2024-01-01T00:00:00.000Z',
+    ...fields
+});
+
+const makePlayer = (id, name, fields = {}) => ({
+    id,
+    name,
+    deckIds: [],
+    deckNames: [],
+    createdAt: '2024-01-01T00:00:00.000Z',
+    ...fields
+});
+
+// Makes a backup of the given decks and players, then puts storage back how it was
+const backupOf = (decks, players) => {
+    const savedDecks = getDecks();
+    const savedPlayers = getPlayers();
+    replaceAllDecks(decks);
+    replaceAllPlayers(players);
+    const backup = parseBackup(JSON.stringify(createBackup(getDecks())));
+    replaceAllDecks(savedDecks);
+    replaceAllPlayers(savedPlayers);
+    return backup;
+};
+
+// A backup made in another browser (so this one doesn't remember making it)
+const foreignBackup = (decks) => parseBackup(JSON.stringify({
+    type: 'mtg-backup',
+    version: 1,
+    createdAt: '2030-01-01T00:00:00.000Z',
+    schemaVersion: SCHEMA_VERSION,
+    decks,
+    settings: {}
+}));
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+describe('reading a backup file', () => {
+    it('refuses a backup whose decks were saved by a newer version of the app', () => {
+        const text = JSON.stringify({ ...createBackup([makeDeck('d1')]), schemaVersion: SCHEMA_VERSION + 1 });
+        expect(() => parseBackup(text)).toThrow(/newer version of the app/);
+    });
+});
+
+describe('working out which decks changed', () => {
+    it('keeps a deck changed here since this browser made the backup, without a conflict', () => {
+        replaceAllDecks([makeDeck('d1')]);
+        const backup = parseBackup(JSON.stringify(createBackup(getDecks())));
+        updateDeck('d1', { notes: 'Changed after the backup' });
+
+        const plan = planMerge(getDecks(), backup);
+        expect(plan.conflicts).toEqual([]);
+        expect(plan.newerHere.map(deck => deck.id)).toEqual(['d1']);
+
+        restoreBackup(getDecks(), backup, 'merge');
+        expect(getDecks()[0].notes).toBe('Changed after the backup');
+    });
+
+    it('takes the backup\'s copy when only the backup changed', () => {
+        const shared = makeDeck('d1');
+        restoreBackup([], foreignBackup([shared]), 'replace');
+
+        const newer = foreignBackup([{ ...shared, notes: 'Changed elsewhere', updatedAt: '2024-03-01T00:00:00.000Z' }]);
+        const plan = planMerge(getDecks(), newer);
+        expect(plan.updated.map(deck => deck.id)).toEqual(['d1']);
+        expect(plan.conflicts).toEqual([]);
+    });
+
+    it('reports a conflict when both changed, even if ours changed before the backup was made', () => {
+        const shared = makeDeck('d1');
+        restoreBackup([], foreignBackup([shared]), 'replace');
+        updateDeck('d1', { notes: 'Changed here' });
+
+        const newer = foreignBackup([{ ...shared, notes: 'Changed elsewhere', updatedAt: '2024-03-01T00:00:00.000Z' }]);
+        expect(planMerge(getDecks(), newer).conflicts.map(conflict => conflict.id)).toEqual(['d1']);
+
+        // Once it's been merged, the same backup has nothing new to say about the deck
+        restoreBackup(getDecks(), newer, 'merge');
+        expect(planMerge(getDecks(), newer).newerHere.map(deck => deck.id)).toEqual(['d1']);
+    });
+
+    it('reports a conflict for a different deck it has never seen a shared version of', () => {
+        replaceAllDecks([makeDeck('d1', { notes: 'Here' })]);
+        const plan = planMerge(getDecks(), foreignBackup([makeDeck('d1', { notes: 'There' })]));
+        expect(plan.conflicts.map(conflict => conflict.id)).toEqual(['d1']);
+    });
+});
+
+describe('merging a backup that has players', () => {
+    it('brings in the backup\'s players, so its games still know who played', () => {
+        const opponentGame = {
+            id: 'g1',
+            playedAt: '2024-02-01',
+            result: 'loss',
+            opponents: [{ playerId: 'p-bob', commander: 'Atraxa', won: true }]
+        };
+        const backup = backupOf(
+            [makeDeck('d-backup', { games: [opponentGame] })],
+            [makePlayer('p-amy', 'Amy'), makePlayer('p-bob', 'Bob')]
+        );
+
+        replaceAllDecks([makeDeck('d-local')]);
+        replaceAllPlayers([makePlayer('p-amy', 'Amy'), makePlayer('p-cat', 'Cat')]);
+
+        const plan = planMerge(getDecks(), backup);
+        expect(plan.players.added.map(player => player.id)).toEqual(['p-bob']);
+        expect(plan.players.unchanged.map(player => player.id)).toEqual(['p-amy']);
+        expect(plan.players.conflicts).toEqual([]);
+
+        restoreBackup(getDecks(), backup, 'merge');
+        const players = getPlayers();
+        expect(players.map(player => player.id)).toEqual(['p-amy', 'p-cat', 'p-bob']);
+
+        const restoredGame = getDecks().find(deck => deck.id === 'd-backup').games[0];
+        expect(players.some(player => player.id === restoredGame.opponents[0].playerId)).toBe(true);
+    });
+
+    it('lists a player who is different in both places as a conflict, and keeps the chosen copy', () => {
+        const backup = backupOf([], [makePlayer('p-amy', 'Amy', { deckNames: ['Krenko'] })]);
+        replaceAllPlayers([makePlayer('p-amy', 'Amy B.')]);
+
+        const plan = planMerge(getDecks(), backup);
+        expect(plan.players.conflicts).toHaveLength(1);
+        expect(plan.players.conflicts[0]).toMatchObject({ id: 'p-amy', current: { name: 'Amy B.' }, backup: { name: 'Amy' } });
+
+        restoreBackup(getDecks(), backup, 'merge');
+        expect(getPlayers()[0].name).toBe('Amy B.');
+
+        restoreBackup(getDecks(), backup, 'merge', {}, { 'p-amy': 'backup' });
+        expect(getPlayers()[0]).toMatchObject({ name: 'Amy', deckNames: ['Krenko'] });
+    });
+
+    it('leaves a deck linked to only one player', () => {
+        const backup = backupOf([makeDeck('d1')], [makePlayer('p-bob', 'Bob', { deckIds: ['d1'] })]);
+        replaceAllDecks([makeDeck('d1')]);
+        replaceAllPlayers([makePlayer('p-amy', 'Amy', { deckIds: ['d1'] })]);
+
+        restoreBackup(getDecks(), backup, 'merge');
+        expect(getPlayers().map(player => player.deckIds)).toEqual([['d1'], []]);
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * Round trips for every text export format (deckExport.js): exporting a deck
+ * and importing the file again (decklistParser.js) gives back the same cards
+ * in the same sections.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { exportDeck } from '../deckExport';
+import { parseDecklist } from '../decklistParser';
+
+const deck = {
+    name: 'Atraxa Counters',
+    decklist: [
+        { name: 'Atraxa, Praetors\' Voice', quantity: 1, setCode: 'C16', collectorNumber: '28' },
+        { name: 'Sol Ring', quantity: 1, setCode: 'C21', collectorNumber: '263' },
+        { name: 'Forest', quantity: 97 },
+        { name: 'Doubling Season', quantity: 1 }
+    ],
+    commandZone: [
+        { name: 'Atraxa, Praetors\' Voice', role: 'commander' },
+        { name: 'Jegantha, the Wellspring', role: 'companion' }
+    ],
+    sideboard: [{ name: 'Swords to Plowshares', quantity: 1 }],
+    maybeboard: [{ name: 'Mana Crypt', quantity: 1 }]
+};
+
+// Just the names and quantities of each section, which every format keeps
+const summarize = (sections, names) => Object.fromEntries(names.map(name => [
+    name,
+    sections[name].map(card => `${card.quantity} ${card.name}`)
+]));
+
+// What should come back, as "quantity name" lines per section
+const expected = {
+    commander: ['1 Atraxa, Praetors\' Voice'],
+    companion: ['1 Jegantha, the Wellspring'],
+    deck: ['1 Sol Ring', '97 Forest', '1 Doubling Season'],
+    sideboard: ['1 Swords to Plowshares'],
+    maybeboard: ['1 Mana Crypt']
+};
+
+const pick = (sections, names) => Object.fromEntries(names.map(name => [name, sections[name]]));
+
+describe('exporting and importing again', () => {
+    // Arena and MTGO have no maybeboard, so it isn't written
+    const formats = [
+        ['text', 'text', ['commander', 'companion', 'deck', 'sideboard', 'maybeboard']],
+        ['arena', 'text', ['commander', 'companion', 'deck', 'sideboard']],
+        ['mtgo', 'mtgo', ['commander', 'companion', 'deck', 'sideboard']],
+        ['csv', 'csv', ['commander', 'companion', 'deck', 'sideboard', 'maybeboard']]
+    ];
+
+    formats.forEach(([format, parsedAs, sectionNames]) => {
+        it(`keeps every section in the ${format} format`, () => {
+            const parsed = parseDecklist(exportDeck(deck, format));
+
+            expect(parsed.format).toBe(parsedAs);
+            expect(parsed.errors).toEqual([]);
+            expect(summarize(parsed.sections, sectionNames)).toEqual(pick(expected, sectionNames));
+        });
+    });
+
+    it('keeps the printing in the formats that write it', () => {
+        ['arena', 'csv'].forEach(format => {
+            const solRing = parseDecklist(exportDeck(deck, format)).sections.deck.find(card => card.name === 'Sol Ring');
+            expect(solRing).toMatchObject({ setCode: expect.stringMatching(/^c21$/i), collectorNumber: '263' });
+        });
+    });
+});
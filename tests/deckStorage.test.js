@@ -0,0 +1,75 @@
+// @vitest-environment jsdom
+/**
+ * Tests for saving and loading decks (deckStorage.js).
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    SCHEMA_VERSION,
+    StorageError,
+    getDeck,
+    getDecks,
+    replaceAllDecks,
+    saveDeckLegality,
+    subscribeToStorageNotices,
+    updateDeck
+} from '../deckStorage';
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+describe('legality checks', () => {
+    const legal = { legal: true, violations: [], checkedAt: '2024-01-02T00:00:00.000Z' };
+
+    beforeEach(() => {
+        replaceAllDecks([{
+            id: 'd1',
+            name: 'Test Deck',
+            decklist: [{ name: 'Sol Ring', quantity: 1 }],
+            legality: legal,
+            createdAt: '2024-01-01T00:00:00.000Z',
+            updatedAt: '2024-01-01T00:00:00.000Z'
+        }]);
+    });
+
+    it('saves a check without counting it as a change to the deck', () => {
+        const checked = { legal: false, violations: [{ rule: 'size', message: 'Too small', cards: [] }] };
+        saveDeckLegality('d1', checked);
+        expect(getDeck('d1')).toMatchObject({ legality: checked, updatedAt: '2024-01-01T00:00:00.000Z' });
+    });
+
+    it('forgets the last check when the cards change, but not when only the notes do', () => {
+        updateDeck('d1', { notes: 'Hello' });
+        expect(getDeck('d1').legality).toEqual(legal);
+
+        updateDeck('d1', { decklist: [{ name: 'Sol Ring', quantity: 1 }, { name: 'Forest', quantity: 1 }] });
+        expect(getDeck('d1').legality).toBeNull();
+    });
+});
+
+describe('decks saved by a newer version of the app', () => {
+    const newerVersion = String(SCHEMA_VERSION + 1);
+    const newerDecks = JSON.stringify([{ id: 'd1', name: 'From the future', decklist: [], futureField: 'keep me' }]);
+
+    beforeEach(() => {
+        localStorage.setItem('mtgSchemaVersion', newerVersion);
+        localStorage.setItem('mtgDecks', newerDecks);
+    });
+
+    it('shows them, and says why changes can\'t be saved', () => {
+        const notices = [];
+        const stop = subscribeToStorageNotices(message => notices.push(message));
+
+        expect(getDecks().map(deck => deck.name)).toEqual(['From the future']);
+        expect(notices.some(message => message.includes('newer version'))).toBe(true);
+        stop();
+    });
+
+    it('refuses to save over them, so nothing is lost or downgraded', () => {
+        expect(() => updateDeck('d1', { notes: 'Hello' })).toThrow(StorageError);
+        expect(() => updateDeck('d1', { notes: 'Hello' })).toThrow(/newer version/);
+        expect(localStorage.getItem('mtgSchemaVersion')).toBe(newerVersion);
+        expect(localStorage.getItem('mtgDecks')).toBe(newerDecks);
+    });
+});
@@ -0,0 +1,186 @@
+/**
+ * Tests for reading decklists (decklistParser.js), with one sample of each
+ * format the way the site or program really writes it.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseDecklist, detectFormat, countCards } from '../decklistParser';
+
+// Just "quantity name" for each card in a section, which is what most tests care about
+const lines = (cards) => cards.map(card => `${card.quantity} ${card.name}`);
+
+describe('parseDecklist', () => {
+    it('reads plain text with section headers and every quantity style', () => {
+        const parsed = parseDecklist([
+            'Commander',
+            '1 Atraxa, Praetors\' Voice',
+            '',
+            'Deck',
+            '1 Sol Ring',
+            '1x Arcane Signet',
+            '1 - Command Tower',
+            '30 Forest',
+            '',
+            'Sideboard',
+            '1 Swords to Plowshares'
+        ].join('\n'));
+
+        expect(parsed.format).toBe('text');
+        expect(parsed.errors).toEqual([]);
+        expect(lines(parsed.sections.commander)).toEqual(['1 Atraxa, Praetors\' Voice']);
+        expect(lines(parsed.sections.deck)).toEqual(['1 Sol Ring', '1 Arcane Signet', '1 Command Tower', '30 Forest']);
+        expect(lines(parsed.sections.sideboard)).toEqual(['1 Swords to Plowshares']);
+    });
+
+    it('reads an MTG Arena export, with its deck name and printings', () => {
+        const parsed = parseDecklist([
+            'About',
+            'Name Atraxa Counters',
+            '',
+            'Commander',
+            '1 Atraxa, Praetors\' Voice (C16) 28',
+            '',
+            'Deck',
+            '1 Sol Ring (C21) 263',
+            '1 Doubling Season (2XM) 152 *F*'
+        ].join('\n'));
+
+        expect(parsed.name).toBe('Atraxa Counters');
+        expect(parsed.errors).toEqual([]);
+        expect(parsed.sections.commander[0]).toMatchObject({ name: 'Atraxa, Praetors\' Voice', setCode: 'C16', collectorNumber: '28' });
+        expect(parsed.sections.deck[1]).toMatchObject({ name: 'Doubling Season', setCode: '2XM', collectorNumber: '152', foil: true });
+    });
+
+    it('reads a Moxfield export grouped by card type, skipping the group headings', () => {
+        const parsed = parseDecklist([
+            'Commander (1)',
+            '1 Atraxa, Praetors\' Voice (C16) 28',
+            '',
+            'Creatures',
+            '1 Llanowar Elves (M19) 314 #Ramp',
+            'Instant',
+            '1 Swords to Plowshares (STA) 10 *F*',
+            'Lands (2)',
+            '1 Command Tower (C21) 287',
+            '1 Forest (M21) 274'
+        ].join('\n'));
+
+        expect(parsed.errors).toEqual([]);
+        expect(lines(parsed.sections.commander)).toEqual(['1 Atraxa, Praetors\' Voice']);
+        expect(lines(parsed.sections.deck)).toEqual(['1 Llanowar Elves', '1 Swords to Plowshares', '1 Command Tower', '1 Forest']);
+    });
+
+    it('still reports a card line that is missing its quantity', () => {
+        const parsed = parseDecklist('1 Sol Ring\nArcane Signet');
+        expect(parsed.errors).toEqual([expect.objectContaining({ line: 2, text: 'Arcane Signet' })]);
+    });
+
+    it('reads an Archidekt export, using its categories for the sections', () => {
+        const parsed = parseDecklist([
+            '1x Atraxa, Praetors\' Voice (c16) 28 [Commander{top}]',
+            '1x Sol Ring (c21) 263 [Ramp] ^Have,#37d67a^',
+            '1x Doubling Season (2xm) 152 *F* [Enchantments]',
+            '1x Mana Crypt (2xm) 270 [Maybeboard{noDeck}{noPrice},Ramp]'
+        ].join('\n'));
+
+        expect(parsed.errors).toEqual([]);
+        expect(lines(parsed.sections.commander)).toEqual(['1 Atraxa, Praetors\' Voice']);
+        expect(lines(parsed.sections.deck)).toEqual(['1 Sol Ring', '1 Doubling Season']);
+        expect(lines(parsed.sections.maybeboard)).toEqual(['1 Mana Crypt']);
+        expect(parsed.sections.deck[0]).toMatchObject({ setCode: 'C21', collectorNumber: '263' });
+    });
+
+    it('reads a Forge .dck file', () => {
+        const parsed = parseDecklist([
+            '[metadata]',
+            'Name=Atraxa Counters',
+            '[Commander]',
+            '1 Atraxa, Praetors\' Voice|C16',
+            '[Main]',
+            '1 Sol Ring|C21|1',
+            '30 Forest|M21',
+            '[Sideboard]',
+            '1 Swords to Plowshares|STA'
+        ].join('\n'));
+
+        expect(parsed.format).toBe('forge');
+        expect(parsed.name).toBe('Atraxa Counters');
+        expect(parsed.errors).toEqual([]);
+        expect(lines(parsed.sections.commander)).toEqual(['1 Atraxa, Praetors\' Voice']);
+        expect(parsed.sections.deck[0]).toMatchObject({ name: 'Sol Ring', quantity: 1, setCode: 'C21', collectorNumber: null });
+        expect(lines(parsed.sections.sideboard)).toEqual(['1 Swords to Plowshares']);
+    });
+
+    it('reads an MTGO .dek file, finding the commander in the sideboard', () => {
+        const parsed = parseDecklist([
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<Deck xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+            '  <NetDeckID>0</NetDeckID>',
+            '  <PreconstructedDeckID>0</PreconstructedDeckID>',
+            '  <Cards CatID="54321" Quantity="1" Sideboard="false" Name="Sol Ring" Annotation="0" />',
+            '  <Cards CatID="12345" Quantity="98" Sideboard="false" Name="Forest" Annotation="0" />',
+            '  <Cards CatID="61111" Quantity="1" Sideboard="true" Name="Atraxa, Praetors&apos; Voice" Annotation="0" />',
+            '</Deck>'
+        ].join('\r\n'));
+
+        expect(parsed.format).toBe('mtgo');
+        expect(parsed.errors).toEqual([]);
+        expect(lines(parsed.sections.commander)).toEqual(['1 Atraxa, Praetors\' Voice']);
+        expect(lines(parsed.sections.deck)).toEqual(['1 Sol Ring', '98 Forest']);
+        expect(parsed.sections.sideboard).toEqual([]);
+    });
+
+    it('reads a Cockatrice .cod file', () => {
+        const parsed = parseDecklist([
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<cockatrice_deck version="1">',
+            '    <deckname>Atraxa Counters</deckname>',
+            '    <comments></comments>',
+            '    <zone name="main">',
+            '        <card number="1" name="Sol Ring"/>',
+            '        <card number="98" name="Forest"/>',
+            '    </zone>',
+            '    <zone name="side">',
+            '        <card number="1" name="Atraxa, Praetors\' Voice"/>',
+            '    </zone>',
+            '</cockatrice_deck>'
+        ].join('\n'));
+
+        expect(parsed.format).toBe('cockatrice');
+        expect(parsed.name).toBe('Atraxa Counters');
+        expect(parsed.errors).toEqual([]);
+        expect(lines(parsed.sections.commander)).toEqual(['1 Atraxa, Praetors\' Voice']);
+        expect(countCards(parsed)).toBe(100);
+    });
+
+    it('reads an Archidekt CSV export', () => {
+        const parsed = parseDecklist([
+            'Quantity,Name,Finish,Condition,Date Added,Language,Purchase Price,Tags,Edition Name,Edition Code,Multiverse Id,Scryfall ID,MTGO ID,Collector Number,Categories',
+            '1,"Atraxa, Praetors\' Voice",Normal,NM,2024-01-01,EN,,,Commander 2016,c16,420188,d0d33d52-3d28-4635-b985-51e126289259,61111,28,Commander',
+            '1,Sol Ring,Foil,NM,2024-01-01,EN,,,Commander 2021,c21,,ee6e5a35-fe21-4dee-b0ef-a8f2841511ad,,263,Ramp',
+            '1,Mana Crypt,Normal,NM,2024-01-01,EN,,,Double Masters,2xm,,,,270,Maybeboard'
+        ].join('\n'));
+
+        expect(parsed.format).toBe('csv');
+        expect(parsed.errors).toEqual([]);
+        expect(lines(parsed.sections.commander)).toEqual(['1 Atraxa, Praetors\' Voice']);
+        expect(parsed.sections.deck).toEqual([expect.objectContaining({
+            name: 'Sol Ring',
+            setCode: 'C21',
+            collectorNumber: '263',
+            foil: true,
+            scryfallId: 'ee6e5a35-fe21-4dee-b0ef-a8f2841511ad'
+        })]);
+        expect(lines(parsed.sections.maybeboard)).toEqual(['1 Mana Crypt']);
+    });
+});
+
+describe('detectFormat', () => {
+    it('tells the formats apart', () => {
+        expect(detectFormat('<Deck>\n  <Cards Quantity="1" Name="Sol Ring" />\n</Deck>')).toBe('mtgo');
+        expect(detectFormat('<cockatrice_deck version="1"><zone name="main"></zone></cockatrice_deck>')).toBe('cockatrice');
+        expect(detectFormat('[metadata]\nName=Test\n[Main]\n1 Sol Ring|C21')).toBe('forge');
+        expect(detectFormat('"Count","Name","Edition"\n"1","Sol Ring","c21"')).toBe('csv');
+        expect(detectFormat('1 Sol Ring (C21) 263')).toBe('text');
+    });
+});
@@ -0,0 +1,41 @@
+/**
+ * Tests for the opening hand simulator (goldfish.js).
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildLibrary, startGame, takeMulligan, putOnBottom, keepHand, drawForTurn } from '../goldfish';
+import { getCardsSeen } from '../manaBase';
+
+// Always gives the same answer, so "shuffling" is the same every time
+const random = () => 0.5;
+
+const library = buildLibrary(
+    [{ name: 'Forest', quantity: 40, type: 'Basic Land — Forest' }, { name: 'Grizzly Bears', quantity: 59, type: 'Creature — Bear' }]
+);
+
+describe('goldfishing', () => {
+    it('draws on turn 1, so the hand matches the cards seen in the mana base report', () => {
+        let game = keepHand(startGame(library, {}, random));
+        expect(game.turn).toBe(1);
+        expect(game.hand).toHaveLength(getCardsSeen(1));
+
+        game = drawForTurn(drawForTurn(game));
+        expect(game.turn).toBe(3);
+        expect(game.hand).toHaveLength(getCardsSeen(3));
+        expect(game.hand.length + game.library.length).toBe(99);
+    });
+
+    it('draws on turn 1 after a mulligan too', () => {
+        let game = takeMulligan(takeMulligan(startGame(library, {}, random), random), random);
+        expect(game.toBottom).toBe(1);
+        game = keepHand(putOnBottom(game, 0));
+        expect(game.hand).toHaveLength(getCardsSeen(1) - 1);
+    });
+
+    it('keeps counting turns when the library runs out', () => {
+        const tiny = buildLibrary([{ name: 'Forest', quantity: 7, type: 'Basic Land — Forest' }]);
+        const game = keepHand(startGame(tiny, {}, random));
+        expect(game).toMatchObject({ kept: true, turn: 1 });
+        expect(game.hand).toHaveLength(7);
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests for lookupCards (scryfall.js) against the local Scryfall stub:
+ * batches of 75, names Scryfall doesn't know, and the fuzzy fallback.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { lookupCards, COLLECTION_BATCH_SIZE } from '../scryfall';
+import { startScryfallStub, makeCard } from './scryfallStub';
+
+// 160 made-up cards, enough for three batches
+const names = Array.from({ length: 160 }, (_, index) => `Test Card ${index + 1}`);
+
+let stub;
+
+beforeAll(async () => {
+    stub = await startScryfallStub({
+        cards: [...names.map(name => makeCard(name)), makeCard('Jace, the Mind Sculptor')],
+        fuzzy: { 'jace the mind sculpter': 'Jace, the Mind Sculptor' }
+    });
+});
+
+afterAll(() => stub.close());
+
+const collectionRequests = () => stub.requests.filter(request => request.path === '/cards/collection');
+const fuzzyRequests = () => stub.requests.filter(request => request.path === '/cards/named');
+
+describe('lookupCards', () => {
+    it('asks for 75 cards at a time and finds every one', async () => {
+        stub.requests.length = 0;
+        const results = await lookupCards(names, { baseUrl: stub.baseUrl, delayMs: 0 });
+
+        expect(collectionRequests().map(request => request.body.identifiers.length))
+            .toEqual([COLLECTION_BATCH_SIZE, COLLECTION_BATCH_SIZE, 10]);
+        expect(fuzzyRequests()).toHaveLength(0);
+        expect(results).toHaveLength(160);
+        expect(results.every(result => result.match === 'exact' && result.card.name === result.name)).toBe(true);
+    });
+
+    it('asks once for names that appear more than once', async () => {
+        stub.requests.length = 0;
+        const results = await lookupCards(['Test Card 1', 'test card 1', 'Test Card 2'], { baseUrl: stub.baseUrl, delayMs: 0 });
+
+        expect(collectionRequests()).toHaveLength(1);
+        expect(collectionRequests()[0].body.identifiers).toHaveLength(2);
+        expect(results.map(result => result.card.name)).toEqual(['Test Card 1', 'Test Card 1', 'Test Card 2']);
+    });
+
+    it('falls back to a fuzzy lookup for misses, and reports names nothing matched', async () => {
+        stub.requests.length = 0;
+        const progress = [];
+        const results = await lookupCards(
+            ['Test Card 3', 'Jace the Mind Sculpter', 'Not A Real Card'],
+            { baseUrl: stub.baseUrl, delayMs: 0, onProgress: update => progress.push(update) }
+        );
+
+        expect(collectionRequests()).toHaveLength(1);
+        expect(fuzzyRequests().map(request => request.query.fuzzy)).toEqual(['Jace the Mind Sculpter', 'Not A Real Card']);
+        expect(results).toEqual([
+            expect.objectContaining({ name: 'Test Card 3', match: 'exact' }),
+            expect.objectContaining({ name: 'Jace the Mind Sculpter', match: 'fuzzy', card: expect.objectContaining({ name: 'Jace, the Mind Sculptor' }) }),
+            { name: 'Not A Real Card', card: null, match: null }
+        ]);
+        expect(progress[progress.length - 1]).toMatchObject({ done: 3, total: 3, failed: ['Not A Real Card'] });
+    });
+
+    it('reports another printing of the card as a fuzzy match when the asked-for printing is missing', async () => {
+        stub.requests.length = 0;
+        const [result] = await lookupCards(
+            [{ name: 'Test Card 5', setCode: 'ZZZ', collectorNumber: '999' }],
+            { baseUrl: stub.baseUrl, delayMs: 0 }
+        );
+
+        expect(collectionRequests()).toHaveLength(2);
+        expect(collectionRequests()[1].body.identifiers).toEqual([{ name: 'Test Card 5' }]);
+        expect(result).toMatchObject({ name: 'Test Card 5', match: 'fuzzy', card: { name: 'Test Card 5', set: 'tst' } });
+    });
+
+    it('stops when cancelled', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        await expect(lookupCards(names, { baseUrl: stub.baseUrl, delayMs: 0, signal: controller.signal }))
+            .rejects.toMatchObject({ name: 'AbortError' });
+    });
+});
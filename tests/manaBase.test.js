@@ -0,0 +1,21 @@
+/**
+ * Tests for the mana base report's numbers (manaBase.js).
+ */
+
+import { describe, it, expect } from 'vitest';
+import { analyzeManaBase } from '../manaBase';
+import { getLibraryCards } from '../commandZone';
+
+const commander = { name: 'Omnath, Locus of Mana', quantity: 1, type: 'Legendary Creature — Elemental', manaCost: '{2}{G}', producedMana: [] };
+const forest = { name: 'Forest', quantity: 40, type: 'Basic Land — Forest', manaCost: '', producedMana: ['G'] };
+const bears = { name: 'Grizzly Bears', quantity: 59, type: 'Creature — Bear', manaCost: '{1}{G}', producedMana: [] };
+
+describe('analyzeManaBase', () => {
+    it('counts 99 cards for a 100-card deck once the commander is left out', () => {
+        const decklist = [commander, forest, bears];
+        const commandZone = [{ name: 'Omnath, Locus of Mana', role: 'commander' }];
+
+        expect(decklist.reduce((sum, card) => sum + card.quantity, 0)).toBe(100);
+        expect(analyzeManaBase(getLibraryCards(decklist, commandZone), ['G']).deckSize).toBe(99);
+    });
+});
@@ -0,0 +1,103 @@
+/**
+ * SCRYFALL STUB - A Tiny Local Stand-In for the Scryfall API
+ *
+ * Answers the handful of Scryfall endpoints the app uses, from a list of
+ * made-up cards, so lookups can be tested without the internet. Every
+ * request is written down, so a test can check what was asked and how
+ * often. Tests point the lookups at it with the baseUrl option.
+ *
+ * Like the real API, the collection endpoint refuses more than 75
+ * identifiers at once and lists what it couldn't find under not_found.
+ */
+
+import http from 'node:http';
+
+/**
+ * Make a card that looks enough like a Scryfall card for the app.
+ */
+export const makeCard = (name, fields = {}) => ({
+    object: 'card',
+    id: `id-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+    name,
+    set: 'tst',
+    collector_number: '1',
+    type_line: 'Artifact',
+    mana_cost: '{1}',
+    cmc: 1,
+    color_identity: [],
+    colors: [],
+    legalities: { commander: 'legal' },
+    image_uris: { normal: `https://img.example/${encodeURIComponent(name)}.jpg` },
+    ...fields
+});
+
+/**
+ * Write a JSON answer.
+ */
+const send = (response, status, body) => {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+};
+
+/**
+ * START THE STUB
+ *
+ * @param {Object} options
+ * @param {Array} options.cards - The cards it knows about
+ * @param {Object} options.fuzzy - Misspellings the fuzzy endpoint forgives, as { 'typed name': 'Real Name' }
+ * @returns {Promise<{ baseUrl: string, requests: Array, close: Function }>} - requests lists { method, path, query, body } for every request
+ */
+export const startScryfallStub = ({ cards = [], fuzzy = {} } = {}) => {
+    const requests = [];
+    const byName = new Map(cards.map(card => [card.name.toLowerCase(), card]));
+    const byId = new Map(cards.map(card => [card.id, card]));
+
+    const server = http.createServer((request, response) => {
+        let raw = '';
+        request.on('data', chunk => { raw += chunk; });
+        request.on('end', () => {
+            const url = new URL(request.url, 'http://stub');
+            const body = raw ? JSON.parse(raw) : null;
+            requests.push({ method: request.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+
+            if (request.method === 'POST' && url.pathname === '/cards/collection') {
+                const identifiers = body?.identifiers || [];
+                if (identifiers.length > 75) {
+                    return send(response, 422, { object: 'error', details: 'Too many identifiers' });
+                }
+                const data = [];
+                const notFound = [];
+                identifiers.forEach(identifier => {
+                    const card = identifier.id ? byId.get(identifier.id) : byName.get((identifier.name || '').toLowerCase());
+                    if (card) data.push(card);
+                    else notFound.push(identifier);
+                });
+                return send(response, 200, { object: 'list', not_found: notFound, data });
+            }
+
+            if (url.pathname === '/cards/named') {
+                const typed = (url.searchParams.get('fuzzy') || '').toLowerCase();
+                const card = byName.get(typed) || byName.get((fuzzy[typed] || '').toLowerCase());
+                return card ? send(response, 200, card) : send(response, 404, { object: 'error', code: 'not_found' });
+            }
+
+            if (url.pathname === '/cards/autocomplete') {
+                const typed = (url.searchParams.get('q') || '').toLowerCase();
+                const data = cards.map(card => card.name).filter(name => name.toLowerCase().startsWith(typed)).slice(0, 20);
+                return send(response, 200, { object: 'catalog', total_values: data.length, data });
+            }
+
+            return send(response, 404, { object: 'error', code: 'not_found' });
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                baseUrl: `http://127.0.0.1:${server.address().port}`,
+                requests,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+};
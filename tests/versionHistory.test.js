@@ -0,0 +1,29 @@
+/**
+ * Tests for comparing decklists (versionHistory.js).
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getListSignature, hasListChanged } from '../versionHistory';
+
+const deck = {
+    decklist: [{ name: 'Sol Ring', quantity: 1, scryfallId: 'a' }, { name: 'Forest', quantity: 30 }],
+    commandZone: [{ name: 'Omnath, Locus of Mana', role: 'commander' }],
+    notes: 'Ramp!'
+};
+
+describe('getListSignature', () => {
+    it('stays the same when only the notes or games change', () => {
+        const saved = { ...deck, decklist: deck.decklist.map(card => ({ ...card })), notes: 'More ramp', games: [{ id: 'g1' }] };
+        expect(getListSignature(saved)).toBe(getListSignature(deck));
+        expect(hasListChanged(deck, saved)).toBe(false);
+    });
+
+    it('changes with a quantity, a printing or a commander', () => {
+        const changes = [
+            { decklist: [{ name: 'Sol Ring', quantity: 1, scryfallId: 'a' }, { name: 'Forest', quantity: 31 }] },
+            { decklist: [{ name: 'Sol Ring', quantity: 1, scryfallId: 'b' }, { name: 'Forest', quantity: 30 }] },
+            { commandZone: [{ name: 'Omnath, Locus of Mana', role: 'commander' }, { name: 'Tymna the Weaver', role: 'partner' }] }
+        ];
+        changes.forEach(change => expect(hasListChanged(deck, { ...deck, ...change })).toBe(true));
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * VERSION HISTORY - Remembering Every Version of a Deck
+ *
+ * Commander decks change all the time. Every time a deck's cards or its
+ * command zone change, a "snapshot" of the new list is added to the deck's
+ * history, with the date and an optional note about what changed ("Cut the
+ * slow ramp", say). Each snapshot also remembers the deck's record at that
+ * moment, so you can tell which version of the list a win rate belongs to.
+ *
+ * This file only works with plain deck objects - deckStorage.js decides when
+ * snapshots are taken and saves them with the deck.
+ */
+
+import { normalizeCardName } from './scryfall';
+
+/**
+ * @typedef {Object} DeckSnapshot
+ * @property {string} id - Unique id
+ * @property {string} createdAt - When this version was saved (ISO date)
+ * @property {string} note - What changed, in the user's words (may be empty)
+ * @property {Array} decklist - The cards at this version
+ * @property {Array} commandZone - The commanders and companions at this version
+ * @property {{ wins: number, losses: number }} stats - The deck's record when this version was saved
+ */
+
+/**
+ * TAKE A SNAPSHOT OF A DECK'S LIST
+ *
+ * Only the cards and command zone are copied - stats and notes aren't part
+ * of a version (apart from the record, which is kept for reference).
+ *
+ * @param {Object} deck - The deck as it is now
+ * @param {string} note - What changed (optional)
+ * @param {string} createdAt - When the version was saved (defaults to now)
+ * @returns {DeckSnapshot}
+ */
+export const createSnapshot = (deck, note = '', createdAt = new Date().toISOString()) => ({
+    id: `${Date.now()}-${(deck.history || []).length}`,  // The time plus a counter, in case two are taken at once
+    createdAt,
+    note: note.trim(),
+    decklist: (deck.decklist || []).map(card => ({ ...card })),
+    commandZone: (deck.commandZone || []).map(entry => ({ ...entry })),
+    stats: { wins: deck.stats?.wins || 0, losses: deck.stats?.losses || 0 }
+});
+
+/**
+ * The parts of a card entry that say which card and printing it is, in a
+ * form that's easy to compare.
+ */
+const describeEntry = (card) => JSON.stringify([
+    card.name, card.quantity, card.scryfallId || null, card.setCode || null, card.collectorNumber || null, Boolean(card.foil)
+]);
+
+/**
+ * THE LIST AS ONE STRING
+ *
+ * The cards (including quantities and printings) and the command zone,
+ * written out so two lists are the same exactly when their strings are.
+ * Saving notes or games gives the deck a new decklist array, but not a new
+ * signature, so this is also what the deck page watches to know when the
+ * cards really changed.
+ *
+ * @param {Object} version - A deck or snapshot
+ * @returns {string}
+ */
+export const getListSignature = (version) => [
+    ...(version.decklist || []).map(describeEntry),
+    '--',
+    ...(version.commandZone || []).map(entry => `${entry.role}:${entry.name}`)
+].join('\n');
+
+/**
+ * HAS THE LIST CHANGED?
+ *
+ * Compares the cards (including quantities and printings) and the command
+ * zone of two decks or snapshots.
+ *
+ * @param {Object} before - A deck or snapshot
+ * @param {Object} after - Another deck or snapshot
+ * @returns {boolean} - Whether they're different
+ */
+export const hasListChanged = (before, after) => getListSignature(before) !== getListSignature(after);
+
+/**
+ * Add up how many copies of each card a list has, by name.
+ *
+ * @returns {Map} - normalized name -> { name, quantity }
+ */
+const countByName = (cards) => {
+    const counts = new Map();
+    (cards || []).forEach(card => {
+        const key = normalizeCardName(card.name);
+        const existing = counts.get(key);
+        if (existing) {
+            existing.quantity += card.quantity;
+        } else {
+            counts.set(key, { name: card.name, quantity: card.quantity });
+        }
+    });
+    return counts;
+};
+
+/**
+ * WHAT CHANGED BETWEEN TWO VERSIONS?
+ *
+ * Cards are matched by name, so going from 1 to 3 copies shows up as
+ * "2 added". Switching a card to a different printing isn't counted as
+ * adding or removing it - those are listed separately.
+ *
+ * @param {Object} older - The earlier version (a deck or snapshot)
+ * @param {Object} newer - The later version
+ * @returns {Object} - {
+ *   added: [{ name, quantity }], removed: [{ name, quantity }],
+ *   printings: [name], commandersAdded: [name], commandersRemoved: [name]
+ * }
+ */
+export const diffVersions = (older, newer) => {
+    const before = countByName(older.decklist);
+    const after = countByName(newer.decklist);
+
+    const added = [];
+    const removed = [];
+    after.forEach((card, key) => {
+        const difference = card.quantity - (before.get(key)?.quantity || 0);
+        if (difference > 0) added.push({ name: card.name, quantity: difference });
+    });
+    before.forEach((card, key) => {
+        const difference = card.quantity - (after.get(key)?.quantity || 0);
+        if (difference > 0) removed.push({ name: card.name, quantity: difference });
+    });
+
+    // Cards in both versions whose printing (set, number or foil) changed
+    const printingOf = (cards) => new Map((cards || []).map(card => [
+        normalizeCardName(card.name),
+        `${card.setCode || ''}|${card.collectorNumber || ''}|${Boolean(card.foil)}`
+    ]));
+    const printingsBefore = printingOf(older.decklist);
+    const printingsAfter = printingOf(newer.decklist);
+    const printings = [...after.entries()]
+        .filter(([key]) => printingsBefore.has(key) && printingsBefore.get(key) !== printingsAfter.get(key))
+        .map(([, card]) => card.name);
+
+    const zoneNames = (version) => (version.commandZone || []).map(entry => entry.name);
+    const zoneBefore = zoneNames(older);
+    const zoneAfter = zoneNames(newer);
+
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    return {
+        added: added.sort(byName),
+        removed: removed.sort(byName),
+        printings: printings.sort(),
+        commandersAdded: zoneAfter.filter(name => !zoneBefore.includes(name)),
+        commandersRemoved: zoneBefore.filter(name => !zoneAfter.includes(name))
+    };
+};